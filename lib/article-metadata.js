@@ -0,0 +1,256 @@
+/**
+ * LinkPub article metadata
+ *
+ * Collects the metadata pages publish about themselves - JSON-LD, OpenGraph,
+ * Twitter cards, standard <meta> tags and <link rel="canonical"> - and
+ * combines it with what Readability found, so both extraction paths return
+ * the same author, date, language, canonical URL, tags and lead image.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+// JSON-LD types describing the article itself
+const ARTICLE_TYPES = new Set([
+    'Article', 'NewsArticle', 'BlogPosting', 'Report', 'ScholarlyArticle', 'TechArticle',
+    'AnalysisNewsArticle', 'OpinionNewsArticle', 'ReviewNewsArticle', 'LiveBlogPosting',
+    'SocialMediaPosting', 'DiscussionForumPosting', 'WebPage'
+]);
+
+// Maximum number of tags kept per article
+const MAX_TAGS = 20;
+
+/**
+ * Read the content of the first matching <meta>/<link> element
+ * @param {Document} document - Parsed page
+ * @param {Array<string>} selectors - CSS selectors, in priority order
+ * @returns {string} Trimmed value or ''
+ */
+function metaContent(document, selectors) {
+    for (const selector of selectors) {
+        const element = document.querySelector(selector);
+        const value = element && (element.getAttribute('content') || element.getAttribute('href') || element.getAttribute('datetime'));
+        if (value && value.trim()) {
+            return value.trim();
+        }
+    }
+    return '';
+}
+
+/**
+ * Resolve a URL against the page, keeping only http(s) results
+ * @param {string} value - Possibly relative URL
+ * @param {string} pageUrl - Page URL
+ * @returns {string} Absolute URL or ''
+ */
+function absoluteHttpUrl(value, pageUrl) {
+    if (!value) return '';
+    try {
+        const url = new URL(value.trim(), pageUrl);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Parse every JSON-LD block and return the nodes describing an article
+ * @param {Document} document - Parsed page
+ * @returns {Array<Object>} JSON-LD article nodes (best match first)
+ */
+function findJsonLdArticles(document) {
+    const nodes = [];
+    const collect = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(collect);
+        } else if (value && typeof value === 'object') {
+            if (value['@graph']) collect(value['@graph']);
+            nodes.push(value);
+        }
+    };
+
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+        try {
+            collect(JSON.parse(script.textContent));
+        } catch {
+            // Invalid JSON-LD is common; ignore the block
+        }
+    }
+
+    const isArticle = (node) => [].concat(node['@type'] || []).some(type => ARTICLE_TYPES.has(type));
+    // Prefer real article types over a generic WebPage node
+    return nodes.filter(isArticle).sort((a, b) =>
+        Number([].concat(a['@type']).includes('WebPage')) - Number([].concat(b['@type']).includes('WebPage'))
+    );
+}
+
+/**
+ * Turn a JSON-LD person/organization value into display names
+ * @param {*} value - String, object or array
+ * @returns {Array<string>} Names
+ */
+function jsonLdNames(value) {
+    return [].concat(value || [])
+        .map(entry => (typeof entry === 'string' ? entry : entry && entry.name))
+        .filter(name => typeof name === 'string' && name.trim())
+        .map(name => name.trim());
+}
+
+/**
+ * Clean up an author string ("By Jane Doe | Staff" -> "Jane Doe")
+ * @param {string} value - Raw author text
+ * @returns {string} Author name or ''
+ */
+function cleanAuthor(value) {
+    if (!value || /^https?:\/\//i.test(value.trim())) return '';
+    const author = value
+        .replace(/\s+/g, ' ')
+        .replace(/^\s*(by|written by|posted by|von|par|por|di)\s*[:-]?\s+/i, '')
+        .split(/\s+[|•·]\s+/)[0]
+        .trim();
+    return author.length > 0 && author.length <= 120 ? author : '';
+}
+
+/**
+ * Normalize a date to an ISO 8601 string
+ * @param {string} value - Date text
+ * @returns {string} ISO date-time or ''
+ */
+function normalizeDate(value) {
+    if (!value) return '';
+    const date = new Date(value.trim());
+    if (isNaN(date.getTime()) || date.getUTCFullYear() < 1900) return '';
+    return date.toISOString();
+}
+
+/**
+ * Normalize a language code to BCP 47 ("en_US" -> "en-US")
+ * @param {string} value - Language code
+ * @returns {string} Language tag or ''
+ */
+function normalizeLanguage(value) {
+    if (!value) return '';
+    const tag = value.trim().split(/[,;\s]/)[0].replace(/_/g, '-');
+    if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(tag)) return '';
+    const [primary, ...rest] = tag.split('-');
+    return [primary.toLowerCase(), ...rest.map(part => (part.length === 2 ? part.toUpperCase() : part))].join('-');
+}
+
+/**
+ * Split, trim and de-duplicate tag values
+ * @param {Array<string>} values - Raw tag strings (may be comma-separated)
+ * @returns {Array<string>} Tags
+ */
+function normalizeTags(values) {
+    const seen = new Set();
+    const tags = [];
+    for (const value of values) {
+        for (const tag of String(value || '').split(',')) {
+            const trimmed = tag.trim();
+            if (!trimmed || trimmed.length > 60 || seen.has(trimmed.toLowerCase())) continue;
+            seen.add(trimmed.toLowerCase());
+            tags.push(trimmed);
+        }
+    }
+    return tags.slice(0, MAX_TAGS);
+}
+
+/**
+ * Find the lead image a page advertises for link previews (og:image, twitter:image)
+ * @param {Document} document - Parsed page
+ * @param {string} pageUrl - Page URL, used to resolve relative image URLs
+ * @returns {string} Absolute http(s) image URL, or '' if none is declared
+ */
+function findLeadImage(document, pageUrl) {
+    const selectors = [
+        'meta[property="og:image:secure_url"]',
+        'meta[property="og:image"]',
+        'meta[property="og:image:url"]',
+        'meta[name="twitter:image"]',
+        'meta[name="twitter:image:src"]',
+        'meta[property="twitter:image"]',
+        'link[rel="image_src"]'
+    ];
+
+    for (const selector of selectors) {
+        const imageUrl = absoluteHttpUrl(metaContent(document, [selector]), pageUrl);
+        if (imageUrl) return imageUrl;
+    }
+    return '';
+}
+
+/**
+ * Extract article metadata from a page
+ * @param {Document} document - Parsed page (before Readability modifies a clone)
+ * @param {string} pageUrl - URL the page was fetched from
+ * @param {Object} [article] - Readability result ({ byline, lang, publishedTime })
+ * @returns {Object} { author, publishedTime, language, canonicalUrl, tags, leadImage }
+ */
+function extractMetadata(document, pageUrl, article = {}) {
+    const jsonLd = findJsonLdArticles(document);
+    const fromJsonLd = (read) => {
+        for (const node of jsonLd) {
+            const value = read(node);
+            if (value) return value;
+        }
+        return '';
+    };
+
+    const author = cleanAuthor(fromJsonLd(node => jsonLdNames(node.author).join(', ')))
+        || cleanAuthor(metaContent(document, [
+            'meta[name="author"]',
+            'meta[property="article:author"]',
+            'meta[name="parsely-author"]',
+            'meta[name="sailthru.author"]',
+            'meta[name="dc.creator"]',
+            'meta[name="DC.creator"]'
+        ]))
+        || cleanAuthor(article.byline || '');
+
+    const publishedTime = normalizeDate(fromJsonLd(node => node.datePublished || node.dateCreated))
+        || normalizeDate(metaContent(document, [
+            'meta[property="article:published_time"]',
+            'meta[name="article:published_time"]',
+            'meta[itemprop="datePublished"]',
+            'meta[name="pubdate"]',
+            'meta[name="publishdate"]',
+            'meta[name="date"]',
+            'meta[name="DC.date.issued"]',
+            'meta[name="citation_publication_date"]',
+            'time[itemprop="datePublished"]'
+        ]))
+        || normalizeDate(article.publishedTime || '');
+
+    const language = normalizeLanguage(article.lang)
+        || normalizeLanguage(document.documentElement.getAttribute('lang'))
+        || normalizeLanguage(fromJsonLd(node => (typeof node.inLanguage === 'string' ? node.inLanguage : '')))
+        || normalizeLanguage(metaContent(document, [
+            'meta[http-equiv="content-language"]',
+            'meta[http-equiv="Content-Language"]',
+            'meta[property="og:locale"]'
+        ]));
+
+    const canonicalUrl = absoluteHttpUrl(metaContent(document, ['link[rel="canonical"]', 'meta[property="og:url"]']), pageUrl)
+        || absoluteHttpUrl(fromJsonLd(node => (typeof node.mainEntityOfPage === 'string' ? node.mainEntityOfPage : node.mainEntityOfPage?.['@id'])), pageUrl)
+        || pageUrl;
+
+    const tags = normalizeTags([
+        ...[].concat(fromJsonLd(node => node.keywords) || []),
+        ...Array.from(document.querySelectorAll('meta[property="article:tag"]')).map(meta => meta.getAttribute('content')),
+        metaContent(document, ['meta[name="keywords"]', 'meta[name="news_keywords"]'])
+    ]);
+
+    const leadImage = findLeadImage(document, pageUrl)
+        || absoluteHttpUrl(fromJsonLd(node => {
+            const image = [].concat(node.image || [])[0];
+            return typeof image === 'string' ? image : image?.url;
+        }), pageUrl);
+
+    return { author, publishedTime, language, canonicalUrl, tags, leadImage };
+}
+
+module.exports = {
+    extractMetadata,
+    findLeadImage,
+    normalizeLanguage
+};
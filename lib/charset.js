@@ -0,0 +1,109 @@
+/**
+ * LinkPub character-set detection
+ *
+ * Decodes fetched pages the way browsers do instead of assuming UTF-8: byte
+ * order mark first, then the Content-Type charset, then <meta charset> /
+ * http-equiv declarations. Pages that declare nothing are decoded as UTF-8
+ * when the bytes are valid UTF-8, otherwise with the legacy encoding usual
+ * for the page language (Shift_JIS for Japanese, windows-1251 for Russian...).
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const sniffHTMLEncoding = require('html-encoding-sniffer');
+const whatwgEncoding = require('whatwg-encoding');
+
+// Legacy encoding browsers use for undeclared pages, by language
+const LEGACY_ENCODINGS = {
+    ja: 'Shift_JIS',
+    ru: 'windows-1251', uk: 'windows-1251', be: 'windows-1251', bg: 'windows-1251', sr: 'windows-1251', mk: 'windows-1251',
+    zh: 'GBK', 'zh-tw': 'Big5', 'zh-hk': 'Big5', 'zh-hant': 'Big5',
+    ko: 'EUC-KR',
+    el: 'windows-1253',
+    tr: 'windows-1254',
+    he: 'windows-1255',
+    ar: 'windows-1256', fa: 'windows-1256', ur: 'windows-1256',
+    lt: 'windows-1257', lv: 'windows-1257', et: 'windows-1257',
+    vi: 'windows-1258',
+    th: 'windows-874',
+    pl: 'ISO-8859-2', cs: 'windows-1250', sk: 'windows-1250', hu: 'ISO-8859-2', ro: 'ISO-8859-2', hr: 'windows-1250', sl: 'ISO-8859-2'
+};
+
+const DEFAULT_LEGACY_ENCODING = 'windows-1252';
+
+/**
+ * Check whether bytes are valid UTF-8
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {boolean} True if the bytes decode without errors
+ */
+function isValidUtf8(buffer) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Guess the encoding of a page that declares none
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} Encoding name
+ */
+function guessEncoding(buffer) {
+    if (isValidUtf8(buffer)) {
+        return 'UTF-8';
+    }
+
+    // <html lang> is ASCII, so it can be read before the encoding is known
+    const head = buffer.subarray(0, 4096).toString('latin1');
+    const lang = (head.match(/<html[^>]*\slang\s*=\s*["']?([a-zA-Z-]+)/i) || [])[1];
+    if (lang) {
+        const tag = lang.toLowerCase();
+        return LEGACY_ENCODINGS[tag] || LEGACY_ENCODINGS[tag.split('-')[0]] || DEFAULT_LEGACY_ENCODING;
+    }
+    return DEFAULT_LEGACY_ENCODING;
+}
+
+/**
+ * Read the charset parameter of a Content-Type header
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|undefined} Charset label
+ */
+function contentTypeCharset(contentType) {
+    const match = String(contentType || '').match(/;\s*charset\s*=\s*"?([^";\s]+)"?/i);
+    return match && whatwgEncoding.labelToName(match[1]) ? match[1] : undefined;
+}
+
+/**
+ * Decode an HTML response body
+ * @param {Buffer} buffer - Raw response body
+ * @param {string} [contentType] - Content-Type header value
+ * @returns {{html: string, encoding: string}} Decoded page and the encoding used
+ */
+function decodeHtml(buffer, contentType) {
+    const encoding = sniffHTMLEncoding(buffer, {
+        transportLayerEncodingLabel: contentTypeCharset(contentType),
+        defaultEncoding: guessEncoding(buffer)
+    });
+    return { html: whatwgEncoding.decode(buffer, encoding), encoding };
+}
+
+/**
+ * Decode a fetched page
+ * @param {Response} response - Fetch API response
+ * @returns {Promise<string>} Decoded HTML
+ */
+async function readHtml(response) {
+    const { html, encoding } = decodeHtml(Buffer.from(await response.arrayBuffer()), response.headers.get('content-type'));
+    if (encoding !== 'UTF-8') {
+        console.log(`🔤 Decoded ${response.url} as ${encoding}`);
+    }
+    return html;
+}
+
+module.exports = {
+    decodeHtml,
+    readHtml
+};
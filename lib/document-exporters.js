@@ -0,0 +1,315 @@
+/**
+ * LinkPub document exporters
+ *
+ * Archive formats for notes systems, built from the same article list as the
+ * EPUB builder:
+ * - Markdown: a ZIP with one .md file per article, each with YAML front
+ *   matter (title, author, URL, site, date), and an images/ folder
+ * - HTML: one self-contained page with the book stylesheet and inlined images
+ * - Plain text: the article text with its source details
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const JSZip = require('jszip');
+const { JSDOM } = require('jsdom');
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+const { embedImages } = require('./epub-images');
+const { sanitizeXhtml, mergeReports } = require('./xhtml-sanitizer');
+const {
+    normalizeArticles,
+    resolveBookMetadata,
+    renderChapterBody,
+    renderTocBody,
+    escapeXml,
+    DEFAULT_STYLESHEET
+} = require('./epub-builder');
+
+// Same fixed entry timestamp as EPUB archives, so identical input yields identical ZIPs
+const ZIP_ENTRY_DATE = new Date(Date.UTC(1980, 0, 1, 0, 0, 0));
+
+/**
+ * Screen layout added to the book stylesheet for single-file HTML
+ */
+const HTML_STYLESHEET = `body { max-width: 42em; margin: 2em auto; padding: 0 1em; }
+.book-header { text-align: center; margin: 2em 0 3em; }
+.book-header .book-author { color: #666; font-style: italic; }
+.chapter + .chapter { border-top: 1px solid #eee; margin-top: 3em; padding-top: 2em; }
+`;
+
+const TEXT_BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'aside', 'header', 'footer', 'main', 'nav', 'figure', 'figcaption',
+    'address', 'details', 'summary', 'dl', 'dt', 'dd', 'caption'
+]);
+
+/**
+ * Sanitize the articles and, when requested, embed their images
+ * @param {Array<Object>} articles - Articles
+ * @param {Object} options - Book options
+ * @param {boolean} withImages - Whether the format carries images
+ * @returns {Promise<Object>} { book, articles, images, report }
+ */
+async function prepareArticles(articles, options, withImages) {
+    if (!Array.isArray(articles) || articles.length === 0) {
+        throw new Error('At least one article is required to export');
+    }
+
+    let chapterArticles = normalizeArticles(articles);
+    const book = resolveBookMetadata(chapterArticles, { ...options, epubVersion: 3 });
+    const report = { images: { embedded: 0, skipped: [] }, sanitizer: null, cover: null };
+
+    let images = [];
+    if (withImages && options.embedImages !== false) {
+        const embedded = await embedImages(chapterArticles);
+        chapterArticles = embedded.articles;
+        images = embedded.images;
+        report.images = { embedded: images.length, skipped: embedded.skipped };
+    }
+
+    const sanitized = chapterArticles.map(article => sanitizeXhtml(article.content, { epubVersion: book.version }));
+    chapterArticles = chapterArticles.map((article, index) => ({ ...article, content: sanitized[index].xhtml }));
+    report.sanitizer = mergeReports(sanitized.map(result => result.report));
+
+    return { book, articles: chapterArticles, images, report };
+}
+
+/**
+ * Turn a title into a file name
+ * @param {string} title - Title
+ * @returns {string} Lowercase ASCII slug ("article" when nothing is left)
+ */
+function slugify(title) {
+    const slug = String(title || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, 60)
+        .replace(/^-+|-+$/g, '');
+    return slug || 'article';
+}
+
+/**
+ * Build the YAML front matter of an article
+ * @param {Object} article - Article
+ * @returns {string} Front matter block
+ */
+function frontMatter(article) {
+    const fields = [
+        ['title', article.title],
+        ['author', article.author],
+        ['url', article.url],
+        ['site', article.siteName],
+        ['date', article.publishedTime ? article.publishedTime.split('T')[0] : ''],
+        ['language', article.language]
+    ];
+    // JSON strings are valid YAML double-quoted scalars
+    const lines = fields.filter(([, value]) => value).map(([key, value]) => `${key}: ${JSON.stringify(String(value))}`);
+    return `---\n${lines.join('\n')}\n---\n`;
+}
+
+/**
+ * Export articles as a ZIP of Markdown files with their images
+ * @param {Array<Object>} articles - Articles ({ title, content, url, siteName, author, publishedTime, ... })
+ * @param {Object} [options] - Book options: title and embedImages, with the same meaning as for buildEpub()
+ * @returns {Promise<Object>} { buffer, report } - ZIP data and a summary of the embedded/skipped images
+ */
+async function buildMarkdown(articles, options = {}) {
+    const { book, articles: chapterArticles, images, report } = await prepareArticles(articles, options, true);
+    const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced', bulletListMarker: '-' });
+    turndown.use(gfm);
+
+    // Everything goes in one folder named after the book; image paths stay relative to the .md files
+    const folder = slugify(book.title);
+    const zip = new JSZip();
+    const fileOptions = { date: ZIP_ENTRY_DATE, createFolders: false, compression: 'DEFLATE' };
+    const width = Math.max(2, String(chapterArticles.length).length);
+
+    chapterArticles.forEach((article, index) => {
+        const prefix = chapterArticles.length > 1 ? `${String(index + 1).padStart(width, '0')}-` : '';
+        const markdown = `${frontMatter(article)}\n# ${article.title}\n\n${turndown.turndown(article.content)}\n`;
+        zip.file(`${folder}/${prefix}${slugify(article.title)}.md`, markdown, fileOptions);
+    });
+    images.forEach(image => zip.file(`${folder}/${image.href}`, image.data, fileOptions));
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compressionOptions: { level: 9 }, platform: 'DOS' });
+    return { buffer, report };
+}
+
+/**
+ * Export articles as one self-contained HTML page
+ * @param {Array<Object>} articles - Articles ({ title, content, url, siteName, wordCount, author, ... })
+ * @param {Object} [options] - Book options: title, author, description, language, stylesheet, tocPage,
+ *   chapterNumbers and embedImages, with the same meaning as for buildEpub()
+ * @returns {Promise<Object>} { buffer, report } - HTML data and a summary of the embedded/skipped images
+ */
+async function buildHtml(articles, options = {}) {
+    const { book, articles: chapterArticles, images, report } = await prepareArticles(articles, options, true);
+    const showChapterNumbers = options.chapterNumbers ?? chapterArticles.length > 1;
+    const dataUris = new Map(images.map(image => [image.href, `data:${image.mediaType};base64,${image.data.toString('base64')}`]));
+
+    const sections = chapterArticles.map((article, index) => {
+        const id = `chapter-${index + 1}`;
+        const { document } = new JSDOM(`<!DOCTYPE html><body>${renderChapterBody(book, article, index, showChapterNumbers)}</body>`).window;
+
+        // Chapters share one page, so their ids and in-page links get a chapter prefix
+        document.querySelectorAll('[id]').forEach(element => { element.id = `${id}-${element.id}`; });
+        document.querySelectorAll('a[href^="#"]').forEach(link => {
+            link.setAttribute('href', `#${id}-${link.getAttribute('href').slice(1)}`);
+        });
+        document.querySelectorAll('img').forEach(img => {
+            const uri = dataUris.get(img.getAttribute('src'));
+            if (uri) img.setAttribute('src', uri);
+        });
+        return `<section class="chapter" id="${id}">\n${document.body.innerHTML.trim()}\n</section>`;
+    });
+
+    const collection = chapterArticles.length > 1;
+    const header = collection
+        ? `<header class="book-header">\n<h1 class="book-title">${escapeXml(book.title)}</h1>\n<p class="book-author">${escapeXml(book.author)}</p>\n</header>\n`
+        : '';
+    const toc = collection || options.tocPage
+        ? `${renderTocBody(chapterArticles.map((article, index) => ({ href: `#chapter-${index + 1}`, title: article.title })))}\n`
+        : '';
+
+    const html = `<!DOCTYPE html>
+<html lang="${escapeXml(book.language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(book.title)}</title>
+<meta name="author" content="${escapeXml(book.author)}">
+${book.description ? `<meta name="description" content="${escapeXml(book.description)}">\n` : ''}<meta name="generator" content="LinkPub">
+<style>
+${options.stylesheet || DEFAULT_STYLESHEET}${HTML_STYLESHEET}</style>
+</head>
+<body>
+${header}${toc}${sections.join('\n')}
+</body>
+</html>
+`;
+
+    return { buffer: Buffer.from(html, 'utf8'), report };
+}
+
+/**
+ * Convert article HTML to plain-text blocks (paragraphs, list items, quotes...)
+ * @param {Element} parent - Element whose children are converted
+ * @returns {Array<string>} Text blocks
+ */
+function textBlocks(parent) {
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+        const text = inline.split('\n').map(line => line.replace(/ +/g, ' ').trim()).join('\n').trim();
+        if (text) blocks.push(text);
+        inline = '';
+    };
+    const indent = (text, first, rest) => text.split('\n')
+        .map((line, index) => `${index === 0 ? first : rest}${line}`.trimEnd()).join('\n');
+
+    const visit = (node) => {
+        if (node.nodeType === node.TEXT_NODE) {
+            inline += node.textContent.replace(/\s+/g, ' ');
+            return;
+        }
+        if (node.nodeType !== node.ELEMENT_NODE) return;
+
+        const name = node.localName;
+        if (name === 'br') {
+            inline += '\n';
+        } else if (name === 'img') {
+            const alt = (node.getAttribute('alt') || '').trim();
+            if (alt) inline += `[${alt}]`;
+        } else if (name === 'a') {
+            const before = inline.length;
+            node.childNodes.forEach(visit);
+            const href = node.getAttribute('href') || '';
+            if (/^https?:/i.test(href) && inline.slice(before).trim() !== href) inline += ` <${href}>`;
+        } else if (name === 'pre') {
+            flush();
+            blocks.push(node.textContent.replace(/^\n+|\s+$/g, ''));
+        } else if (name === 'hr') {
+            flush();
+            blocks.push('* * *');
+        } else if (/^h[1-6]$/.test(name)) {
+            flush();
+            const heading = textBlocks(node).join(' ');
+            if (heading) blocks.push(name === 'h1' || name === 'h2' ? `${heading}\n${'-'.repeat([...heading].length)}` : heading);
+        } else if (name === 'ul' || name === 'ol') {
+            flush();
+            let number = parseInt(node.getAttribute('start'), 10) || 1;
+            const items = Array.from(node.children).filter(child => child.localName === 'li').map(item => {
+                const marker = name === 'ol' ? `${number++}. ` : '- ';
+                return indent(textBlocks(item).join('\n'), marker, ' '.repeat(marker.length));
+            });
+            if (items.length > 0) blocks.push(items.join('\n'));
+        } else if (name === 'blockquote') {
+            flush();
+            const quote = textBlocks(node).join('\n\n');
+            if (quote) blocks.push(indent(quote, '> ', '> '));
+        } else if (name === 'table') {
+            flush();
+            const rows = Array.from(node.querySelectorAll('tr')).map(row =>
+                Array.from(row.children).map(cell => textBlocks(cell).join(' ')).join(' | '));
+            if (rows.length > 0) blocks.push(rows.join('\n'));
+        } else if (TEXT_BLOCK_ELEMENTS.has(name)) {
+            flush();
+            blocks.push(...textBlocks(node));
+        } else {
+            node.childNodes.forEach(visit);
+        }
+    };
+
+    parent.childNodes.forEach(visit);
+    flush();
+    return blocks;
+}
+
+/**
+ * Export articles as plain text
+ * @param {Array<Object>} articles - Articles ({ title, content, url, siteName, author, publishedTime, ... })
+ * @param {Object} [options] - Book options: title, author and chapterNumbers, with the same meaning as for buildEpub()
+ * @returns {Promise<Object>} { buffer, report } - UTF-8 text and a summary of the sanitizer changes
+ */
+async function buildText(articles, options = {}) {
+    const { book, articles: chapterArticles, report } = await prepareArticles(articles, options, false);
+    const showChapterNumbers = options.chapterNumbers ?? chapterArticles.length > 1;
+    const underline = (text, character) => `${text}\n${character.repeat([...text].length)}`;
+
+    const chapters = chapterArticles.map((article, index) => {
+        const { document } = new JSDOM(`<!DOCTYPE html><body>${article.content}</body>`).window;
+        const details = [
+            article.author ? `By ${article.author}` : '',
+            article.publishedTime ? `Published: ${article.publishedTime.split('T')[0]}` : '',
+            article.siteName ? `Source: ${article.siteName}` : '',
+            article.url ? `URL: ${article.url}` : ''
+        ].filter(Boolean);
+
+        return [
+            `${showChapterNumbers ? `Chapter ${index + 1}\n` : ''}${underline(article.title, '=')}`,
+            details.join('\n'),
+            ...textBlocks(document.body)
+        ].filter(Boolean).join('\n\n');
+    });
+
+    // Collections open with the book title and a list of contents
+    if (chapterArticles.length > 1) {
+        chapters.unshift([
+            `${underline(book.title, '#')}\nBy ${book.author}`,
+            `Contents\n\n${chapterArticles.map((article, index) => `${index + 1}. ${article.title}`).join('\n')}`
+        ].join('\n\n'));
+    }
+    const text = chapters.join(`\n\n${'-'.repeat(72)}\n\n`);
+
+    return { buffer: Buffer.from(`${text}\n`, 'utf8'), report };
+}
+
+module.exports = {
+    buildMarkdown,
+    buildHtml,
+    buildText
+};
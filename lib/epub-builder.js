@@ -0,0 +1,680 @@
+/**
+ * LinkPub EPUB builder
+ *
+ * Single place where EPUB packages are assembled. The web UI (through
+ * /api/epub/generate), the programmatic API and any other exporter call
+ * buildEpub() so every output path shares the same metadata, stylesheet,
+ * navigation and chapter layout.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { embedImages, downloadImage, sniffMediaType, SUPPORTED_MEDIA_TYPES, MAX_IMAGE_BYTES } = require('./epub-images');
+const { sanitizeXhtml, mergeReports } = require('./xhtml-sanitizer');
+const { renderCoverImage } = require('./epub-cover');
+
+/**
+ * Stylesheet shared by every generated page
+ */
+const DEFAULT_STYLESHEET = `body { font-family: serif; line-height: 1.6; margin: 2em; }
+h1, h2, h3 { color: #333; }
+p { margin-bottom: 1em; }
+img { max-width: 100%; height: auto; }
+.chapter-number { color: #667eea; font-size: 0.9em; font-weight: bold; margin-bottom: 0.5em; }
+.chapter-meta { color: #666; font-style: italic; margin-bottom: 2em; border-bottom: 1px solid #eee; padding-bottom: 1em; }
+.chapter-meta .byline { font-style: normal; font-weight: bold; color: #333; }
+.image-alt { color: #666; font-style: italic; }
+
+.cover-image { text-align: center; margin: 0; padding: 0; }
+.cover-image img { max-width: 100%; max-height: 100%; height: auto; }
+
+.toc h1 { border-bottom: 2px solid #667eea; padding-bottom: 0.5em; }
+.toc ul { list-style: none; padding: 0; }
+.toc li { margin: 1em 0; padding: 0.5em; border-left: 3px solid #667eea; }
+.toc a { text-decoration: none; color: #333; font-size: 1.1em; }
+`;
+
+// Timestamp written for every archive entry (the DOS epoch) so identical input
+// yields byte-identical EPUBs
+const ZIP_ENTRY_DATE = new Date(Date.UTC(1980, 0, 1, 0, 0, 0));
+
+/**
+ * @typedef {Object} EpubOptions
+ * @property {string} [title] - Book title (defaults to the first article title)
+ * @property {string} [author] - Book author (dc:creator); defaults to the articles' author when they
+ *   all share one, otherwise 'LinkPub'
+ * @property {string} [description] - Book description (dc:description)
+ * @property {string} [language] - Book language (dc:language); defaults to the most common article language, or 'en'
+ * @property {string} [date] - Publication date, YYYY-MM-DD (defaults to the article's publication date for
+ *   single-article books, otherwise today)
+ * @property {Array<string>} [subjects] - Subjects (dc:subject); defaults to the articles' tags
+ * @property {Array<string>} [tags] - Library tags, written as subjects ahead of the other subjects
+ * @property {string} [identifier] - Unique identifier (defaults to a UUID URN derived from the book content)
+ * @property {number} [epubVersion=2] - Package format: 2 (OPF 2.0 + NCX) or 3 (OPF 3.0 + nav.xhtml + NCX)
+ * @property {Date} [modified] - Last modification time, written as dcterms:modified in EPUB 3; defaults to
+ *   midnight UTC of the book date, so identical input (including the date) yields byte-identical EPUBs
+ * @property {boolean|CoverOptions} [cover=false] - Add a cover image (and cover page) before the contents
+ * @property {boolean} [tocPage=false] - Add a table of contents page
+ * @property {boolean} [chapterNumbers] - Show "Chapter N" headers (defaults to true for multi-article books)
+ * @property {string} [stylesheet] - CSS used for every page (defaults to DEFAULT_STYLESHEET)
+ * @property {boolean} [embedImages=true] - Download and package referenced images
+ * @property {Object} [metadata] - Additional Dublin Core metadata ({ source, publisher, rights });
+ *   single-article books default source to the article URL
+ */
+
+/**
+ * @typedef {Object} CoverOptions
+ * @property {string} [template='classic'] - Generated cover template (see COVER_TEMPLATES in epub-cover.js)
+ * @property {string} [scheme='indigo'] - Generated cover color scheme (see COLOR_SCHEMES in epub-cover.js)
+ * @property {{data: Buffer, mediaType: string}} [image] - Use this image instead of generating one
+ * @property {string} [imageUrl] - Download this image (e.g. an article's og:image) and use it as the cover;
+ *   falls back to a generated cover when it cannot be used
+ */
+
+/**
+ * Escape text for safe use in XML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    if (text === undefined || text === null) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render the XHTML prologue (XML declaration, doctype and root element)
+ * for the book's EPUB version
+ * @param {Object} book - Resolved book metadata
+ * @returns {string} Document prologue up to and including the <html> start tag
+ */
+function renderXhtmlPrologue(book) {
+    if (book.version === 3) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeXml(book.language)}" xml:lang="${escapeXml(book.language)}">`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${escapeXml(book.language)}">`;
+}
+
+/**
+ * Wrap body markup in an XHTML document linked to the shared stylesheet
+ * @param {Object} book - Resolved book metadata
+ * @param {string} title - Document title
+ * @param {string} body - Body markup
+ * @returns {string} XHTML document
+ */
+function renderXhtmlPage(book, title, body) {
+    return `${renderXhtmlPrologue(book)}
+<head>
+    <title>${escapeXml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Render the cover page wrapping the cover image
+ * @param {Object} book - Resolved book metadata
+ * @param {string} imageHref - Cover image path relative to the page
+ * @returns {string} XHTML document
+ */
+function renderCoverPage(book, imageHref) {
+    return renderXhtmlPage(book, 'Cover', `    <div class="cover-image">
+        <img src="${imageHref}" alt="${escapeXml(book.title)}"/>
+    </div>`);
+}
+
+/**
+ * Download a remote cover image, accepting only raster formats readers use as covers
+ * @param {string} imageUrl - Image URL
+ * @param {string} referer - Page the image belongs to
+ * @returns {Promise<{data: Buffer, mediaType: string}>} Cover image
+ */
+async function downloadCoverImage(imageUrl, referer) {
+    const { data } = await downloadImage(imageUrl, referer, MAX_IMAGE_BYTES);
+    const mediaType = sniffMediaType(data);
+    if (!mediaType || mediaType === 'image/svg+xml') {
+        throw new Error('Not a JPEG, PNG, GIF or WebP image');
+    }
+    return { data, mediaType };
+}
+
+/**
+ * Resolve the cover image: the supplied image, a downloaded lead image, or
+ * one generated from the book details
+ * @param {Object} book - Resolved book metadata
+ * @param {Array<Object>} articles - Book articles
+ * @param {boolean|CoverOptions} cover - Cover option
+ * @returns {Promise<Object>} { image: {data, mediaType}, source, error } - source is
+ *   'upload', 'image' or 'generated'; error explains why a lead image was not used
+ */
+async function resolveCoverImage(book, articles, cover) {
+    const coverOptions = typeof cover === 'object' ? cover : {};
+    if (coverOptions.image && coverOptions.image.data) {
+        return { image: coverOptions.image, source: 'upload', error: null };
+    }
+
+    let error = null;
+    if (coverOptions.imageUrl) {
+        try {
+            const image = await downloadCoverImage(coverOptions.imageUrl, articles[0].url);
+            return { image, source: 'image', error: null };
+        } catch (downloadError) {
+            error = downloadError.message;
+            console.log(`⚠️ Cover image ${coverOptions.imageUrl} not used (${error}), generating one instead`);
+        }
+    }
+
+    const sites = articles.map(article => {
+        if (article.siteName) return article.siteName;
+        try {
+            return new URL(article.url).hostname.replace(/^www\./, '');
+        } catch {
+            return '';
+        }
+    });
+
+    const image = renderCoverImage({
+        title: book.title,
+        author: book.author,
+        articleCount: articles.length,
+        date: book.date,
+        sites
+    }, coverOptions);
+    return { image, source: 'generated', error };
+}
+
+/**
+ * Render the body of the table of contents page
+ * @param {Array<Object>} chapters - Chapter descriptors ({ href, title })
+ * @returns {string} Body markup
+ */
+function renderTocBody(chapters) {
+    const tocItems = chapters.map(chapter =>
+        `<li><a href="${chapter.href}">${escapeXml(chapter.title)}</a></li>`
+    ).join('\n            ');
+
+    return `    <div class="toc">
+        <h1>Table of Contents</h1>
+        <ul>
+            ${tocItems}
+        </ul>
+    </div>`;
+}
+
+/**
+ * Render the table of contents page
+ * @param {Object} book - Resolved book metadata
+ * @param {Array<Object>} chapters - Chapter descriptors
+ * @returns {string} XHTML document
+ */
+function renderTocPage(book, chapters) {
+    return renderXhtmlPage(book, 'Table of Contents', renderTocBody(chapters));
+}
+
+/**
+ * Return the value every article shares, or '' when they differ or none is set
+ * @param {Array<string>} values - One value per article
+ * @returns {string} Shared value
+ */
+function sharedValue(values) {
+    const unique = new Set(values.filter(Boolean));
+    return unique.size === 1 && values.every(Boolean) ? [...unique][0] : '';
+}
+
+/**
+ * Return the most frequent non-empty value
+ * @param {Array<string>} values - Values
+ * @returns {string} Most common value or ''
+ */
+function mostCommonValue(values) {
+    const counts = new Map();
+    values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    let best = '';
+    for (const [value, total] of counts) {
+        if (!best || total > counts.get(best)) best = value;
+    }
+    return best;
+}
+
+/**
+ * Render the body of a chapter page: number, title, source details and content
+ * @param {Object} book - Resolved book metadata
+ * @param {Object} article - Article data
+ * @param {number} index - Zero-based chapter index
+ * @param {boolean} showNumber - Whether to show the chapter number
+ * @returns {string} Body markup
+ */
+function renderChapterBody(book, article, index, showNumber) {
+    // Mark chapters written in another language than the book
+    const languageAttributes = article.language && article.language !== book.language
+        ? `${book.version === 3 ? ` lang="${escapeXml(article.language)}"` : ''} xml:lang="${escapeXml(article.language)}"`
+        : '';
+
+    return `    ${showNumber ? `<div class="chapter-number">Chapter ${index + 1}</div>` : ''}
+    <h1>${escapeXml(article.title)}</h1>
+    <div class="chapter-meta">
+        ${article.author ? `<p class="byline">By ${escapeXml(article.author)}</p>` : ''}
+        ${article.publishedTime ? `<p>Published: ${escapeXml(article.publishedTime.split('T')[0])}</p>` : ''}
+        <p>Source: ${escapeXml(article.siteName)}</p>
+        ${article.canonicalUrl || article.url ? `<p>URL: ${escapeXml(article.canonicalUrl || article.url)}</p>` : ''}
+        ${article.wordCount ? `<p>Word count: ${article.wordCount} words</p>` : ''}
+    </div>
+    <div class="chapter-content"${languageAttributes}>
+    ${article.content}
+    </div>`;
+}
+
+/**
+ * Render a chapter page for one article
+ * @param {Object} book - Resolved book metadata
+ * @param {Object} article - Article data
+ * @param {number} index - Zero-based chapter index
+ * @param {boolean} showNumber - Whether to show the chapter number
+ * @returns {string} XHTML document
+ */
+function renderChapter(book, article, index, showNumber) {
+    return renderXhtmlPage(book, article.title, renderChapterBody(book, article, index, showNumber));
+}
+
+/**
+ * Render the OPF package document
+ * @param {Object} book - Resolved book metadata
+ * @param {Array<Object>} items - Manifest items ({ id, href, mediaType, properties })
+ * @param {Array<string>} spine - Spine item IDs in reading order
+ * @returns {string} OPF document
+ */
+function renderOpf(book, items, spine) {
+    const metadata = book.metadata || {};
+    const optionalMetadata = [
+        book.description ? `<dc:description>${escapeXml(book.description)}</dc:description>` : '',
+        metadata.source ? `<dc:source>${escapeXml(metadata.source)}</dc:source>` : '',
+        metadata.publisher ? `<dc:publisher>${escapeXml(metadata.publisher)}</dc:publisher>` : '',
+        metadata.rights ? `<dc:rights>${escapeXml(metadata.rights)}</dc:rights>` : '',
+        ...(book.subjects || []).map(subject => `<dc:subject>${escapeXml(subject)}</dc:subject>`)
+    ].filter(Boolean).join('\n        ');
+
+    const manifestItems = items.map(item => {
+        const properties = book.version === 3 && item.properties ? ` properties="${item.properties}"` : '';
+        return `<item id="${item.id}" href="${item.href}" media-type="${item.mediaType}"${properties}/>`;
+    }).join('\n        ');
+
+    const spineItems = spine.map(idref => `<itemref idref="${idref}"/>`).join('\n        ');
+
+    // Reading systems (and Kindle conversion) look for the cover through <meta name="cover">
+    const coverItem = items.find(item => item.id === 'cover-image');
+    const coverMeta = coverItem ? '<meta name="cover" content="cover-image"/>' : '';
+    const guide = items.some(item => item.id === 'cover') ? `
+    <guide>
+        <reference type="cover" title="Cover" href="cover.xhtml"/>
+    </guide>` : '';
+
+    if (book.version === 3) {
+        // EPUB 3 drops the opf:* attributes in favour of refining <meta> elements
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId" version="3.0" xml:lang="${escapeXml(book.language)}">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="BookId">${escapeXml(book.identifier)}</dc:identifier>
+        <dc:title>${escapeXml(book.title)}</dc:title>
+        <dc:creator id="creator">${escapeXml(book.author)}</dc:creator>
+        <meta refines="#creator" property="role" scheme="marc:relators">aut</meta>
+        <dc:language>${escapeXml(book.language)}</dc:language>
+        <dc:date>${escapeXml(book.date)}</dc:date>
+        <meta property="dcterms:modified">${book.modified}</meta>
+        ${coverMeta}
+        ${optionalMetadata}
+    </metadata>
+    <manifest>
+        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+        ${manifestItems}
+    </manifest>
+    <spine toc="ncx">
+        ${spineItems}
+    </spine>
+</package>`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId" version="2.0">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+        <dc:identifier id="BookId">${escapeXml(book.identifier)}</dc:identifier>
+        <dc:title>${escapeXml(book.title)}</dc:title>
+        <dc:creator opf:role="aut">${escapeXml(book.author)}</dc:creator>
+        <dc:language>${escapeXml(book.language)}</dc:language>
+        <dc:date>${escapeXml(book.date)}</dc:date>
+        ${coverMeta}
+        ${optionalMetadata}
+    </metadata>
+    <manifest>
+        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+        ${manifestItems}
+    </manifest>
+    <spine toc="ncx">
+        ${spineItems}
+    </spine>${guide}
+</package>`;
+}
+
+/**
+ * Render the NCX navigation document
+ * @param {Object} book - Resolved book metadata
+ * @param {Array<Object>} navEntries - Navigation entries ({ title, href })
+ * @param {number} estimatedPages - Estimated page count
+ * @returns {string} NCX document
+ */
+function renderNcx(book, navEntries, estimatedPages) {
+    const navPoints = navEntries.map((entry, index) => `
+        <navPoint id="navpoint-${index + 1}" playOrder="${index + 1}">
+            <navLabel>
+                <text>${escapeXml(entry.title)}</text>
+            </navLabel>
+            <content src="${entry.href}"/>
+        </navPoint>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+    <head>
+        <meta name="dtb:uid" content="${escapeXml(book.identifier)}"/>
+        <meta name="dtb:depth" content="1"/>
+        <meta name="dtb:totalPageCount" content="${estimatedPages}"/>
+        <meta name="dtb:maxPageNumber" content="${estimatedPages}"/>
+    </head>
+    <docTitle>
+        <text>${escapeXml(book.title)}</text>
+    </docTitle>
+    <navMap>${navPoints}
+    </navMap>
+</ncx>`;
+}
+
+/**
+ * Render the EPUB 3 navigation document
+ * @param {Object} book - Resolved book metadata
+ * @param {Array<Object>} navEntries - Navigation entries ({ title, href })
+ * @param {Array<Object>} landmarks - Landmark entries ({ type, title, href })
+ * @returns {string} XHTML navigation document
+ */
+function renderNav(book, navEntries, landmarks) {
+    const tocItems = navEntries.map(entry =>
+        `<li><a href="${entry.href}">${escapeXml(entry.title)}</a></li>`
+    ).join('\n                ');
+
+    const landmarkItems = landmarks.map(landmark =>
+        `<li><a epub:type="${landmark.type}" href="${landmark.href}">${escapeXml(landmark.title)}</a></li>`
+    ).join('\n                ');
+
+    return `${renderXhtmlPrologue(book)}
+<head>
+    <title>${escapeXml(book.title)}</title>
+    <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+    <nav epub:type="toc" id="toc" class="toc">
+        <h1>Table of Contents</h1>
+        <ol>
+                ${tocItems}
+        </ol>
+    </nav>
+    <nav epub:type="landmarks" id="landmarks" hidden="hidden">
+        <h2>Landmarks</h2>
+        <ol>
+                ${landmarkItems}
+        </ol>
+    </nav>
+</body>
+</html>`;
+}
+
+/**
+ * Manifest properties an EPUB 3 content document needs based on its markup
+ * @param {string} markup - Content document markup
+ * @returns {string|undefined} Space-separated properties
+ */
+function contentDocumentProperties(markup) {
+    const properties = [];
+    if (/<svg[\s>]/i.test(markup)) properties.push('svg');
+    if (/<math[\s>]/i.test(markup)) properties.push('mathml');
+    if (/<(img|audio|video|source)\b[^>]*\ssrc=["']https?:/i.test(markup)) properties.push('remote-resources');
+    return properties.length > 0 ? properties.join(' ') : undefined;
+}
+
+/**
+ * Derive a stable UUID URN from the book content, so rebuilding the same
+ * articles keeps the same identity in reading systems
+ * @param {Object} book - Book metadata
+ * @param {Array<Object>} articles - Articles ({ title, content, url })
+ * @returns {string} urn:uuid identifier
+ */
+function contentIdentifier(book, articles) {
+    const hash = crypto.createHash('sha1');
+    hash.update(`${book.title}\n${book.author}\n${book.language}\n`);
+    articles.forEach(article => {
+        hash.update(`${article.url || ''}\n${article.title || ''}\n${article.content || ''}\n`);
+    });
+    const hex = hash.digest('hex');
+    // Format as a name-based (version 5 style) UUID
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Normalize article fields so templates never print "undefined"
+ * @param {Array<Object>} articles - Articles as sent by clients
+ * @returns {Array<Object>} Articles with every field set
+ */
+function normalizeArticles(articles) {
+    return articles.map(article => ({
+        title: article.title || 'Untitled Article',
+        content: article.content || '',
+        url: article.url || '',
+        siteName: article.siteName || '',
+        wordCount: article.wordCount || 0,
+        author: article.author || '',
+        publishedTime: article.publishedTime || '',
+        language: article.language || '',
+        canonicalUrl: article.canonicalUrl || '',
+        tags: Array.isArray(article.tags) ? article.tags : []
+    }));
+}
+
+/**
+ * Resolve book metadata from the options and the articles (shared by every output format)
+ * @param {Array<Object>} articles - Normalized articles
+ * @param {EpubOptions} [options] - Book options
+ * @returns {Object} { title, author, description, language, date, identifier, version, modified, subjects, metadata }
+ */
+function resolveBookMetadata(articles, options = {}) {
+    const singleArticle = articles.length === 1 ? articles[0] : null;
+
+    const book = {
+        title: options.title || articles[0].title || 'Untitled',
+        author: options.author || sharedValue(articles.map(article => article.author)) || 'LinkPub',
+        description: options.description || '',
+        language: options.language || mostCommonValue(articles.map(article => article.language)) || 'en',
+        date: options.date || (singleArticle && singleArticle.publishedTime.split('T')[0]) || new Date().toISOString().split('T')[0],
+        identifier: options.identifier,
+        version: Number(options.epubVersion) === 3 ? 3 : 2,
+        modified: null,
+        subjects: [...new Set([
+            ...(options.tags || []),
+            ...(options.subjects || articles.flatMap(article => article.tags))
+        ])].slice(0, 20),
+        metadata: { ...options.metadata }
+    };
+    book.identifier = book.identifier || contentIdentifier(book, articles);
+
+    // Not "now": a timestamp that changes on every build would make the output differ each time
+    const dateModified = new Date(Date.parse(book.date));
+    const modified = options.modified || (isNaN(dateModified) ? ZIP_ENTRY_DATE : dateModified);
+    book.modified = modified.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    // A single-article book records where it came from
+    if (!book.metadata.source && singleArticle && (singleArticle.canonicalUrl || singleArticle.url)) {
+        book.metadata.source = singleArticle.canonicalUrl || singleArticle.url;
+    }
+    return book;
+}
+
+/**
+ * Write EPUB entries into a spec-conformant OCF ZIP container
+ *
+ * The mimetype entry goes first, stored uncompressed and without an extra
+ * field; META-INF follows; everything else keeps the given order and is
+ * DEFLATE-compressed. Every entry gets the same timestamp and no directory
+ * entries are written, so the output only depends on the entries.
+ * @param {Array<Object>} entries - Archive entries ({ name, data }); a mimetype entry is ignored
+ * @returns {Promise<Buffer>} EPUB file data
+ */
+async function packageEpub(entries) {
+    const zip = new JSZip();
+    const fileOptions = { date: ZIP_ENTRY_DATE, createFolders: false };
+
+    zip.file('mimetype', 'application/epub+zip', { ...fileOptions, compression: 'STORE' });
+
+    const ordered = [
+        ...entries.filter(entry => entry.name.startsWith('META-INF/')),
+        ...entries.filter(entry => entry.name !== 'mimetype' && !entry.name.startsWith('META-INF/'))
+    ];
+    ordered.forEach(entry => {
+        zip.file(entry.name, entry.data, { ...fileOptions, compression: 'DEFLATE' });
+    });
+
+    return zip.generateAsync({
+        type: 'nodebuffer',
+        compressionOptions: { level: 9 },
+        platform: 'DOS'
+    });
+}
+
+/**
+ * Build an EPUB from a list of articles
+ * @param {Array<Object>} articles - Articles ({ title, content, url, siteName, wordCount })
+ * @param {EpubOptions} [options] - Book options
+ * @returns {Promise<Object>} { buffer, report } - EPUB data and a summary of what was packaged
+ *   (embedded/skipped images, the elements/attributes removed by the XHTML sanitizer and the cover source)
+ */
+async function buildEpub(articles, options = {}) {
+    if (!Array.isArray(articles) || articles.length === 0) {
+        throw new Error('At least one article is required to build an EPUB');
+    }
+
+    let chapterArticles = normalizeArticles(articles);
+    const book = resolveBookMetadata(chapterArticles, options);
+    const showChapterNumbers = options.chapterNumbers ?? articles.length > 1;
+    const report = { images: { embedded: 0, skipped: [] }, sanitizer: null, cover: null };
+
+    let images = [];
+    if (options.embedImages !== false) {
+        const embedded = await embedImages(chapterArticles);
+        chapterArticles = embedded.articles;
+        images = embedded.images;
+        report.images = { embedded: images.length, skipped: embedded.skipped };
+    }
+
+    // Readability returns HTML; content documents must be well-formed XHTML
+    const sanitized = chapterArticles.map(article => sanitizeXhtml(article.content, { epubVersion: book.version }));
+    chapterArticles = chapterArticles.map((article, index) => ({ ...article, content: sanitized[index].xhtml }));
+    report.sanitizer = mergeReports(sanitized.map(result => result.report));
+
+    const chapters = chapterArticles.map((article, index) => ({
+        id: `chapter${index + 1}`,
+        href: `chapter${index + 1}.xhtml`,
+        title: article.title,
+        article
+    }));
+
+    const entries = [];
+    const addEntry = (name, data) => entries.push({ name, data });
+
+    addEntry('META-INF/container.xml', `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>`);
+
+    const items = [{ id: 'style', href: 'style.css', mediaType: 'text/css' }];
+    const spine = [];
+    const navEntries = [];
+    const landmarks = [];
+
+    /**
+     * Add an XHTML content document to the archive, manifest and spine
+     */
+    const addPage = (id, href, markup) => {
+        items.push({ id, href, mediaType: 'application/xhtml+xml', properties: contentDocumentProperties(markup) });
+        spine.push(id);
+        addEntry(`OEBPS/${href}`, markup);
+    };
+
+    addEntry('OEBPS/style.css', options.stylesheet || DEFAULT_STYLESHEET);
+
+    if (options.cover) {
+        const { image: coverImage, source, error } = await resolveCoverImage(book, chapterArticles, options.cover);
+        report.cover = { source, error };
+        const coverHref = `images/cover.${SUPPORTED_MEDIA_TYPES[coverImage.mediaType] || 'png'}`;
+        items.push({ id: 'cover-image', href: coverHref, mediaType: coverImage.mediaType, properties: 'cover-image' });
+        addEntry(`OEBPS/${coverHref}`, coverImage.data);
+        addPage('cover', 'cover.xhtml', renderCoverPage(book, coverHref));
+        landmarks.push({ type: 'cover', title: 'Cover', href: 'cover.xhtml' });
+    }
+
+    if (options.tocPage) {
+        addPage('toc-page', 'toc.xhtml', renderTocPage(book, chapters));
+        navEntries.push({ title: 'Table of Contents', href: 'toc.xhtml' });
+        landmarks.push({ type: 'toc', title: 'Table of Contents', href: 'toc.xhtml' });
+    }
+
+    chapters.forEach((chapter, index) => {
+        addPage(chapter.id, chapter.href, renderChapter(book, chapter.article, index, showChapterNumbers));
+        navEntries.push({ title: chapter.title, href: chapter.href });
+    });
+    landmarks.push({ type: 'bodymatter', title: 'Start of Content', href: chapters[0].href });
+
+    images.forEach(image => {
+        items.push({ id: image.id, href: image.href, mediaType: image.mediaType });
+        addEntry(`OEBPS/${image.href}`, image.data);
+    });
+
+    const totalWords = chapterArticles.reduce((sum, article) => sum + (article.wordCount || 1000), 0);
+    const estimatedPages = Math.max(1, Math.ceil(totalWords / 250));
+
+    // EPUB 3 navigation document; the NCX is kept for older reading systems
+    if (book.version === 3) {
+        items.push({ id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' });
+        addEntry('OEBPS/nav.xhtml', renderNav(book, navEntries, landmarks));
+    }
+
+    addEntry('OEBPS/content.opf', renderOpf(book, items, spine));
+    addEntry('OEBPS/toc.ncx', renderNcx(book, navEntries, estimatedPages));
+
+    const buffer = await packageEpub(entries);
+    return { buffer, report };
+}
+
+module.exports = {
+    buildEpub,
+    packageEpub,
+    normalizeArticles,
+    resolveBookMetadata,
+    resolveCoverImage,
+    renderCoverPage,
+    renderChapterBody,
+    renderTocBody,
+    escapeXml,
+    DEFAULT_STYLESHEET
+};
@@ -0,0 +1,234 @@
+/**
+ * LinkPub cover generator
+ *
+ * Renders book covers as SVG from a small set of templates and rasterizes
+ * them to PNG with resvg (no browser needed), so books get a real thumbnail
+ * in reader library grids. Also validates user-uploaded cover images.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const { Resvg } = require('@resvg/resvg-js');
+const { sniffMediaType, decodeDataUri, SUPPORTED_MEDIA_TYPES, MAX_IMAGE_BYTES } = require('./epub-images');
+
+// Cover size in pixels (2:3, the usual e-book cover ratio)
+const COVER_WIDTH = 1600;
+const COVER_HEIGHT = 2400;
+
+const FONT_FAMILY = "'DejaVu Sans', 'Liberation Sans', Arial, sans-serif";
+const SERIF_FONT_FAMILY = "'DejaVu Serif', 'Liberation Serif', Georgia, serif";
+
+// Extra directory with .ttf/.otf files for cover text (system fonts are always loaded)
+const COVER_FONTS_DIR = process.env.COVER_FONTS_DIR;
+
+// Color schemes: background gradient, accent and text colors
+const COLOR_SCHEMES = {
+    indigo: { background: ['#667eea', '#764ba2'], accent: '#ffd166', text: '#ffffff', muted: '#e0e4ff' },
+    sunset: { background: ['#ff7e5f', '#c0392b'], accent: '#fff3b0', text: '#ffffff', muted: '#ffe3d8' },
+    forest: { background: ['#2d6a4f', '#1b4332'], accent: '#95d5b2', text: '#ffffff', muted: '#d8f3dc' },
+    slate: { background: ['#2f3640', '#1e272e'], accent: '#00a8ff', text: '#f5f6fa', muted: '#a4b0be' },
+    paper: { background: ['#fdf6e3', '#eee8d5'], accent: '#b58900', text: '#073642', muted: '#586e75' }
+};
+
+const COVER_TEMPLATES = ['classic', 'modern', 'minimal'];
+
+const DEFAULT_TEMPLATE = 'classic';
+const DEFAULT_SCHEME = 'indigo';
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeSvg(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Break text into lines of at most maxChars characters
+ * @param {string} text - Text to wrap
+ * @param {number} maxChars - Maximum characters per line
+ * @param {number} maxLines - Maximum number of lines (the last one is ellipsized)
+ * @returns {Array<string>} Lines
+ */
+function wrapText(text, maxChars, maxLines) {
+    const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+    const lines = [];
+    let current = '';
+
+    for (const word of words) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (candidate.length <= maxChars) {
+            current = candidate;
+            continue;
+        }
+        if (current) lines.push(current);
+        current = word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word;
+    }
+    if (current) lines.push(current);
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1).trimEnd()}…`;
+        return kept;
+    }
+    return lines;
+}
+
+/**
+ * Render stacked <text> lines
+ * @param {Array<string>} lines - Lines to render
+ * @param {Object} layout - { x, y, size, lineHeight, anchor, fill, weight, family }
+ * @returns {string} SVG markup
+ */
+function renderLines(lines, layout) {
+    return lines.map((line, index) =>
+        `<text x="${layout.x}" y="${layout.y + index * layout.lineHeight}" font-size="${layout.size}" font-family="${layout.family || FONT_FAMILY}" font-weight="${layout.weight || 'normal'}" text-anchor="${layout.anchor || 'start'}" fill="${layout.fill}">${escapeSvg(line)}</text>`
+    ).join('\n    ');
+}
+
+/**
+ * Describe the book contents for the cover ("12 articles · 3 sites")
+ * @param {Object} details - Cover details
+ * @returns {string} Summary line
+ */
+function contentsLine(details) {
+    const parts = [];
+    if (details.articleCount) {
+        parts.push(`${details.articleCount} ${details.articleCount === 1 ? 'article' : 'articles'}`);
+    }
+    if (details.date) {
+        parts.push(details.date);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * List the source sites shown at the bottom of the cover
+ * @param {Array<string>} sites - Site names
+ * @returns {string} Sites line
+ */
+function sitesLine(sites) {
+    const unique = [...new Set((sites || []).map(site => String(site).trim()).filter(Boolean))];
+    if (unique.length <= 4) return unique.join(' · ');
+    return `${unique.slice(0, 4).join(' · ')} +${unique.length - 4} more`;
+}
+
+const TEMPLATE_RENDERERS = {
+    /**
+     * Centered title over a gradient with a framed border
+     */
+    classic(details, colors) {
+        const titleLines = wrapText(details.title, 14, 6);
+        const titleY = 900 - (titleLines.length - 1) * 65;
+        return `
+    <rect x="80" y="80" width="${COVER_WIDTH - 160}" height="${COVER_HEIGHT - 160}" fill="none" stroke="${colors.accent}" stroke-width="8"/>
+    <rect x="110" y="110" width="${COVER_WIDTH - 220}" height="${COVER_HEIGHT - 220}" fill="none" stroke="${colors.muted}" stroke-width="2" stroke-opacity="0.6"/>
+    ${renderLines(titleLines, { x: COVER_WIDTH / 2, y: titleY, size: 130, lineHeight: 150, anchor: 'middle', fill: colors.text, weight: 'bold', family: SERIF_FONT_FAMILY })}
+    <line x1="600" y1="${titleY + titleLines.length * 150 + 20}" x2="1000" y2="${titleY + titleLines.length * 150 + 20}" stroke="${colors.accent}" stroke-width="6"/>
+    ${renderLines(wrapText(details.author, 28, 2), { x: COVER_WIDTH / 2, y: titleY + titleLines.length * 150 + 160, size: 80, lineHeight: 95, anchor: 'middle', fill: colors.muted, family: SERIF_FONT_FAMILY })}
+    ${renderLines([contentsLine(details)], { x: COVER_WIDTH / 2, y: 1950, size: 64, lineHeight: 70, anchor: 'middle', fill: colors.accent })}
+    ${renderLines(wrapText(sitesLine(details.sites), 45, 2), { x: COVER_WIDTH / 2, y: 2080, size: 48, lineHeight: 60, anchor: 'middle', fill: colors.muted })}`;
+    },
+
+    /**
+     * Left-aligned title with a bold accent band
+     */
+    modern(details, colors) {
+        const titleLines = wrapText(details.title, 14, 6);
+        return `
+    <rect x="0" y="0" width="60" height="${COVER_HEIGHT}" fill="${colors.accent}"/>
+    ${renderLines([contentsLine(details).toUpperCase()], { x: 160, y: 300, size: 56, lineHeight: 60, fill: colors.accent, weight: 'bold' })}
+    ${renderLines(titleLines, { x: 160, y: 560, size: 170, lineHeight: 190, fill: colors.text, weight: 'bold' })}
+    <rect x="160" y="${560 + titleLines.length * 190}" width="320" height="16" fill="${colors.accent}"/>
+    ${renderLines(wrapText(details.author, 26, 2), { x: 160, y: 700 + titleLines.length * 190, size: 84, lineHeight: 100, fill: colors.muted })}
+    ${renderLines(wrapText(sitesLine(details.sites), 40, 3), { x: 160, y: 2100, size: 52, lineHeight: 64, fill: colors.muted })}`;
+    },
+
+    /**
+     * Plain typography, no decoration
+     */
+    minimal(details, colors) {
+        const titleLines = wrapText(details.title, 18, 5);
+        return `
+    ${renderLines(titleLines, { x: 160, y: 1000 - (titleLines.length - 1) * 70, size: 130, lineHeight: 150, fill: colors.text })}
+    ${renderLines(wrapText(details.author, 30, 2), { x: 160, y: 1000 + titleLines.length * 80 + 100, size: 72, lineHeight: 86, fill: colors.muted })}
+    ${renderLines([contentsLine(details)], { x: 160, y: 2200, size: 52, lineHeight: 60, fill: colors.muted })}`;
+    }
+};
+
+/**
+ * Render a cover as SVG markup
+ * @param {Object} details - { title, author, articleCount, date, sites }
+ * @param {Object} [options] - { template, scheme }
+ * @returns {string} SVG document
+ */
+function renderCoverSvg(details, options = {}) {
+    const template = COVER_TEMPLATES.includes(options.template) ? options.template : DEFAULT_TEMPLATE;
+    const colors = COLOR_SCHEMES[options.scheme] || COLOR_SCHEMES[DEFAULT_SCHEME];
+    const background = template === 'minimal'
+        ? `<rect width="${COVER_WIDTH}" height="${COVER_HEIGHT}" fill="${colors.background[0]}"/>`
+        : `<rect width="${COVER_WIDTH}" height="${COVER_HEIGHT}" fill="url(#background)"/>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${COVER_WIDTH}" height="${COVER_HEIGHT}" viewBox="0 0 ${COVER_WIDTH} ${COVER_HEIGHT}">
+    <defs>
+        <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="${colors.background[0]}"/>
+            <stop offset="1" stop-color="${colors.background[1]}"/>
+        </linearGradient>
+    </defs>
+    ${background}
+    ${TEMPLATE_RENDERERS[template](details, colors)}
+</svg>`;
+}
+
+/**
+ * Render a cover image as PNG
+ * @param {Object} details - { title, author, articleCount, date, sites }
+ * @param {Object} [options] - { template, scheme }
+ * @returns {{data: Buffer, mediaType: string}} PNG cover
+ */
+function renderCoverImage(details, options = {}) {
+    const resvg = new Resvg(renderCoverSvg(details, options), {
+        font: {
+            loadSystemFonts: true,
+            fontDirs: COVER_FONTS_DIR ? [COVER_FONTS_DIR] : [],
+            defaultFontFamily: 'DejaVu Sans'
+        }
+    });
+    return { data: resvg.render().asPng(), mediaType: 'image/png' };
+}
+
+/**
+ * Decode and check an uploaded cover image
+ * @param {string} dataUrl - Image as a base64 data URL
+ * @returns {{data: Buffer, mediaType: string}} Cover image
+ * @throws {Error} If the image is malformed, too large or not a supported raster format
+ */
+function decodeCoverUpload(dataUrl) {
+    if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
+        throw new Error('Cover image must be a data URL');
+    }
+    const { data } = decodeDataUri(dataUrl);
+    if (data.length > MAX_IMAGE_BYTES) {
+        throw new Error(`Cover image exceeds ${MAX_IMAGE_BYTES} bytes`);
+    }
+    const mediaType = sniffMediaType(data);
+    if (!mediaType || mediaType === 'image/svg+xml' || !SUPPORTED_MEDIA_TYPES[mediaType]) {
+        throw new Error('Cover image must be a JPEG, PNG, GIF or WebP file');
+    }
+    return { data, mediaType };
+}
+
+module.exports = {
+    renderCoverSvg,
+    renderCoverImage,
+    decodeCoverUpload,
+    COVER_TEMPLATES,
+    COLOR_SCHEMES
+};
@@ -0,0 +1,416 @@
+/**
+ * LinkPub EPUB metadata editor
+ *
+ * Changes the metadata of a stored EPUB in place: the package document
+ * (title, creator, description, language, subjects, cover), the NCX and
+ * the EPUB 3 navigation document are rewritten, a new language is set on
+ * the root element of every XHTML document, and every other archive entry
+ * is copied unchanged, so library books can be corrected without
+ * regenerating them from their articles.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const path = require('path').posix;
+const JSZip = require('jszip');
+const { JSDOM } = require('jsdom');
+const { packageEpub, resolveCoverImage, renderCoverPage, escapeXml } = require('./epub-builder');
+const { parseXml, resolvePath, DC_NS } = require('./epub-reader');
+const { SUPPORTED_MEDIA_TYPES } = require('./epub-images');
+
+const OPF_NS = 'http://www.idpf.org/2007/opf';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+/**
+ * @typedef {Object} MetadataChanges
+ * @property {string} [title] - New title (dc:title, NCX and navigation titles)
+ * @property {string} [author] - New author (dc:creator)
+ * @property {string} [description] - New description (dc:description); empty removes it
+ * @property {string} [language] - New language (dc:language, and lang/xml:lang on the root element of
+ *   every XHTML document; chapters marked with their own article language keep it)
+ * @property {Array<string>} [subjects] - Subjects replacing every dc:subject
+ * @property {CoverOptions} [cover] - New cover: an uploaded image, or a cover generated from the
+ *   updated details (see resolveCoverImage() in epub-builder.js)
+ */
+
+/**
+ * Open an EPUB and parse its package document
+ * @param {Buffer} buffer - EPUB file data
+ * @returns {Promise<Object>} { window, zip, opfPath, opf }
+ * @throws {Error} If the archive or its package document cannot be read
+ */
+async function openPackage(buffer) {
+    const { window } = new JSDOM('');
+    const zip = await JSZip.loadAsync(buffer);
+    const readText = async (name) => {
+        const file = name && zip.file(name);
+        return file ? file.async('string') : null;
+    };
+
+    const containerSource = await readText('META-INF/container.xml');
+    const container = containerSource && parseXml(window, containerSource, 'application/xml');
+    const opfPath = container?.getElementsByTagNameNS('*', 'rootfile')[0]?.getAttribute('full-path');
+    const opfSource = await readText(opfPath);
+    const opf = opfSource && parseXml(window, opfSource, 'application/xml');
+    if (!opf || !opf.getElementsByTagNameNS('*', 'metadata')[0]) {
+        throw new Error('Not a readable EPUB (missing or invalid package document)');
+    }
+    return { window, zip, opfPath, opf };
+}
+
+/**
+ * Read the editable metadata from a package document
+ * @param {Document} opf - Package document
+ * @returns {Object} { title, author, description, language, date, subjects, epubVersion, hasCover }
+ */
+function readPackageMetadata(opf) {
+    const dcValues = (name) => Array.from(opf.getElementsByTagNameNS(DC_NS, name)).map(element => element.textContent.trim()).filter(Boolean);
+    // EPUB 3 marks the cover in the manifest, EPUB 2 with <meta name="cover">
+    const hasCover = Array.from(opf.getElementsByTagNameNS('*', 'item')).some(item => (item.getAttribute('properties') || '').split(/\s+/).includes('cover-image'))
+        || Array.from(opf.getElementsByTagNameNS('*', 'meta')).some(meta => meta.getAttribute('name') === 'cover');
+    return {
+        title: dcValues('title')[0] || '',
+        author: dcValues('creator')[0] || '',
+        description: dcValues('description')[0] || '',
+        language: dcValues('language')[0] || '',
+        date: dcValues('date')[0] || '',
+        subjects: dcValues('subject'),
+        epubVersion: parseFloat(opf.documentElement.getAttribute('version')) >= 3 ? 3 : 2,
+        hasCover
+    };
+}
+
+/**
+ * Insert an element into a parent, indented like the builder's output
+ * @param {Element} parent - Parent element (e.g. <metadata> or <manifest>)
+ * @param {Element} element - Element to insert
+ * @param {Node|null} after - Insert after this node; null appends before the closing tag
+ */
+function insertElement(parent, element, after) {
+    const trailing = parent.lastChild && parent.lastChild.nodeType === 3 && !parent.lastChild.data.trim()
+        ? parent.lastChild
+        : null;
+    const reference = after ? after.nextSibling : trailing;
+    parent.insertBefore(parent.ownerDocument.createTextNode('\n        '), reference);
+    parent.insertBefore(element, reference);
+}
+
+/**
+ * Remove an element together with the whitespace that indents it
+ * @param {Element} element - Element to remove
+ */
+function removeElement(element) {
+    const previous = element.previousSibling;
+    if (previous && previous.nodeType === 3 && !previous.data.trim()) previous.remove();
+    element.remove();
+}
+
+/**
+ * Replace the values of a Dublin Core element, keeping the existing elements
+ * (and their attributes) where possible
+ * @param {Element} metadata - <metadata> element
+ * @param {string} name - Element name without prefix (e.g. 'subject')
+ * @param {Array<string>} values - New values; an empty list removes the element (and the EPUB 3
+ *   <meta refines> elements that refine it)
+ */
+function setDcValues(metadata, name, values) {
+    const existing = Array.from(metadata.getElementsByTagNameNS(DC_NS, name));
+    let anchor = null;
+    values.forEach((value, index) => {
+        if (existing[index]) {
+            existing[index].textContent = value;
+            anchor = existing[index];
+            return;
+        }
+        const element = metadata.ownerDocument.createElementNS(DC_NS, `dc:${name}`);
+        element.textContent = value;
+        insertElement(metadata, element, anchor);
+        anchor = element;
+    });
+    existing.slice(values.length).forEach(element => {
+        // EPUB 3 refinements (such as the creator's role) would otherwise point at a missing ID
+        const id = element.getAttribute('id');
+        if (id) {
+            Array.from(metadata.getElementsByTagNameNS('*', 'meta'))
+                .filter(meta => meta.getAttribute('refines') === `#${id}`)
+                .forEach(removeElement);
+        }
+        removeElement(element);
+    });
+}
+
+/**
+ * Pick an ID that is not used by any manifest item yet
+ * @param {Document} opf - Package document
+ * @param {string} base - Preferred ID
+ * @returns {string} Unused ID
+ */
+function unusedId(opf, base) {
+    const ids = new Set(Array.from(opf.getElementsByTagNameNS('*', 'item')).map(item => item.getAttribute('id')));
+    let id = base;
+    for (let index = 1; ids.has(id); index++) id = `${base}-${index}`;
+    return id;
+}
+
+/**
+ * Pick a path inside the package directory that is not in the archive yet
+ * @param {Object} context - Editing context ({ zip, files, opfPath })
+ * @param {string} href - Preferred path relative to the package document
+ * @returns {string} Unused href relative to the package document
+ */
+function unusedHref(context, href) {
+    const extension = path.extname(href);
+    const stem = href.slice(0, href.length - extension.length);
+    let candidate = href;
+    for (let index = 1; context.zip.file(resolvePath(context.opfPath, candidate)) || context.files.has(resolvePath(context.opfPath, candidate)); index++) {
+        candidate = `${stem}-${index}${extension}`;
+    }
+    return candidate;
+}
+
+/**
+ * Replace the book's cover image, or add a cover (image, cover page, manifest
+ * and spine entries) to a book that has none
+ * @param {Object} context - Editing context ({ zip, opf, opfPath, files, metadata })
+ * @param {{data: Buffer, mediaType: string}} image - New cover image
+ * @returns {Promise<void>}
+ */
+async function replaceCover(context, image) {
+    const { opf, opfPath, files, metadata } = context;
+    const manifest = opf.getElementsByTagNameNS('*', 'manifest')[0];
+    const items = Array.from(manifest.getElementsByTagNameNS('*', 'item'));
+    const metaElements = Array.from(opf.getElementsByTagNameNS('*', 'meta'));
+    const coverMeta = metaElements.find(meta => meta.getAttribute('name') === 'cover');
+    const extension = SUPPORTED_MEDIA_TYPES[image.mediaType] || 'png';
+
+    const coverItem = items.find(item => (item.getAttribute('properties') || '').split(/\s+/).includes('cover-image'))
+        || (coverMeta && items.find(item => item.getAttribute('id') === coverMeta.getAttribute('content')));
+
+    if (coverItem) {
+        const oldHref = coverItem.getAttribute('href');
+        const oldPath = resolvePath(opfPath, oldHref);
+        if (coverItem.getAttribute('media-type') === image.mediaType) {
+            files.set(oldPath, image.data);
+            return;
+        }
+
+        // Another image type: rename the file and point every page at the new name
+        const newHref = unusedHref(context, `${oldHref.replace(/\.[^./]*$/, '')}.${extension}`);
+        const newPath = resolvePath(opfPath, newHref);
+        coverItem.setAttribute('href', newHref);
+        coverItem.setAttribute('media-type', image.mediaType);
+        files.set(oldPath, null);
+        files.set(newPath, image.data);
+
+        for (const item of items.filter(item => /html/.test(item.getAttribute('media-type') || ''))) {
+            const pagePath = resolvePath(opfPath, item.getAttribute('href'));
+            const source = files.has(pagePath) ? String(files.get(pagePath)) : await context.zip.file(pagePath)?.async('string');
+            if (!source) continue;
+            const from = path.relative(path.dirname(pagePath), oldPath);
+            const to = path.relative(path.dirname(pagePath), newPath);
+            const updated = source.split(`"${from}"`).join(`"${to}"`);
+            if (updated !== source) files.set(pagePath, updated);
+        }
+        return;
+    }
+
+    // No cover yet: add the image and a cover page at the start of the spine
+    const imageHref = unusedHref(context, `images/cover.${extension}`);
+    const pageHref = unusedHref(context, 'cover.xhtml');
+    const imageId = unusedId(opf, 'cover-image');
+    const pageId = unusedId(opf, 'cover');
+
+    const imageItem = opf.createElementNS(OPF_NS, 'item');
+    imageItem.setAttribute('id', imageId);
+    imageItem.setAttribute('href', imageHref);
+    imageItem.setAttribute('media-type', image.mediaType);
+    if (metadata.epubVersion === 3) imageItem.setAttribute('properties', 'cover-image');
+    insertElement(manifest, imageItem, null);
+
+    const pageItem = opf.createElementNS(OPF_NS, 'item');
+    pageItem.setAttribute('id', pageId);
+    pageItem.setAttribute('href', pageHref);
+    pageItem.setAttribute('media-type', 'application/xhtml+xml');
+    insertElement(manifest, pageItem, imageItem);
+
+    const pagePath = resolvePath(opfPath, pageHref);
+    files.set(resolvePath(opfPath, imageHref), image.data);
+    files.set(pagePath, renderCoverPage(
+        { version: metadata.epubVersion, title: metadata.title, language: metadata.language },
+        path.relative(path.dirname(pagePath), resolvePath(opfPath, imageHref))
+    ));
+
+    // Reading systems (and Kindle conversion) look for the cover through <meta name="cover">
+    const metadataElement = opf.getElementsByTagNameNS('*', 'metadata')[0];
+    const meta = coverMeta || opf.createElementNS(OPF_NS, 'meta');
+    meta.setAttribute('name', 'cover');
+    meta.setAttribute('content', imageId);
+    if (!coverMeta) insertElement(metadataElement, meta, null);
+
+    const spine = opf.getElementsByTagNameNS('*', 'spine')[0];
+    const itemref = opf.createElementNS(OPF_NS, 'itemref');
+    itemref.setAttribute('idref', pageId);
+    const firstItemref = spine.getElementsByTagNameNS('*', 'itemref')[0];
+    if (firstItemref) {
+        spine.insertBefore(itemref, firstItemref);
+        spine.insertBefore(opf.createTextNode('\n        '), firstItemref);
+    } else {
+        insertElement(spine, itemref, null);
+    }
+
+    if (metadata.epubVersion === 2) {
+        let guide = opf.getElementsByTagNameNS('*', 'guide')[0];
+        if (!guide) {
+            guide = opf.createElementNS(OPF_NS, 'guide');
+            guide.appendChild(opf.createTextNode('\n    '));
+            opf.documentElement.insertBefore(opf.createTextNode('\n    '), opf.documentElement.lastChild);
+            opf.documentElement.insertBefore(guide, opf.documentElement.lastChild);
+        }
+        const reference = opf.createElementNS(OPF_NS, 'reference');
+        reference.setAttribute('type', 'cover');
+        reference.setAttribute('title', 'Cover');
+        reference.setAttribute('href', pageHref);
+        insertElement(guide, reference, null);
+    }
+}
+
+/**
+ * Serialize an XML document, keeping the XML declaration
+ * @param {Object} window - JSDOM window providing XMLSerializer
+ * @param {Document} document - Document to serialize
+ * @returns {string} XML source
+ */
+function serializeXml(window, document) {
+    return XML_DECLARATION + new window.XMLSerializer().serializeToString(document).replace(/^<\?xml[^>]*\?>\s*/, '');
+}
+
+/**
+ * Rewrite a navigation document (NCX or EPUB 3 nav) for the new title and author
+ * @param {Object} context - Editing context ({ window, zip, opf, opfPath, files, metadata })
+ * @param {Element} item - Manifest item of the navigation document
+ * @param {string} contentType - Parser content type
+ * @returns {Promise<void>}
+ */
+async function rewriteNavigation(context, item, contentType) {
+    const navPath = resolvePath(context.opfPath, item.getAttribute('href'));
+    const file = context.zip.file(navPath);
+    const document = file && parseXml(context.window, await file.async('string'), contentType);
+    if (!document) return;
+
+    const { title, author } = context.metadata;
+    if (contentType === 'application/xml') {
+        const docTitle = document.getElementsByTagNameNS('*', 'docTitle')[0]?.getElementsByTagNameNS('*', 'text')[0];
+        const docAuthor = document.getElementsByTagNameNS('*', 'docAuthor')[0]?.getElementsByTagNameNS('*', 'text')[0];
+        if (docTitle) docTitle.textContent = title;
+        if (docAuthor) docAuthor.textContent = author;
+    } else {
+        const titleElement = document.getElementsByTagName('title')[0];
+        if (titleElement) titleElement.textContent = title;
+    }
+    context.files.set(navPath, serializeXml(context.window, document));
+}
+
+/**
+ * Set the language on the <html> element of every XHTML document in the manifest:
+ * xml:lang, and lang as well in EPUB 3 (XHTML 1.1 has no lang attribute)
+ * @param {Object} context - Editing context ({ zip, opf, opfPath, files, metadata })
+ * @param {string} language - New language tag
+ * @returns {Promise<void>}
+ */
+async function rewriteDocumentLanguage(context, language) {
+    const { opf, opfPath, files, metadata } = context;
+    const names = metadata.epubVersion === 3 ? ['lang', 'xml:lang'] : ['xml:lang'];
+    const items = Array.from(opf.getElementsByTagNameNS('*', 'item'))
+        .filter(item => item.getAttribute('media-type') === 'application/xhtml+xml');
+
+    for (const item of items) {
+        const pagePath = resolvePath(opfPath, item.getAttribute('href'));
+        const source = files.has(pagePath) ? String(files.get(pagePath)) : await context.zip.file(pagePath)?.async('string');
+        if (!source) continue;
+        // Only the root element: chapters in another language than the book carry their own on the content <div>
+        const updated = source.replace(/<html\b[^>]*>/, tag => names.reduce((result, name) => {
+            const attribute = new RegExp(`(\\s${name}\\s*=\\s*)("[^"]*"|'[^']*')`);
+            return attribute.test(result)
+                ? result.replace(attribute, (match, prefix) => `${prefix}"${escapeXml(language)}"`)
+                : result.replace(/\s*>$/, ` ${name}="${escapeXml(language)}">`);
+        }, tag));
+        if (updated !== source) files.set(pagePath, updated);
+    }
+}
+
+/**
+ * Read the editable metadata of an EPUB
+ * @param {Buffer} buffer - EPUB file data
+ * @returns {Promise<Object>} { title, author, description, language, date, subjects, epubVersion, hasCover }
+ * @throws {Error} If the archive or its package document cannot be read
+ */
+async function readEpubMetadata(buffer) {
+    const { opf } = await openPackage(buffer);
+    return readPackageMetadata(opf);
+}
+
+/**
+ * Change the metadata of an EPUB, copying every other archive entry unchanged
+ * @param {Buffer} buffer - EPUB file data
+ * @param {MetadataChanges} changes - Fields to change; undefined fields are kept
+ * @param {Object} [options] - { contents } - the book's articles ({ title, url, siteName }),
+ *   used for the article count and sites on a generated cover
+ * @returns {Promise<Object>} { buffer, metadata } - New EPUB data and its metadata (as readEpubMetadata())
+ * @throws {Error} If the archive or its package document cannot be read
+ */
+async function editEpubMetadata(buffer, changes, options = {}) {
+    const { window, zip, opfPath, opf } = await openPackage(buffer);
+    const metadataElement = opf.getElementsByTagNameNS('*', 'metadata')[0];
+    const values = (value) => (value ? [value] : []);
+
+    if (changes.title !== undefined) setDcValues(metadataElement, 'title', values(changes.title));
+    if (changes.author !== undefined) setDcValues(metadataElement, 'creator', values(changes.author));
+    if (changes.description !== undefined) setDcValues(metadataElement, 'description', values(changes.description));
+    if (changes.language !== undefined) setDcValues(metadataElement, 'language', values(changes.language));
+    if (changes.subjects !== undefined) setDcValues(metadataElement, 'subject', changes.subjects);
+
+    const metadata = readPackageMetadata(opf);
+    if (metadata.epubVersion === 3) {
+        if (changes.language && opf.documentElement.hasAttribute('xml:lang')) {
+            opf.documentElement.setAttribute('xml:lang', changes.language);
+        }
+        const modified = Array.from(opf.getElementsByTagNameNS('*', 'meta')).find(meta => meta.getAttribute('property') === 'dcterms:modified');
+        if (modified) modified.textContent = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    // Archive path -> new data (null deletes the entry)
+    const files = new Map();
+    const context = { window, zip, opf, opfPath, files, metadata };
+
+    if (changes.cover) {
+        const { image } = await resolveCoverImage(metadata, options.contents || [], changes.cover);
+        await replaceCover(context, image);
+    }
+
+    const items = Array.from(opf.getElementsByTagNameNS('*', 'item'));
+    const ncxItem = items.find(item => item.getAttribute('media-type') === 'application/x-dtbncx+xml');
+    const navItem = items.find(item => (item.getAttribute('properties') || '').split(/\s+/).includes('nav'));
+    if (ncxItem) await rewriteNavigation(context, ncxItem, 'application/xml');
+    if (navItem) await rewriteNavigation(context, navItem, 'application/xhtml+xml');
+    if (changes.language) await rewriteDocumentLanguage(context, changes.language);
+    files.set(opfPath, serializeXml(window, opf));
+
+    const entries = [];
+    for (const file of Object.values(zip.files)) {
+        if (file.dir) continue;
+        const data = files.has(file.name) ? files.get(file.name) : await file.async('nodebuffer');
+        if (data !== null) entries.push({ name: file.name, data });
+        files.delete(file.name);
+    }
+    files.forEach((data, name) => {
+        if (data !== null) entries.push({ name, data });
+    });
+
+    return { buffer: await packageEpub(entries), metadata: readPackageMetadata(opf) };
+}
+
+module.exports = {
+    readEpubMetadata,
+    editEpubMetadata
+};
@@ -0,0 +1,383 @@
+/**
+ * LinkPub EPUB image pipeline
+ *
+ * Downloads the images referenced by extracted articles so they can be
+ * packaged inside the EPUB instead of being hotlinked from the origin site.
+ *
+ * - Resolves lazy-load attributes (data-src, data-srcset, ...)
+ * - Picks a single candidate from srcset and <picture> sources
+ * - Deduplicates images shared across chapters (by URL and by content)
+ * - Enforces per-image and per-book size limits
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const crypto = require('crypto');
+const { JSDOM } = require('jsdom');
+const { safeFetch } = require('./safe-fetch');
+
+// Size limits (bytes), configurable through the environment
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES, 10) || 5 * 1024 * 1024;
+const MAX_BOOK_IMAGE_BYTES = parseInt(process.env.MAX_BOOK_IMAGE_BYTES, 10) || 25 * 1024 * 1024;
+
+// Number of images downloaded in parallel
+const DOWNLOAD_CONCURRENCY = 4;
+
+// Preferred srcset width - large enough for e-ink screens, small enough to keep books light
+const PREFERRED_IMAGE_WIDTH = 1600;
+
+// Attributes used by lazy-loading scripts to hold the real image URL
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-hi-res-src', 'data-url'];
+const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset'];
+
+// Response types accepted for image downloads (the real type is sniffed from the data)
+const IMAGE_CONTENT_TYPES = ['image/', 'application/octet-stream', 'binary/octet-stream'];
+
+// Media types that e-readers can display, with the file extension used inside the EPUB
+const SUPPORTED_MEDIA_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg',
+    'image/webp': 'webp'
+};
+
+/**
+ * Detect the media type of an image from its leading bytes
+ * @param {Buffer} data - Image data
+ * @returns {string|null} Media type or null if not recognized
+ */
+function sniffMediaType(data) {
+    if (data.length >= 3 && data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) {
+        return 'image/jpeg';
+    }
+    if (data.length >= 8 && data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'image/png';
+    }
+    if (data.length >= 6 && /^GIF8[79]a$/.test(data.slice(0, 6).toString('ascii'))) {
+        return 'image/gif';
+    }
+    if (data.length >= 12 && data.slice(0, 4).toString('ascii') === 'RIFF' && data.slice(8, 12).toString('ascii') === 'WEBP') {
+        return 'image/webp';
+    }
+    const head = data.slice(0, 512).toString('utf8').trimStart();
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) {
+        return 'image/svg+xml';
+    }
+    return null;
+}
+
+/**
+ * Parse a srcset attribute into candidates
+ * @param {string} srcset - srcset attribute value
+ * @returns {Array<{url: string, width: number, density: number}>} Candidates
+ */
+function parseSrcset(srcset) {
+    if (!srcset) return [];
+
+    return srcset
+        .split(/,\s+(?=\S)/)
+        .map(candidate => {
+            const [url, descriptor = ''] = candidate.trim().split(/\s+/);
+            const width = /^\d+w$/.test(descriptor) ? parseInt(descriptor, 10) : 0;
+            const density = /^[\d.]+x$/.test(descriptor) ? parseFloat(descriptor) : (width ? 0 : 1);
+            return { url: url.replace(/,$/, ''), width, density };
+        })
+        .filter(candidate => candidate.url);
+}
+
+/**
+ * Pick the best candidate from a srcset: the widest one up to the preferred
+ * width, or the narrowest one above it when every candidate is larger
+ * @param {string} srcset - srcset attribute value
+ * @returns {string|null} Selected URL
+ */
+function pickSrcsetCandidate(srcset) {
+    const candidates = parseSrcset(srcset);
+    if (candidates.length === 0) return null;
+
+    const widthCandidates = candidates.filter(c => c.width > 0).sort((a, b) => a.width - b.width);
+    if (widthCandidates.length > 0) {
+        const fitting = widthCandidates.filter(c => c.width <= PREFERRED_IMAGE_WIDTH);
+        return fitting.length > 0 ? fitting[fitting.length - 1].url : widthCandidates[0].url;
+    }
+
+    const densityCandidates = candidates.sort((a, b) => a.density - b.density);
+    const fitting = densityCandidates.filter(c => c.density <= 2);
+    return fitting.length > 0 ? fitting[fitting.length - 1].url : densityCandidates[0].url;
+}
+
+/**
+ * Check whether a src value is a tiny inline placeholder used by lazy loaders
+ * @param {string} src - src attribute value
+ * @returns {boolean} True if placeholder
+ */
+function isPlaceholderSrc(src) {
+    return !src || (src.startsWith('data:') && src.length < 200);
+}
+
+/**
+ * Determine the real source URL of an <img>, resolving lazy-load attributes,
+ * srcset and an enclosing <picture> element
+ * @param {Element} img - Image element
+ * @returns {string|null} Source URL (possibly relative) or null
+ */
+function resolveImageSource(img) {
+    for (const attr of LAZY_SRC_ATTRIBUTES) {
+        const value = img.getAttribute(attr);
+        if (value && !isPlaceholderSrc(value)) return value.trim();
+    }
+
+    for (const attr of LAZY_SRCSET_ATTRIBUTES) {
+        const candidate = pickSrcsetCandidate(img.getAttribute(attr));
+        if (candidate) return candidate;
+    }
+
+    const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+    if (picture) {
+        for (const source of picture.querySelectorAll('source')) {
+            const type = (source.getAttribute('type') || '').toLowerCase();
+            if (type && !SUPPORTED_MEDIA_TYPES[type]) continue;
+            const candidate = pickSrcsetCandidate(source.getAttribute('srcset') || source.getAttribute('data-srcset'));
+            if (candidate) return candidate;
+        }
+    }
+
+    const srcsetCandidate = pickSrcsetCandidate(img.getAttribute('srcset'));
+    if (srcsetCandidate) return srcsetCandidate;
+
+    const src = img.getAttribute('src');
+    return src && src.trim() ? src.trim() : null;
+}
+
+/**
+ * Decode a data: URI into a buffer
+ * @param {string} uri - data: URI
+ * @returns {{data: Buffer, contentType: string}} Decoded payload
+ */
+function decodeDataUri(uri) {
+    const match = uri.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+    if (!match) {
+        throw new Error('Malformed data URI');
+    }
+    const isBase64 = /;base64/i.test(match[2]);
+    const data = isBase64
+        ? Buffer.from(match[3], 'base64')
+        : Buffer.from(decodeURIComponent(match[3]), 'utf8');
+    return { data, contentType: match[1].toLowerCase() };
+}
+
+/**
+ * Download a single image, enforcing the per-image size limit
+ * @param {string} url - Absolute image URL
+ * @param {string} referer - Page the image was found on
+ * @param {number} maxBytes - Maximum number of bytes to accept
+ * @returns {Promise<{data: Buffer, contentType: string}>} Image payload
+ */
+async function downloadImage(url, referer, maxBytes) {
+    if (url.startsWith('data:')) {
+        const decoded = decodeDataUri(url);
+        if (decoded.data.length > maxBytes) {
+            throw new Error(`Image exceeds ${maxBytes} bytes`);
+        }
+        return decoded;
+    }
+
+    // The guard enforces maxBytes while reading, so oversized images are aborted early
+    const response = await safeFetch(url, {
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': 'image/webp,image/png,image/jpeg,image/gif,image/svg+xml,image/*;q=0.8',
+            'Referer': referer
+        },
+        maxBytes,
+        allowedContentTypes: IMAGE_CONTENT_TYPES
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    return { data: Buffer.from(await response.arrayBuffer()), contentType };
+}
+
+/**
+ * Run async tasks with limited concurrency
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum tasks in flight
+ * @param {Function} worker - Async function called for each item
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const item = items[nextIndex++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * Replace an image that could not be embedded with its alt text (if any)
+ * @param {Element} img - Image element
+ */
+function dropImage(img) {
+    const target = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : img;
+    const alt = (img.getAttribute('alt') || '').trim();
+    if (alt) {
+        const span = img.ownerDocument.createElement('span');
+        span.className = 'image-alt';
+        span.textContent = `[${alt}]`;
+        target.replaceWith(span);
+    } else {
+        target.remove();
+    }
+}
+
+/**
+ * Download the images referenced by a list of articles and rewrite their
+ * content to point at local EPUB paths.
+ *
+ * Article content is not modified in place; rewritten copies are returned.
+ *
+ * @param {Array<Object>} articles - Articles with content and url
+ * @param {Object} [options] - Pipeline options
+ * @param {string} [options.hrefPrefix='images/'] - Path prefix used in rewritten src attributes
+ * @param {number} [options.maxImageBytes] - Per-image size limit
+ * @param {number} [options.maxTotalBytes] - Per-book size limit
+ * @returns {Promise<Object>} { articles, images: [{id, href, mediaType, data}], skipped: [{url, reason}] }
+ */
+async function embedImages(articles, options = {}) {
+    const hrefPrefix = options.hrefPrefix ?? 'images/';
+    const maxImageBytes = options.maxImageBytes || MAX_IMAGE_BYTES;
+    const maxTotalBytes = options.maxTotalBytes || MAX_BOOK_IMAGE_BYTES;
+
+    // Parse every article and collect the image references first, so each
+    // distinct URL is only downloaded once across the whole book
+    const parsed = articles.map(article => {
+        const dom = new JSDOM(`<!DOCTYPE html><body>${article.content || ''}</body>`);
+        const document = dom.window.document;
+        const references = [];
+
+        document.querySelectorAll('img').forEach(img => {
+            const source = resolveImageSource(img);
+            let absoluteUrl = null;
+
+            if (source) {
+                try {
+                    absoluteUrl = source.startsWith('data:') ? source : new URL(source, article.url).href;
+                } catch {
+                    absoluteUrl = null;
+                }
+            }
+
+            if (absoluteUrl && !/^(https?|data):/i.test(absoluteUrl)) {
+                absoluteUrl = null;
+            }
+
+            references.push({ img, url: absoluteUrl });
+        });
+
+        return { article, document, references };
+    });
+
+    const uniqueUrls = [...new Set(
+        parsed.flatMap(p => p.references.map(ref => ref.url).filter(Boolean))
+    )];
+    const refererFor = new Map();
+    parsed.forEach(p => p.references.forEach(ref => {
+        if (ref.url && !refererFor.has(ref.url)) refererFor.set(ref.url, p.article.url);
+    }));
+
+    const imagesByHash = new Map();
+    const imageByUrl = new Map();
+    const skipped = [];
+    let totalBytes = 0;
+
+    await runWithConcurrency(uniqueUrls, DOWNLOAD_CONCURRENCY, async (url) => {
+        const label = url.startsWith('data:') ? 'data URI' : url;
+        try {
+            const { data, contentType } = await downloadImage(url, refererFor.get(url), maxImageBytes);
+            const mediaType = sniffMediaType(data) || (SUPPORTED_MEDIA_TYPES[contentType] ? contentType : null);
+
+            if (!mediaType) {
+                throw new Error(`Unsupported image type${contentType ? ` (${contentType})` : ''}`);
+            }
+
+            const hash = crypto.createHash('sha1').update(data).digest('hex').substring(0, 16);
+
+            // Same bytes served from a different URL - reuse the existing entry
+            if (imagesByHash.has(hash)) {
+                imageByUrl.set(url, imagesByHash.get(hash));
+                return;
+            }
+
+            if (totalBytes + data.length > maxTotalBytes) {
+                throw new Error(`Book image budget of ${maxTotalBytes} bytes exceeded`);
+            }
+            totalBytes += data.length;
+
+            const filename = `img-${hash}.${SUPPORTED_MEDIA_TYPES[mediaType]}`;
+            const image = {
+                id: `img-${hash}`,
+                href: hrefPrefix + filename,
+                filename,
+                mediaType,
+                data
+            };
+            imagesByHash.set(hash, image);
+            imageByUrl.set(url, image);
+        } catch (error) {
+            console.log(`🖼️ Skipping image ${label.substring(0, 120)}: ${error.message}`);
+            skipped.push({ url: label, reason: error.message });
+        }
+    });
+
+    const rewrittenArticles = parsed.map(({ article, document, references }) => {
+        for (const { img, url } of references) {
+            const image = url ? imageByUrl.get(url) : null;
+
+            if (!image) {
+                dropImage(img);
+                continue;
+            }
+
+            // Collapse <picture> down to the single embedded <img>
+            const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+            if (picture) {
+                picture.replaceWith(img);
+            }
+
+            img.setAttribute('src', image.href);
+            ['srcset', 'sizes', 'loading', 'decoding', ...LAZY_SRC_ATTRIBUTES, ...LAZY_SRCSET_ATTRIBUTES]
+                .forEach(attr => img.removeAttribute(attr));
+            if (!img.hasAttribute('alt')) {
+                img.setAttribute('alt', '');
+            }
+        }
+
+        // Stray <source> elements of <picture>/<video> blocks are useless offline
+        document.querySelectorAll('picture source').forEach(source => source.remove());
+
+        return { ...article, content: document.body.innerHTML };
+    });
+
+    const images = [...imagesByHash.values()];
+    console.log(`🖼️ Embedded ${images.length} images (${Math.round(totalBytes / 1024)} KB), skipped ${skipped.length}`);
+
+    return { articles: rewrittenArticles, images, skipped };
+}
+
+module.exports = {
+    embedImages,
+    downloadImage,
+    sniffMediaType,
+    decodeDataUri,
+    pickSrcsetCandidate,
+    SUPPORTED_MEDIA_TYPES,
+    MAX_IMAGE_BYTES,
+    MAX_BOOK_IMAGE_BYTES
+};
@@ -0,0 +1,563 @@
+/**
+ * LinkPub EPUB library storage
+ *
+ * Every saved book lives in its user's epubs directory as <id>.epub with an
+ * <id>.json sidecar holding the display metadata (title, description,
+ * contents, dates). IDs are random and never derived from the title, so books
+ * with the same or an unrepresentable title no longer overwrite each other;
+ * saving a title that is already in the library follows a conflict policy.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+const LIBRARY_CONFLICT_POLICIES = ['keep-both', 'replace', 'ask'];
+const DEFAULT_CONFLICT_POLICY = 'ask';
+
+const LIBRARY_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 40;
+const MAX_SHELF_LENGTH = 60;
+
+const DEFAULT_LIBRARY_PAGE_SIZE = 24;
+const MAX_LIBRARY_PAGE_SIZE = 100;
+
+/**
+ * Score of a book for a search: every term counts, title matches count more
+ * @param {Object} entry - Index entry
+ * @param {Array<string>} terms - Folded search terms
+ * @returns {number} Score
+ */
+function relevance(entry, terms) {
+    return terms.reduce((score, term) => score + (entry.titleText.includes(term) ? 3 : 0) + (entry.bodyText.includes(term) ? 1 : 0), 0);
+}
+
+// Sort keys: how to compare two index entries (ascending) and the default order
+const LIBRARY_SORTS = {
+    relevance: { order: 'desc', compare: (a, b, terms) => relevance(a, terms) - relevance(b, terms) },
+    modified: { order: 'desc', compare: (a, b) => new Date(a.item.modifiedAt) - new Date(b.item.modifiedAt) },
+    created: { order: 'desc', compare: (a, b) => new Date(a.item.createdAt) - new Date(b.item.createdAt) },
+    title: { order: 'asc', compare: (a, b) => String(a.item.title).localeCompare(String(b.item.title), undefined, { sensitivity: 'base' }) },
+    size: { order: 'desc', compare: (a, b) => a.item.size - b.item.size },
+    articles: { order: 'desc', compare: (a, b) => a.articleCount - b.articleCount }
+};
+
+/**
+ * @typedef {Object} LibraryQuery
+ * @property {Array<string>} terms - Folded search terms, all of which must match
+ * @property {Date} [from] - Earliest save date
+ * @property {Date} [to] - Saved before this date (the day after the requested end date)
+ * @property {string} [site] - Folded source site name
+ * @property {string} [shelf] - Folded shelf name
+ * @property {string} [tag] - Folded tag
+ * @property {number} [minSize] - Minimum file size in bytes
+ * @property {number} [maxSize] - Maximum file size in bytes
+ * @property {number} [minArticles] - Minimum number of articles
+ * @property {number} [maxArticles] - Maximum number of articles
+ * @property {string} sort - relevance, modified, created, title, size or articles
+ * @property {string} order - asc or desc
+ * @property {number} page - 1-based page number
+ * @property {number} pageSize - Books per page
+ */
+
+/**
+ * Generate a new library item ID
+ * @returns {string} 16 hex characters
+ */
+function createLibraryId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Check whether a file name belongs to an ID-named library item
+ * @param {string} filename - File name
+ * @returns {boolean} True for <id>.epub
+ */
+function isLibraryFilename(filename) {
+    return filename.endsWith('.epub') && LIBRARY_ID_PATTERN.test(filename.slice(0, -5));
+}
+
+/**
+ * Normalize a title for conflict detection (case, Unicode form and spacing)
+ * @param {string} title - Book title
+ * @returns {string} Comparable title
+ */
+function titleKey(title) {
+    return String(title || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLocaleLowerCase();
+}
+
+/**
+ * Build a download file name from a book title
+ * @param {Object} item - Library item ({ id, title })
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name, the item ID when the title has no usable characters
+ */
+function libraryDownloadName(item, extension) {
+    const safeTitle = String(item.title || '').replace(/[^a-z0-9\s-_]/gi, '').trim().replace(/\s+/g, '_').substring(0, 50);
+    return `${safeTitle || item.id}.${extension}`;
+}
+
+/**
+ * Read the sidecar metadata of a library file
+ * @param {string} dir - User's epubs directory
+ * @param {string} filename - EPUB file name
+ * @returns {Promise<Object|null>} Sidecar contents, or null when missing or unreadable
+ */
+async function readSidecar(dir, filename) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(dir, filename.replace(/\.epub$/, '.json')), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Load one library item
+ * @param {string} dir - User's epubs directory
+ * @param {string} filename - EPUB file name
+ * @returns {Promise<Object|null>} Item ({ id, filename, title, description, contents, createdAt, size, modifiedAt, ... }),
+ *   or null when the EPUB does not exist
+ */
+async function readLibraryItem(dir, filename) {
+    let stats;
+    try {
+        stats = await fs.stat(path.join(dir, filename));
+    } catch {
+        return null;
+    }
+
+    const metadata = {
+        id: filename.replace(/\.epub$/, ''),
+        title: filename.replace(/\.epub$/, ''),
+        description: '',
+        contents: [],
+        createdAt: stats.birthtime,
+        ...await readSidecar(dir, filename)
+    };
+    return {
+        filename,
+        ...metadata,
+        size: stats.size,
+        modifiedAt: stats.mtime
+    };
+}
+
+/**
+ * Fold text for searching (lowercase, without accents)
+ * @param {string} text - Text
+ * @returns {string} Folded text
+ */
+function foldText(text) {
+    return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Clean up a list of tags: trimmed, single-spaced, without duplicates (ignoring case)
+ * @param {Array<string>|string} tags - Tags, or a comma-separated string
+ * @returns {Array<string>} Tags
+ */
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const seen = new Set();
+    const result = [];
+    for (const tag of list) {
+        if (typeof tag !== 'string') continue;
+        const clean = tag.trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH).trim();
+        if (!clean || seen.has(clean.toLocaleLowerCase())) continue;
+        seen.add(clean.toLocaleLowerCase());
+        result.push(clean);
+    }
+    return result.slice(0, MAX_TAGS);
+}
+
+/**
+ * Clean up a shelf name
+ * @param {string} shelf - Shelf name
+ * @returns {string} Trimmed, single-spaced name; empty for no shelf
+ */
+function normalizeShelf(shelf) {
+    return typeof shelf === 'string' ? shelf.trim().replace(/\s+/g, ' ').slice(0, MAX_SHELF_LENGTH).trim() : '';
+}
+
+/**
+ * Count how many books carry each value, most common first
+ * @param {Array<Array<string>>} valuesPerBook - Values of every book
+ * @returns {Array<Object>} { name, count }
+ */
+function countValues(valuesPerBook) {
+    const counts = new Map();
+    valuesPerBook.forEach(values => values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1)));
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Source sites of a library item's articles
+ * @param {Object} item - Library item
+ * @returns {Array<string>} Distinct site names (or host names when the site is unknown)
+ */
+function itemSites(item) {
+    const sites = (Array.isArray(item.contents) ? item.contents : []).map(article => {
+        if (article.siteName && article.siteName !== 'Unknown') return article.siteName;
+        try {
+            return new URL(article.url).hostname.replace(/^www\./, '');
+        } catch {
+            return '';
+        }
+    });
+    return [...new Set(sites.filter(Boolean))];
+}
+
+/**
+ * Build the index entry of a library item
+ * @param {Object} item - Library item
+ * @returns {Object} { item, sites, shelf, tags, titleText, bodyText, articleCount }
+ */
+function indexEntry(item) {
+    const contents = Array.isArray(item.contents) ? item.contents : [];
+    const tags = normalizeTags(item.tags);
+    return {
+        item,
+        sites: itemSites(item),
+        shelf: normalizeShelf(item.shelf),
+        tags,
+        titleText: foldText(item.title),
+        bodyText: foldText([
+            item.description,
+            ...tags,
+            ...contents.flatMap(article => [article.title, article.url, article.siteName])
+        ].filter(Boolean).join('\n')),
+        articleCount: contents.length
+    };
+}
+
+// Library index per user directory. Saves and deletes update it in place; it is
+// rebuilt when files were added or removed outside LinkPub (the directory mtime changes).
+const libraryIndexes = new Map();
+
+/**
+ * Load the index of a user's library
+ * @param {string} dir - User's epubs directory
+ * @returns {Promise<Object>} { mtimeMs, entries: Map of file name to index entry }
+ */
+async function loadLibraryIndex(dir) {
+    const { mtimeMs } = await fs.stat(dir);
+    const cached = libraryIndexes.get(dir);
+    if (cached && cached.mtimeMs === mtimeMs) {
+        return cached;
+    }
+
+    const entries = new Map();
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.epub'));
+    for (const file of files) {
+        const item = await readLibraryItem(dir, file);
+        if (item) entries.set(file, indexEntry(item));
+    }
+    const index = { mtimeMs, entries };
+    libraryIndexes.set(dir, index);
+    return index;
+}
+
+/**
+ * Refresh one book in the library index after its files changed
+ * @param {string} dir - User's epubs directory
+ * @param {string} filename - EPUB file name
+ * @returns {Promise<Object|null>} The updated item, or null when the book no longer exists
+ */
+async function updateLibraryIndex(dir, filename) {
+    const index = await loadLibraryIndex(dir);
+    const item = await readLibraryItem(dir, filename);
+    if (item) {
+        index.entries.set(filename, indexEntry(item));
+    } else {
+        index.entries.delete(filename);
+    }
+    index.mtimeMs = (await fs.stat(dir)).mtimeMs;
+    return item;
+}
+
+/**
+ * List the books in a user's library, newest first
+ * @param {string} dir - User's epubs directory
+ * @returns {Promise<Array<Object>>} Library items
+ */
+async function listLibrary(dir) {
+    const { entries } = await loadLibraryIndex(dir);
+    return Array.from(entries.values(), entry => entry.item)
+        .sort((a, b) => new Date(b.modifiedAt) - new Date(a.modifiedAt));
+}
+
+/**
+ * Parse library search parameters from a query string
+ * @param {Object} query - Query parameters ({ q, from, to, site, shelf, tag, minSize, maxSize,
+ *   minArticles, maxArticles, sort, order, page, pageSize })
+ * @returns {LibraryQuery} Parsed search
+ * @throws {Error} If a parameter is invalid
+ */
+function parseLibraryQuery(query = {}) {
+    const single = (name) => (Array.isArray(query[name]) ? query[name][0] : query[name]);
+    const number = (name, min, max) => {
+        const value = single(name);
+        if (value === undefined || value === '') return undefined;
+        if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+            throw new Error(`${name} must be a whole number between ${min} and ${max}`);
+        }
+        return Number(value);
+    };
+    const date = (name, endOfDay) => {
+        const value = single(name);
+        if (value === undefined || value === '') return undefined;
+        const parsed = new Date(`${value}T00:00:00.000Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(parsed.getTime())) {
+            throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+        }
+        return endOfDay ? new Date(parsed.getTime() + 86400000) : parsed;
+    };
+
+    const q = String(single('q') || '').trim();
+    const sort = single('sort') || (q ? 'relevance' : 'modified');
+    if (!LIBRARY_SORTS[sort]) {
+        throw new Error(`sort must be one of: ${Object.keys(LIBRARY_SORTS).join(', ')}`);
+    }
+    const order = single('order') || LIBRARY_SORTS[sort].order;
+    if (!['asc', 'desc'].includes(order)) {
+        throw new Error('order must be asc or desc');
+    }
+
+    return {
+        terms: foldText(q).split(/\s+/).filter(Boolean),
+        from: date('from', false),
+        to: date('to', true),
+        site: foldText(single('site')),
+        shelf: foldText(single('shelf')),
+        tag: foldText(single('tag')),
+        minSize: number('minSize', 0, Number.MAX_SAFE_INTEGER),
+        maxSize: number('maxSize', 0, Number.MAX_SAFE_INTEGER),
+        minArticles: number('minArticles', 0, 100000),
+        maxArticles: number('maxArticles', 0, 100000),
+        sort,
+        order,
+        page: number('page', 1, 100000) || 1,
+        pageSize: number('pageSize', 1, MAX_LIBRARY_PAGE_SIZE) || DEFAULT_LIBRARY_PAGE_SIZE
+    };
+}
+
+/**
+ * Search, filter, sort and paginate a user's library
+ *
+ * Every search term must appear in the title, description, tags or the
+ * titles, URLs and sites of the book's articles; relevance ranks title
+ * matches first.
+ * @param {string} dir - User's epubs directory
+ * @param {LibraryQuery} query - Search from parseLibraryQuery()
+ * @returns {Promise<Object>} { items, total, page, pageSize, pages, sites, shelves, tags } - sites,
+ *   shelves and tags list every value in the library with its number of books, for the filters
+ */
+async function searchLibrary(dir, query) {
+    const { entries } = await loadLibraryIndex(dir);
+    const all = Array.from(entries.values());
+
+    const matches = all.filter(entry => {
+        const created = new Date(entry.item.createdAt);
+        return query.terms.every(term => entry.titleText.includes(term) || entry.bodyText.includes(term))
+            && (!query.from || created >= query.from)
+            && (!query.to || created < query.to)
+            && (!query.site || entry.sites.some(site => foldText(site) === query.site))
+            && (!query.shelf || foldText(entry.shelf) === query.shelf)
+            && (!query.tag || entry.tags.some(tag => foldText(tag) === query.tag))
+            && (query.minSize === undefined || entry.item.size >= query.minSize)
+            && (query.maxSize === undefined || entry.item.size <= query.maxSize)
+            && (query.minArticles === undefined || entry.articleCount >= query.minArticles)
+            && (query.maxArticles === undefined || entry.articleCount <= query.maxArticles);
+    });
+
+    const direction = query.order === 'asc' ? 1 : -1;
+    const compare = LIBRARY_SORTS[query.sort].compare;
+    const byModified = (a, b) => new Date(b.item.modifiedAt) - new Date(a.item.modifiedAt);
+    matches.sort((a, b) => direction * compare(a, b, query.terms) || byModified(a, b));
+
+    const pages = Math.max(1, Math.ceil(matches.length / query.pageSize));
+    const start = (query.page - 1) * query.pageSize;
+    return {
+        items: matches.slice(start, start + query.pageSize).map(entry => entry.item),
+        total: matches.length,
+        page: query.page,
+        pageSize: query.pageSize,
+        pages,
+        sites: countValues(all.map(entry => entry.sites)),
+        shelves: countValues(all.map(entry => (entry.shelf ? [entry.shelf] : []))),
+        tags: countValues(all.map(entry => entry.tags))
+    };
+}
+
+/**
+ * Save a book to a user's library
+ *
+ * A book whose title is already in the library is handled by the conflict
+ * policy: 'keep-both' stores it as a new item, 'replace' overwrites the
+ * existing item (replaceId, or the most recently changed one with that
+ * title) and keeps its ID, 'ask' stores nothing and returns the conflicts.
+ * @param {string} dir - User's epubs directory
+ * @param {Object} metadata - Display metadata ({ title, description, contents, shelf, tags, userId });
+ *   a replaced book keeps its shelf and tags unless new ones are given
+ * @param {Buffer} epub - EPUB file data
+ * @param {Object} [options] - { onConflict, replaceId }
+ * @returns {Promise<Object>} { item, replaced } when saved, { conflicts } when the policy is 'ask'
+ * @throws {Error} If the policy is unknown or replaceId is not in the library
+ */
+async function saveLibraryEpub(dir, metadata, epub, options = {}) {
+    const policy = options.onConflict || DEFAULT_CONFLICT_POLICY;
+    if (!LIBRARY_CONFLICT_POLICIES.includes(policy)) {
+        throw new Error(`onConflict must be one of: ${LIBRARY_CONFLICT_POLICIES.join(', ')}`);
+    }
+
+    const items = await listLibrary(dir);
+    let target = null;
+    if (options.replaceId) {
+        target = items.find(item => item.id === options.replaceId);
+        if (!target) throw new Error(`No library item with ID ${options.replaceId}`);
+    } else {
+        const conflicts = items.filter(item => titleKey(item.title) === titleKey(metadata.title));
+        if (conflicts.length > 0 && policy === 'ask') {
+            return { conflicts };
+        }
+        if (conflicts.length > 0 && policy === 'replace') {
+            target = conflicts[0];
+        }
+    }
+
+    const now = new Date().toISOString();
+    const id = target ? target.id : createLibraryId();
+    const filename = target ? target.filename : `${id}.epub`;
+    const sidecar = {
+        ...(target ? await readSidecar(dir, target.filename) : {}),
+        id,
+        title: metadata.title,
+        description: metadata.description || '',
+        contents: metadata.contents || [],
+        createdAt: target ? new Date(target.createdAt).toISOString() : now,
+        ...(target ? { updatedAt: now } : {}),
+        userId: metadata.userId
+    };
+    if (metadata.shelf !== undefined || !target) sidecar.shelf = normalizeShelf(metadata.shelf);
+    if (metadata.tags !== undefined || !target) sidecar.tags = normalizeTags(metadata.tags);
+
+    await fs.writeFile(path.join(dir, filename), epub);
+    await fs.writeFile(path.join(dir, filename.replace(/\.epub$/, '.json')), JSON.stringify(sidecar, null, 2));
+
+    return { item: await updateLibraryIndex(dir, filename), replaced: Boolean(target) };
+}
+
+/**
+ * Change the display metadata of a library book
+ * @param {string} dir - User's epubs directory
+ * @param {string} filename - EPUB file name
+ * @param {Object} changes - Sidecar fields to set; shelf and tags are normalized
+ * @param {Buffer} [epub] - Rewritten EPUB data to store along with the new metadata
+ * @returns {Promise<Object|null>} The updated item, or null when the book does not exist
+ */
+async function updateLibraryMetadata(dir, filename, changes, epub) {
+    const item = await readLibraryItem(dir, filename);
+    if (!item) return null;
+
+    const sidecar = {
+        id: item.id,
+        title: item.title,
+        description: item.description,
+        contents: item.contents,
+        createdAt: new Date(item.createdAt).toISOString(),
+        ...await readSidecar(dir, filename),
+        ...changes,
+        updatedAt: new Date().toISOString()
+    };
+    if (changes.shelf !== undefined) sidecar.shelf = normalizeShelf(changes.shelf);
+    if (changes.tags !== undefined) sidecar.tags = normalizeTags(changes.tags);
+
+    if (epub) await fs.writeFile(path.join(dir, filename), epub);
+    await fs.writeFile(path.join(dir, filename.replace(/\.epub$/, '.json')), JSON.stringify(sidecar, null, 2));
+    return updateLibraryIndex(dir, filename);
+}
+
+/**
+ * Delete a book and its sidecar from a user's library
+ * @param {string} dir - User's epubs directory
+ * @param {string} filename - EPUB file name
+ * @returns {Promise<void>}
+ * @throws {Error} If the EPUB cannot be deleted
+ */
+async function deleteLibraryEpub(dir, filename) {
+    try {
+        await fs.unlink(path.join(dir, filename));
+        // Metadata file might not exist
+        await fs.unlink(path.join(dir, filename.replace(/\.epub$/, '.json'))).catch(() => {});
+    } finally {
+        await updateLibraryIndex(dir, filename);
+    }
+}
+
+/**
+ * Give every book in the library an ID: files named after their title are
+ * renamed to <id>.epub and their sidecar gets the ID and the title. Safe to
+ * run on every start; already migrated files are left alone.
+ * @param {string} epubsDir - Directory holding one epubs directory per user
+ * @returns {Promise<number>} Number of migrated books
+ */
+async function migrateLibraries(epubsDir) {
+    let migrated = 0;
+    const userDirs = await fs.readdir(epubsDir, { withFileTypes: true });
+
+    for (const userDir of userDirs.filter(entry => entry.isDirectory())) {
+        const dir = path.join(epubsDir, userDir.name);
+        const files = (await fs.readdir(dir)).filter(file => file.endsWith('.epub') && !isLibraryFilename(file));
+
+        for (const file of files) {
+            const id = createLibraryId();
+            try {
+                const item = await readLibraryItem(dir, file);
+                if (!item) continue;
+
+                const sidecar = {
+                    ...await readSidecar(dir, file),
+                    id,
+                    // Legacy names were the title with spaces turned into underscores
+                    title: item.title === file.replace(/\.epub$/, '') ? item.title.replace(/_/g, ' ') : item.title,
+                    description: item.description,
+                    contents: item.contents,
+                    createdAt: new Date(item.createdAt).toISOString(),
+                    legacyFilename: file
+                };
+
+                await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(sidecar, null, 2));
+                await fs.rename(path.join(dir, file), path.join(dir, `${id}.epub`));
+                await fs.unlink(path.join(dir, file.replace(/\.epub$/, '.json'))).catch(() => {});
+                migrated++;
+            } catch (error) {
+                await fs.unlink(path.join(dir, `${id}.json`)).catch(() => {});
+                console.error(`❌ Failed to migrate library file ${userDir.name}/${file}:`, error.message);
+            }
+        }
+    }
+    return migrated;
+}
+
+module.exports = {
+    listLibrary,
+    searchLibrary,
+    parseLibraryQuery,
+    readLibraryItem,
+    updateLibraryIndex,
+    saveLibraryEpub,
+    updateLibraryMetadata,
+    deleteLibraryEpub,
+    normalizeTags,
+    normalizeShelf,
+    migrateLibraries,
+    libraryDownloadName,
+    LIBRARY_CONFLICT_POLICIES,
+    DEFAULT_CONFLICT_POLICY
+};
@@ -0,0 +1,188 @@
+/**
+ * LinkPub EPUB reader
+ *
+ * Reads a stored EPUB back into book metadata and an article list, so books
+ * saved in the library can be exported to other formats. Chapters written by
+ * the EPUB builder keep their source details (author, date, site, URL, word
+ * count); content documents from other tools are read as plain chapters.
+ * Images are inlined as data URIs so exporters never go back to the network.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const path = require('path').posix;
+const JSZip = require('jszip');
+const { JSDOM } = require('jsdom');
+const { sniffMediaType } = require('./epub-images');
+
+const DC_NS = 'http://purl.org/dc/elements/1.1/';
+
+/**
+ * Parse an XML document
+ * @param {Object} window - JSDOM window providing DOMParser
+ * @param {string} source - XML source
+ * @param {string} contentType - Parser content type
+ * @returns {Document|null} Parsed document, or null when it is not well-formed
+ */
+function parseXml(window, source, contentType) {
+    const document = new window.DOMParser().parseFromString(source, contentType);
+    return document.getElementsByTagName('parsererror')[0] ? null : document;
+}
+
+/**
+ * Resolve a relative reference against the document that contains it
+ * @param {string} fromPath - Path of the referencing document inside the archive
+ * @param {string} href - Reference
+ * @returns {string|null} Archive path, or null for external references
+ */
+function resolvePath(fromPath, href) {
+    const value = (href || '').trim().split('#')[0];
+    if (!value || /^[a-z][a-z0-9+.-]*:/i.test(value)) return null;
+    let decoded = value;
+    try {
+        decoded = decodeURIComponent(value);
+    } catch {
+        // Keep the raw value
+    }
+    return path.normalize(path.join(path.dirname(fromPath), decoded));
+}
+
+/**
+ * Read a LinkPub chapter header ("By ...", "Published: ...", "Source: ...", "URL: ...", "Word count: ...")
+ * @param {Element|null} meta - .chapter-meta element
+ * @returns {Object} { author, publishedTime, siteName, url, wordCount }
+ */
+function readChapterMeta(meta) {
+    const details = { author: '', publishedTime: '', siteName: '', url: '', wordCount: 0 };
+    if (!meta) return details;
+
+    for (const line of meta.getElementsByTagName('p')) {
+        const text = line.textContent.trim();
+        if (line.getAttribute('class') === 'byline') details.author = text.replace(/^By\s+/, '');
+        else if (text.startsWith('Published: ')) details.publishedTime = text.slice(11);
+        else if (text.startsWith('Source: ')) details.siteName = text.slice(8);
+        else if (text.startsWith('URL: ')) details.url = text.slice(5);
+        else if (text.startsWith('Word count: ')) details.wordCount = parseInt(text.slice(12), 10) || 0;
+    }
+    return details;
+}
+
+/**
+ * Read an EPUB into metadata and articles
+ * @param {Buffer} buffer - EPUB file data
+ * @returns {Promise<Object>} { metadata: { title, author, description, language, date, subjects },
+ *   articles: [{ title, content, url, siteName, wordCount, author, publishedTime, language }],
+ *   cover: { data, mediaType } or null }
+ * @throws {Error} If the archive or its package document cannot be read
+ */
+async function readEpub(buffer) {
+    const { window } = new JSDOM('');
+    const zip = await JSZip.loadAsync(buffer);
+    const readText = async (name) => {
+        const file = zip.file(name);
+        return file ? file.async('string') : null;
+    };
+
+    const containerSource = await readText('META-INF/container.xml');
+    const container = containerSource && parseXml(window, containerSource, 'application/xml');
+    const opfPath = container?.getElementsByTagNameNS('*', 'rootfile')[0]?.getAttribute('full-path');
+    const opfSource = opfPath && await readText(opfPath);
+    const opf = opfSource && parseXml(window, opfSource, 'application/xml');
+    if (!opf) {
+        throw new Error('Not a readable EPUB (missing or invalid package document)');
+    }
+
+    const dcValues = (name) => Array.from(opf.getElementsByTagNameNS(DC_NS, name)).map(element => element.textContent.trim()).filter(Boolean);
+    const metadata = {
+        title: dcValues('title')[0] || '',
+        author: dcValues('creator')[0] || '',
+        description: dcValues('description')[0] || '',
+        language: dcValues('language')[0] || '',
+        date: dcValues('date')[0] || '',
+        subjects: dcValues('subject')
+    };
+
+    const manifest = new Map();
+    for (const item of opf.getElementsByTagNameNS('*', 'item')) {
+        manifest.set(item.getAttribute('id'), {
+            path: resolvePath(opfPath, item.getAttribute('href')),
+            mediaType: item.getAttribute('media-type') || '',
+            properties: (item.getAttribute('properties') || '').split(/\s+/)
+        });
+    }
+    const mediaTypes = new Map([...manifest.values()].map(item => [item.path, item.mediaType]));
+
+    /**
+     * Read an archive image as a data URI
+     */
+    const readImage = async (imagePath) => {
+        const file = imagePath && zip.file(imagePath);
+        if (!file) return null;
+        const data = await file.async('nodebuffer');
+        const mediaType = sniffMediaType(data) || mediaTypes.get(imagePath);
+        return mediaType ? { data, mediaType } : null;
+    };
+
+    // EPUB 3 marks the cover in the manifest, EPUB 2 with <meta name="cover">
+    const coverMeta = Array.from(opf.getElementsByTagNameNS('*', 'meta')).find(meta => meta.getAttribute('name') === 'cover');
+    const coverItem = [...manifest.values()].find(item => item.properties.includes('cover-image'))
+        || (coverMeta && manifest.get(coverMeta.getAttribute('content')));
+    const cover = coverItem ? await readImage(coverItem.path) : null;
+
+    const documents = [];
+    for (const itemref of opf.getElementsByTagNameNS('*', 'itemref')) {
+        const item = manifest.get(itemref.getAttribute('idref'));
+        if (!item || item.properties.includes('nav') || !/html/.test(item.mediaType)) continue;
+        const source = await readText(item.path);
+        if (!source) continue;
+        const document = parseXml(window, source, 'application/xhtml+xml')
+            || new JSDOM(source).window.document;
+        documents.push({ path: item.path, document });
+    }
+
+    // Books built by LinkPub: only chapters, without the cover and contents pages
+    const builtByLinkPub = documents.some(({ document }) => document.querySelector('.chapter-content'));
+    const chapters = builtByLinkPub
+        ? documents.filter(({ document }) => document.querySelector('.chapter-content'))
+        : documents.filter(({ document }) => document.body && document.body.textContent.trim());
+
+    const articles = [];
+    for (const { path: chapterPath, document } of chapters) {
+        const body = builtByLinkPub ? document.querySelector('.chapter-content') : document.body;
+
+        for (const img of Array.from(body.getElementsByTagName('img'))) {
+            const image = await readImage(resolvePath(chapterPath, img.getAttribute('src')));
+            if (image) {
+                img.setAttribute('src', `data:${image.mediaType};base64,${image.data.toString('base64')}`);
+            } else {
+                img.remove();
+            }
+        }
+
+        const heading = document.querySelector('h1');
+        const titleElement = document.getElementsByTagName('title')[0];
+        const details = builtByLinkPub ? readChapterMeta(document.querySelector('.chapter-meta')) : readChapterMeta(null);
+        const textContent = body.textContent.trim();
+
+        articles.push({
+            title: (heading?.textContent || titleElement?.textContent || '').trim() || `Chapter ${articles.length + 1}`,
+            content: body.innerHTML.replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '').trim(),
+            ...details,
+            wordCount: details.wordCount || (textContent ? textContent.split(/\s+/).length : 0),
+            language: body.getAttribute('xml:lang') || body.getAttribute('lang') || ''
+        });
+    }
+
+    if (articles.length === 0) {
+        throw new Error('EPUB has no readable chapters');
+    }
+    return { metadata, articles, cover };
+}
+
+module.exports = {
+    readEpub,
+    parseXml,
+    resolvePath,
+    DC_NS
+};
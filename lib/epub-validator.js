@@ -0,0 +1,487 @@
+/**
+ * LinkPub EPUB validator
+ *
+ * Inspects an EPUB archive and reports problems in the spirit of epubcheck:
+ * OCF container layout, OPF manifest/spine consistency, navigation targets,
+ * XHTML well-formedness, duplicate IDs and missing media. It is not a full
+ * schema validator, but catches the issues that make a book open in one
+ * reader and fail in another.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const path = require('path').posix;
+const JSZip = require('jszip');
+const { JSDOM } = require('jsdom');
+
+const OPF_NS = 'http://www.idpf.org/2007/opf';
+const DC_NS = 'http://purl.org/dc/elements/1.1/';
+const NCX_NS = 'http://www.daisy.org/z3986/2005/ncx/';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+const EPUB_NS = 'http://www.idpf.org/2007/ops';
+
+// Media types reading systems are required to support (core media types)
+const CORE_MEDIA_TYPES = new Set([
+    'application/xhtml+xml', 'application/x-dtbncx+xml', 'text/css', 'image/jpeg', 'image/png',
+    'image/gif', 'image/svg+xml', 'image/webp', 'application/vnd.ms-opentype', 'font/otf',
+    'font/ttf', 'font/woff', 'font/woff2', 'application/font-woff', 'application/x-font-ttf',
+    'application/smil+xml', 'application/pls+xml', 'audio/mpeg', 'audio/mp4', 'text/javascript',
+    'application/javascript'
+]);
+
+// Expected media type by file extension
+const EXTENSION_MEDIA_TYPES = {
+    '.xhtml': 'application/xhtml+xml',
+    '.html': 'application/xhtml+xml',
+    '.htm': 'application/xhtml+xml',
+    '.ncx': 'application/x-dtbncx+xml',
+    '.css': 'text/css',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp'
+};
+
+/**
+ * Collects validation messages
+ */
+class ValidationReport {
+    constructor() {
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    /**
+     * Record an error (the book is not spec-compliant)
+     * @param {string} code - Stable message code
+     * @param {string} message - Human-readable description
+     * @param {string} [location] - Path inside the archive
+     */
+    error(code, message, location) {
+        this.errors.push({ code, message, path: location || null });
+    }
+
+    /**
+     * Record a warning (likely to cause problems in some readers)
+     * @param {string} code - Stable message code
+     * @param {string} message - Human-readable description
+     * @param {string} [location] - Path inside the archive
+     */
+    warning(code, message, location) {
+        this.warnings.push({ code, message, path: location || null });
+    }
+}
+
+/**
+ * Parse an XML document, returning null and recording an error when it is not well-formed
+ * @param {Object} window - JSDOM window providing DOMParser
+ * @param {string} source - XML source
+ * @param {string} contentType - Parser content type
+ * @param {string} location - Path inside the archive
+ * @param {ValidationReport} report - Report to add errors to
+ * @returns {Document|null} Parsed document
+ */
+function parseXml(window, source, contentType, location, report) {
+    const document = new window.DOMParser().parseFromString(source, contentType);
+    const parserError = document.getElementsByTagName('parsererror')[0];
+    if (parserError) {
+        report.error('XML_NOT_WELL_FORMED', `Not well-formed XML: ${parserError.textContent.trim()}`, location);
+        return null;
+    }
+    return document;
+}
+
+/**
+ * Read the local file header of the first entry in a ZIP archive
+ * @param {Buffer} buffer - Archive data
+ * @returns {Object|null} { name, compression, extraLength, data } or null if not a ZIP
+ */
+function readFirstLocalHeader(buffer) {
+    if (buffer.length < 30 || buffer.readUInt32LE(0) !== 0x04034b50) {
+        return null;
+    }
+    const compression = buffer.readUInt16LE(8);
+    const compressedSize = buffer.readUInt32LE(18);
+    const nameLength = buffer.readUInt16LE(26);
+    const extraLength = buffer.readUInt16LE(28);
+    const name = buffer.slice(30, 30 + nameLength).toString('utf8');
+    const dataStart = 30 + nameLength + extraLength;
+    return {
+        name,
+        compression,
+        extraLength,
+        data: buffer.slice(dataStart, dataStart + compressedSize)
+    };
+}
+
+/**
+ * Resolve a relative reference against the document that contains it
+ * @param {string} fromPath - Path of the referencing document inside the archive
+ * @param {string} href - Reference (may contain a fragment or be percent-encoded)
+ * @returns {Object} { path, fragment, external }
+ */
+function resolveReference(fromPath, href) {
+    const value = (href || '').trim();
+    if (/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+        return { path: null, fragment: null, external: true };
+    }
+    const [target, fragment = null] = value.split('#');
+    if (!target) {
+        return { path: fromPath, fragment, external: false };
+    }
+    let decoded = target;
+    try {
+        decoded = decodeURIComponent(target);
+    } catch {
+        // Keep the raw value, the existence check will report it
+    }
+    return {
+        path: path.normalize(path.join(path.dirname(fromPath), decoded)),
+        fragment,
+        external: false
+    };
+}
+
+/**
+ * Validate an EPUB archive
+ * @param {Buffer} buffer - EPUB file data
+ * @returns {Promise<Object>} { valid, version, errors, warnings, summary }
+ */
+async function validateEpub(buffer) {
+    const report = new ValidationReport();
+    const { window } = new JSDOM('');
+    const result = () => ({
+        valid: report.errors.length === 0,
+        version: summary.version,
+        errors: report.errors,
+        warnings: report.warnings,
+        summary
+    });
+    const summary = { version: null, files: 0, manifestItems: 0, spineItems: 0, contentDocuments: 0 };
+
+    // ---------------------------------------------------------------
+    // OCF container: mimetype entry
+    // ---------------------------------------------------------------
+    const firstEntry = readFirstLocalHeader(buffer);
+    if (!firstEntry) {
+        report.error('ZIP_INVALID', 'File is not a ZIP archive');
+        return result();
+    }
+    if (firstEntry.name !== 'mimetype') {
+        report.error('MIMETYPE_NOT_FIRST', `The first archive entry must be "mimetype", found "${firstEntry.name}"`);
+    } else {
+        if (firstEntry.compression !== 0) {
+            report.error('MIMETYPE_COMPRESSED', 'The mimetype entry must be stored uncompressed', 'mimetype');
+        }
+        if (firstEntry.extraLength !== 0) {
+            report.error('MIMETYPE_EXTRA_FIELD', 'The mimetype entry must not have an extra field in its local header', 'mimetype');
+        }
+        if (firstEntry.compression === 0 && firstEntry.data.toString('ascii') !== 'application/epub+zip') {
+            report.error('MIMETYPE_CONTENT', 'The mimetype entry must contain exactly "application/epub+zip"', 'mimetype');
+        }
+    }
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        report.error('ZIP_INVALID', `Archive could not be read: ${error.message}`);
+        return result();
+    }
+
+    const files = new Set(Object.keys(zip.files).filter(name => !zip.files[name].dir));
+    summary.files = files.size;
+    const readText = (name) => zip.file(name).async('string');
+
+    // ---------------------------------------------------------------
+    // META-INF/container.xml
+    // ---------------------------------------------------------------
+    if (!files.has('META-INF/container.xml')) {
+        report.error('CONTAINER_MISSING', 'META-INF/container.xml is missing');
+        return result();
+    }
+    const container = parseXml(window, await readText('META-INF/container.xml'), 'application/xml', 'META-INF/container.xml', report);
+    if (!container) return result();
+
+    const rootfile = container.getElementsByTagNameNS('*', 'rootfile')[0];
+    const opfPath = rootfile && rootfile.getAttribute('full-path');
+    if (!opfPath) {
+        report.error('CONTAINER_NO_ROOTFILE', 'container.xml does not declare a rootfile', 'META-INF/container.xml');
+        return result();
+    }
+    if (rootfile.getAttribute('media-type') !== 'application/oebps-package+xml') {
+        report.warning('CONTAINER_ROOTFILE_TYPE', 'The rootfile media-type should be application/oebps-package+xml', 'META-INF/container.xml');
+    }
+    if (!files.has(opfPath)) {
+        report.error('OPF_MISSING', `Package document ${opfPath} referenced by container.xml does not exist`, 'META-INF/container.xml');
+        return result();
+    }
+
+    // ---------------------------------------------------------------
+    // Package document
+    // ---------------------------------------------------------------
+    const opf = parseXml(window, await readText(opfPath), 'application/xml', opfPath, report);
+    if (!opf) return result();
+
+    const pkg = opf.documentElement;
+    if (pkg.localName !== 'package' || pkg.namespaceURI !== OPF_NS) {
+        report.error('OPF_ROOT', 'The package document root must be an OPF <package> element', opfPath);
+        return result();
+    }
+
+    const version = (pkg.getAttribute('version') || '').trim();
+    summary.version = version || null;
+    const isEpub3 = version.startsWith('3');
+    if (!['2.0', '3.0', '3.1', '3.2', '3.3'].includes(version)) {
+        report.error('OPF_VERSION', `Unsupported package version "${version}"`, opfPath);
+    }
+
+    // Metadata
+    const uniqueIdentifier = pkg.getAttribute('unique-identifier');
+    const identifiers = Array.from(opf.getElementsByTagNameNS(DC_NS, 'identifier'));
+    const bookId = identifiers.find(el => el.getAttribute('id') === uniqueIdentifier);
+    if (!uniqueIdentifier || !bookId) {
+        report.error('OPF_UNIQUE_IDENTIFIER', 'unique-identifier must reference a dc:identifier element', opfPath);
+    } else if (!bookId.textContent.trim()) {
+        report.error('OPF_UNIQUE_IDENTIFIER', 'The unique dc:identifier is empty', opfPath);
+    }
+    if (!opf.getElementsByTagNameNS(DC_NS, 'title')[0]?.textContent.trim()) {
+        report.error('OPF_TITLE', 'dc:title is missing or empty', opfPath);
+    }
+    if (!opf.getElementsByTagNameNS(DC_NS, 'language')[0]?.textContent.trim()) {
+        report.error('OPF_LANGUAGE', 'dc:language is missing or empty', opfPath);
+    }
+    if (isEpub3) {
+        const modified = Array.from(opf.getElementsByTagNameNS(OPF_NS, 'meta'))
+            .find(meta => meta.getAttribute('property') === 'dcterms:modified');
+        if (!modified) {
+            report.error('OPF_MODIFIED', 'EPUB 3 packages require a dcterms:modified meta element', opfPath);
+        } else if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(modified.textContent.trim())) {
+            report.error('OPF_MODIFIED', 'dcterms:modified must be formatted as CCYY-MM-DDThh:mm:ssZ', opfPath);
+        }
+        const metadataIds = new Set(Array.from(opf.getElementsByTagName('*')).map(el => el.getAttribute('id')).filter(Boolean));
+        for (const meta of opf.getElementsByTagNameNS(OPF_NS, 'meta')) {
+            const refines = meta.getAttribute('refines');
+            if (refines && !metadataIds.has(refines.replace(/^#/, ''))) {
+                report.error('OPF_REFINES', `meta refines "${refines}", which is not the ID of any element`, opfPath);
+            }
+        }
+    }
+
+    // Manifest
+    const manifestItems = new Map();
+    const manifestPaths = new Map();
+    for (const item of opf.getElementsByTagNameNS(OPF_NS, 'item')) {
+        const id = item.getAttribute('id');
+        const href = item.getAttribute('href');
+        const mediaType = item.getAttribute('media-type');
+        const itemPath = href ? resolveReference(opfPath, href).path : null;
+
+        if (!id || !href || !mediaType) {
+            report.error('MANIFEST_ITEM_INCOMPLETE', `Manifest item ${id || href || '(unnamed)'} must have id, href and media-type`, opfPath);
+            continue;
+        }
+        if (manifestItems.has(id)) {
+            report.error('MANIFEST_DUPLICATE_ID', `Duplicate manifest id "${id}"`, opfPath);
+            continue;
+        }
+        if (itemPath && manifestPaths.has(itemPath)) {
+            report.error('MANIFEST_DUPLICATE_HREF', `${href} is listed in the manifest more than once`, opfPath);
+        }
+        if (itemPath && !files.has(itemPath)) {
+            report.error('MANIFEST_FILE_MISSING', `Manifest item "${id}" points to missing file ${href}`, opfPath);
+        }
+
+        const expectedType = EXTENSION_MEDIA_TYPES[path.extname(href).toLowerCase()];
+        if (expectedType && expectedType !== mediaType) {
+            report.warning('MANIFEST_MEDIA_TYPE', `${href} is declared as ${mediaType}, expected ${expectedType}`, opfPath);
+        } else if (!CORE_MEDIA_TYPES.has(mediaType)) {
+            report.warning('MANIFEST_NON_CORE_MEDIA', `${href} uses non-core media type ${mediaType}`, opfPath);
+        }
+
+        const entry = { id, href, mediaType, path: itemPath, properties: (item.getAttribute('properties') || '').split(/\s+/).filter(Boolean) };
+        manifestItems.set(id, entry);
+        if (itemPath) manifestPaths.set(itemPath, entry);
+    }
+    summary.manifestItems = manifestItems.size;
+
+    for (const file of files) {
+        if (file === 'mimetype' || file.startsWith('META-INF/') || file === opfPath) continue;
+        if (!manifestPaths.has(file)) {
+            report.warning('FILE_NOT_IN_MANIFEST', `${file} is in the archive but not declared in the manifest`, file);
+        }
+    }
+
+    // Spine
+    const spine = opf.getElementsByTagNameNS(OPF_NS, 'spine')[0];
+    const spineRefs = spine ? Array.from(spine.getElementsByTagNameNS(OPF_NS, 'itemref')) : [];
+    summary.spineItems = spineRefs.length;
+    if (!spine || spineRefs.length === 0) {
+        report.error('SPINE_EMPTY', 'The spine must contain at least one itemref', opfPath);
+    }
+    const spineIds = new Set();
+    for (const itemref of spineRefs) {
+        const idref = itemref.getAttribute('idref');
+        const item = manifestItems.get(idref);
+        if (!item) {
+            report.error('SPINE_UNKNOWN_IDREF', `Spine itemref "${idref}" does not match any manifest item`, opfPath);
+            continue;
+        }
+        if (spineIds.has(idref)) {
+            report.error('SPINE_DUPLICATE', `Spine references "${idref}" more than once`, opfPath);
+        }
+        spineIds.add(idref);
+        if (!['application/xhtml+xml', 'image/svg+xml'].includes(item.mediaType)) {
+            report.warning('SPINE_NON_CONTENT', `Spine item "${idref}" is ${item.mediaType}, not an XHTML content document`, opfPath);
+        }
+    }
+
+    const tocId = spine && spine.getAttribute('toc');
+    const ncxItem = tocId ? manifestItems.get(tocId) : [...manifestItems.values()].find(i => i.mediaType === 'application/x-dtbncx+xml');
+    if (tocId && !manifestItems.has(tocId)) {
+        report.error('SPINE_TOC', `Spine toc attribute references unknown item "${tocId}"`, opfPath);
+    } else if (!isEpub3 && !ncxItem) {
+        report.error('NCX_MISSING', 'EPUB 2 packages require an NCX table of contents', opfPath);
+    }
+
+    // Collect content documents (XHTML) up-front so navigation targets can be checked
+    const contentDocuments = new Map();
+    for (const item of manifestItems.values()) {
+        if (item.mediaType !== 'application/xhtml+xml' || !item.path || !files.has(item.path)) continue;
+        const document = parseXml(window, await readText(item.path), 'application/xhtml+xml', item.path, report);
+        if (document) contentDocuments.set(item.path, document);
+    }
+    summary.contentDocuments = contentDocuments.size;
+
+    /**
+     * Check that a navigation or link target exists (file and fragment)
+     */
+    const checkTarget = (fromPath, href, code, description) => {
+        const target = resolveReference(fromPath, href);
+        if (target.external) return;
+        if (!files.has(target.path)) {
+            report.error(code, `${description} points to missing file ${href}`, fromPath);
+            return;
+        }
+        if (target.fragment && contentDocuments.has(target.path)) {
+            const document = contentDocuments.get(target.path);
+            if (!document.getElementById(target.fragment)) {
+                report.warning(`${code}_FRAGMENT`, `${description} points to missing fragment #${target.fragment} in ${target.path}`, fromPath);
+            }
+        }
+    };
+
+    // ---------------------------------------------------------------
+    // Navigation: NCX and EPUB 3 nav document
+    // ---------------------------------------------------------------
+    if (ncxItem && ncxItem.path && files.has(ncxItem.path)) {
+        const ncx = parseXml(window, await readText(ncxItem.path), 'application/xml', ncxItem.path, report);
+        if (ncx) {
+            const uid = Array.from(ncx.getElementsByTagNameNS(NCX_NS, 'meta')).find(meta => meta.getAttribute('name') === 'dtb:uid');
+            if (bookId && uid && uid.getAttribute('content') !== bookId.textContent.trim()) {
+                report.warning('NCX_UID_MISMATCH', 'NCX dtb:uid does not match the package unique identifier', ncxItem.path);
+            }
+            const navPoints = Array.from(ncx.getElementsByTagNameNS(NCX_NS, 'navPoint'));
+            if (navPoints.length === 0) {
+                report.error('NCX_EMPTY', 'The NCX navMap has no navPoints', ncxItem.path);
+            }
+            for (const navPoint of navPoints) {
+                const content = navPoint.getElementsByTagNameNS(NCX_NS, 'content')[0];
+                if (!content || !content.getAttribute('src')) {
+                    report.error('NCX_NO_TARGET', `navPoint "${navPoint.getAttribute('id')}" has no content src`, ncxItem.path);
+                    continue;
+                }
+                checkTarget(ncxItem.path, content.getAttribute('src'), 'NCX_TARGET', `navPoint "${navPoint.getAttribute('id')}"`);
+            }
+        }
+    }
+
+    const navItems = [...manifestItems.values()].filter(item => item.properties.includes('nav'));
+    if (isEpub3 && navItems.length !== 1) {
+        report.error('NAV_MISSING', navItems.length === 0
+            ? 'EPUB 3 packages require a manifest item with properties="nav"'
+            : 'Only one manifest item may have properties="nav"', opfPath);
+    }
+    for (const navItem of navItems) {
+        const navDocument = contentDocuments.get(navItem.path);
+        if (!navDocument) continue;
+        const tocNav = Array.from(navDocument.getElementsByTagNameNS(XHTML_NS, 'nav'))
+            .find(nav => (nav.getAttributeNS(EPUB_NS, 'type') || '').split(/\s+/).includes('toc'));
+        if (!tocNav) {
+            report.error('NAV_NO_TOC', 'The navigation document has no <nav epub:type="toc">', navItem.path);
+            continue;
+        }
+        for (const link of navDocument.getElementsByTagNameNS(XHTML_NS, 'a')) {
+            if (link.hasAttribute('href')) {
+                checkTarget(navItem.path, link.getAttribute('href'), 'NAV_TARGET', `Navigation link "${link.textContent.trim()}"`);
+            }
+        }
+    }
+
+    // ---------------------------------------------------------------
+    // Content documents: IDs, links and media
+    // ---------------------------------------------------------------
+    for (const [docPath, document] of contentDocuments) {
+        const seenIds = new Set();
+        for (const element of document.querySelectorAll('[id]')) {
+            const id = element.getAttribute('id');
+            if (seenIds.has(id)) {
+                report.error('DUPLICATE_ID', `Duplicate id "${id}"`, docPath);
+            }
+            seenIds.add(id);
+        }
+
+        // XHTML 1.1 has no lang attribute, only xml:lang
+        if (!isEpub3 && Array.from(document.getElementsByTagName('*')).some(element => element.hasAttributeNS(null, 'lang'))) {
+            report.error('XHTML11_LANG', 'The lang attribute is not allowed in XHTML 1.1 content documents (use xml:lang)', docPath);
+        }
+
+        for (const element of document.querySelectorAll('img[src], image, source[src], audio[src], video[src]')) {
+            const src = element.getAttribute('src') || element.getAttribute('href') || element.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+            if (!src) continue;
+            const target = resolveReference(docPath, src);
+            if (target.external) {
+                if (isEpub3 && /^https?:/i.test(src)) {
+                    const item = manifestPaths.get(docPath);
+                    if (!item || !item.properties.includes('remote-resources')) {
+                        report.error('REMOTE_RESOURCE', `Remote resource ${src} used without the remote-resources property`, docPath);
+                        continue;
+                    }
+                }
+                report.warning('REMOTE_RESOURCE', `Remote resource ${src} will not be available offline`, docPath);
+                continue;
+            }
+            if (!files.has(target.path)) {
+                report.error('MEDIA_MISSING', `Referenced media ${src} does not exist`, docPath);
+            } else if (!manifestPaths.has(target.path)) {
+                report.error('MEDIA_NOT_IN_MANIFEST', `Referenced media ${src} is not declared in the manifest`, docPath);
+            }
+        }
+
+        for (const link of document.querySelectorAll('a[href], link[href]')) {
+            const href = link.getAttribute('href');
+            const target = resolveReference(docPath, href);
+            if (target.external) continue;
+            if (!files.has(target.path)) {
+                report.error('LINK_TARGET_MISSING', `Link to ${href} points to a missing file`, docPath);
+            }
+        }
+
+        if (isEpub3) {
+            const item = manifestPaths.get(docPath);
+            const hasSvg = document.getElementsByTagNameNS('http://www.w3.org/2000/svg', 'svg').length > 0;
+            if (item && hasSvg && !item.properties.includes('svg')) {
+                report.error('PROPERTY_SVG', 'Document contains inline SVG but its manifest item lacks properties="svg"', docPath);
+            }
+        }
+    }
+
+    return result();
+}
+
+module.exports = {
+    validateEpub
+};
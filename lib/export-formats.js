@@ -0,0 +1,77 @@
+/**
+ * LinkPub export formats
+ *
+ * Registry of the formats articles, collections and library books can be
+ * downloaded in. Every builder takes the same (articles, options) arguments
+ * as buildEpub() and resolves to { buffer, report }.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const { buildEpub } = require('./epub-builder');
+const { buildPdf } = require('./pdf-builder');
+const { buildAzw3, buildMobi } = require('./mobi-builder');
+const { buildFb2 } = require('./fb2-builder');
+const { buildMarkdown, buildHtml, buildText } = require('./document-exporters');
+const { readEpub } = require('./epub-reader');
+
+const DEFAULT_EXPORT_FORMAT = 'epub';
+
+const EXPORT_FORMATS = {
+    epub: { label: 'EPUB', extension: 'epub', contentType: 'application/epub+zip', build: buildEpub },
+    pdf: { label: 'PDF', extension: 'pdf', contentType: 'application/pdf', build: buildPdf },
+    azw3: { label: 'AZW3', extension: 'azw3', contentType: 'application/vnd.amazon.ebook', build: buildAzw3 },
+    mobi: { label: 'MOBI', extension: 'mobi', contentType: 'application/x-mobipocket-ebook', build: buildMobi },
+    fb2: { label: 'FB2', extension: 'fb2', contentType: 'application/x-fictionbook+xml', build: buildFb2 },
+    md: { label: 'Markdown', extension: 'zip', contentType: 'application/zip', build: buildMarkdown },
+    html: { label: 'HTML', extension: 'html', contentType: 'text/html; charset=utf-8', build: buildHtml },
+    txt: { label: 'Text', extension: 'txt', contentType: 'text/plain; charset=utf-8', build: buildText }
+};
+
+/**
+ * Look up an export format by name
+ * @param {string} [name] - Format name (case-insensitive), EPUB when omitted
+ * @returns {Object|null} { name, label, extension, contentType, build }, or null for unknown formats
+ */
+function getExportFormat(name) {
+    const key = name === undefined || name === null || name === '' ? DEFAULT_EXPORT_FORMAT : String(name).toLowerCase();
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, key) ? { name: key, ...EXPORT_FORMATS[key] } : null;
+}
+
+/**
+ * Convert a stored EPUB to another export format
+ * @param {Buffer} epub - EPUB file data
+ * @param {Object} format - Format returned by getExportFormat()
+ * @param {Object} [options] - Book options that override the stored ones (e.g. tags)
+ * @returns {Promise<Object>} { buffer, report }
+ * @throws {Error} If the EPUB cannot be read or converted
+ */
+async function convertEpub(epub, format, options = {}) {
+    const { metadata, articles, cover } = await readEpub(epub);
+    return format.build(articles, {
+        title: metadata.title,
+        author: metadata.author,
+        description: metadata.description,
+        language: metadata.language,
+        date: metadata.date,
+        subjects: metadata.subjects,
+        cover: cover ? { image: cover } : false,
+        ...options
+    });
+}
+
+/**
+ * Names of all supported export formats
+ * @returns {Array<string>} Format names
+ */
+function listExportFormats() {
+    return Object.keys(EXPORT_FORMATS);
+}
+
+module.exports = {
+    getExportFormat,
+    convertEpub,
+    listExportFormats,
+    DEFAULT_EXPORT_FORMAT
+};
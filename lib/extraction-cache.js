@@ -0,0 +1,172 @@
+/**
+ * LinkPub extraction cache
+ *
+ * Keeps the fetched HTML and the extracted article for each URL on disk, so
+ * re-adding a URL, re-running a Karakeep batch or retrying an API call does
+ * not download and parse every page again. Entries past their TTL are
+ * revalidated with If-None-Match / If-Modified-Since when the site sent an
+ * ETag or Last-Modified header.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Seconds an entry is used without revalidation; 0 disables the cache
+const EXTRACTION_CACHE_TTL = process.env.EXTRACTION_CACHE_TTL !== undefined
+    ? Math.max(0, parseInt(process.env.EXTRACTION_CACHE_TTL, 10) || 0)
+    : 86400;
+
+// Query parameters that only track the visit and never change the page
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref_src|igshid)$/i;
+
+/**
+ * Normalize a URL for use as a cache key (lowercase host, no fragment,
+ * no default port, no tracking parameters, sorted query)
+ * @param {string} url - Article URL
+ * @returns {string} Normalized URL
+ */
+function normalizeCacheUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+
+    const params = Array.from(parsed.searchParams.entries())
+        .filter(([name]) => !TRACKING_PARAMS.test(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    return parsed.href;
+}
+
+/**
+ * Cache key (file name without extension) for a URL
+ * @param {string} url - Article URL
+ * @returns {string} Hex SHA-256 of the normalized URL
+ */
+function cacheKey(url) {
+    return crypto.createHash('sha256').update(normalizeCacheUrl(url)).digest('hex');
+}
+
+/**
+ * Read the cache entry for a URL
+ * @param {string} directory - Cache directory
+ * @param {string} url - Article URL
+ * @returns {Promise<Object|null>} { url, fetchUrl, fetchedAt, etag, lastModified, rule, html, article } or null
+ */
+async function readCacheEntry(directory, url) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(directory, `${cacheKey(url)}.json`), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Store the cache entry for a URL (also used to restart the TTL after a 304 Not Modified)
+ * @param {string} directory - Cache directory
+ * @param {string} url - Article URL
+ * @param {Object} entry - { fetchUrl, etag, lastModified, rule, html, article }
+ * @returns {Promise<void>}
+ */
+async function writeCacheEntry(directory, url, entry) {
+    const file = path.join(directory, `${cacheKey(url)}.json`);
+    const data = JSON.stringify({ ...entry, url: normalizeCacheUrl(url), fetchedAt: new Date().toISOString() });
+
+    // Write to a temporary file first so readers never see a partial entry
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, data);
+    await fs.rename(tempFile, file);
+}
+
+/**
+ * Check whether an entry can be used without asking the site
+ * @param {Object} entry - Cache entry
+ * @param {number} [ttl] - TTL in seconds
+ * @returns {boolean} True if the entry is younger than the TTL
+ */
+function isCacheEntryFresh(entry, ttl = EXTRACTION_CACHE_TTL) {
+    return Date.now() - new Date(entry.fetchedAt).getTime() < ttl * 1000;
+}
+
+/**
+ * List cache entries for the admin UI
+ * @param {string} directory - Cache directory
+ * @returns {Promise<Array<Object>>} { key, url, title, fetchedAt, fresh, etag, lastModified, size }, newest first
+ */
+async function listCacheEntries(directory) {
+    let files;
+    try {
+        files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+    } catch {
+        return [];
+    }
+
+    const entries = [];
+    for (const file of files) {
+        try {
+            const filePath = path.join(directory, file);
+            const [content, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+            const entry = JSON.parse(content);
+            entries.push({
+                key: path.basename(file, '.json'),
+                url: entry.url,
+                title: entry.article?.title || '',
+                fetchedAt: entry.fetchedAt,
+                fresh: isCacheEntryFresh(entry),
+                etag: entry.etag || null,
+                lastModified: entry.lastModified || null,
+                size: stats.size
+            });
+        } catch {
+            // Skip entries being written or corrupted
+        }
+    }
+    return entries.sort((a, b) => new Date(b.fetchedAt) - new Date(a.fetchedAt));
+}
+
+/**
+ * Remove cache entries
+ * @param {string} directory - Cache directory
+ * @param {Object} [filter] - { key } or { url } for one entry; nothing for all entries
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function purgeCacheEntries(directory, filter = {}) {
+    let files;
+    if (filter.key || filter.url) {
+        const key = filter.key || cacheKey(filter.url);
+        if (!/^[a-f0-9]{64}$/.test(key)) return 0;
+        files = [`${key}.json`];
+    } else {
+        try {
+            files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+        } catch {
+            return 0;
+        }
+    }
+
+    let removed = 0;
+    for (const file of files) {
+        try {
+            await fs.unlink(path.join(directory, file));
+            removed++;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    normalizeCacheUrl,
+    cacheKey,
+    readCacheEntry,
+    writeCacheEntry,
+    isCacheEntryFresh,
+    listCacheEntries,
+    purgeCacheEntries,
+    EXTRACTION_CACHE_TTL
+};
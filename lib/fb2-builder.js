@@ -0,0 +1,399 @@
+/**
+ * LinkPub FictionBook builder
+ *
+ * Writes FB2 books from the same article list as the EPUB builder. FB2 is a
+ * single XML file: the book details go in <title-info>, every article becomes
+ * a <section>, and images are stored base64-encoded in <binary> elements.
+ * FB2 has no HTML markup, so the article HTML is mapped onto its model of
+ * paragraphs, subtitles, citations and tables with strong/emphasis/link text.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const { JSDOM } = require('jsdom');
+const { Resvg } = require('@resvg/resvg-js');
+const { embedImages } = require('./epub-images');
+const { sanitizeXhtml, mergeReports } = require('./xhtml-sanitizer');
+const {
+    normalizeArticles,
+    resolveBookMetadata,
+    resolveCoverImage,
+    escapeXml
+} = require('./epub-builder');
+
+// Image types FB2 readers display; SVG images are converted to PNG
+const FB2_MEDIA_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif']);
+
+// Genre from the FB2 genre list for articles and essays
+const FB2_GENRE = 'nonf_publicism';
+
+const INLINE_STYLES = {
+    strong: 'strong', b: 'strong',
+    em: 'emphasis', i: 'emphasis', cite: 'emphasis', dfn: 'emphasis', var: 'emphasis',
+    s: 'strikethrough', strike: 'strikethrough', del: 'strikethrough',
+    sub: 'sub', sup: 'sup',
+    code: 'code', kbd: 'code', samp: 'code', tt: 'code'
+};
+
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'aside', 'header', 'footer', 'main', 'nav', 'figure', 'figcaption',
+    'address', 'details', 'summary', 'dl', 'dt', 'dd', 'caption', 'li'
+]);
+
+// Blocks a <cite> may contain; images are kept between citations
+const CITE_BLOCKS = new Set(['p', 'subtitle', 'table', 'empty-line']);
+
+/**
+ * Convert an image to a type FB2 readers display
+ * @param {Object} image - Image ({ data, mediaType })
+ * @returns {Object} { data, mediaType }
+ * @throws {Error} If the image type cannot be shown
+ */
+function toFb2Image(image) {
+    if (FB2_MEDIA_TYPES.has(image.mediaType)) {
+        return image;
+    }
+    if (image.mediaType === 'image/svg+xml') {
+        return { data: new Resvg(image.data, { fitTo: { mode: 'width', value: 1200 } }).render().asPng(), mediaType: 'image/png' };
+    }
+    throw new Error(`${image.mediaType} images are not supported in FB2`);
+}
+
+/**
+ * Render an <author> element, splitting the name into first, middle and last names
+ * @param {string} name - Author name
+ * @returns {string} Author markup
+ */
+function renderAuthor(name) {
+    const parts = String(name).trim().split(/\s+/).filter(Boolean);
+    if (parts.length < 2) {
+        return `<author><nickname>${escapeXml(parts[0] || 'LinkPub')}</nickname></author>`;
+    }
+    const middle = parts.slice(1, -1).join(' ');
+    return `<author><first-name>${escapeXml(parts[0])}</first-name>${middle ? `<middle-name>${escapeXml(middle)}</middle-name>` : ''}<last-name>${escapeXml(parts[parts.length - 1])}</last-name></author>`;
+}
+
+/**
+ * Render a <date> element, with a machine-readable value for full dates
+ * @param {string} date - Date (YYYY-MM-DD or free text)
+ * @returns {string} Date markup
+ */
+function renderDate(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date)
+        ? `<date value="${date}">${date}</date>`
+        : `<date>${escapeXml(date)}</date>`;
+}
+
+/**
+ * Render a converted block
+ * @param {Object} block - Block ({ kind, id, content, alt, rows, blocks })
+ * @returns {string} FB2 markup
+ */
+function renderBlock(block) {
+    const id = block.id ? ` id="${escapeXml(block.id)}"` : '';
+    switch (block.kind) {
+        case 'image':
+            return `<image l:href="#${escapeXml(block.binary)}"${block.alt ? ` alt="${escapeXml(block.alt)}"` : ''}${id}/>`;
+        case 'empty-line':
+            return '<empty-line/>';
+        case 'cite':
+            return `<cite${id}>${block.blocks.map(renderBlock).join('')}</cite>`;
+        case 'table':
+            return `<table${id}>${block.rows.map(row => `<tr>${row.map(cell =>
+                `<${cell.header ? 'th' : 'td'}${cell.colspan > 1 ? ` colspan="${cell.colspan}"` : ''}${cell.rowspan > 1 ? ` rowspan="${cell.rowspan}"` : ''}>${cell.content}</${cell.header ? 'th' : 'td'}>`
+            ).join('')}</tr>`).join('')}</table>`;
+        default:
+            return `<${block.kind}${id}>${block.content}</${block.kind}>`;
+    }
+}
+
+/**
+ * Convert article HTML to FB2 blocks
+ *
+ * Text is collected into paragraphs with the inline styles that are open at
+ * that point; block elements, line breaks and images end the paragraph.
+ * Element ids are moved to the next block so in-article links keep working.
+ * @param {Element} parent - Element whose children are converted
+ * @param {Object} context - Conversion state ({ prefix, binaries, anchors }); anchors maps
+ *   source ids to the id of the block that took their place
+ * @returns {Array<Object>} Blocks ({ kind, id, content, ... })
+ */
+function convertBlocks(parent, context) {
+    const blocks = [];
+    const styles = [];
+    let inline = '';
+    let pendingId = null;
+    let listPrefix = '';
+    let listDepth = 0;
+    let inLink = false;
+
+    const takeId = () => {
+        const id = pendingId;
+        pendingId = null;
+        return id;
+    };
+    const push = (block) => blocks.push({ id: block.kind === 'empty-line' ? null : takeId(), ...block });
+    const opening = () => styles.map(style => style.open).join('');
+    const closing = () => styles.slice().reverse().map(style => style.close).join('');
+
+    // Close the current paragraph, reopening the active inline styles for the next one
+    const flush = (kind = 'p') => {
+        const content = `${inline}${closing()}`.replace(/^((?:<[^>]+>)*)\s+/, '$1').replace(/\s+((?:<\/[^>]+>)*)$/, '$1');
+        if (content.replace(/<[^>]+>/g, '').trim()) {
+            push({ kind, content: `${kind === 'p' ? escapeXml(listPrefix) : ''}${content}` });
+            listPrefix = '';
+        }
+        inline = opening();
+    };
+    const addText = (text) => {
+        const collapsed = text.replace(/\s+/g, ' ');
+        const visible = inline.replace(/<[^>]+>/g, '');
+        inline += escapeXml(visible === '' || visible.endsWith(' ') ? collapsed.replace(/^ /, '') : collapsed);
+    };
+    const withStyle = (open, close, node) => {
+        inline += open;
+        styles.push({ open, close });
+        node.childNodes.forEach(visit);
+        styles.pop();
+        inline += close;
+    };
+
+    const visit = (node) => {
+        if (node.nodeType === node.TEXT_NODE) {
+            addText(node.textContent);
+            return;
+        }
+        if (node.nodeType !== node.ELEMENT_NODE) return;
+
+        const name = node.localName;
+        // Block elements end the current paragraph before their id is taken over
+        const isBlock = BLOCK_ELEMENTS.has(name) || /^h[1-6]$/.test(name) ||
+            ['hr', 'pre', 'ul', 'ol', 'blockquote', 'table'].includes(name);
+        if (isBlock) flush();
+
+        const sourceId = node.getAttribute('id');
+        if (sourceId && !pendingId) pendingId = `${context.prefix}-${sourceId}`;
+        if (sourceId) context.anchors.set(sourceId, pendingId);
+
+        if (INLINE_STYLES[name]) {
+            withStyle(`<${INLINE_STYLES[name]}>`, `</${INLINE_STYLES[name]}>`, node);
+        } else if (name === 'a' && !inLink && node.getAttribute('href')) {
+            const href = node.getAttribute('href');
+            const target = href.startsWith('#')
+                ? `#${context.prefix}-${href.slice(1)}`
+                : /^(https?|mailto|ftp):/i.test(href) ? href : null;
+            if (target) {
+                inLink = true;
+                withStyle(`<a l:href="${escapeXml(target)}">`, '</a>', node);
+                inLink = false;
+            } else {
+                node.childNodes.forEach(visit);
+            }
+        } else if (name === 'br') {
+            flush();
+        } else if (name === 'img') {
+            const binary = context.binaries.get(node.getAttribute('src'));
+            const alt = (node.getAttribute('alt') || '').trim();
+            if (binary) {
+                flush();
+                push({ kind: 'image', binary, alt });
+            } else if (alt) {
+                addText(`[${alt}]`);
+            }
+        } else if (/^h[1-6]$/.test(name)) {
+            node.childNodes.forEach(visit);
+            flush('subtitle');
+        } else if (name === 'hr') {
+            push({ kind: 'subtitle', content: '* * *' });
+        } else if (name === 'pre') {
+            const lines = node.textContent.replace(/^\n+|\s+$/g, '').split('\n');
+            lines.forEach(line => {
+                // Paragraph text is collapsed by readers, so indentation uses no-break spaces
+                const text = line.replace(/\t/g, '    ').replace(/^ +/, spaces => '\u00a0'.repeat(spaces.length));
+                push(text.trim() ? { kind: 'p', content: `<code>${escapeXml(text)}</code>` } : { kind: 'empty-line' });
+            });
+        } else if (name === 'ul' || name === 'ol') {
+            listDepth++;
+            let number = parseInt(node.getAttribute('start'), 10) || 1;
+            Array.from(node.children).forEach(item => {
+                const marker = name === 'ol' ? `${number++}. ` : '• ';
+                listPrefix = `${'\u00a0'.repeat(4 * (listDepth - 1))}${marker}`;
+                visit(item);
+                flush();
+            });
+            listPrefix = '';
+            listDepth--;
+        } else if (name === 'blockquote') {
+            const quoted = convertBlocks(node, context);
+            if (pendingId && quoted.length > 0 && !quoted[0].id) quoted[0].id = takeId();
+            // Images cannot appear inside a citation, so they split it
+            let run = [];
+            const endRun = () => {
+                if (run.length > 0) blocks.push({ kind: 'cite', blocks: run });
+                run = [];
+            };
+            quoted.flatMap(block => (block.kind === 'cite' ? block.blocks : [block])).forEach(block => {
+                if (CITE_BLOCKS.has(block.kind)) {
+                    run.push(block);
+                } else {
+                    endRun();
+                    blocks.push(block);
+                }
+            });
+            endRun();
+        } else if (name === 'table') {
+            const rows = Array.from(node.rows).map(row => Array.from(row.cells).map(cell => ({
+                header: cell.localName === 'th',
+                colspan: cell.colSpan,
+                rowspan: cell.rowSpan,
+                content: convertBlocks(cell, context)
+                    .map(block => (block.kind === 'image' ? `<image l:href="#${escapeXml(block.binary)}"/>` : block.content || ''))
+                    .filter(Boolean).join(' ')
+            }))).filter(row => row.length > 0);
+            if (rows.length > 0) push({ kind: 'table', rows });
+        } else if (BLOCK_ELEMENTS.has(name)) {
+            node.childNodes.forEach(visit);
+            flush();
+        } else {
+            node.childNodes.forEach(visit);
+        }
+    };
+
+    inline = opening();
+    parent.childNodes.forEach(visit);
+    flush();
+    return blocks;
+}
+
+/**
+ * Render the <section> of one article: title, source details and content
+ * @param {Object} article - Article data
+ * @param {number} index - Zero-based chapter index
+ * @param {boolean} showNumber - Whether to show the chapter number
+ * @param {Object} context - Conversion state ({ binaries })
+ * @returns {string} Section markup
+ */
+function renderSection(article, index, showNumber, context) {
+    const prefix = `chapter-${index + 1}`;
+    const { document } = new JSDOM(`<!DOCTYPE html><body>${article.content}</body>`).window;
+    const anchors = new Map();
+    const blocks = convertBlocks(document.body, { ...context, prefix, anchors });
+
+    // Links to ids that were dropped with their element point at the block that took their place
+    const content = blocks.map(renderBlock).join('\n').replace(/ l:href="#([^"]+)"/g, (match, target) => {
+        const sourceId = target.startsWith(`${prefix}-`) ? target.slice(prefix.length + 1) : null;
+        const resolved = sourceId !== null && anchors.has(sourceId) ? anchors.get(sourceId) : target;
+        return ` l:href="#${escapeXml(resolved)}"`;
+    });
+
+    const url = article.canonicalUrl || article.url;
+    const details = [
+        article.author ? `<p>By ${escapeXml(article.author)}</p>` : '',
+        article.publishedTime ? `<p>Published: ${escapeXml(article.publishedTime.split('T')[0])}</p>` : '',
+        article.siteName ? `<p>Source: ${escapeXml(article.siteName)}</p>` : '',
+        url ? `<p>URL: <a l:href="${escapeXml(url)}">${escapeXml(url)}</a></p>` : '',
+        article.wordCount ? `<p>Word count: ${article.wordCount} words</p>` : ''
+    ].filter(Boolean).join('');
+
+    return `<section id="${prefix}">
+<title>${showNumber ? `<p>Chapter ${index + 1}</p>` : ''}<p>${escapeXml(article.title)}</p></title>
+${details ? `<annotation>${details}</annotation>\n` : ''}${content || '<empty-line/>'}
+</section>`;
+}
+
+/**
+ * Build an FB2 book
+ * @param {Array<Object>} articles - Articles ({ title, content, url, siteName, wordCount, author, ... })
+ * @param {Object} [options] - Book options: title, author, description, language, date, subjects, tags,
+ *   identifier, cover, chapterNumbers and embedImages, with the same meaning as for buildEpub()
+ * @returns {Promise<Object>} { buffer, report } - FB2 data and a summary of the embedded/skipped images,
+ *   sanitizer changes and cover
+ */
+async function buildFb2(articles, options = {}) {
+    if (!Array.isArray(articles) || articles.length === 0) {
+        throw new Error('At least one article is required to build an FB2 book');
+    }
+
+    let chapterArticles = normalizeArticles(articles);
+    const book = resolveBookMetadata(chapterArticles, { ...options, epubVersion: 3 });
+    const showChapterNumbers = options.chapterNumbers ?? chapterArticles.length > 1;
+    const report = { images: { embedded: 0, skipped: [] }, sanitizer: null, cover: null };
+
+    let images = [];
+    if (options.embedImages !== false) {
+        const embedded = await embedImages(chapterArticles);
+        chapterArticles = embedded.articles;
+        images = embedded.images;
+        report.images = { embedded: images.length, skipped: embedded.skipped };
+    }
+
+    const sanitized = chapterArticles.map(article => sanitizeXhtml(article.content, { epubVersion: book.version }));
+    chapterArticles = chapterArticles.map((article, index) => ({ ...article, content: sanitized[index].xhtml }));
+    report.sanitizer = mergeReports(sanitized.map(result => result.report));
+
+    // Binaries are named after the embedded image files; images FB2 cannot show fall back to their alt text
+    const binaries = [];
+    const binaryIds = new Map();
+    for (const image of images) {
+        try {
+            const converted = toFb2Image(image);
+            const name = image.href.split('/').pop();
+            const id = converted === image ? name : name.replace(/\.[^.]+$/, '.png');
+            binaries.push({ id, ...converted });
+            binaryIds.set(image.href, id);
+        } catch (error) {
+            report.images.embedded--;
+            report.images.skipped.push({ url: image.href, reason: error.message });
+        }
+    }
+
+    let coverpage = '';
+    if (options.cover) {
+        const { image, source, error } = await resolveCoverImage(book, chapterArticles, options.cover);
+        report.cover = { source, error };
+        try {
+            const converted = toFb2Image(image);
+            const id = `cover.${converted.mediaType.split('/')[1].replace('jpeg', 'jpg')}`;
+            binaries.push({ id, ...converted });
+            coverpage = `<coverpage><image l:href="#${id}"/></coverpage>`;
+        } catch (conversionError) {
+            report.cover.error = conversionError.message;
+        }
+    }
+
+    const context = { binaries: binaryIds };
+    const sections = chapterArticles.map((article, index) => renderSection(article, index, showChapterNumbers, context));
+    const source = book.metadata.source;
+
+    const fb2 = `<?xml version="1.0" encoding="UTF-8"?>
+<FictionBook xmlns="http://www.gribuser.ru/xml/fictionbook/2.0" xmlns:l="http://www.w3.org/1999/xlink">
+<description>
+<title-info>
+<genre>${FB2_GENRE}</genre>
+${renderAuthor(book.author)}
+<book-title>${escapeXml(book.title)}</book-title>
+${book.description ? `<annotation><p>${escapeXml(book.description)}</p></annotation>\n` : ''}${book.subjects.length > 0 ? `<keywords>${escapeXml(book.subjects.join(', '))}</keywords>\n` : ''}${renderDate(book.date)}
+${coverpage ? `${coverpage}\n` : ''}<lang>${escapeXml(book.language)}</lang>
+</title-info>
+<document-info>
+<author><nickname>LinkPub</nickname></author>
+<program-used>LinkPub</program-used>
+${renderDate(book.modified.split('T')[0])}
+${source ? `<src-url>${escapeXml(source)}</src-url>\n` : ''}<id>${escapeXml(book.identifier)}</id>
+<version>1.0</version>
+</document-info>
+</description>
+<body>
+${chapterArticles.length > 1 ? `<title><p>${escapeXml(book.title)}</p><p>${escapeXml(book.author)}</p></title>\n` : ''}${sections.join('\n')}
+</body>
+${binaries.map(binary => `<binary id="${escapeXml(binary.id)}" content-type="${binary.mediaType}">${binary.data.toString('base64')}</binary>`).join('\n')}
+</FictionBook>
+`;
+
+    return { buffer: Buffer.from(fb2, 'utf8'), report };
+}
+
+module.exports = {
+    buildFb2
+};
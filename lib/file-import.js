@@ -0,0 +1,266 @@
+/**
+ * LinkPub file import
+ *
+ * Turns uploaded files into HTML for the extraction pipeline: saved web pages
+ * (.html, and .mhtml archives with their images inlined as data URIs),
+ * Markdown notes (with optional front matter) and plain text.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const { JSDOM } = require('jsdom');
+const { marked } = require('marked');
+const { decodeHtml } = require('./charset');
+
+// Largest uploaded file accepted, configurable through the environment
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 20 * 1024 * 1024;
+
+// File kinds by extension
+const UPLOAD_TYPES = {
+    html: 'html', htm: 'html', xhtml: 'html',
+    mhtml: 'mhtml', mht: 'mhtml',
+    md: 'markdown', markdown: 'markdown',
+    txt: 'text', text: 'text'
+};
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Title derived from a file name ("my-notes_2024.md" -> "my notes 2024")
+ * @param {string} fileName - Uploaded file name
+ * @returns {string} Title
+ */
+function titleFromFileName(fileName) {
+    return fileName.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim() || 'Untitled';
+}
+
+/**
+ * Decode an uploaded file payload
+ * @param {Object} file - { data } as a data URL or base64 string, or { text } as plain text
+ * @returns {Buffer} File contents
+ * @throws {Error} If the payload is missing or too large
+ */
+function decodeUploadPayload(file) {
+    let buffer;
+    if (typeof file.text === 'string') {
+        buffer = Buffer.from(file.text, 'utf8');
+    } else if (typeof file.data === 'string') {
+        const base64 = file.data.startsWith('data:') ? file.data.slice(file.data.indexOf(',') + 1) : file.data;
+        buffer = Buffer.from(base64, 'base64');
+    } else {
+        throw new Error('File content is required (data as base64 or text)');
+    }
+
+    if (buffer.length === 0) {
+        throw new Error('File is empty');
+    }
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+        throw new Error(`File exceeds ${MAX_UPLOAD_BYTES} bytes`);
+    }
+    return buffer;
+}
+
+/**
+ * Parse MIME headers (with folded continuation lines)
+ * @param {string} block - Header block
+ * @returns {Object} Lowercased header names to values
+ */
+function parseMimeHeaders(block) {
+    const headers = {};
+    for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    }
+    return headers;
+}
+
+/**
+ * Decode a MIME part body according to its transfer encoding
+ * @param {string} body - Body as a binary (latin1) string
+ * @param {string} encoding - Content-Transfer-Encoding
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeTransferEncoding(body, encoding) {
+    switch ((encoding || '').toLowerCase()) {
+        case 'base64':
+            return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+        case 'quoted-printable':
+            return Buffer.from(
+                body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+                'latin1'
+            );
+        default:
+            return Buffer.from(body, 'latin1');
+    }
+}
+
+/**
+ * Extract the page and its resources from an MHTML archive
+ * @param {Buffer} buffer - MHTML file
+ * @returns {{html: string, url: string}} Page with images inlined as data URIs, and its original URL
+ * @throws {Error} If the archive has no HTML part
+ */
+function parseMhtml(buffer) {
+    const text = buffer.toString('latin1');
+    const headerEnd = text.search(/\r?\n\r?\n/);
+    const headers = parseMimeHeaders(text.slice(0, headerEnd));
+    const boundary = (headers['content-type'] || '').match(/boundary="?([^";]+)"?/i)?.[1];
+    if (!boundary) {
+        throw new Error('Not a valid MHTML file (missing multipart boundary)');
+    }
+
+    const parts = text.split(`--${boundary}`).slice(1)
+        .filter(part => !part.startsWith('--'))
+        .map(part => {
+            const partHeaderEnd = part.search(/\r?\n\r?\n/);
+            if (partHeaderEnd < 0) return null;
+            const partHeaders = parseMimeHeaders(part.slice(0, partHeaderEnd));
+            const body = part.slice(partHeaderEnd).replace(/^\r?\n\r?\n/, '').replace(/\r?\n$/, '');
+            return { headers: partHeaders, data: decodeTransferEncoding(body, partHeaders['content-transfer-encoding']) };
+        })
+        .filter(Boolean);
+
+    const page = parts.find(part => /^text\/html/i.test(part.headers['content-type'] || ''));
+    if (!page) {
+        throw new Error('MHTML file does not contain an HTML page');
+    }
+
+    const url = headers['snapshot-content-location'] || page.headers['content-location'] || '';
+    const { html } = decodeHtml(page.data, page.headers['content-type']);
+
+    // Map resource locations (URLs and cid: references) to data URIs
+    const resources = new Map();
+    for (const part of parts) {
+        const type = (part.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!type.startsWith('image/')) continue;
+        const dataUri = `data:${type};base64,${part.data.toString('base64')}`;
+        if (part.headers['content-location']) resources.set(part.headers['content-location'], dataUri);
+        if (part.headers['content-id']) resources.set(`cid:${part.headers['content-id'].replace(/^<|>$/g, '')}`, dataUri);
+    }
+
+    if (resources.size === 0) {
+        return { html, url };
+    }
+
+    const dom = new JSDOM(html, url ? { url } : {});
+    for (const img of dom.window.document.querySelectorAll('img[src]')) {
+        const src = img.getAttribute('src');
+        const resolved = resources.get(src) || (img.src && resources.get(img.src));
+        if (resolved) {
+            img.setAttribute('src', resolved);
+            img.removeAttribute('srcset');
+        }
+    }
+    return { html: dom.serialize(), url };
+}
+
+/**
+ * Wrap converted content in a page whose head carries the metadata, so uploads
+ * go through the same metadata extraction as fetched pages
+ * @param {string} title - Document title
+ * @param {string} body - Body HTML
+ * @param {Object} [meta] - { author, date, tags, lang or language, url } from front matter
+ * @returns {string} HTML document
+ */
+function wrapDocument(title, body, meta = {}) {
+    const head = [`<title>${escapeHtml(title)}</title>`];
+    if (typeof meta.author === 'string' && meta.author) head.push(`<meta name="author" content="${escapeHtml(meta.author)}">`);
+    if (typeof meta.date === 'string' && meta.date) head.push(`<meta property="article:published_time" content="${escapeHtml(meta.date)}">`);
+    if (meta.tags) head.push(`<meta name="keywords" content="${escapeHtml([].concat(meta.tags).join(','))}">`);
+    if (typeof meta.url === 'string' && meta.url) head.push(`<link rel="canonical" href="${escapeHtml(meta.url)}">`);
+    const language = [meta.lang, meta.language].find(value => typeof value === 'string' && value);
+    const lang = language ? ` lang="${escapeHtml(language)}"` : '';
+    return `<!DOCTYPE html>\n<html${lang}><head>${head.join('')}</head><body>\n${body}\n</body></html>`;
+}
+
+/**
+ * Read simple "key: value" front matter from a Markdown file
+ * @param {string} markdown - Markdown text
+ * @returns {{meta: Object, body: string}} Front matter fields and the remaining Markdown
+ */
+function parseFrontMatter(markdown) {
+    const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) {
+        return { meta: {}, body: markdown };
+    }
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const field = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+        if (!field) continue;
+        let value = field[2].trim().replace(/^["']|["']$/g, '');
+        if (/^\[.*\]$/.test(value)) {
+            value = value.slice(1, -1).split(',').map(item => item.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+        }
+        meta[field[1].toLowerCase()] = value;
+    }
+    return { meta, body: markdown.slice(match[0].length) };
+}
+
+/**
+ * Convert an uploaded file to an HTML page
+ * @param {Object} file - { name, data } (data URL or base64) or { name, text }
+ * @returns {Object} { kind, html, url, title } - kind is 'html' for pages that still need
+ *   Readability, 'markdown' or 'text' for pages whose body is the article as is
+ * @throws {Error} If the file type is unsupported or the file cannot be read
+ */
+function convertUpload(file) {
+    const name = typeof file.name === 'string' && file.name.trim() ? file.name.trim() : '';
+    const extension = (name.match(/\.([^.]+)$/) || [])[1]?.toLowerCase();
+    const kind = UPLOAD_TYPES[extension];
+    if (!kind) {
+        throw new Error('Unsupported file type. Upload .html, .mhtml, .md or .txt files');
+    }
+
+    const buffer = decodeUploadPayload(file);
+
+    if (kind === 'mhtml') {
+        const { html, url } = parseMhtml(buffer);
+        return { kind: 'html', html, url, title: titleFromFileName(name) };
+    }
+
+    if (kind === 'html') {
+        const { html } = decodeHtml(buffer);
+        // Browsers mark saved pages with <!-- saved from url=(0042)https://... -->
+        const savedFrom = html.slice(0, 2048).match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i)?.[1] || '';
+        return { kind: 'html', html, url: /^https?:\/\//i.test(savedFrom) ? savedFrom : '', title: titleFromFileName(name) };
+    }
+
+    const text = decodeHtml(buffer, 'text/plain').html.replace(/^\uFEFF/, '');
+
+    if (kind === 'markdown') {
+        const { meta, body } = parseFrontMatter(text);
+        const heading = body.match(/^#\s+(.+?)\s*#*\s*$/m)?.[1];
+        const title = (typeof meta.title === 'string' && meta.title) || heading || titleFromFileName(name);
+        let html = marked.parse(body, { gfm: true });
+
+        // The chapter page prints the title, so drop a leading heading that repeats it
+        html = html.replace(/^\s*<h1[^>]*>([\s\S]*?)<\/h1>/, (match, content) =>
+            content.replace(/<[^>]+>/g, '').trim() === title ? '' : match);
+        return { kind: 'markdown', html: wrapDocument(title, html, meta), url: '', title };
+    }
+
+    const paragraphs = text.split(/\r?\n\s*\r?\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    const html = paragraphs.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\r?\n/g, '<br/>')}</p>`).join('\n');
+    const title = titleFromFileName(name);
+    return { kind: 'text', html: wrapDocument(title, html), url: '', title };
+}
+
+module.exports = {
+    convertUpload,
+    MAX_UPLOAD_BYTES
+};
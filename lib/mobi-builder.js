@@ -0,0 +1,997 @@
+/**
+ * LinkPub Kindle builder
+ *
+ * Writes Kindle books from the same article list as the EPUB builder, without
+ * Calibre or KindleGen. Both formats are Palm database files: a header record
+ * with the MOBI and EXTH metadata, PalmDOC-compressed text records, image
+ * records and a few trailer records.
+ *
+ * - AZW3 (KF8) stores one XHTML file per chapter, split into skeletons and
+ *   fragments, with index records for the fragments and the NCX navigation.
+ * - MOBI (version 6) stores a single HTML stream for older Kindles; links are
+ *   byte offsets (filepos) and readers navigate through its contents page.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const crypto = require('crypto');
+const { JSDOM } = require('jsdom');
+const { Resvg } = require('@resvg/resvg-js');
+const { embedImages } = require('./epub-images');
+const { sanitizeXhtml, mergeReports } = require('./xhtml-sanitizer');
+const {
+    normalizeArticles,
+    resolveBookMetadata,
+    resolveCoverImage,
+    renderChapterBody,
+    renderTocBody,
+    escapeXml,
+    DEFAULT_STYLESHEET
+} = require('./epub-builder');
+
+const TEXT_RECORD_SIZE = 4096;
+const FRAGMENT_SIZE = 8192;
+const NULL_INDEX = 0xFFFFFFFF;
+const INDEX_HEADER_LENGTH = 192;
+const INDEX_RECORD_LIMIT = 0x10000 - INDEX_HEADER_LENGTH - 1048;
+const CNCX_RECORD_LIMIT = 0x10000 - 1024;
+const BASE32_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUV';
+const KINDLE_MEDIA_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif']);
+
+const FLIS_RECORD = Buffer.from('464c4953000000080041000000000000ffffffff000100030000000300000001ffffffff', 'hex');
+const EOF_RECORD = Buffer.from('e98e0d0a', 'hex');
+
+// Index tag tables: [tag, values per entry, bit mask, end of control byte]
+const END_OF_TAGS = [0, 0, 0, 1];
+const SKELETON_INDEX_TAGS = [[1, 1, 3, 0], [6, 2, 12, 0], END_OF_TAGS];
+const FRAGMENT_INDEX_TAGS = [[2, 1, 1, 0], [3, 1, 2, 0], [4, 1, 4, 0], [6, 2, 8, 0], END_OF_TAGS];
+const GUIDE_INDEX_TAGS = [[1, 1, 1, 0], [6, 2, 2, 0], END_OF_TAGS];
+const NCX_INDEX_TAGS = [
+    [1, 1, 1, 0], [2, 1, 2, 0], [3, 1, 4, 0], [4, 1, 8, 0], [21, 1, 16, 0], [22, 1, 32, 0], [23, 1, 64, 0], [6, 2, 128, 0], END_OF_TAGS,
+    [69, 1, 1, 0], [70, 1, 2, 0], [71, 1, 4, 0], [72, 1, 8, 0], [73, 1, 16, 0], END_OF_TAGS
+];
+
+// Windows language identifiers used for the MOBI locale field
+const MOBI_LANGUAGE_CODES = {
+    ar: 1, bg: 2, ca: 3, zh: 4, cs: 5, da: 6, de: 7, el: 8, en: 9, es: 10, fi: 11, fr: 12, he: 13, hu: 14,
+    is: 15, it: 16, ja: 17, ko: 18, nl: 19, nb: 20, nn: 20, no: 20, pl: 21, pt: 22, ro: 24, ru: 25, hr: 26,
+    sk: 27, sq: 28, sv: 29, th: 30, tr: 31, id: 33, uk: 34, sl: 36, et: 37, lv: 38, lt: 39, fa: 41, vi: 42,
+    hi: 57
+};
+
+// Elements MOBI 6 readers understand, with the tag they are written as (null: keep the content only)
+const MOBI_ELEMENTS = {
+    p: 'p', div: 'div', h1: 'h1', h2: 'h2', h3: 'h3', h4: 'h4', h5: 'h5', h6: 'h6', blockquote: 'blockquote',
+    ul: 'ul', ol: 'ol', li: 'li', dl: 'dl', dt: 'dt', dd: 'dd', pre: 'pre', table: 'table', tr: 'tr', td: 'td',
+    th: 'th', caption: 'caption', b: 'b', strong: 'b', i: 'i', em: 'i', cite: 'i', dfn: 'i', var: 'i', u: 'u',
+    ins: 'u', s: 'strike', strike: 'strike', del: 'strike', sub: 'sub', sup: 'sup', small: 'small', big: 'big',
+    code: 'code', kbd: 'code', samp: 'code', tt: 'tt', br: 'br', hr: 'hr', a: 'a', img: 'img',
+    figure: 'div', figcaption: 'div', section: 'div', article: 'div', aside: 'div', header: 'div',
+    footer: 'div', main: 'div', nav: 'div', address: 'div', center: 'div',
+    thead: null, tbody: null, tfoot: null, span: null, font: null, abbr: null, mark: null, q: null, time: null,
+    picture: null, bdi: null, bdo: null, data: null, label: null
+};
+const MOBI_VOID_ELEMENTS = new Set(['br', 'hr', 'img']);
+
+/**
+ * Write a 32-bit big-endian integer
+ * @param {number} value - Value
+ * @returns {Buffer} 4 bytes
+ */
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value >>> 0);
+    return buffer;
+}
+
+/**
+ * Write a 16-bit big-endian integer
+ * @param {number} value - Value
+ * @returns {Buffer} 2 bytes
+ */
+function uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+}
+
+/**
+ * Pad a block with zeros to a multiple of 4 bytes
+ * @param {Buffer} buffer - Block
+ * @returns {Buffer} Aligned block
+ */
+function alignBlock(buffer) {
+    const extra = buffer.length % 4;
+    return extra ? Buffer.concat([buffer, Buffer.alloc(4 - extra)]) : buffer;
+}
+
+/**
+ * Encode an index value: 7-bit groups, most significant first, high bit set on the last byte
+ * @param {number} value - Non-negative integer
+ * @returns {Buffer} Encoded bytes
+ */
+function encodeInt(value) {
+    const bytes = [value & 0x7F | 0x80];
+    for (let rest = Math.floor(value / 128); rest > 0; rest = Math.floor(rest / 128)) {
+        bytes.unshift(rest & 0x7F);
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Format a number in the base-32 digits used by kindle: URIs
+ * @param {number} value - Non-negative integer
+ * @param {number} width - Minimum number of digits
+ * @returns {string} Zero-padded base-32 number
+ */
+function toBase32(value, width) {
+    let digits = '';
+    do {
+        digits = BASE32_DIGITS[value % 32] + digits;
+        value = Math.floor(value / 32);
+    } while (value > 0);
+    return digits.padStart(width, '0');
+}
+
+/**
+ * Escape text for MOBI 6 HTML, whose parser predates &apos;
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compress one text record with PalmDOC (LZ77 back-references plus space folding)
+ * @param {Buffer} data - Up to 4096 bytes of text
+ * @returns {Buffer} Compressed record
+ */
+function compressPalmDoc(data) {
+    const isLiteral = byte => byte === 0 || (byte >= 0x09 && byte <= 0x7F);
+    const out = [];
+    let i = 0;
+
+    while (i < data.length) {
+        // Back-reference: 3 to 10 bytes already seen in the previous 2047 bytes
+        const window = data.subarray(Math.max(0, i - 2047), i);
+        const maxLength = Math.min(10, data.length - i);
+        if (maxLength >= 3 && window.lastIndexOf(data.subarray(i, i + 3)) >= 0) {
+            let length = maxLength;
+            let match = window.lastIndexOf(data.subarray(i, i + length));
+            while (match < 0) {
+                length--;
+                match = window.lastIndexOf(data.subarray(i, i + length));
+            }
+            const code = 0x8000 | ((window.length - match) << 3) | (length - 3);
+            out.push(code >> 8, code & 0xFF);
+            i += length;
+            continue;
+        }
+
+        const byte = data[i];
+        const next = data[i + 1];
+        if (byte === 0x20 && next >= 0x40 && next <= 0x7F) {
+            out.push(next ^ 0x80);
+            i += 2;
+        } else if (isLiteral(byte)) {
+            out.push(byte);
+            i += 1;
+        } else {
+            // Up to 8 bytes outside the literal range are copied after a count byte
+            let end = i;
+            while (end < data.length && end - i < 8 && !isLiteral(data[end])) end++;
+            out.push(end - i, ...data.subarray(i, end));
+            i = end;
+        }
+    }
+    return Buffer.from(out);
+}
+
+/**
+ * Split text into compressed 4096-byte records. A character cut at the end of
+ * a record is completed after the compressed data (multibyte trailing entry).
+ * @param {Buffer} text - UTF-8 text
+ * @returns {Array<Buffer>} Text records
+ */
+function buildTextRecords(text) {
+    const records = [];
+    for (let start = 0; start < text.length; start += TEXT_RECORD_SIZE) {
+        const end = Math.min(start + TEXT_RECORD_SIZE, text.length);
+        let overlap = 0;
+        while (end + overlap < text.length && (text[end + overlap] & 0xC0) === 0x80) overlap++;
+        records.push(Buffer.concat([
+            compressPalmDoc(text.subarray(start, end)),
+            text.subarray(end, end + overlap),
+            Buffer.from([overlap])
+        ]));
+    }
+    return records;
+}
+
+/**
+ * Build an EXTH metadata block
+ * @param {Array<Array>} entries - [type, value] pairs; numbers are written as 32-bit integers, strings as UTF-8
+ * @returns {Buffer} Padded EXTH block
+ */
+function buildExth(entries) {
+    const records = entries.map(([type, value]) => {
+        const data = typeof value === 'number' ? uint32(value) : Buffer.from(value, 'utf8');
+        return Buffer.concat([uint32(type), uint32(data.length + 8), data]);
+    });
+    const body = Buffer.concat(records);
+    const exth = Buffer.concat([Buffer.from('EXTH'), uint32(body.length + 12), uint32(records.length), body]);
+    return Buffer.concat([exth, Buffer.alloc(4 - (exth.length % 4))]);
+}
+
+/**
+ * Build the EXTH metadata shared by both formats
+ * @param {Object} book - Resolved book metadata
+ * @param {number|null} coverResource - Zero-based resource index of the cover, or null
+ * @returns {Array<Array>} EXTH [type, value] pairs
+ */
+function bookExthEntries(book, coverResource) {
+    const entries = [[100, book.author]];
+    if (book.description) entries.push([103, book.description]);
+    book.subjects.forEach(subject => entries.push([105, subject]));
+    if (book.date) entries.push([106, book.date]);
+    entries.push([501, 'EBOK'], [503, book.title], [524, book.language]);
+    if (coverResource !== null) {
+        entries.push([201, coverResource], [202, coverResource], [203, 0]);
+    }
+    return entries;
+}
+
+/**
+ * Build record 0: PalmDOC header, MOBI header, EXTH block and full title
+ * @param {Object} fields - { kf8, book, textLength, textRecordCount, exth, records } where records
+ *   holds the record numbers written into the MOBI header
+ * @returns {Buffer} Record 0
+ */
+function buildHeaderRecord({ kf8, book, textLength, textRecordCount, exth, records }) {
+    const headerLength = kf8 ? 264 : 232;
+    const header = Buffer.alloc(16 + headerLength);
+    const put = (offset, value) => header.writeUInt32BE(value >>> 0, offset);
+    const title = Buffer.from(book.title, 'utf8');
+    const language = book.language.toLowerCase().split('-')[0];
+
+    header.writeUInt16BE(2, 0); // PalmDOC compression
+    put(4, textLength);
+    header.writeUInt16BE(textRecordCount, 8);
+    header.writeUInt16BE(TEXT_RECORD_SIZE, 10);
+
+    header.write('MOBI', 16, 'ascii');
+    put(20, headerLength);
+    put(24, 2); // Book
+    put(28, 65001); // UTF-8
+    put(32, parseInt(crypto.createHash('sha1').update(book.identifier).digest('hex').slice(0, 8), 16));
+    put(36, kf8 ? 8 : 6);
+    for (let offset = 40; offset < 80; offset += 4) put(offset, NULL_INDEX);
+    put(80, records.firstNonText);
+    put(84, 16 + headerLength + exth.length);
+    put(88, title.length);
+    put(92, MOBI_LANGUAGE_CODES[language] || 0);
+    put(104, kf8 ? 8 : 6);
+    put(108, records.firstResource);
+    put(128, 0x50); // EXTH present
+    put(164, NULL_INDEX);
+    put(168, NULL_INDEX); // No DRM
+    if (kf8) {
+        put(192, records.fdst);
+        put(196, records.flowCount);
+    } else {
+        header.writeUInt16BE(1, 192);
+        header.writeUInt16BE(records.lastContent, 194);
+    }
+    put(200, records.fcis);
+    put(204, 1);
+    put(208, records.flis);
+    put(212, 1);
+    put(224, NULL_INDEX);
+    put(232, NULL_INDEX);
+    put(236, NULL_INDEX);
+    put(240, 1); // Multibyte trailing entries only
+    put(244, records.ncx);
+    if (kf8) {
+        put(248, records.fragments);
+        put(252, records.skeletons);
+        put(256, NULL_INDEX);
+        put(260, records.guide);
+        put(264, NULL_INDEX);
+        put(272, NULL_INDEX);
+    }
+
+    // The padding after the title leaves room for metadata edits on the device
+    const titlePadding = 2 + (4 - ((title.length + 2) % 4)) % 4;
+    return Buffer.concat([header, exth, title, Buffer.alloc(titlePadding + 8192)]);
+}
+
+/**
+ * Encode one index entry: name, control bytes, then the tag values
+ * @param {Array<Array>} tagTable - Index tag table
+ * @param {Object} entry - { name, tags } where tags maps tag numbers to value arrays
+ * @returns {Buffer} Encoded entry
+ */
+function encodeIndexEntry(tagTable, entry) {
+    const controlBytes = [];
+    const values = [];
+    let control = 0;
+
+    for (const [tag, valuesPerEntry, mask, endOfControlByte] of tagTable) {
+        if (endOfControlByte) {
+            controlBytes.push(control);
+            control = 0;
+            continue;
+        }
+        const tagValues = entry.tags[tag];
+        if (!tagValues) continue;
+        control |= mask & ((tagValues.length / valuesPerEntry) << Math.log2(mask & -mask));
+        tagValues.forEach(value => values.push(encodeInt(value)));
+    }
+
+    const name = Buffer.from(entry.name, 'utf8');
+    return Buffer.concat([Buffer.from([name.length]), name, Buffer.from(controlBytes), ...values]);
+}
+
+/**
+ * Collect strings into CNCX records
+ * @param {Array<string>} strings - Strings referenced by index entries
+ * @returns {Object} { offsets: Map of string to CNCX offset, records }
+ */
+function buildCncx(strings) {
+    const offsets = new Map();
+    const records = [];
+    let pending = [];
+    let size = 0;
+
+    for (const string of strings) {
+        if (offsets.has(string)) continue;
+        const data = Buffer.from(string.slice(0, 500), 'utf8');
+        const raw = Buffer.concat([encodeInt(data.length), data]);
+        if (size + raw.length > CNCX_RECORD_LIMIT) {
+            records.push(alignBlock(Buffer.concat(pending)));
+            pending = [];
+            size = 0;
+        }
+        offsets.set(string, records.length * 0x10000 + size);
+        pending.push(raw);
+        size += raw.length;
+    }
+    if (pending.length > 0) records.push(alignBlock(Buffer.concat(pending)));
+    return { offsets, records };
+}
+
+/**
+ * Build the records of an index: header record, entry records, then its CNCX records
+ * @param {Array<Array>} tagTable - Index tag table
+ * @param {Array<Object>} entries - Entries ({ name, tags }) in index order
+ * @param {Array<Buffer>} [cncxRecords] - CNCX records holding the strings the entries refer to
+ * @returns {Array<Buffer>} Index records
+ */
+function buildIndex(tagTable, entries, cncxRecords = []) {
+    const blocks = [];
+    for (const entry of entries) {
+        const raw = encodeIndexEntry(tagTable, entry);
+        let block = blocks[blocks.length - 1];
+        if (!block || block.size + raw.length > INDEX_RECORD_LIMIT) {
+            block = { entries: [], size: 0, lastName: '' };
+            blocks.push(block);
+        }
+        block.entries.push(raw);
+        block.size += raw.length;
+        block.lastName = entry.name;
+    }
+
+    const entryRecords = blocks.map(block => {
+        const body = alignBlock(Buffer.concat(block.entries));
+        let offset = INDEX_HEADER_LENGTH;
+        const offsets = block.entries.map(raw => {
+            const start = offset;
+            offset += raw.length;
+            return uint16(start);
+        });
+        const header = Buffer.alloc(INDEX_HEADER_LENGTH);
+        header.write('INDX', 0, 'ascii');
+        header.writeUInt32BE(INDEX_HEADER_LENGTH, 4);
+        header.writeUInt32BE(1, 12);
+        header.writeUInt32BE(INDEX_HEADER_LENGTH + body.length, 20);
+        header.writeUInt32BE(block.entries.length, 24);
+        header.fill(0xFF, 28, 36);
+        return Buffer.concat([header, body, alignBlock(Buffer.concat([Buffer.from('IDXT'), ...offsets]))]);
+    });
+
+    const tagx = Buffer.concat([
+        Buffer.from('TAGX'),
+        uint32(12 + tagTable.length * 4),
+        uint32(tagTable.filter(row => row[3]).length),
+        Buffer.from(tagTable.flat())
+    ]);
+
+    // The header record lists the last entry name and entry count of every entry record
+    let position = INDEX_HEADER_LENGTH + tagx.length;
+    const geometryOffsets = [];
+    const geometry = blocks.map(block => {
+        const name = Buffer.from(block.lastName, 'utf8');
+        const raw = Buffer.concat([Buffer.from([name.length]), name, uint16(block.entries.length)]);
+        geometryOffsets.push(uint16(position));
+        position += raw.length;
+        return raw;
+    });
+    const geometryBlock = alignBlock(Buffer.concat(geometry));
+
+    const header = Buffer.alloc(INDEX_HEADER_LENGTH);
+    header.write('INDX', 0, 'ascii');
+    header.writeUInt32BE(INDEX_HEADER_LENGTH, 4);
+    header.writeUInt32BE(2, 16);
+    header.writeUInt32BE(INDEX_HEADER_LENGTH + tagx.length + geometryBlock.length, 20);
+    header.writeUInt32BE(entryRecords.length, 24);
+    header.writeUInt32BE(65001, 28);
+    header.writeUInt32BE(NULL_INDEX, 32);
+    header.writeUInt32BE(entries.length, 36);
+    header.writeUInt32BE(cncxRecords.length, 52);
+    header.writeUInt32BE(INDEX_HEADER_LENGTH, 180);
+    const headerRecord = Buffer.concat([header, tagx, geometryBlock, alignBlock(Buffer.concat([Buffer.from('IDXT'), ...geometryOffsets]))]);
+
+    return [headerRecord, ...entryRecords, ...cncxRecords];
+}
+
+/**
+ * Wrap records in a Palm database
+ * @param {Object} book - Resolved book metadata
+ * @param {Array<Buffer>} records - Records, record 0 first
+ * @returns {Buffer} Palm database file
+ */
+function buildPalmDatabase(book, records) {
+    const headerLength = 78 + records.length * 8 + 2;
+    const header = Buffer.alloc(headerLength);
+    const timestamp = Math.floor(Date.parse(book.modified) / 1000);
+
+    header.write(book.title.normalize('NFKD').replace(/[^-A-Za-z0-9]+/g, '_').slice(0, 31), 0, 'ascii');
+    header.writeUInt32BE(timestamp, 36);
+    header.writeUInt32BE(timestamp, 40);
+    header.write('BOOKMOBI', 60, 'ascii');
+    header.writeUInt32BE(2 * records.length - 1, 68);
+    header.writeUInt16BE(records.length, 76);
+
+    let offset = headerLength;
+    records.forEach((record, index) => {
+        header.writeUInt32BE(offset, 78 + index * 8);
+        header.writeUInt32BE(2 * index, 82 + index * 8); // Attributes 0, unique ID
+        offset += record.length;
+    });
+    return Buffer.concat([header, ...records]);
+}
+
+/**
+ * Build the FCIS record
+ * @param {number} textLength - Uncompressed text length
+ * @returns {Buffer} FCIS record
+ */
+function buildFcisRecord(textLength) {
+    return Buffer.concat([
+        Buffer.from('4643495300000014000000100000000100000000', 'hex'),
+        uint32(textLength),
+        Buffer.from('0000000000000020000000080001000100000000', 'hex')
+    ]);
+}
+
+/**
+ * Convert an image to a format Kindle readers display (SVG is rasterized)
+ * @param {Object} image - { data, mediaType }
+ * @returns {Object} { data, mediaType }
+ * @throws {Error} If the image cannot be shown on Kindle
+ */
+function toKindleImage(image) {
+    if (KINDLE_MEDIA_TYPES.has(image.mediaType)) {
+        return image;
+    }
+    if (image.mediaType === 'image/svg+xml') {
+        return { data: new Resvg(image.data, { fitTo: { mode: 'width', value: 1200 } }).render().asPng(), mediaType: 'image/png' };
+    }
+    throw new Error(`${image.mediaType} images cannot be shown on Kindle`);
+}
+
+/**
+ * Replace an image that cannot be embedded with its alt text
+ * @param {HTMLImageElement} img - Image element
+ */
+function replaceWithAlt(img) {
+    const alt = (img.getAttribute('alt') || '').trim();
+    if (alt) {
+        const span = img.ownerDocument.createElement('span');
+        span.className = 'image-alt';
+        span.textContent = `[${alt}]`;
+        img.replaceWith(span);
+    } else {
+        img.remove();
+    }
+}
+
+/**
+ * Resolve a link between the book's pages
+ * @param {string} href - Link target
+ * @param {number} fileIndex - Index of the page containing the link
+ * @param {Map} fileIndexByHref - Page index by file name
+ * @returns {Object|null|undefined} { file, id } for internal links, null for internal links to
+ *   unknown pages, undefined for external links
+ */
+function resolveInternalLink(href, fileIndex, fileIndexByHref) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(href)) return undefined;
+    const [path, id = ''] = href.split('#');
+    if (!path) return { file: fileIndex, id };
+    return fileIndexByHref.has(path) ? { file: fileIndexByHref.get(path), id } : null;
+}
+
+/**
+ * Prepare the pages and images shared by both Kindle formats
+ * @param {Array<Object>} articles - Articles
+ * @param {Object} options - Book options
+ * @returns {Promise<Object>} { book, files, resources, coverResource, report } where files are
+ *   { href, title, document } and resources are { data, mediaType } in record order
+ */
+async function prepareKindleBook(articles, options) {
+    if (!Array.isArray(articles) || articles.length === 0) {
+        throw new Error('At least one article is required to build a Kindle book');
+    }
+
+    let chapterArticles = normalizeArticles(articles);
+    const book = resolveBookMetadata(chapterArticles, { ...options, epubVersion: 2 });
+    const showChapterNumbers = options.chapterNumbers ?? articles.length > 1;
+    const report = { images: { embedded: 0, skipped: [] }, sanitizer: null, cover: null };
+
+    let images = [];
+    if (options.embedImages !== false) {
+        const embedded = await embedImages(chapterArticles);
+        chapterArticles = embedded.articles;
+        images = embedded.images;
+        report.images = { embedded: images.length, skipped: embedded.skipped };
+    }
+
+    const sanitized = chapterArticles.map(article => sanitizeXhtml(article.content, { epubVersion: book.version }));
+    chapterArticles = chapterArticles.map((article, index) => ({ ...article, content: sanitized[index].xhtml }));
+    report.sanitizer = mergeReports(sanitized.map(result => result.report));
+
+    const chapters = chapterArticles.map((article, index) => ({
+        href: `chapter${index + 1}.xhtml`,
+        title: article.title,
+        article
+    }));
+
+    // Kindle readers navigate collections through the contents page, so it is always included for them
+    const files = [];
+    if (options.tocPage || chapters.length > 1) {
+        files.push({ href: 'toc.xhtml', title: 'Table of Contents', body: renderTocBody(chapters) });
+    }
+    chapters.forEach((chapter, index) => files.push({
+        href: chapter.href,
+        title: chapter.title,
+        body: renderChapterBody(book, chapter.article, index, showChapterNumbers)
+    }));
+
+    // Number the images in order of use; images Kindle cannot show fall back to their alt text
+    const imagesByHref = new Map(images.map(image => [image.href, image]));
+    const resources = [];
+    const resourceNumbers = new Map();
+    const unsupported = new Set();
+    for (const file of files) {
+        file.document = new JSDOM(`<!DOCTYPE html><html><head></head><body>${file.body}</body></html>`).window.document;
+        delete file.body;
+
+        for (const img of Array.from(file.document.querySelectorAll('img'))) {
+            const src = img.getAttribute('src');
+            const image = imagesByHref.get(src);
+            if (image && !resourceNumbers.has(src) && !unsupported.has(src)) {
+                try {
+                    resources.push(toKindleImage(image));
+                    resourceNumbers.set(src, resources.length);
+                } catch (error) {
+                    unsupported.add(src);
+                    report.images.skipped.push({ url: src, reason: error.message });
+                }
+            }
+            if (resourceNumbers.has(src)) {
+                img.setAttribute('data-resource', String(resourceNumbers.get(src)));
+            } else {
+                replaceWithAlt(img);
+            }
+        }
+    }
+
+    // The cover image is stored after the article images
+    let coverResource = null;
+    if (options.cover) {
+        const { image, source, error } = await resolveCoverImage(book, chapterArticles, options.cover);
+        report.cover = { source, error };
+        try {
+            resources.push(toKindleImage(image));
+            coverResource = resources.length - 1;
+        } catch (conversionError) {
+            report.cover.error = conversionError.message;
+        }
+    }
+
+    return { book, files, resources, coverResource, report };
+}
+
+/**
+ * Split a page into a skeleton and fragments. Fragments are runs of children
+ * of <body> or of the chapter content, inserted back into the skeleton by the
+ * reader; every top-level element gets an aid attribute to address it.
+ * @param {Object} file - Page ({ title, document })
+ * @param {Object} book - Resolved book metadata
+ * @param {Function} nextAid - Returns a new unique aid value
+ * @returns {Object} { skeleton, fragments: [{ raw, insertPosition, selector }] }
+ */
+function splitKf8Page(file, book, nextAid) {
+    const { document } = file;
+    const serializer = new document.defaultView.XMLSerializer();
+    const body = document.body;
+    const container = body.querySelector(':scope > .chapter-content');
+    const fragments = [];
+
+    const bodyAid = nextAid();
+    let skeleton = `<?xml version="1.0" encoding="UTF-8"?>\n<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${escapeXml(book.language)}"><head><title>${escapeXml(file.title)}</title><link rel="stylesheet" type="text/css" href="kindle:flow:0001?mime=text/css"/></head><body aid="${bodyAid}">`;
+    let position = Buffer.byteLength(skeleton);
+
+    const serializeNode = node => node.nodeType === node.TEXT_NODE
+        ? escapeXml(node.textContent)
+        : serializer.serializeToString(node).replace(' xmlns="http://www.w3.org/1999/xhtml"', '');
+
+    const addFragments = (nodes, parentAid) => {
+        let raw = '';
+        let size = 0;
+        const flush = () => {
+            if (!raw) return;
+            fragments.push({ raw, insertPosition: position, selector: `P-//*[@aid='${parentAid}']` });
+            position += size;
+            raw = '';
+            size = 0;
+        };
+        for (const node of nodes) {
+            if (node.nodeType === node.ELEMENT_NODE) {
+                node.setAttribute('aid', nextAid());
+            } else if (node.nodeType !== node.TEXT_NODE || !node.textContent.trim()) {
+                continue;
+            }
+            const serialized = serializeNode(node);
+            raw += serialized;
+            size += Buffer.byteLength(serialized);
+            if (size >= FRAGMENT_SIZE) flush();
+        }
+        flush();
+    };
+
+    const appendSkeleton = (markup) => {
+        skeleton += markup;
+        position += Buffer.byteLength(markup);
+    };
+
+    let pending = [];
+    for (const node of Array.from(body.childNodes)) {
+        if (node !== container) {
+            pending.push(node);
+            continue;
+        }
+        addFragments(pending, bodyAid);
+        pending = [];
+
+        const containerAid = nextAid();
+        container.setAttribute('aid', containerAid);
+        appendSkeleton(`<${container.localName}${Array.from(container.attributes).map(attr => ` ${attr.name}="${escapeXml(attr.value)}"`).join('')}>`);
+        addFragments(Array.from(container.childNodes), containerAid);
+        appendSkeleton(`</${container.localName}>`);
+    }
+    addFragments(pending, bodyAid);
+    skeleton += '</body></html>';
+
+    return { skeleton, fragments };
+}
+
+/**
+ * Build a KF8 (AZW3) book from a list of articles
+ * @param {Array<Object>} articles - Articles ({ title, content, url, siteName, wordCount, author, ... })
+ * @param {Object} [options] - Book options: title, author, description, language, date, subjects, tags, cover,
+ *   stylesheet, tocPage, chapterNumbers and embedImages, with the same meaning as for buildEpub()
+ * @returns {Promise<Object>} { buffer, report } - AZW3 data and a summary of the embedded/skipped images and the cover source
+ */
+async function buildAzw3(articles, options = {}) {
+    const { book, files, resources, coverResource, report } = await prepareKindleBook(articles, options);
+    const fileIndexByHref = new Map(files.map((file, index) => [file.href, index]));
+
+    // Internal links get fixed-width placeholders until fragment positions are known
+    const links = [];
+    files.forEach((file, fileIndex) => {
+        for (const img of file.document.querySelectorAll('img[data-resource]')) {
+            const resource = resources[Number(img.getAttribute('data-resource')) - 1];
+            img.setAttribute('src', `kindle:embed:${toBase32(Number(img.getAttribute('data-resource')), 4)}?mime=${resource.mediaType}`);
+            img.removeAttribute('data-resource');
+        }
+        for (const link of file.document.querySelectorAll('a[href]')) {
+            const target = resolveInternalLink(link.getAttribute('href'), fileIndex, fileIndexByHref);
+            if (target === undefined) continue;
+            if (target === null) {
+                link.removeAttribute('href');
+                continue;
+            }
+            link.setAttribute('href', `kindle:pos:fid:ZZZZ:off:${String(links.length).padStart(10, '0')}`);
+            links.push(target);
+        }
+    });
+
+    let aid = 0;
+    const pages = files.map(file => splitKf8Page(file, book, () => toBase32(aid++, 0)));
+
+    // Lay out the text flow: each page's skeleton followed by its fragments
+    const skeletonEntries = [];
+    const fragmentEntries = [];
+    let flowPosition = 0;
+    let sequence = 0;
+    pages.forEach((page, fileIndex) => {
+        const skeletonLength = Buffer.byteLength(page.skeleton);
+        skeletonEntries.push({
+            name: `SKEL${String(fileIndex).padStart(10, '0')}`,
+            tags: { 1: [page.fragments.length, page.fragments.length], 6: [flowPosition, skeletonLength, flowPosition, skeletonLength] }
+        });
+        let fragmentOffset = 0;
+        for (const fragment of page.fragments) {
+            fragment.sequence = sequence++;
+            fragment.length = Buffer.byteLength(fragment.raw);
+            fragment.start = flowPosition + skeletonLength + fragmentOffset;
+            fragmentEntries.push({ fragment, fileIndex, offset: fragmentOffset, insertPosition: flowPosition + fragment.insertPosition });
+            fragmentOffset += fragment.length;
+        }
+        flowPosition += skeletonLength + fragmentOffset;
+    });
+    const textFlowLength = flowPosition;
+
+    /**
+     * Find the fragment and byte offset a link target points at
+     */
+    const locate = ({ file, id }) => {
+        const fragments = pages[file].fragments;
+        if (id) {
+            const pattern = new RegExp(`<[a-zA-Z][^<>]*?\\sid="${escapeRegExp(escapeXml(id))}"`);
+            for (const fragment of fragments) {
+                const match = pattern.exec(fragment.raw);
+                if (match) return { fragment, offset: Buffer.byteLength(fragment.raw.slice(0, match.index)) };
+            }
+        }
+        return { fragment: fragments[0], offset: 0 };
+    };
+    const positionUri = ({ fragment, offset }) => `kindle:pos:fid:${toBase32(fragment.sequence, 4)}:off:${toBase32(offset, 10)}`;
+
+    const resolvedLinks = links.map(target => positionUri(locate(target)));
+    pages.forEach(page => page.fragments.forEach(fragment => {
+        fragment.raw = fragment.raw.replace(/kindle:pos:fid:ZZZZ:off:(\d{10})/g, (match, index) => resolvedLinks[Number(index)]);
+    }));
+
+    const textFlow = Buffer.concat(pages.map(page => Buffer.from(page.skeleton + page.fragments.map(fragment => fragment.raw).join(''), 'utf8')));
+    const stylesheet = Buffer.from(options.stylesheet || DEFAULT_STYLESHEET, 'utf8');
+    const text = Buffer.concat([textFlow, stylesheet]);
+
+    // Indexes: fragments, skeletons, guide and NCX navigation
+    const fragmentCncx = buildCncx(fragmentEntries.map(entry => entry.fragment.selector));
+    const fragmentIndex = buildIndex(FRAGMENT_INDEX_TAGS, fragmentEntries.map(entry => ({
+        name: String(entry.insertPosition).padStart(10, '0'),
+        tags: {
+            2: [fragmentCncx.offsets.get(entry.fragment.selector)],
+            3: [entry.fileIndex],
+            4: [entry.fragment.sequence],
+            6: [entry.offset, entry.fragment.length]
+        }
+    })), fragmentCncx.records);
+
+    const firstChapter = fileIndexByHref.get('chapter1.xhtml');
+    const guide = [{ type: 'text', title: 'Beginning', file: firstChapter }];
+    if (fileIndexByHref.has('toc.xhtml')) guide.push({ type: 'toc', title: 'Table of Contents', file: fileIndexByHref.get('toc.xhtml') });
+    const guideCncx = buildCncx(guide.map(reference => reference.title));
+    const guideIndex = buildIndex(GUIDE_INDEX_TAGS, guide.map(reference => ({
+        name: reference.type,
+        tags: { 1: [guideCncx.offsets.get(reference.title)], 6: [pages[reference.file].fragments[0].sequence, 0] }
+    })), guideCncx.records);
+
+    const navPoints = files.map((file, index) => ({ title: file.title, fragment: pages[index].fragments[0] }));
+    const ncxCncx = buildCncx(navPoints.map(point => point.title));
+    const ncxIndex = buildIndex(NCX_INDEX_TAGS, navPoints.map((point, index) => {
+        const end = index + 1 < navPoints.length ? navPoints[index + 1].fragment.start : textFlowLength;
+        return {
+            name: index.toString(16).padStart(2, '0'),
+            tags: {
+                1: [point.fragment.start],
+                2: [end - point.fragment.start],
+                3: [ncxCncx.offsets.get(point.title)],
+                4: [0],
+                6: [point.fragment.sequence, 0]
+            }
+        };
+    }), ncxCncx.records);
+
+    const textRecords = buildTextRecords(text);
+    const records = [null, ...textRecords];
+    const textSize = textRecords.reduce((sum, record) => sum + record.length, 0);
+    if (textSize % 4) records.push(Buffer.alloc(4 - (textSize % 4)));
+
+    const recordNumbers = { firstNonText: records.length, flowCount: 2, ncx: NULL_INDEX };
+    recordNumbers.fragments = records.push(...fragmentIndex) - fragmentIndex.length;
+    const skeletonIndex = buildIndex(SKELETON_INDEX_TAGS, skeletonEntries);
+    recordNumbers.skeletons = records.push(...skeletonIndex) - skeletonIndex.length;
+    recordNumbers.guide = records.push(...guideIndex) - guideIndex.length;
+    recordNumbers.ncx = records.push(...ncxIndex) - ncxIndex.length;
+    recordNumbers.firstResource = records.length;
+    resources.forEach(resource => records.push(resource.data));
+    recordNumbers.fdst = records.push(Buffer.concat([
+        Buffer.from('FDST'), uint32(12), uint32(2),
+        uint32(0), uint32(textFlow.length), uint32(textFlow.length), uint32(text.length)
+    ])) - 1;
+    recordNumbers.flis = records.push(FLIS_RECORD) - 1;
+    recordNumbers.fcis = records.push(buildFcisRecord(text.length)) - 1;
+    records.push(EOF_RECORD);
+
+    const exthEntries = bookExthEntries(book, coverResource);
+    exthEntries.push([125, resources.length]);
+    if (coverResource !== null) exthEntries.push([129, `kindle:embed:${toBase32(coverResource + 1, 4)}`]);
+
+    records[0] = buildHeaderRecord({
+        kf8: true,
+        book,
+        textLength: text.length,
+        textRecordCount: textRecords.length,
+        exth: buildExth(exthEntries),
+        records: recordNumbers
+    });
+
+    return { buffer: buildPalmDatabase(book, records), report };
+}
+
+/**
+ * Convert a page to MOBI 6 HTML. Link targets and element positions are
+ * written as markers (\u0001T...\u0001 and \u0001L...\u0001) and resolved to
+ * byte offsets once the whole text is assembled.
+ * @param {Node} node - Node to convert
+ * @param {Object} ctx - { fileIndex, fileIndexByHref, italic }
+ * @returns {string} HTML
+ */
+function renderMobiHtml(node, ctx) {
+    if (node.nodeType === node.TEXT_NODE) {
+        return escapeHtml(node.textContent);
+    }
+    if (node.nodeType !== node.ELEMENT_NODE) {
+        return '';
+    }
+
+    const element = node;
+    const name = element.localName;
+    const children = (childCtx = ctx) => Array.from(element.childNodes).map(child => renderMobiHtml(child, childCtx)).join('');
+    const id = element.getAttribute('id');
+    const marker = id ? `\u0001T${ctx.fileIndex}#${id}\u0001` : '';
+
+    // The chapter header is styled by CSS in the other formats
+    if (element.classList.contains('chapter-number')) {
+        return `${marker}<p><b>${children()}</b></p>`;
+    }
+    if (element.classList.contains('chapter-meta')) {
+        return `${marker}<div>${children({ ...ctx, italic: true })}</div><hr/>`;
+    }
+    // Contents entries are written as paragraphs, the form readers parse the MOBI contents page from
+    if (element.classList.contains('toc')) {
+        return marker + Array.from(element.querySelectorAll('h1, a')).map(child =>
+            child.localName === 'h1' ? `<h1>${escapeHtml(child.textContent)}</h1>` : `<p>${renderMobiHtml(child, ctx)}</p>`).join('');
+    }
+    if (element.classList.contains('image-alt')) {
+        return `${marker}<i>${children()}</i>`;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(MOBI_ELEMENTS, name)) {
+        // Unknown containers keep their content; embedded SVG and MathML cannot be shown
+        return name === 'svg' || name === 'math' ? '' : marker + children();
+    }
+    const tag = MOBI_ELEMENTS[name];
+    if (tag === null) {
+        return marker + children();
+    }
+
+    let attributes = '';
+    if (tag === 'a') {
+        const href = element.getAttribute('href') || '';
+        const target = href ? resolveInternalLink(href, ctx.fileIndex, ctx.fileIndexByHref) : null;
+        if (target) {
+            attributes = ` filepos=\u0001L${target.file}#${target.id}\u0001`;
+        } else if (target === undefined && /^(https?|mailto):/i.test(href)) {
+            attributes = ` href="${escapeHtml(href)}"`;
+        } else {
+            return marker + children();
+        }
+    } else if (tag === 'img') {
+        attributes = ` recindex="${String(element.getAttribute('data-resource')).padStart(5, '0')}" alt="${escapeHtml(element.getAttribute('alt') || '')}"`;
+    } else if (tag === 'td' || tag === 'th') {
+        ['colspan', 'rowspan'].filter(attr => element.hasAttribute(attr))
+            .forEach(attr => { attributes += ` ${attr}="${escapeHtml(element.getAttribute(attr))}"`; });
+    } else if (tag === 'ol' && element.hasAttribute('start')) {
+        attributes = ` start="${escapeHtml(element.getAttribute('start'))}"`;
+    }
+
+    if (MOBI_VOID_ELEMENTS.has(tag)) {
+        return `${marker}<${tag}${attributes}/>`;
+    }
+    const content = tag === 'p' && ctx.italic ? `<i>${children()}</i>` : children();
+    return `${marker}<${tag}${attributes}>${content}</${tag}>`;
+}
+
+/**
+ * Build a MOBI 6 book from a list of articles
+ * @param {Array<Object>} articles - Articles ({ title, content, url, siteName, wordCount, author, ... })
+ * @param {Object} [options] - Book options: title, author, description, language, date, subjects, tags, cover,
+ *   tocPage, chapterNumbers and embedImages, with the same meaning as for buildEpub()
+ * @returns {Promise<Object>} { buffer, report } - MOBI data and a summary of the embedded/skipped images and the cover source
+ */
+async function buildMobi(articles, options = {}) {
+    const { book, files, resources, coverResource, report } = await prepareKindleBook(articles, options);
+    const fileIndexByHref = new Map(files.map((file, index) => [file.href, index]));
+
+    const pages = files.map((file, fileIndex) =>
+        `\u0001T${fileIndex}#\u0001${renderMobiHtml(file.document.body, { fileIndex, fileIndexByHref, italic: false })}`);
+    const references = [`<reference type="text" title="Beginning" filepos=\u0001L${fileIndexByHref.get('chapter1.xhtml')}#\u0001 />`];
+    if (fileIndexByHref.has('toc.xhtml')) {
+        references.unshift(`<reference type="toc" title="Table of Contents" filepos=\u0001L${fileIndexByHref.get('toc.xhtml')}#\u0001 />`);
+    }
+    const html = `<html><head><guide>${references.join('')}</guide></head><body>${pages.join('<mbp:pagebreak/>')}</body></html>`;
+
+    // Positions are counted with every link at its final width of 10 digits
+    const pieces = html.split(/\u0001([TL])([^\u0001]*)\u0001/);
+    const positions = new Map();
+    let position = 0;
+    for (let i = 0; i < pieces.length; i += 3) {
+        position += Buffer.byteLength(pieces[i]);
+        if (pieces[i + 1] === 'T' && !positions.has(pieces[i + 2])) positions.set(pieces[i + 2], position);
+        if (pieces[i + 1] === 'L') position += 10;
+    }
+    let output = '';
+    for (let i = 0; i < pieces.length; i += 3) {
+        output += pieces[i];
+        if (pieces[i + 1] === 'L') {
+            const key = pieces[i + 2];
+            const target = positions.get(key) ?? positions.get(`${key.split('#')[0]}#`) ?? 0;
+            output += String(target).padStart(10, '0');
+        }
+    }
+    const text = Buffer.from(output, 'utf8');
+
+    const textRecords = buildTextRecords(text);
+    const records = [null, ...textRecords];
+    const textSize = textRecords.reduce((sum, record) => sum + record.length, 0);
+    if (textSize % 4) records.push(Buffer.alloc(4 - (textSize % 4)));
+
+    const recordNumbers = { firstNonText: records.length, ncx: NULL_INDEX };
+    recordNumbers.firstResource = resources.length > 0 ? records.length : NULL_INDEX;
+    resources.forEach(resource => records.push(resource.data));
+    recordNumbers.lastContent = records.length - 1;
+    recordNumbers.flis = records.push(FLIS_RECORD) - 1;
+    recordNumbers.fcis = records.push(buildFcisRecord(text.length)) - 1;
+    records.push(EOF_RECORD);
+
+    records[0] = buildHeaderRecord({
+        kf8: false,
+        book,
+        textLength: text.length,
+        textRecordCount: textRecords.length,
+        exth: buildExth(bookExthEntries(book, coverResource)),
+        records: recordNumbers
+    });
+
+    return { buffer: buildPalmDatabase(book, records), report };
+}
+
+module.exports = {
+    buildAzw3,
+    buildMobi
+};
@@ -0,0 +1,219 @@
+/**
+ * LinkPub multi-page article following
+ *
+ * News sites and forums often split long articles over several pages. This
+ * module finds the link to the next page (rel="next", "Next page" links,
+ * numbered page lists), fetches the following pages through a caller-supplied
+ * fetcher, runs Readability on each one and stitches the content together.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const crypto = require('crypto');
+const { JSDOM } = require('jsdom');
+const { Readability } = require('@mozilla/readability');
+
+// Maximum number of pages per article (including the first), configurable through the environment
+const MAX_ARTICLE_PAGES = parseInt(process.env.MAX_ARTICLE_PAGES, 10) || 10;
+
+// Link texts used for "next page" links (lowercased, trimmed)
+const NEXT_LINK_TEXT = /^(next( page)?|next\s*[›»>→]|[›»→]|continue( reading)?|more|weiter|nächste seite|suivant(e)?|page suivante|siguiente|successiva|volgende)$/i;
+
+// Containers that usually hold pagination links
+const PAGINATION_CONTAINERS = '.pagination, .pager, .page-numbers, .paging, .pages, nav[aria-label*="pagination" i], [class*="pagination"], [class*="pager"]';
+
+// Query parameters sites use for the page number
+const PAGE_PARAMS = ['page', 'p', 'pg', 'paged', 'pagina', 'seite', 'pagenum'];
+
+/**
+ * Describe where a URL keeps its page number
+ * @param {URL} url - Parsed URL
+ * @returns {{base: string, page: number}} URL without the page number, and the page (1 if absent)
+ */
+function pageInfo(url) {
+    const copy = new URL(url.href);
+    copy.hash = '';
+
+    for (const param of PAGE_PARAMS) {
+        const value = copy.searchParams.get(param);
+        if (value && /^\d+$/.test(value)) {
+            copy.searchParams.delete(param);
+            return { base: copy.href, page: parseInt(value, 10) };
+        }
+    }
+
+    // "/post/page/3" or WordPress-style multi-page posts ("/post/3/")
+    const pathMatch = copy.pathname.match(/^(.*?)\/(?:page\/(\d{1,3})|(\d{1,2}))\/?$/);
+    if (pathMatch) {
+        copy.pathname = pathMatch[1] || '/';
+        return { base: copy.href, page: parseInt(pathMatch[2] || pathMatch[3], 10) };
+    }
+
+    copy.pathname = copy.pathname.replace(/\/$/, '') || '/';
+    return { base: copy.href, page: 1 };
+}
+
+/**
+ * Check that a candidate next page is a new page on the same site
+ * @param {string} href - Candidate URL
+ * @param {URL} current - Current page URL
+ * @param {Set<string>} visited - URLs already fetched (without fragments)
+ * @returns {string|null} Normalized URL or null
+ */
+function acceptCandidate(href, current, visited) {
+    if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return null;
+    let candidate;
+    try {
+        candidate = new URL(href, current);
+    } catch {
+        return null;
+    }
+    candidate.hash = '';
+    if (!['http:', 'https:'].includes(candidate.protocol)) return null;
+    if (candidate.hostname.replace(/^www\./, '') !== current.hostname.replace(/^www\./, '')) return null;
+    if (visited.has(candidate.href)) return null;
+    return candidate.href;
+}
+
+/**
+ * Find the URL of the next page of an article
+ * @param {Document} document - Current page
+ * @param {string} pageUrl - Current page URL
+ * @param {Set<string>} [visited] - URLs already fetched
+ * @returns {string|null} Next page URL or null
+ */
+function findNextPageUrl(document, pageUrl, visited = new Set()) {
+    const current = new URL(pageUrl);
+    current.hash = '';
+    const seen = new Set([...visited, current.href]);
+
+    // 1. Explicit <link rel="next"> (anchors with rel="next" often point to the next post instead)
+    for (const element of document.querySelectorAll('link[rel~="next"]')) {
+        const next = acceptCandidate(element.getAttribute('href'), current, seen);
+        if (next) return next;
+    }
+
+    const anchors = Array.from(document.querySelectorAll('a[href]'));
+
+    // 2. "Next page" links, preferring those inside pagination containers
+    const nextLinks = anchors.filter(anchor => {
+        const label = (anchor.textContent || anchor.getAttribute('aria-label') || anchor.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+        const className = (anchor.getAttribute('class') || '').toLowerCase();
+        return NEXT_LINK_TEXT.test(label) || /(^|[\s_-])next([\s_-]|$)/.test(className) || /(^|\s)next(\s|$)/i.test(anchor.getAttribute('rel') || '');
+    });
+    nextLinks.sort((a, b) => Number(!!b.closest(PAGINATION_CONTAINERS)) - Number(!!a.closest(PAGINATION_CONTAINERS)));
+    for (const anchor of nextLinks) {
+        const next = acceptCandidate(anchor.getAttribute('href'), current, seen);
+        // Links outside pagination blocks ("Next post", "More") must also look like the next page number
+        if (next && (anchor.closest(PAGINATION_CONTAINERS) || isFollowingPage(next, current))) {
+            return next;
+        }
+    }
+
+    // 3. Numbered page lists: a link to the same URL with page number + 1
+    for (const anchor of anchors) {
+        const next = acceptCandidate(anchor.getAttribute('href'), current, seen);
+        if (next && isFollowingPage(next, current)) return next;
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a URL is the page right after the current one
+ * @param {string} candidate - Candidate URL
+ * @param {URL} current - Current page URL
+ * @returns {boolean} True if only the page number differs and it is one higher
+ */
+function isFollowingPage(candidate, current) {
+    const currentInfo = pageInfo(current);
+    const candidateInfo = pageInfo(new URL(candidate));
+    return candidateInfo.base === currentInfo.base && candidateInfo.page === currentInfo.page + 1;
+}
+
+/**
+ * Remove a leading heading that repeats the article title
+ * @param {string} html - Page content
+ * @param {string} title - Article title
+ * @returns {string} Content without the repeated heading
+ */
+function stripRepeatedTitle(html, title) {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`);
+    const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const heading = dom.window.document.querySelector('h1, h2');
+    if (heading && title && normalize(heading.textContent) === normalize(title)) {
+        heading.remove();
+    }
+    return dom.window.document.body.innerHTML;
+}
+
+/**
+ * Follow pagination from the first page of an article and stitch the pages together
+ * @param {Document} document - First page
+ * @param {string} pageUrl - First page URL
+ * @param {Object} article - Readability result for the first page
+ * @param {Function} fetchPage - async (url) => html, fetches a page with the caller's headers
+ * @param {Object} [options] - { maxPages, parsePage } where parsePage(document) returns a
+ *   Readability-style article (defaults to plain Readability)
+ * @returns {Promise<Object>} { content, textContent, pageCount, pageUrls }
+ */
+async function followPagination(document, pageUrl, article, fetchPage, options = {}) {
+    const maxPages = options.maxPages || MAX_ARTICLE_PAGES;
+    const parsePage = options.parsePage || ((pageDocument) => new Readability(pageDocument.cloneNode(true)).parse());
+    const contents = [article.content];
+    const texts = [article.textContent || ''];
+    const pageUrls = [pageUrl];
+    const visited = new Set([new URL(pageUrl).href.split('#')[0]]);
+    const contentHashes = new Set([crypto.createHash('sha1').update(article.textContent || '').digest('hex')]);
+
+    let currentDocument = document;
+    let currentUrl = pageUrl;
+
+    while (pageUrls.length < maxPages) {
+        const nextUrl = findNextPageUrl(currentDocument, currentUrl, visited);
+        if (!nextUrl) break;
+        visited.add(nextUrl);
+
+        let nextDocument;
+        let pageArticle;
+        try {
+            const html = await fetchPage(nextUrl);
+            nextDocument = new JSDOM(html, { url: nextUrl }).window.document;
+            pageArticle = parsePage(nextDocument);
+        } catch (error) {
+            console.log(`⚠️ Stopped following pages at ${nextUrl}: ${error.message}`);
+            break;
+        }
+        if (!pageArticle || !pageArticle.content) break;
+
+        // Sites that ignore the page parameter serve the same content again
+        const hash = crypto.createHash('sha1').update(pageArticle.textContent || '').digest('hex');
+        if (contentHashes.has(hash)) break;
+        contentHashes.add(hash);
+
+        contents.push(stripRepeatedTitle(pageArticle.content, article.title));
+        texts.push(pageArticle.textContent || '');
+        pageUrls.push(nextUrl);
+
+        currentDocument = nextDocument;
+        currentUrl = nextUrl;
+    }
+
+    if (pageUrls.length > 1) {
+        console.log(`📑 Stitched ${pageUrls.length} pages for ${pageUrl}`);
+    }
+
+    return {
+        content: contents.join('\n'),
+        textContent: texts.join('\n'),
+        pageCount: pageUrls.length,
+        pageUrls
+    };
+}
+
+module.exports = {
+    followPagination,
+    findNextPageUrl,
+    MAX_ARTICLE_PAGES
+};
@@ -0,0 +1,644 @@
+/**
+ * LinkPub PDF builder
+ *
+ * Renders the article list the EPUB builder takes into a PDF with pdfkit:
+ * an optional cover, a title page, a table of contents whose entries link to
+ * their chapters (also exported as PDF bookmarks), chapter headers with the
+ * source metadata, embedded images and page numbers. Article HTML is laid
+ * out by walking its DOM, so no headless browser is needed.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { JSDOM } = require('jsdom');
+const { Resvg } = require('@resvg/resvg-js');
+const { embedImages } = require('./epub-images');
+const { normalizeArticles, resolveBookMetadata, resolveCoverImage } = require('./epub-builder');
+
+// Extra directory searched first for the DejaVu fonts used in PDFs
+const PDF_FONTS_DIR = process.env.PDF_FONTS_DIR || '';
+
+// Where distributions install DejaVu (Debian/Ubuntu, Alpine, Fedora/Arch, macOS)
+const FONT_DIRS = [
+    '/usr/share/fonts/truetype/dejavu',
+    '/usr/share/fonts/dejavu',
+    '/usr/share/fonts/dejavu-serif-fonts',
+    '/usr/share/fonts/TTF',
+    '/Library/Fonts'
+];
+
+// DejaVu covers Latin, Greek and Cyrillic; the standard PDF fonts only cover Latin-1
+const FONT_FILES = {
+    regular: 'DejaVuSerif.ttf',
+    bold: 'DejaVuSerif-Bold.ttf',
+    italic: 'DejaVuSerif-Italic.ttf',
+    boldItalic: 'DejaVuSerif-BoldItalic.ttf',
+    mono: 'DejaVuSansMono.ttf'
+};
+const STANDARD_FONTS = {
+    regular: 'Times-Roman',
+    bold: 'Times-Bold',
+    italic: 'Times-Italic',
+    boldItalic: 'Times-BoldItalic',
+    mono: 'Courier'
+};
+
+// Layout (points; A4 is 595 x 842)
+const PAGE_SIZE = 'A4';
+const PAGE_MARGIN = 60;
+const BODY_SIZE = 11;
+const LINE_GAP = 2;
+const LIST_INDENT = 18;
+const HEADING_SIZES = { H1: 18, H2: 16, H3: 14, H4: 12.5, H5: 12, H6: 11.5 };
+const TOC_ENTRY_HEIGHT = 22;
+const COLORS = { text: '#222222', muted: '#666666', accent: '#667eea', link: '#1a4fd6', rule: '#dddddd' };
+
+// Elements that start a new paragraph or block
+const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE', 'NAV', 'ADDRESS', 'CENTER',
+    'FIGURE', 'FIGCAPTION', 'PICTURE', 'DETAILS', 'SUMMARY',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'UL', 'OL', 'LI', 'DL', 'DT', 'DD', 'BLOCKQUOTE', 'PRE', 'HR', 'IMG',
+    'TABLE', 'CAPTION', 'THEAD', 'TBODY', 'TFOOT', 'TR'
+]);
+
+// Elements whose content is never printed
+const SKIPPED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'VIDEO', 'AUDIO',
+    'SVG', 'MATH', 'CANVAS', 'FORM', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'SOURCE'
+]);
+
+let resolvedFonts = null;
+
+/**
+ * Find the font files used for PDFs, falling back to the standard PDF fonts
+ * @returns {Object} { regular, bold, italic, boldItalic, mono } - file paths or standard font names
+ */
+function resolveFonts() {
+    if (resolvedFonts) return resolvedFonts;
+
+    const dirs = [PDF_FONTS_DIR, ...FONT_DIRS].filter(Boolean);
+    const find = (file) => dirs.map(dir => path.join(dir, file)).find(candidate => fs.existsSync(candidate)) || null;
+    const found = Object.fromEntries(Object.entries(FONT_FILES).map(([style, file]) => [style, find(file)]));
+
+    if (!found.regular) {
+        console.log('⚠️ DejaVu fonts not found, PDFs use the standard fonts (Latin-1 only)');
+        resolvedFonts = { ...STANDARD_FONTS };
+    } else {
+        // Keep Unicode coverage when a style is missing rather than switching to a standard font
+        resolvedFonts = {
+            regular: found.regular,
+            bold: found.bold || found.regular,
+            italic: found.italic || found.regular,
+            boldItalic: found.boldItalic || found.bold || found.italic || found.regular,
+            mono: found.mono || found.regular
+        };
+    }
+    return resolvedFonts;
+}
+
+/**
+ * Font name for a text style
+ * @param {Object} style - { bold, italic, code }
+ * @returns {string} Registered font name
+ */
+function fontFor(style) {
+    if (style.code) return 'mono';
+    if (style.bold && style.italic) return 'boldItalic';
+    if (style.bold) return 'bold';
+    if (style.italic) return 'italic';
+    return 'regular';
+}
+
+/**
+ * Start a new page when less than the given height is left on the current one
+ * @param {Object} ctx - Render context
+ * @param {number} height - Height needed (points)
+ */
+function ensureSpace(ctx, height) {
+    const { doc } = ctx;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+}
+
+/**
+ * Resolve a link target against the article URL, keeping only http(s) and mailto links
+ * @param {string} href - Link target
+ * @param {string} baseUrl - Article URL
+ * @returns {string|null} Absolute URL or null
+ */
+function resolveLink(href, baseUrl) {
+    if (!href) return null;
+    try {
+        const url = new URL(href, baseUrl || undefined);
+        return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Write the collected inline runs as one paragraph
+ * @param {Object} ctx - Render context (ctx.runs holds { text, style } runs)
+ * @param {Object} [spacing] - { before, after } in lines
+ */
+function flushParagraph(ctx, spacing = {}) {
+    const { doc } = ctx;
+    const runs = [];
+
+    // Collapse whitespace the way browsers do, across run boundaries
+    let atLineStart = true;
+    let lineBreak = false;
+    for (const run of ctx.runs) {
+        if (run.text === '\n') {
+            if (runs.length > 0) runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/ +$/, '');
+            lineBreak = runs.length > 0;
+            atLineStart = true;
+            continue;
+        }
+        let text = run.style.pre ? run.text : run.text.replace(/\s+/g, ' ');
+        if (atLineStart && !run.style.pre) {
+            text = text.replace(/^ +/, '');
+        }
+        if (!text) continue;
+
+        // pdfkit ignores a newline that ends a continued run, so breaks start the next run
+        runs.push({ text: lineBreak ? `\n${text}` : text, style: run.style });
+        atLineStart = false;
+        lineBreak = false;
+    }
+    ctx.runs = [];
+    while (runs.length > 0 && !runs[runs.length - 1].text.trim()) runs.pop();
+    if (runs.length === 0) return;
+    runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/\s+$/, '');
+
+    const first = runs[0].style;
+    const x = ctx.left + first.indent;
+    const width = ctx.width - first.indent;
+    if (spacing.before) doc.moveDown(spacing.before);
+    ensureSpace(ctx, first.size * 1.5);
+
+    // List markers hang to the left of the item text
+    if (ctx.marker) {
+        doc.font('regular').fontSize(first.size).fillColor(first.color);
+        const markerWidth = doc.widthOfString(ctx.marker);
+        doc.text(ctx.marker, x - markerWidth - 5, doc.y, { lineBreak: false, continued: false, link: null, underline: false, goTo: null, destination: null });
+        doc.x = x;
+        ctx.marker = null;
+    }
+
+    const y = doc.y;
+    runs.forEach((run, index) => {
+        const { style } = run;
+        doc.font(fontFor(style)).fontSize(style.size).fillColor(style.link ? COLORS.link : style.color);
+        const options = {
+            width,
+            align: first.align || 'left',
+            lineGap: LINE_GAP,
+            continued: index < runs.length - 1,
+            link: style.link || null,
+            underline: !!style.link,
+            goTo: null,
+            destination: null
+        };
+        if (index === 0) {
+            doc.text(run.text, x, y, options);
+        } else {
+            doc.text(run.text, options);
+        }
+    });
+    doc.x = ctx.left;
+    doc.moveDown(spacing.after ?? 0.6);
+}
+
+/**
+ * Draw an image block
+ * @param {HTMLImageElement} img - Image element (src points at an embedded image)
+ * @param {Object} ctx - Render context
+ * @param {Object} style - Current style
+ */
+function renderImage(img, ctx, style) {
+    const { doc } = ctx;
+    const image = ctx.images.get(img.getAttribute('src'));
+    const alt = (img.getAttribute('alt') || '').trim();
+
+    let opened = null;
+    if (image) {
+        try {
+            opened = ctx.opened.get(image.href);
+            if (!opened) {
+                let data = image.data;
+                if (image.mediaType === 'image/svg+xml') {
+                    data = new Resvg(data, { fitTo: { mode: 'width', value: 1200 } }).render().asPng();
+                } else if (image.mediaType !== 'image/png' && image.mediaType !== 'image/jpeg') {
+                    throw new Error(`${image.mediaType} images cannot be embedded in PDFs`);
+                }
+                opened = doc.openImage(data);
+                ctx.opened.set(image.href, opened);
+            }
+        } catch (error) {
+            if (!ctx.unsupported.has(image.href)) {
+                ctx.unsupported.add(image.href);
+                ctx.report.images.skipped.push({ url: image.href, reason: error.message });
+            }
+            opened = null;
+        }
+    }
+
+    if (!opened) {
+        if (alt) {
+            ctx.runs.push({ text: `[${alt}]`, style: { ...style, italic: true, color: COLORS.muted } });
+            flushParagraph(ctx);
+        }
+        return;
+    }
+
+    const maxWidth = ctx.width - style.indent;
+    const maxHeight = (doc.page.height - doc.page.margins.top - doc.page.margins.bottom) * 0.7;
+    const scale = Math.min(1, maxWidth / opened.width, maxHeight / opened.height);
+    const width = opened.width * scale;
+    const height = opened.height * scale;
+
+    ensureSpace(ctx, height);
+    doc.image(opened, ctx.left + style.indent + (maxWidth - width) / 2, doc.y, { width, height });
+    doc.y += height;
+    doc.x = ctx.left;
+    doc.moveDown(0.6);
+}
+
+/**
+ * Render a block-level element
+ * @param {Element} element - Element
+ * @param {Object} ctx - Render context
+ * @param {Object} style - Inherited style
+ */
+function renderBlock(element, ctx, style) {
+    const { doc } = ctx;
+    const tag = element.tagName.toUpperCase();
+
+    if (HEADING_SIZES[tag]) {
+        ensureSpace(ctx, HEADING_SIZES[tag] * 4);
+        walk(element, ctx, { ...style, bold: true, size: HEADING_SIZES[tag], color: COLORS.text });
+        flushParagraph(ctx, { before: 0.4, after: 0.4 });
+        return;
+    }
+
+    switch (tag) {
+        case 'IMG':
+            renderImage(element, ctx, style);
+            return;
+
+        case 'HR':
+            ensureSpace(ctx, 20);
+            doc.moveTo(ctx.left + style.indent, doc.y + 6).lineTo(ctx.left + ctx.width, doc.y + 6)
+                .strokeColor(COLORS.rule).lineWidth(1).stroke();
+            doc.y += 16;
+            return;
+
+        case 'PRE':
+            walk(element, ctx, { ...style, code: true, pre: true, size: 9 });
+            flushParagraph(ctx);
+            return;
+
+        case 'UL':
+        case 'OL': {
+            const start = parseInt(element.getAttribute('start'), 10) || 1;
+            let index = 0;
+            for (const child of element.children) {
+                if (child.tagName.toUpperCase() !== 'LI') {
+                    renderBlock(child, ctx, style);
+                    continue;
+                }
+                ctx.marker = tag === 'OL' ? `${start + index}.` : '•';
+                index++;
+                walk(child, ctx, { ...style, indent: style.indent + LIST_INDENT });
+                flushParagraph(ctx, { after: 0.3 });
+            }
+            ctx.marker = null;
+            doc.moveDown(0.3);
+            return;
+        }
+
+        case 'BLOCKQUOTE':
+            walk(element, ctx, { ...style, italic: true, color: COLORS.muted, indent: style.indent + LIST_INDENT });
+            flushParagraph(ctx);
+            return;
+
+        case 'TABLE':
+            for (const row of element.querySelectorAll('tr')) {
+                Array.from(row.children).forEach((cell, index) => {
+                    if (index > 0) ctx.runs.push({ text: '  |  ', style: { ...style, color: COLORS.muted } });
+                    walk(cell, ctx, { ...style, bold: style.bold || cell.tagName.toUpperCase() === 'TH', size: style.size - 1 });
+                });
+                flushParagraph(ctx, { after: 0.2 });
+            }
+            doc.moveDown(0.4);
+            return;
+
+        case 'FIGCAPTION':
+        case 'CAPTION':
+            walk(element, ctx, { ...style, italic: true, color: COLORS.muted, size: style.size - 2, align: 'center' });
+            flushParagraph(ctx);
+            return;
+
+        case 'DT':
+            walk(element, ctx, { ...style, bold: true });
+            flushParagraph(ctx, { after: 0.2 });
+            return;
+
+        case 'DD':
+            walk(element, ctx, { ...style, indent: style.indent + LIST_INDENT });
+            flushParagraph(ctx);
+            return;
+
+        default:
+            walk(element, ctx, style);
+            flushParagraph(ctx);
+    }
+}
+
+/**
+ * Walk an element's children, collecting inline text into ctx.runs and rendering blocks
+ * @param {Element} element - Parent element
+ * @param {Object} ctx - Render context
+ * @param {Object} style - Current style
+ */
+function walk(element, ctx, style) {
+    for (const node of element.childNodes) {
+        if (node.nodeType === 3) {
+            ctx.runs.push({ text: node.textContent, style });
+            continue;
+        }
+        if (node.nodeType !== 1) continue;
+
+        const tag = node.tagName.toUpperCase();
+        if (SKIPPED_TAGS.has(tag)) continue;
+
+        if (tag === 'BR') {
+            ctx.runs.push({ text: '\n', style });
+        } else if (BLOCK_TAGS.has(tag)) {
+            flushParagraph(ctx);
+            renderBlock(node, ctx, style);
+        } else {
+            const inline = { ...style };
+            if (['STRONG', 'B'].includes(tag)) inline.bold = true;
+            if (['EM', 'I', 'CITE', 'DFN', 'VAR'].includes(tag)) inline.italic = true;
+            if (['CODE', 'KBD', 'SAMP', 'TT'].includes(tag)) inline.code = true;
+            if (tag === 'A') inline.link = resolveLink(node.getAttribute('href'), ctx.baseUrl) || style.link;
+            if (tag === 'SUB' || tag === 'SUP' || tag === 'SMALL') inline.size = style.size - 2;
+            walk(node, ctx, inline);
+        }
+    }
+}
+
+/**
+ * Render one article as a chapter starting on a new page
+ * @param {Object} ctx - Render context
+ * @param {Object} article - Article (content with embedded image paths)
+ * @param {number} index - Zero-based chapter index
+ * @param {boolean} showNumber - Whether to show the chapter number
+ * @returns {number} Index of the chapter's first page
+ */
+function renderChapter(ctx, article, index, showNumber) {
+    const { doc } = ctx;
+    const baseStyle = { size: BODY_SIZE, color: COLORS.text, indent: 0 };
+    doc.addPage();
+    const firstPage = doc.bufferedPageRange().count - 1;
+    doc.outline.addItem(article.title);
+
+    if (showNumber) {
+        doc.font('bold').fontSize(10).fillColor(COLORS.accent)
+            .text(`Chapter ${index + 1}`, ctx.left, doc.y, { width: ctx.width, link: null, underline: false, goTo: null, destination: null });
+        doc.moveDown(0.3);
+    }
+    doc.font('bold').fontSize(20).fillColor(COLORS.text)
+        .text(article.title, ctx.left, doc.y, { width: ctx.width, link: null, underline: false, goTo: null, destination: `chapter-${index + 1}` });
+    doc.moveDown(0.5);
+
+    // Same source details as the EPUB chapter header
+    const metaStyle = { ...baseStyle, size: 9.5, italic: true, color: COLORS.muted };
+    const metaLine = (runs) => {
+        ctx.runs = runs;
+        flushParagraph(ctx, { after: 0.1 });
+    };
+    if (article.author) metaLine([{ text: `By ${article.author}`, style: { ...metaStyle, italic: false, bold: true, color: COLORS.text } }]);
+    if (article.publishedTime) metaLine([{ text: `Published: ${article.publishedTime.split('T')[0]}`, style: metaStyle }]);
+    if (article.siteName) metaLine([{ text: `Source: ${article.siteName}`, style: metaStyle }]);
+    const sourceUrl = article.canonicalUrl || article.url;
+    if (sourceUrl) {
+        metaLine([
+            { text: 'URL: ', style: metaStyle },
+            { text: sourceUrl, style: { ...metaStyle, link: resolveLink(sourceUrl) } }
+        ]);
+    }
+    if (article.wordCount) metaLine([{ text: `Word count: ${article.wordCount} words`, style: metaStyle }]);
+
+    doc.moveDown(0.4);
+    doc.moveTo(ctx.left, doc.y).lineTo(ctx.left + ctx.width, doc.y).strokeColor(COLORS.rule).lineWidth(1).stroke();
+    doc.moveDown(1);
+
+    const { document } = new JSDOM(`<!DOCTYPE html><body>${article.content}</body>`).window;
+    ctx.baseUrl = article.url;
+    walk(document.body, ctx, baseStyle);
+    flushParagraph(ctx);
+    return firstPage;
+}
+
+/**
+ * Render the title page
+ * @param {Object} ctx - Render context
+ * @param {Object} book - Resolved book metadata
+ * @param {number} articleCount - Number of articles
+ */
+function renderTitlePage(ctx, book, articleCount) {
+    const { doc } = ctx;
+    const plain = { link: null, underline: false, goTo: null, destination: null, width: ctx.width, align: 'center' };
+
+    doc.y = doc.page.height * 0.3;
+    doc.font('bold').fontSize(28).fillColor(COLORS.text).text(book.title, ctx.left, doc.y, plain);
+    doc.moveDown(1);
+    doc.font('regular').fontSize(14).fillColor(COLORS.text).text(book.author, ctx.left, doc.y, plain);
+    if (book.description) {
+        doc.moveDown(1.5);
+        doc.font('italic').fontSize(11).fillColor(COLORS.muted).text(book.description, ctx.left, doc.y, plain);
+    }
+    doc.moveDown(2);
+    doc.font('regular').fontSize(10).fillColor(COLORS.muted)
+        .text(`${articleCount} ${articleCount === 1 ? 'article' : 'articles'} · ${book.date}`, ctx.left, doc.y, plain);
+    doc.text('Generated by LinkPub', ctx.left, doc.y, plain);
+}
+
+/**
+ * Fill the reserved table of contents pages once chapter page numbers are known
+ * @param {Object} ctx - Render context
+ * @param {Array<number>} tocPages - Page indexes reserved for the table of contents
+ * @param {Array<Object>} entries - { title, page, destination }
+ */
+function renderToc(ctx, tocPages, entries) {
+    const { doc } = ctx;
+    const perPage = tocEntriesPerPage(doc);
+
+    tocPages.forEach((pageIndex, tocIndex) => {
+        doc.switchToPage(pageIndex);
+        let y = doc.page.margins.top;
+        if (tocIndex === 0) {
+            doc.font('bold').fontSize(20).fillColor(COLORS.text)
+                .text('Table of Contents', ctx.left, y, { width: ctx.width, link: null, underline: false, goTo: null, destination: null });
+            y += 40;
+            doc.moveTo(ctx.left, y - 10).lineTo(ctx.left + ctx.width, y - 10).strokeColor(COLORS.accent).lineWidth(2).stroke();
+        }
+
+        entries.slice(tocIndex * perPage, (tocIndex + 1) * perPage).forEach((entry, index) => {
+            const entryY = y + index * TOC_ENTRY_HEIGHT;
+            const link = { link: null, underline: false, destination: null, goTo: entry.destination };
+            doc.font('regular').fontSize(12).fillColor(COLORS.text)
+                .text(entry.title, ctx.left, entryY, { ...link, width: ctx.width - 50, height: 14, ellipsis: true });
+            doc.font('regular').fontSize(12).fillColor(COLORS.muted)
+                .text(String(entry.page), ctx.left, entryY, { ...link, width: ctx.width, align: 'right', lineBreak: false });
+        });
+    });
+}
+
+/**
+ * Number of table of contents entries that fit on one page
+ * @param {PDFDocument} doc - Document
+ * @returns {number} Entries per page
+ */
+function tocEntriesPerPage(doc) {
+    return Math.floor((doc.page.height - doc.page.margins.top - doc.page.margins.bottom - 40) / TOC_ENTRY_HEIGHT);
+}
+
+/**
+ * Print page numbers in the bottom margin
+ * @param {Object} ctx - Render context
+ * @param {number} firstNumbered - Index of the first page that gets a number
+ */
+function renderPageNumbers(ctx, firstNumbered) {
+    const { doc } = ctx;
+    const range = doc.bufferedPageRange();
+    for (let index = firstNumbered; index < range.start + range.count; index++) {
+        doc.switchToPage(index);
+        // Writing inside the margin would otherwise start a new page
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('regular').fontSize(9).fillColor(COLORS.muted)
+            .text(String(index + 1), ctx.left, doc.page.height - bottom / 2 - 5, {
+                width: ctx.width, align: 'center', lineBreak: false, link: null, underline: false, goTo: null, destination: null
+            });
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+/**
+ * Build a PDF from a list of articles
+ * @param {Array<Object>} articles - Articles ({ title, content, url, siteName, wordCount, author, ... })
+ * @param {Object} [options] - Book options: title, author, description, language, date, cover,
+ *   chapterNumbers and embedImages, with the same meaning as for buildEpub()
+ * @returns {Promise<Object>} { buffer, report } - PDF data and a summary of the embedded/skipped images and the cover source
+ */
+async function buildPdf(articles, options = {}) {
+    if (!Array.isArray(articles) || articles.length === 0) {
+        throw new Error('At least one article is required to build a PDF');
+    }
+
+    let chapterArticles = normalizeArticles(articles);
+    const book = resolveBookMetadata(chapterArticles, options);
+    const showChapterNumbers = options.chapterNumbers ?? articles.length > 1;
+    const report = { images: { embedded: 0, skipped: [] }, sanitizer: null, cover: null };
+
+    let images = [];
+    if (options.embedImages !== false) {
+        const embedded = await embedImages(chapterArticles);
+        chapterArticles = embedded.articles;
+        images = embedded.images;
+        report.images = { embedded: images.length, skipped: embedded.skipped };
+    }
+
+    let cover = null;
+    if (options.cover) {
+        const { image, source, error } = await resolveCoverImage(book, chapterArticles, options.cover);
+        report.cover = { source, error };
+        if (image.mediaType === 'image/png' || image.mediaType === 'image/jpeg') {
+            cover = image.data;
+        } else {
+            report.cover.error = `${image.mediaType} covers cannot be used in PDFs`;
+        }
+    }
+
+    // PDFKit cannot hash empty document info entries, so only set the ones we have
+    const info = { Title: book.title, Author: book.author, Creator: 'LinkPub' };
+    if (book.description) info.Subject = book.description;
+    if (book.subjects.length > 0) info.Keywords = book.subjects.join(', ');
+
+    const doc = new PDFDocument({
+        size: PAGE_SIZE,
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        autoFirstPage: false,
+        displayTitle: true,
+        lang: book.language,
+        info
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const fonts = resolveFonts();
+    Object.entries(fonts).forEach(([name, font]) => doc.registerFont(name, font));
+
+    const ctx = {
+        doc,
+        left: PAGE_MARGIN,
+        width: 0,
+        runs: [],
+        marker: null,
+        baseUrl: '',
+        images: new Map(images.map(image => [image.href, image])),
+        opened: new Map(),
+        unsupported: new Set(),
+        report
+    };
+
+    if (cover) {
+        doc.addPage({ margin: 0 });
+        doc.image(cover, 0, 0, { fit: [doc.page.width, doc.page.height], align: 'center', valign: 'center' });
+    }
+
+    doc.addPage();
+    ctx.width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    renderTitlePage(ctx, book, chapterArticles.length);
+    const firstNumbered = doc.bufferedPageRange().count;
+
+    // Reserve the contents pages now; they are filled in once chapter pages are known
+    const tocPages = [];
+    const tocPageCount = Math.ceil(chapterArticles.length / tocEntriesPerPage(doc));
+    for (let i = 0; i < tocPageCount; i++) {
+        doc.addPage();
+        tocPages.push(doc.bufferedPageRange().count - 1);
+        if (i === 0) doc.outline.addItem('Table of Contents');
+    }
+
+    const chapterPages = chapterArticles.map((article, index) => renderChapter(ctx, article, index, showChapterNumbers));
+
+    renderToc(ctx, tocPages, chapterArticles.map((article, index) => ({
+        title: article.title,
+        page: chapterPages[index] + 1,
+        destination: `chapter-${index + 1}`
+    })));
+    renderPageNumbers(ctx, firstNumbered);
+
+    doc.end();
+    return { buffer: await finished, report };
+}
+
+module.exports = {
+    buildPdf
+};
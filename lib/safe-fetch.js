@@ -0,0 +1,307 @@
+/**
+ * LinkPub guarded fetch
+ *
+ * Every URL LinkPub downloads (articles, follow-up pages, images, covers) is
+ * chosen by a user or an API client, so requests go through this guard
+ * instead of the global fetch(). It only allows http(s), checks the address
+ * every hostname resolves to (at connection time, so DNS rebinding cannot
+ * swap it afterwards) against private, loopback and link-local ranges,
+ * re-checks each redirect hop, and limits response size and content type.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const zlib = require('zlib');
+
+// Largest response body accepted by default (after decompression)
+const FETCH_MAX_BYTES = parseInt(process.env.FETCH_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT = 15000;
+
+// Ranges that are never fetched unless allowlisted
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['::ffff:0:0', 96, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, family]) => blockedAddresses.addSubnet(address, prefix, family));
+
+// HTTP status returned to clients for each error code
+const ERROR_STATUS = {
+    INVALID_URL: 400,
+    SCHEME_NOT_ALLOWED: 400,
+    ADDRESS_BLOCKED: 403,
+    DNS_LOOKUP_FAILED: 422,
+    TOO_MANY_REDIRECTS: 422,
+    RESPONSE_TOO_LARGE: 422,
+    CONTENT_TYPE_NOT_ALLOWED: 422
+};
+
+/**
+ * Error raised when the guard refuses a request or response
+ */
+class FetchGuardError extends Error {
+    /**
+     * @param {string} code - Machine-readable reason (see ERROR_STATUS)
+     * @param {string} message - Human-readable explanation
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'FetchGuardError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 422;
+    }
+}
+
+/**
+ * Parse the FETCH_ALLOWLIST setting: hostnames ("intranet.example", ".example" for
+ * subdomains), addresses ("10.0.0.5") and ranges ("10.0.0.0/8"), comma-separated
+ * @param {string} value - Setting value
+ * @returns {{hosts: Array<string>, addresses: net.BlockList}} Parsed allowlist
+ */
+function parseAllowlist(value) {
+    const hosts = [];
+    const addresses = new net.BlockList();
+
+    for (const entry of String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean)) {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIP(address);
+        if (family && prefix !== undefined) {
+            addresses.addSubnet(address, parseInt(prefix, 10), family === 4 ? 'ipv4' : 'ipv6');
+        } else if (family) {
+            addresses.addAddress(address, family === 4 ? 'ipv4' : 'ipv6');
+        } else {
+            hosts.push(entry.replace(/^\*/, ''));
+        }
+    }
+    return { hosts, addresses };
+}
+
+const allowlist = parseAllowlist(process.env.FETCH_ALLOWLIST);
+
+/**
+ * Check whether a hostname is allowlisted
+ * @param {string} hostname - Hostname
+ * @returns {boolean} True if private addresses may be used for it
+ */
+function isHostAllowlisted(hostname) {
+    return allowlist.hosts.some(host =>
+        host.startsWith('.') ? hostname.endsWith(host) || hostname === host.slice(1) : hostname === host
+    );
+}
+
+/**
+ * Check whether an address may be connected to
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is public or allowlisted
+ */
+function isAddressAllowed(address) {
+    const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    return allowlist.addresses.check(address, family) || !blockedAddresses.check(address, family);
+}
+
+/**
+ * Validate a URL before requesting it
+ * @param {string|URL} url - URL to check
+ * @returns {URL} Parsed URL
+ * @throws {FetchGuardError} If the URL is malformed, not http(s) or a blocked address literal
+ */
+function checkUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new FetchGuardError('INVALID_URL', `Invalid URL: ${url}`);
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new FetchGuardError('SCHEME_NOT_ALLOWED', `Only http and https URLs can be fetched (got ${parsed.protocol})`);
+    }
+
+    // Address literals never go through DNS lookup, so check them here
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !isHostAllowlisted(hostname) && !isAddressAllowed(hostname)) {
+        throw new FetchGuardError('ADDRESS_BLOCKED', `Requests to private or local address ${hostname} are not allowed`);
+    }
+    return parsed;
+}
+
+/**
+ * DNS lookup used for every connection: rejects hostnames resolving to blocked addresses
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - Lookup options from the socket
+ * @param {Function} callback - Node lookup callback
+ */
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(new FetchGuardError('DNS_LOOKUP_FAILED', `Could not resolve ${hostname}: ${error.code || error.message}`));
+        }
+        if (!isHostAllowlisted(hostname.toLowerCase())) {
+            const blocked = addresses.find(entry => !isAddressAllowed(entry.address));
+            if (blocked) {
+                return callback(new FetchGuardError('ADDRESS_BLOCKED', `${hostname} resolves to private or local address ${blocked.address}`));
+            }
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Check a response content type against the allowed list
+ * @param {string} contentType - Content-Type header
+ * @param {Array<string>} allowed - Allowed types; entries ending in "/" match a whole family
+ * @returns {boolean} True if allowed (responses without a type are allowed and sniffed later)
+ */
+function isContentTypeAllowed(contentType, allowed) {
+    if (!allowed || !contentType) return true;
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    return allowed.some(entry => (entry.endsWith('/') ? type.startsWith(entry) : type === entry));
+}
+
+/**
+ * Perform one request without following redirects
+ * @param {URL} url - URL to request
+ * @param {Object} options - { headers, maxBytes, allowedContentTypes, signal }
+ * @returns {Promise<Object>} { status, statusText, headers, body }
+ */
+function requestOnce(url, options) {
+    return new Promise((resolve, reject) => {
+        const transport = url.protocol === 'https:' ? https : http;
+        const request = transport.get(url, {
+            headers: options.headers,
+            lookup: guardedLookup,
+            signal: options.signal
+        }, (response) => {
+            const { statusCode, statusMessage, headers } = response;
+
+            // Redirects and empty responses are handled by the caller without reading a body
+            if ((statusCode >= 300 && statusCode < 400) || statusCode === 204) {
+                response.resume();
+                return resolve({ status: statusCode, statusText: statusMessage, headers, body: null });
+            }
+
+            if (statusCode >= 200 && statusCode < 300 && !isContentTypeAllowed(headers['content-type'], options.allowedContentTypes)) {
+                response.destroy();
+                return reject(new FetchGuardError('CONTENT_TYPE_NOT_ALLOWED', `Unexpected content type ${headers['content-type']}`));
+            }
+
+            const declaredLength = parseInt(headers['content-length'], 10);
+            if (declaredLength > options.maxBytes && !headers['content-encoding']) {
+                response.destroy();
+                return reject(new FetchGuardError('RESPONSE_TOO_LARGE', `Response exceeds ${options.maxBytes} bytes`));
+            }
+
+            // Decompress ourselves so the size limit applies to the decoded body
+            const encoding = String(headers['content-encoding'] || '').trim().toLowerCase();
+            let stream = response;
+            if (encoding === 'gzip' || encoding === 'x-gzip') stream = response.pipe(zlib.createGunzip());
+            else if (encoding === 'deflate') stream = response.pipe(zlib.createInflate());
+            else if (encoding === 'br') stream = response.pipe(zlib.createBrotliDecompress());
+
+            const chunks = [];
+            let received = 0;
+            stream.on('data', (chunk) => {
+                received += chunk.length;
+                if (received > options.maxBytes) {
+                    response.destroy();
+                    stream.destroy();
+                    reject(new FetchGuardError('RESPONSE_TOO_LARGE', `Response exceeds ${options.maxBytes} bytes`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            stream.on('error', reject);
+            stream.on('end', () => {
+                const decodedHeaders = { ...headers };
+                if (stream !== response) {
+                    delete decodedHeaders['content-encoding'];
+                    delete decodedHeaders['content-length'];
+                }
+                resolve({ status: statusCode, statusText: statusMessage, headers: decodedHeaders, body: Buffer.concat(chunks) });
+            });
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Fetch a URL through the guard (GET only)
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - { headers, timeout, maxBytes, allowedContentTypes, maxRedirects }
+ * @returns {Promise<Response>} Fetch API Response with the final URL in response.url
+ * @throws {FetchGuardError} If the guard refuses the URL, a redirect hop or the response
+ */
+async function safeFetch(url, options = {}) {
+    const maxBytes = options.maxBytes || FETCH_MAX_BYTES;
+    const maxRedirects = options.maxRedirects ?? MAX_REDIRECTS;
+    const signal = AbortSignal.timeout(options.timeout || DEFAULT_TIMEOUT);
+    let headers = { ...options.headers };
+    let current = checkUrl(url);
+
+    for (let hop = 0; ; hop++) {
+        const result = await requestOnce(current, { headers, maxBytes, allowedContentTypes: options.allowedContentTypes, signal });
+
+        if (result.status >= 300 && result.status < 400 && result.headers.location) {
+            if (hop >= maxRedirects) {
+                throw new FetchGuardError('TOO_MANY_REDIRECTS', `More than ${maxRedirects} redirects`);
+            }
+            const next = checkUrl(new URL(result.headers.location, current).href);
+            // Credentials are only sent to the site they were meant for
+            if (next.host !== current.host) {
+                headers = Object.fromEntries(Object.entries(headers).filter(([name]) => !/^(cookie|authorization)$/i.test(name)));
+            }
+            current = next;
+            continue;
+        }
+
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(result.headers)) {
+            [].concat(value).forEach(item => responseHeaders.append(name, item));
+        }
+        const response = new Response(result.body && result.body.length > 0 ? result.body : null, {
+            status: result.status,
+            statusText: result.statusText,
+            headers: responseHeaders
+        });
+        Object.defineProperty(response, 'url', { value: current.href });
+        return response;
+    }
+}
+
+module.exports = {
+    safeFetch,
+    checkUrl,
+    FetchGuardError,
+    FETCH_MAX_BYTES
+};
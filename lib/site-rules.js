@@ -0,0 +1,254 @@
+/**
+ * LinkPub per-domain site rules
+ *
+ * Some sites need help to extract well: extra request headers or cookies, a
+ * print/AMP view instead of the normal page, a fixed content container, or
+ * newsletter boxes removed before Readability runs. Rules are JSON files in
+ * a rules directory, loaded at startup (and on demand from the admin UI).
+ *
+ * Rule format (one object or an array of objects per file):
+ *   {
+ *     "name": "Example",
+ *     "domains": ["example.com"],                 // also matches subdomains
+ *     "headers": { "Referer": "https://{host}/" },  // {host} is the article hostname
+ *     "cookies": { "consent": "yes" },
+ *     "urlRewrites": [{ "pattern": "^(https://example\\.com/.*)$", "replacement": "$1?print=1" }],
+ *     "contentSelector": "article .body",
+ *     "stripSelectors": [".newsletter-signup"],
+ *     "titleSelector": "h1.headline"
+ *   }
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { JSDOM } = require('jsdom');
+
+// Document used to check that selectors parse
+const selectorCheckDocument = new JSDOM('<!DOCTYPE html><body></body>').window.document;
+
+/**
+ * Check that a value is a plain object whose values are all strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True for { name: 'value' } maps
+ */
+function isStringMap(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.values(value).every(entry => typeof entry === 'string');
+}
+
+/**
+ * Check that a CSS selector is valid
+ * @param {string} selector - Selector to check
+ * @returns {boolean} True if querySelector accepts it
+ */
+function isValidSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) return false;
+    try {
+        selectorCheckDocument.querySelector(selector);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate a raw rule and normalize it
+ * @param {Object} raw - Rule as read from the file
+ * @param {string} fallbackName - Name used when the rule has none
+ * @returns {Object} Normalized rule
+ * @throws {Error} Describing the first invalid field
+ */
+function normalizeRule(raw, fallbackName) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('rule must be an object');
+    }
+
+    const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : fallbackName;
+    const domains = [].concat(raw.domains || raw.domain || [])
+        .map(domain => String(domain).trim().toLowerCase().replace(/^www\./, ''))
+        .filter(Boolean);
+    if (domains.length === 0) {
+        throw new Error('domains must list at least one domain');
+    }
+
+    if (raw.headers !== undefined && !isStringMap(raw.headers)) {
+        throw new Error('headers must map header names to strings');
+    }
+    if (raw.cookies !== undefined && !isStringMap(raw.cookies)) {
+        throw new Error('cookies must map cookie names to strings');
+    }
+
+    for (const field of ['contentSelector', 'titleSelector']) {
+        if (raw[field] !== undefined && !isValidSelector(raw[field])) {
+            throw new Error(`${field} is not a valid CSS selector`);
+        }
+    }
+
+    const stripSelectors = [].concat(raw.stripSelectors || []);
+    const invalidStrip = stripSelectors.find(selector => !isValidSelector(selector));
+    if (invalidStrip !== undefined) {
+        throw new Error(`stripSelectors contains an invalid CSS selector: ${invalidStrip}`);
+    }
+
+    const urlRewrites = [].concat(raw.urlRewrites || []).map(rewrite => {
+        if (!rewrite || typeof rewrite.pattern !== 'string' || typeof rewrite.replacement !== 'string') {
+            throw new Error('urlRewrites entries need a pattern and a replacement');
+        }
+        try {
+            return { pattern: rewrite.pattern, replacement: rewrite.replacement, regex: new RegExp(rewrite.pattern) };
+        } catch (error) {
+            throw new Error(`urlRewrites pattern is not a valid regular expression: ${error.message}`);
+        }
+    });
+
+    return {
+        name,
+        domains,
+        headers: raw.headers || {},
+        cookies: raw.cookies || {},
+        urlRewrites,
+        contentSelector: raw.contentSelector || null,
+        stripSelectors,
+        titleSelector: raw.titleSelector || null
+    };
+}
+
+/**
+ * Load every rule file from a directory
+ * @param {string} directory - Rules directory
+ * @returns {Promise<{rules: Array<Object>, errors: Array<Object>}>} Rules (with their file) and per-file errors
+ */
+async function loadSiteRules(directory) {
+    const rules = [];
+    const errors = [];
+
+    let files;
+    try {
+        files = (await fs.readdir(directory)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            errors.push({ file: directory, error: error.message });
+        }
+        return { rules, errors };
+    }
+
+    for (const file of files) {
+        try {
+            const parsed = JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+            const entries = Array.isArray(parsed) ? parsed : [parsed];
+            entries.forEach((entry, index) => {
+                const fallbackName = entries.length > 1 ? `${path.basename(file, '.json')}-${index + 1}` : path.basename(file, '.json');
+                rules.push({ ...normalizeRule(entry, fallbackName), file });
+            });
+        } catch (error) {
+            errors.push({ file, error: error.message });
+        }
+    }
+
+    return { rules, errors };
+}
+
+/**
+ * Find the rule for a URL (the most specific matching domain wins)
+ * @param {Array<Object>} rules - Loaded rules
+ * @param {string} url - Article URL
+ * @returns {Object|null} Matching rule
+ */
+function findSiteRule(rules, url) {
+    const hostname = new URL(url).hostname.toLowerCase();
+    let best = null;
+    let bestLength = 0;
+
+    for (const rule of rules) {
+        for (const domain of rule.domains) {
+            const matches = hostname === domain || hostname.endsWith(`.${domain}`);
+            if (matches && domain.length > bestLength) {
+                best = rule;
+                bestLength = domain.length;
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Apply a rule's URL rewrites (the first matching pattern wins)
+ * @param {Object|null} rule - Site rule
+ * @param {string} url - Article URL
+ * @returns {string} URL to fetch
+ */
+function rewriteUrl(rule, url) {
+    for (const rewrite of rule?.urlRewrites || []) {
+        if (rewrite.regex.test(url)) {
+            const rewritten = url.replace(rewrite.regex, rewrite.replacement);
+            try {
+                return new URL(rewritten).href;
+            } catch {
+                console.log(`⚠️ Site rule "${rule.name}" produced an invalid URL: ${rewritten}`);
+                return url;
+            }
+        }
+    }
+    return url;
+}
+
+/**
+ * Headers a rule adds to article requests
+ * @param {Object|null} rule - Site rule
+ * @param {string} hostname - Article hostname (replaces {host} in header values)
+ * @returns {Object} Extra request headers, including Cookie
+ */
+function ruleHeaders(rule, hostname) {
+    if (!rule) return {};
+
+    const headers = {};
+    for (const [name, value] of Object.entries(rule.headers)) {
+        headers[name] = value.replace(/\{host\}/g, hostname);
+    }
+    const cookies = Object.entries(rule.cookies).map(([name, value]) => `${name}=${value}`);
+    if (cookies.length > 0) {
+        headers['Cookie'] = cookies.join('; ');
+    }
+    return headers;
+}
+
+/**
+ * Remove the elements a rule strips from a page
+ * @param {Object|null} rule - Site rule
+ * @param {Document} document - Page to modify in place
+ * @returns {number} Number of elements removed
+ */
+function stripRuleElements(rule, document) {
+    let removed = 0;
+    for (const selector of rule?.stripSelectors || []) {
+        for (const element of document.querySelectorAll(selector)) {
+            element.remove();
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Describe a rule for the admin UI (without compiled regular expressions)
+ * @param {Object} rule - Site rule
+ * @returns {Object} JSON-safe rule
+ */
+function describeSiteRule(rule) {
+    return {
+        ...rule,
+        urlRewrites: rule.urlRewrites.map(({ pattern, replacement }) => ({ pattern, replacement }))
+    };
+}
+
+module.exports = {
+    loadSiteRules,
+    findSiteRule,
+    rewriteUrl,
+    ruleHeaders,
+    stripRuleElements,
+    describeSiteRule
+};
@@ -0,0 +1,336 @@
+/**
+ * LinkPub XHTML sanitizer
+ *
+ * Readability returns HTML, but EPUB content documents must be well-formed
+ * XHTML. This module parses article HTML with JSDOM, strips elements and
+ * attributes that e-readers reject (scripts, frames, forms, event handlers,
+ * ...), and serializes the result as XML so void elements are self-closed and
+ * named entities become plain characters.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const { JSDOM } = require('jsdom');
+
+// Elements removed together with everything inside them
+const DROPPED_ELEMENTS = new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+    'applet', 'form', 'input', 'button', 'select', 'option', 'optgroup', 'textarea', 'label',
+    'fieldset', 'legend', 'datalist', 'output', 'canvas', 'video', 'audio', 'track', 'source',
+    'map', 'area', 'link', 'meta', 'base', 'head', 'title', 'svg', 'math', 'dialog', 'slot', 'portal'
+]);
+
+// Elements allowed in both XHTML 1.1 (EPUB 2) and XHTML5 (EPUB 3) content documents
+const COMMON_ELEMENTS = new Set([
+    'a', 'abbr', 'acronym', 'address', 'b', 'bdo', 'big', 'blockquote', 'br', 'caption', 'cite',
+    'code', 'col', 'colgroup', 'dd', 'del', 'dfn', 'div', 'dl', 'dt', 'em', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'ol', 'p', 'pre', 'q', 'samp', 'small',
+    'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'tt',
+    'ul', 'var'
+]);
+
+// HTML5 elements only valid in EPUB 3
+const HTML5_ELEMENTS = new Set([
+    'article', 'aside', 'bdi', 'details', 'figcaption', 'figure', 'footer', 'header', 'main',
+    'mark', 'nav', 'rp', 'rt', 'ruby', 'section', 'summary', 'time', 'wbr', 's', 'u'
+]);
+
+// How HTML5 elements are downgraded for EPUB 2 (anything missing is unwrapped)
+const EPUB2_REPLACEMENTS = {
+    article: 'div', aside: 'div', details: 'div', figure: 'div', footer: 'div', header: 'div',
+    main: 'div', nav: 'div', section: 'div', summary: 'p', figcaption: 'p',
+    mark: 'span', time: 'span', bdi: 'span', s: 'del', u: 'span'
+};
+
+// Block-level elements allowed directly inside <body>
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'del', 'details', 'div', 'dl', 'figure', 'footer',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'ins', 'main', 'nav', 'ol', 'p', 'pre',
+    'section', 'table', 'ul'
+]);
+
+const VOID_ELEMENTS = new Set(['br', 'col', 'hr', 'img', 'wbr']);
+
+// Attribute allowlist
+const GLOBAL_ATTRIBUTES = new Set(['id', 'class', 'title', 'lang', 'dir']);
+const ELEMENT_ATTRIBUTES = {
+    a: ['href'],
+    img: ['src', 'alt', 'width', 'height'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    col: ['span'],
+    colgroup: ['span'],
+    ol: ['start', 'type'],
+    li: ['value'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    del: ['cite', 'datetime'],
+    ins: ['cite', 'datetime'],
+    time: ['datetime'],
+    abbr: ['title'],
+    bdo: ['dir']
+};
+
+// Attributes not valid in XHTML 1.1 even though HTML allows them
+const EPUB2_FORBIDDEN_ATTRIBUTES = {
+    ol: ['start', 'type'],
+    li: ['value']
+};
+
+// Characters that are not allowed anywhere in an XML document
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text content for XML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+    return text
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape an attribute value for XML
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+    return escapeText(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Check whether a link target is safe to keep
+ * @param {string} href - href attribute value
+ * @returns {boolean} True if the URL can be kept
+ */
+function isSafeHref(href) {
+    const value = href.trim();
+    if (!value) return false;
+    if (value.startsWith('#')) return true;
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Check whether an image source can be kept (local path or web URL)
+ * @param {string} src - src attribute value
+ * @returns {boolean} True if the source can be kept
+ */
+function isSafeImageSource(src) {
+    const value = src.trim();
+    if (!value) return false;
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || ['http', 'https'].includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Turn an arbitrary id into a valid, unique XML ID
+ * @param {string} id - Original id
+ * @param {Set<string>} usedIds - IDs already present in the document
+ * @returns {string} Valid unique ID
+ */
+function makeValidId(id, usedIds) {
+    let candidate = id.trim().replace(/[^A-Za-z0-9_.-]/g, '-');
+    if (!/^[A-Za-z_]/.test(candidate)) {
+        candidate = `id-${candidate}`;
+    }
+    let unique = candidate;
+    let counter = 2;
+    while (usedIds.has(unique)) {
+        unique = `${candidate}-${counter++}`;
+    }
+    usedIds.add(unique);
+    return unique;
+}
+
+/**
+ * Increment a counter in a report map
+ * @param {Object} map - Counter map
+ * @param {string} key - Key to increment
+ */
+function count(map, key) {
+    map[key] = (map[key] || 0) + 1;
+}
+
+/**
+ * Sanitize article HTML into well-formed XHTML body content
+ * @param {string} html - Article HTML
+ * @param {Object} [options] - Sanitizer options
+ * @param {number} [options.epubVersion=2] - Target EPUB version (2 downgrades HTML5 elements)
+ * @returns {Object} { xhtml, report } - Sanitized markup and what was removed or changed
+ */
+function sanitizeXhtml(html, options = {}) {
+    const epubVersion = Number(options.epubVersion) === 3 ? 3 : 2;
+    const report = {
+        removedElements: {},
+        unwrappedElements: {},
+        removedAttributes: {},
+        renamedIds: 0
+    };
+
+    const dom = new JSDOM(`<!DOCTYPE html><body>${html || ''}</body>`);
+    const { document, Node } = dom.window;
+    const usedIds = new Set();
+    const idRenames = new Map();
+
+    /**
+     * Resolve the output tag for an element, or null to unwrap it
+     */
+    const outputTag = (tag) => {
+        if (COMMON_ELEMENTS.has(tag)) return tag;
+        if (HTML5_ELEMENTS.has(tag)) {
+            return epubVersion === 3 ? tag : (EPUB2_REPLACEMENTS[tag] || null);
+        }
+        return null;
+    };
+
+    /**
+     * Serialize the allowed attributes of an element
+     */
+    const serializeAttributes = (element, tag) => {
+        const allowed = new Set([...GLOBAL_ATTRIBUTES, ...(ELEMENT_ATTRIBUTES[tag] || [])]);
+        if (epubVersion === 2) {
+            (EPUB2_FORBIDDEN_ATTRIBUTES[tag] || []).forEach(attr => allowed.delete(attr));
+        }
+        let output = '';
+
+        for (const attr of Array.from(element.attributes)) {
+            const name = attr.name.toLowerCase();
+            let value = attr.value;
+
+            if (!allowed.has(name)) {
+                count(report.removedAttributes, name);
+                continue;
+            }
+            if (name === 'href' && !isSafeHref(value)) {
+                count(report.removedAttributes, name);
+                continue;
+            }
+            if (name === 'id') {
+                const validId = makeValidId(value, usedIds);
+                if (validId !== value) {
+                    report.renamedIds++;
+                }
+                if (!idRenames.has(value)) {
+                    idRenames.set(value, validId);
+                }
+                value = validId;
+            }
+            // Integers only; XHTML 1.1 (EPUB 2) also allows percentages for width and height, HTML5 does not
+            const numberPattern = epubVersion === 2 && ['width', 'height'].includes(name) ? /^\d+%?$/ : /^\d+$/;
+            if (['width', 'height', 'colspan', 'rowspan', 'span', 'start', 'value'].includes(name) && !numberPattern.test(value.trim())) {
+                count(report.removedAttributes, name);
+                continue;
+            }
+            // XHTML 1.1 only has xml:lang
+            const outputName = name === 'lang' && epubVersion === 2 ? 'xml:lang' : name;
+            output += ` ${outputName}="${escapeAttribute(value)}"`;
+        }
+
+        if (tag === 'img' && !element.hasAttribute('alt')) {
+            output += ' alt=""';
+        }
+        return output;
+    };
+
+    /**
+     * Serialize a node and its descendants
+     */
+    const serialize = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return escapeText(node.data);
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            // Comments, processing instructions, etc. are dropped
+            return '';
+        }
+
+        const sourceTag = node.localName.toLowerCase();
+
+        if (DROPPED_ELEMENTS.has(sourceTag)) {
+            count(report.removedElements, sourceTag);
+            return '';
+        }
+
+        if (sourceTag === 'img' && !isSafeImageSource(node.getAttribute('src') || '')) {
+            count(report.removedElements, 'img');
+            return '';
+        }
+
+        const children = Array.from(node.childNodes).map(serialize).join('');
+        const tag = outputTag(sourceTag);
+
+        if (!tag) {
+            count(report.unwrappedElements, sourceTag);
+            return children;
+        }
+
+        const attributes = serializeAttributes(node, tag);
+        if (VOID_ELEMENTS.has(tag)) {
+            return `<${tag}${attributes}/>`;
+        }
+        return `<${tag}${attributes}>${children}</${tag}>`;
+    };
+
+    // Serialize top-level nodes, wrapping stray inline content in <div> so
+    // <body> only contains block elements
+    const blocks = [];
+    let inlineRun = '';
+    const flushInline = () => {
+        if (inlineRun.trim()) {
+            blocks.push(`<div>${inlineRun}</div>`);
+        }
+        inlineRun = '';
+    };
+
+    for (const node of Array.from(document.body.childNodes)) {
+        const markup = serialize(node);
+        const tag = markup.match(/^<([a-z0-9]+)/);
+        if (tag && BLOCK_ELEMENTS.has(tag[1]) && node.nodeType === Node.ELEMENT_NODE && outputTag(node.localName.toLowerCase())) {
+            flushInline();
+            blocks.push(markup);
+        } else {
+            inlineRun += markup;
+        }
+    }
+    flushInline();
+
+    let xhtml = blocks.join('\n');
+
+    // Keep in-page links pointing at renamed IDs
+    for (const [original, renamed] of idRenames) {
+        if (original !== renamed) {
+            xhtml = xhtml.split(`href="#${escapeAttribute(original)}"`).join(`href="#${renamed}"`);
+        }
+    }
+
+    return { xhtml, report };
+}
+
+/**
+ * Merge several sanitizer reports into one
+ * @param {Array<Object>} reports - Reports returned by sanitizeXhtml()
+ * @returns {Object} Combined report
+ */
+function mergeReports(reports) {
+    const merged = { removedElements: {}, unwrappedElements: {}, removedAttributes: {}, renamedIds: 0 };
+    for (const report of reports) {
+        for (const key of ['removedElements', 'unwrappedElements', 'removedAttributes']) {
+            for (const [name, total] of Object.entries(report[key])) {
+                merged[key][name] = (merged[key][name] || 0) + total;
+            }
+        }
+        merged.renamedIds += report.renamedIds;
+    }
+    return merged;
+}
+
+module.exports = {
+    sanitizeXhtml,
+    mergeReports
+};
@@ -43,12 +43,29 @@ class LinkPub {
         this.previewSection = document.getElementById('previewSection');
         this.articlePreview = document.getElementById('articlePreview');
         this.downloadBtn = document.getElementById('downloadBtn');
+        this.singleFormat = document.getElementById('singleFormat');
         this.saveEpubBtn = document.getElementById('saveEpubBtn');
+        this.singleShelf = document.getElementById('singleShelf');
+        this.singleTags = document.getElementById('singleTags');
         
         // Saved EPUBs Elements
         this.refreshEpubsBtn = document.getElementById('refreshEpubsBtn');
         this.epubsGrid = document.getElementById('epubsGrid');
         this.noEpubsMessage = document.getElementById('noEpubsMessage');
+        this.librarySearchInput = document.getElementById('librarySearchInput');
+        this.librarySort = document.getElementById('librarySort');
+        this.librarySiteFilter = document.getElementById('librarySiteFilter');
+        this.libraryShelfFilter = document.getElementById('libraryShelfFilter');
+        this.libraryTagFilter = document.getElementById('libraryTagFilter');
+        this.libraryShelvesList = document.getElementById('libraryShelvesList');
+        this.libraryArticlesFilter = document.getElementById('libraryArticlesFilter');
+        this.librarySizeFilter = document.getElementById('librarySizeFilter');
+        this.libraryFromInput = document.getElementById('libraryFromInput');
+        this.libraryToInput = document.getElementById('libraryToInput');
+        this.libraryPagination = document.getElementById('libraryPagination');
+        this.libraryPrevBtn = document.getElementById('libraryPrevBtn');
+        this.libraryNextBtn = document.getElementById('libraryNextBtn');
+        this.libraryPageInfo = document.getElementById('libraryPageInfo');
         
         // Collection Elements
         this.collectionUrlInput = document.getElementById('collectionUrlInput');
@@ -61,10 +78,13 @@ class LinkPub {
         this.articlesContainer = document.getElementById('articlesContainer');
         this.articlesCount = document.getElementById('articlesCount');
         this.downloadCollectionBtn = document.getElementById('downloadCollectionBtn');
+        this.collectionFormat = document.getElementById('collectionFormat');
         this.saveCollectionBtn = document.getElementById('saveCollectionBtn');
         this.clearAllBtn = document.getElementById('clearAllBtn');
         this.collectionTitle = document.getElementById('collectionTitle');
         this.collectionAuthor = document.getElementById('collectionAuthor');
+        this.collectionShelf = document.getElementById('collectionShelf');
+        this.collectionTags = document.getElementById('collectionTags');
         this.bulkInputBtn = document.getElementById('bulkInputBtn');
         this.bulkUrlInput = document.getElementById('bulkUrlInput');
         this.processBulkBtn = document.getElementById('processBulkBtn');
@@ -72,6 +92,17 @@ class LinkPub {
         this.exportOptionsBtn = document.getElementById('exportOptionsBtn');
         this.downloadIndividualBtn = document.getElementById('downloadIndividualBtn');
         this.generateCoverBtn = document.getElementById('generateCoverBtn');
+        this.coverTemplate = document.getElementById('coverTemplate');
+        this.coverScheme = document.getElementById('coverScheme');
+        this.coverUpload = document.getElementById('coverUpload');
+        
+        // Upload Elements
+        this.fileUploadInput = document.getElementById('fileUploadInput');
+        this.convertFilesBtn = document.getElementById('convertFilesBtn');
+        this.uploadErrorMessage = document.getElementById('uploadErrorMessage');
+        this.uploadedFiles = document.getElementById('uploadedFiles');
+        this.uploadedFilesList = document.getElementById('uploadedFilesList');
+        this.addAllUploadsBtn = document.getElementById('addAllUploadsBtn');
         
         // Karakeep Elements
         this.karakeepTabBtn = document.getElementById('karakeepTab');
@@ -87,7 +118,10 @@ class LinkPub {
         this.domainFilter = document.getElementById('domainFilter');
         this.karakeepCollectionTitle = document.getElementById('karakeepCollectionTitle');
         this.karakeepCollectionAuthor = document.getElementById('karakeepCollectionAuthor');
+        this.karakeepShelf = document.getElementById('karakeepShelf');
+        this.karakeepTags = document.getElementById('karakeepTags');
         this.downloadSelectedBtn = document.getElementById('downloadSelectedBtn');
+        this.karakeepFormat = document.getElementById('karakeepFormat');
         this.processingBookmarks = document.getElementById('processingBookmarks');
         this.processingText = document.getElementById('processingText');
         this.karakeepProgressFill = document.getElementById('karakeepProgressFill');
@@ -103,9 +137,12 @@ class LinkPub {
         // Article Processing
         this.currentArticle = null;
         this.articles = []; // Collection articles
+        this.uploadedArticles = []; // Articles converted from uploaded files
         
         // EPUB Library
         this.savedEpubs = [];
+        this.libraryPage = 1;
+        this.librarySearchTimer = null;
         
         // UI State
         this.currentTab = 'single';
@@ -245,8 +282,21 @@ class LinkPub {
         this.downloadBtn.addEventListener('click', () => this.handleDownload());
         this.saveEpubBtn.addEventListener('click', () => this.handleSaveEpub());
         
+        // Upload Events
+        this.convertFilesBtn.addEventListener('click', () => this.handleFileUpload());
+        this.addAllUploadsBtn.addEventListener('click', () => this.addAllUploadsToCollection());
+        
         // Saved EPUBs Events
         this.refreshEpubsBtn.addEventListener('click', () => this.loadSavedEpubs());
+        this.librarySearchInput.addEventListener('input', () => {
+            // Search once typing pauses
+            clearTimeout(this.librarySearchTimer);
+            this.librarySearchTimer = setTimeout(() => this.searchLibrary(), 300);
+        });
+        [this.librarySort, this.librarySiteFilter, this.libraryShelfFilter, this.libraryTagFilter, this.libraryArticlesFilter, this.librarySizeFilter, this.libraryFromInput, this.libraryToInput]
+            .forEach(control => control.addEventListener('change', () => this.searchLibrary()));
+        this.libraryPrevBtn.addEventListener('click', () => this.loadSavedEpubs(this.libraryPage - 1));
+        this.libraryNextBtn.addEventListener('click', () => this.loadSavedEpubs(this.libraryPage + 1));
         
         this.urlInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -286,6 +336,7 @@ class LinkPub {
         // Export Options Events
         this.downloadIndividualBtn.addEventListener('click', () => this.handleDownloadIndividual());
         this.generateCoverBtn.addEventListener('click', () => this.handleGenerateCover());
+        this.coverTemplate.addEventListener('change', () => this.updateCoverOptions());
         
         // Karakeep Events
         this.retryKarakeepBtn.addEventListener('click', () => this.loadKarakeepBookmarks());
@@ -300,6 +351,8 @@ class LinkPub {
         this.settingsOverlay = document.getElementById('settingsOverlay');
         this.closeSettingsBtn = document.getElementById('closeSettingsBtn');
         this.trackUrlsToggle = document.getElementById('trackUrlsToggle');
+        this.epubVersionSelect = document.getElementById('epubVersionSelect');
+        this.libraryConflictSelect = document.getElementById('libraryConflictSelect');
         this.viewUrlHistoryBtn = document.getElementById('viewUrlHistoryBtn');
         this.clearUrlHistoryBtn = document.getElementById('clearUrlHistoryBtn');
         this.urlHistoryOverlay = document.getElementById('urlHistoryOverlay');
@@ -309,6 +362,26 @@ class LinkPub {
         this.libraryBtn = document.getElementById('libraryBtn');
         this.libraryOverlay = document.getElementById('libraryOverlay');
         this.closeLibraryBtn = document.getElementById('closeLibraryBtn');
+        this.epubEditOverlay = document.getElementById('epubEditOverlay');
+        this.epubEditForm = document.getElementById('epubEditForm');
+        this.closeEpubEditBtn = document.getElementById('closeEpubEditBtn');
+        this.cancelEpubEditBtn = document.getElementById('cancelEpubEditBtn');
+        this.saveEpubEditBtn = document.getElementById('saveEpubEditBtn');
+        this.epubEditTitle = document.getElementById('epubEditTitle');
+        this.epubEditAuthor = document.getElementById('epubEditAuthor');
+        this.epubEditDescription = document.getElementById('epubEditDescription');
+        this.epubEditLanguage = document.getElementById('epubEditLanguage');
+        this.epubEditSubjects = document.getElementById('epubEditSubjects');
+        this.epubEditCover = document.getElementById('epubEditCover');
+        this.epubEditCoverScheme = document.getElementById('epubEditCoverScheme');
+        this.epubEditCoverUpload = document.getElementById('epubEditCoverUpload');
+        this.epubEditMessage = document.getElementById('epubEditMessage');
+        this.siteRulesSection = document.getElementById('siteRulesSection');
+        this.reloadSiteRulesBtn = document.getElementById('reloadSiteRulesBtn');
+        this.testSiteRuleBtn = document.getElementById('testSiteRuleBtn');
+        this.extractionCacheSection = document.getElementById('extractionCacheSection');
+        this.refreshCacheBtn = document.getElementById('refreshCacheBtn');
+        this.purgeCacheBtn = document.getElementById('purgeCacheBtn');
         
         this.settingsBtn.addEventListener('click', () => this.showSettings());
         this.closeSettingsBtn.addEventListener('click', () => this.hideSettings());
@@ -316,6 +389,8 @@ class LinkPub {
             if (e.target === this.settingsOverlay) this.hideSettings();
         });
         this.trackUrlsToggle.addEventListener('change', () => this.updateTrackUrlsPreference());
+        this.epubVersionSelect.addEventListener('change', () => this.updateEpubVersionPreference());
+        this.libraryConflictSelect.addEventListener('change', () => this.updateLibraryConflictPreference());
         this.viewUrlHistoryBtn.addEventListener('click', () => this.showUrlHistory());
         this.clearUrlHistoryBtn.addEventListener('click', () => this.clearUrlHistory());
         this.closeUrlHistoryBtn.addEventListener('click', () => this.hideUrlHistory());
@@ -323,11 +398,25 @@ class LinkPub {
             if (e.target === this.urlHistoryOverlay) this.hideUrlHistory();
         });
         this.changePasswordBtn.addEventListener('click', () => this.handleChangePassword());
+        this.reloadSiteRulesBtn.addEventListener('click', () => this.loadSiteRules(true));
+        this.testSiteRuleBtn.addEventListener('click', () => this.testSiteRule());
+        this.refreshCacheBtn.addEventListener('click', () => this.loadCacheSummary());
+        this.purgeCacheBtn.addEventListener('click', () => this.purgeCache());
         this.libraryBtn.addEventListener('click', () => this.showLibrary());
         this.closeLibraryBtn.addEventListener('click', () => this.hideLibrary());
         this.libraryOverlay.addEventListener('click', (e) => {
             if (e.target === this.libraryOverlay) this.hideLibrary();
         });
+        this.closeEpubEditBtn.addEventListener('click', () => this.hideEpubEdit());
+        this.cancelEpubEditBtn.addEventListener('click', () => this.hideEpubEdit());
+        this.epubEditOverlay.addEventListener('click', (e) => {
+            if (e.target === this.epubEditOverlay) this.hideEpubEdit();
+        });
+        this.epubEditCover.addEventListener('change', () => this.updateEpubEditCoverOptions());
+        this.epubEditForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEpubEdit();
+        });
     }
     
     /**
@@ -386,6 +475,7 @@ class LinkPub {
         
         this.currentUser = null;
         this.savedEpubs = [];
+        this.libraryPage = 1;
         this.showAuthOverlay();
         this.clearAuthError();
         document.getElementById('username').value = '';
@@ -517,8 +607,11 @@ class LinkPub {
         
         this.articlePreview.innerHTML = `
             <h1>${this.escapeHtml(article.title)}</h1>
+            ${article.author ? `<p><strong>By:</strong> ${this.escapeHtml(article.author)}</p>` : ''}
             <p><strong>Source:</strong> ${this.escapeHtml(article.siteName)}</p>
+            ${article.publishedTime ? `<p><strong>Published:</strong> ${new Date(article.publishedTime).toLocaleDateString()}</p>` : ''}
             <p><strong>Reading time:</strong> ${readingTime} (${wordCountText})</p>
+            ${article.pageCount > 1 ? `<p><strong>Pages:</strong> ${article.pageCount} pages combined</p>` : ''}
             ${article.excerpt ? `<p><em>${this.escapeHtml(article.excerpt)}</em></p>` : ''}
             <div>${article.content}</div>
         `;
@@ -529,11 +622,16 @@ class LinkPub {
     async handleDownload() {
         if (!this.currentArticle) return;
         
+        const format = this.singleFormat.value;
         try {
-            const epub = await this.generateEpub(this.currentArticle);
-            this.downloadFile(epub, `${this.sanitizeFilename(this.currentArticle.title)}.epub`);
+            const book = await this.generateEpub([this.currentArticle], {
+                cover: { useLeadImage: true },
+                tags: this.parseTags(this.singleTags.value),
+                format
+            });
+            this.downloadFile(book, `${this.sanitizeFilename(this.currentArticle.title)}.${this.fileExtension(format)}`);
         } catch (error) {
-            this.showError(`Failed to generate EPUB: ${error.message}`);
+            this.showError(`Failed to generate ${format.toUpperCase()}: ${error.message}`);
         }
     }
     
@@ -544,34 +642,24 @@ class LinkPub {
         if (!this.currentArticle) return;
         
         try {
-            const epub = await this.generateEpub(this.currentArticle);
-            const epubData = await this.blobToBase64(epub);
-            
-            const response = await fetch('/api/epubs/save', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                credentials: 'include',
-                body: JSON.stringify({
+            const tags = this.parseTags(this.singleTags.value);
+            const epub = await this.generateEpub([this.currentArticle], { cover: { useLeadImage: true }, tags });
+            const result = await this.saveToLibrary({
+                title: this.currentArticle.title,
+                description: this.currentArticle.excerpt || '',
+                contents: [{
                     title: this.currentArticle.title,
-                    description: this.currentArticle.excerpt || '',
-                    contents: [{
-                        title: this.currentArticle.title,
-                        url: this.currentArticle.url,
-                        siteName: this.currentArticle.siteName
-                    }],
-                    epubData: epubData
-                })
+                    url: this.currentArticle.url,
+                    siteName: this.currentArticle.siteName
+                }],
+                shelf: this.singleShelf.value.trim(),
+                tags,
+                epub
             });
             
-            const result = await response.json();
-            
-            if (response.ok) {
-                alert('EPUB saved to your library!');
+            if (result) {
+                alert(result.replaced ? 'EPUB replaced in your library!' : 'EPUB saved to your library!');
                 this.loadSavedEpubs();
-            } else {
-                throw new Error(result.error || 'Failed to save EPUB');
             }
         } catch (error) {
             console.error('Save EPUB error:', error);
@@ -579,6 +667,43 @@ class LinkPub {
         }
     }
     
+    /**
+     * Save an EPUB to the library, asking what to do when its title is already there
+     * @param {Object} book - { title, description, contents, shelf, tags, epub } where epub is the EPUB blob
+     * @returns {Promise<Object|null>} Save result ({ id, filename, replaced }), or null if the user cancelled
+     */
+    async saveToLibrary({ title, description, contents, shelf, tags, epub }) {
+        const epubData = await this.blobToBase64(epub);
+        const save = async (onConflict) => {
+            const response = await fetch('/api/epubs/save', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ title, description, contents, shelf, tags, epubData, onConflict })
+            });
+            return { response, result: await response.json() };
+        };
+        
+        let { response, result } = await save();
+        
+        // 409: the title is in the library and the conflict policy is "ask"
+        if (response.status === 409) {
+            const existing = result.conflicts || [];
+            const onConflict = confirm(`"${title}" is already in your library${existing.length > 1 ? ` (${existing.length} books)` : ''}. Replace the most recent one?\n\nChoose Cancel to keep both or to stop.`)
+                ? 'replace'
+                : confirm('Keep both books in your library?') ? 'keep-both' : null;
+            if (!onConflict) return null;
+            ({ response, result } = await save(onConflict));
+        }
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to save EPUB');
+        }
+        return result;
+    }
+    
     /**
      * Convert blob to base64
      */
@@ -596,93 +721,64 @@ class LinkPub {
     // =================================================================
     
     /**
-     * Generate EPUB file from article data
-     * @param {Object} article - Article object with title, content, etc.
-     * @returns {Promise<Blob>} EPUB file as blob
-     */
-    async generateEpub(article) {
-        const zip = new JSZip();
-        
-        // EPUB mimetype (must be first file, uncompressed)
-        zip.file('mimetype', 'application/epub+zip');
-        
-        const metaInf = zip.folder('META-INF');
-        metaInf.file('container.xml', `<?xml version="1.0"?>
-<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
-    <rootfiles>
-        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
-    </rootfiles>
-</container>`);
-        
-        const oebps = zip.folder('OEBPS');
-        
-        oebps.file('content.opf', `<?xml version="1.0" encoding="UTF-8"?>
-<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId" version="2.0">
-    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
-        <dc:identifier id="BookId">${this.generateUUID()}</dc:identifier>
-        <dc:title>${this.escapeHtml(article.title)}</dc:title>
-        <dc:creator>LinkPub</dc:creator>
-        <dc:language>en</dc:language>
-        <dc:source>${this.escapeHtml(article.siteName)}</dc:source>
-    </metadata>
-    <manifest>
-        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
-        <item id="content" href="content.html" media-type="application/xhtml+xml"/>
-    </manifest>
-    <spine toc="ncx">
-        <itemref idref="content"/>
-    </spine>
-</package>`);
-        
-        const estimatedPages = Math.max(1, Math.ceil((article.wordCount || 1000) / 250));
-        
-        oebps.file('toc.ncx', `<?xml version="1.0" encoding="UTF-8"?>
-<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
-    <head>
-        <meta name="dtb:uid" content="${this.generateUUID()}"/>
-        <meta name="dtb:depth" content="1"/>
-        <meta name="dtb:totalPageCount" content="${estimatedPages}"/>
-        <meta name="dtb:maxPageNumber" content="${estimatedPages}"/>
-    </head>
-    <docTitle>
-        <text>${this.escapeHtml(article.title)}</text>
-    </docTitle>
-    <navMap>
-        <navPoint id="navpoint-1" playOrder="1">
-            <navLabel>
-                <text>${this.escapeHtml(article.title)}</text>
-            </navLabel>
-            <content src="content.html"/>
-        </navPoint>
-    </navMap>
-</ncx>`);
-        
-        oebps.file('content.html', `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml">
-<head>
-    <title>${this.escapeHtml(article.title)}</title>
-    <style>
-        body { font-family: serif; line-height: 1.6; margin: 2em; }
-        h1, h2, h3 { color: #333; }
-        p { margin-bottom: 1em; }
-        img { max-width: 100%; height: auto; }
-    </style>
-</head>
-<body>
-    <h1>${this.escapeHtml(article.title)}</h1>
-    <p><em>Source: ${this.escapeHtml(article.siteName)}</em></p>
-    ${article.content}
-</body>
-</html>`);
-        
-        return await zip.generateAsync({type: 'blob'});
+     * Generate an EPUB (or another export format) on the server from extracted articles
+     * @param {Array<Object>} articles - Articles with title, content, url, etc.
+     * @param {Object} [options] - Book options (title, author, description, cover, tocPage, tags, format);
+     *   cover is true or { template, scheme, image, useLeadImage }, format is 'epub' (default), 'pdf', 'azw3', 'mobi', 'fb2', 'md', 'html' or 'txt'
+     * @returns {Promise<Blob>} Book file as blob
+     */
+    async generateEpub(articles, options = {}) {
+        const response = await fetch('/api/epub/generate', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+                articles: articles.map(article => ({
+                    title: article.title,
+                    content: article.content,
+                    url: article.url,
+                    siteName: article.siteName,
+                    wordCount: article.wordCount,
+                    leadImage: article.leadImage,
+                    author: article.author,
+                    publishedTime: article.publishedTime,
+                    language: article.language,
+                    canonicalUrl: article.canonicalUrl,
+                    tags: article.tags
+                })),
+                options
+            })
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        // Log what the server had to strip or skip to make the book valid
+        const report = response.headers.get('X-LinkPub-Report');
+        if (report) {
+            console.log(`📖 ${(options.format || 'epub').toUpperCase()} build report:`, JSON.parse(report));
+        }
+        
+        return await response.blob();
     }
     
     // =================================================================
     // UTILITY METHODS
     // =================================================================
     
+    /**
+     * File extension for a download format (Markdown exports are ZIP archives)
+     * @param {string} format - Format name
+     * @returns {string} Extension without the dot
+     */
+    fileExtension(format) {
+        return format === 'md' ? 'zip' : format;
+    }
+
     /**
      * Download a blob as a file
      * @param {Blob} blob - File blob to download
@@ -727,6 +823,15 @@ class LinkPub {
             .substring(0, 50); // Limit length
     }
     
+    /**
+     * Split a comma-separated tag list
+     * @param {string} value - Tags as typed, e.g. "tech, long reads"
+     * @returns {Array<string>} Non-empty, trimmed tags
+     */
+    parseTags(value) {
+        return value.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    
     /**
      * Generate a UUID v4
      * @returns {string} UUID string
@@ -931,36 +1036,26 @@ class LinkPub {
         
         try {
             const title = this.collectionTitle.value.trim() || 'Article Collection';
-            const author = this.collectionAuthor.value.trim() || 'LinkPub';
-            
-            const epub = await this.generateCollectionEpub(this.articles, title, author);
-            const epubData = await this.blobToBase64(epub);
+            const author = this.collectionAuthor.value.trim() || undefined;
             
-            const response = await fetch('/api/epubs/save', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                credentials: 'include',
-                body: JSON.stringify({
-                    title: title,
-                    description: this.generateCollectionDescription(this.articles, 'collection'),
-                    contents: this.articles.map(article => ({
-                        title: article.title,
-                        url: article.url,
-                        siteName: article.siteName
-                    })),
-                    epubData: epubData
-                })
+            const tags = this.parseTags(this.collectionTags.value);
+            const epub = await this.generateEpub(this.articles, { title, author, tags });
+            const result = await this.saveToLibrary({
+                title,
+                description: this.generateCollectionDescription(this.articles, 'collection'),
+                contents: this.articles.map(article => ({
+                    title: article.title,
+                    url: article.url,
+                    siteName: article.siteName
+                })),
+                shelf: this.collectionShelf.value.trim(),
+                tags,
+                epub
             });
             
-            const result = await response.json();
-            
-            if (response.ok) {
-                alert('Collection saved to your library!');
+            if (result) {
+                alert(result.replaced ? 'Collection replaced in your library!' : 'Collection saved to your library!');
                 this.loadSavedEpubs();
-            } else {
-                throw new Error(result.error || 'Failed to save collection');
             }
         } catch (error) {
             console.error('Save collection error:', error);
@@ -972,33 +1067,144 @@ class LinkPub {
     // EPUB LIBRARY MANAGEMENT
     // =================================================================
     
+    /**
+     * Build the library search parameters from the Library controls
+     * @param {number} page - Page to load
+     * @returns {URLSearchParams} Query parameters for GET /api/epubs
+     */
+    libraryQuery(page) {
+        const params = new URLSearchParams({ page: String(page) });
+        const search = this.librarySearchInput.value.trim();
+        const [sort, order] = this.librarySort.value.split(':');
+        const [minArticles, maxArticles] = this.libraryArticlesFilter.value.split('-');
+        const [minSize, maxSize] = this.librarySizeFilter.value.split('-');
+        
+        const values = {
+            q: search,
+            sort,
+            order,
+            site: this.librarySiteFilter.value,
+            shelf: this.libraryShelfFilter.value,
+            tag: this.libraryTagFilter.value,
+            minArticles,
+            maxArticles,
+            minSize,
+            maxSize,
+            from: this.libraryFromInput.value,
+            to: this.libraryToInput.value
+        };
+        Object.entries(values).forEach(([name, value]) => {
+            if (value) params.set(name, value);
+        });
+        return params;
+    }
+    
+    /**
+     * Whether any Library search or filter is set
+     * @returns {boolean} True when the results may not be the whole library
+     */
+    isLibraryFiltered() {
+        return Boolean(this.librarySearchInput.value.trim() || this.librarySiteFilter.value || this.libraryShelfFilter.value ||
+            this.libraryTagFilter.value || this.libraryArticlesFilter.value ||
+            this.librarySizeFilter.value || this.libraryFromInput.value || this.libraryToInput.value);
+    }
+    
+    /**
+     * Search the library from the first page
+     */
+    searchLibrary() {
+        clearTimeout(this.librarySearchTimer);
+        this.loadSavedEpubs(1);
+    }
+    
     /**
      * Load saved EPUBs from server
+     * @param {number} [page] - Page to load, the current page by default
      */
-    async loadSavedEpubs() {
+    async loadSavedEpubs(page = this.libraryPage) {
         try {
-            const response = await fetch('/api/epubs', {
+            const response = await fetch(`/api/epubs?${this.libraryQuery(page)}`, {
                 credentials: 'include'
             });
             
             if (response.ok) {
                 const data = await response.json();
+                
+                // A page past the end (e.g. after deleting its last book) falls back to the last page
+                if (data.page > data.pages) {
+                    return this.loadSavedEpubs(data.pages);
+                }
+                
                 this.savedEpubs = data.epubs || [];
+                this.libraryPage = data.page;
+                this.renderLibraryFilter(this.librarySiteFilter, 'All sites', data.sites || []);
+                this.renderLibraryFilter(this.libraryShelfFilter, 'All shelves', data.shelves || []);
+                this.renderLibraryFilter(this.libraryTagFilter, 'All tags', data.tags || []);
+                this.libraryShelvesList.replaceChildren(...(data.shelves || []).map(shelf => new Option(shelf.name, shelf.name)));
                 this.renderSavedEpubs();
+                this.renderLibraryPagination(data.page, data.pages, data.total);
             } else {
-                console.error('Failed to load saved EPUBs');
+                const data = await response.json().catch(() => ({}));
+                console.error('Failed to load saved EPUBs:', data.error);
             }
         } catch (error) {
             console.error('Load EPUBs error:', error);
         }
     }
     
+    /**
+     * Fill a Library filter (sites, shelves or tags) with the library's values, keeping the selection
+     * @param {HTMLSelectElement} select - Filter to fill
+     * @param {string} allLabel - Label of the "no filter" option
+     * @param {Array<Object>} values - Values ({ name, count })
+     */
+    renderLibraryFilter(select, allLabel, values) {
+        const selected = select.value;
+        select.replaceChildren(
+            new Option(allLabel, ''),
+            ...values.map(value => new Option(`${value.name} (${value.count})`, value.name))
+        );
+        if (selected && !values.some(value => value.name === selected)) {
+            select.add(new Option(`${selected} (0)`, selected));
+        }
+        select.value = selected;
+    }
+    
+    /**
+     * Filter the Library by a shelf or tag chip from a book card
+     * @param {string} filter - 'shelf' or 'tag'
+     * @param {string} value - Shelf or tag name
+     */
+    filterLibraryBy(filter, value) {
+        const select = filter === 'shelf' ? this.libraryShelfFilter : this.libraryTagFilter;
+        if (!Array.from(select.options).some(option => option.value === value)) {
+            select.add(new Option(value, value));
+        }
+        select.value = value;
+        this.searchLibrary();
+    }
+    
+    /**
+     * Show the library page controls
+     * @param {number} page - Current page
+     * @param {number} pages - Number of pages
+     * @param {number} total - Number of matching books
+     */
+    renderLibraryPagination(page, pages, total) {
+        this.libraryPagination.hidden = total === 0;
+        this.libraryPageInfo.textContent = `Page ${page} of ${pages} · ${total} ${total === 1 ? 'book' : 'books'}`;
+        this.libraryPrevBtn.disabled = page <= 1;
+        this.libraryNextBtn.disabled = page >= pages;
+    }
+    
     /**
      * Render saved EPUBs in the UI
      */
     renderSavedEpubs() {
         if (this.savedEpubs.length === 0) {
-            this.epubsGrid.innerHTML = '<div class="no-epubs-message">No saved EPUBs yet. Start by converting some articles!</div>';
+            this.epubsGrid.innerHTML = this.isLibraryFiltered()
+                ? '<div class="no-epubs-message">No books match your search and filters.</div>'
+                : '<div class="no-epubs-message">No saved EPUBs yet. Start by converting some articles!</div>';
             return;
         }
         
@@ -1025,6 +1231,14 @@ class LinkPub {
             ? `<div class="epub-description" title="${this.escapeHtml(epub.description)}">${this.escapeHtml(epub.description.substring(0, 150))}${epub.description.length > 150 ? '...' : ''}</div>`
             : '';
         
+        const tags = epub.tags || [];
+        const labelsHtml = epub.shelf || tags.length > 0
+            ? `<div class="epub-labels">
+                ${epub.shelf ? `<button type="button" class="epub-shelf" title="Show this shelf">${this.escapeHtml(epub.shelf)}</button>` : ''}
+                ${tags.map(tag => `<button type="button" class="epub-tag" title="Show books with this tag">#${this.escapeHtml(tag)}</button>`).join('')}
+            </div>`
+            : '';
+        
         card.innerHTML = `
             <div class="epub-title">${this.escapeHtml(epub.title)}</div>
             <div class="epub-meta">
@@ -1033,33 +1247,248 @@ class LinkPub {
                 ${epub.contents && epub.contents.length > 1 ? `<div>${epub.contents.length} articles</div>` : ''}
             </div>
             ${descriptionHtml}
+            ${labelsHtml}
             <div class="epub-actions">
-                <button class="epub-download-btn" onclick="linkPub.downloadSavedEpub('${epub.filename}', '${this.escapeHtml(epub.title)}')">Download</button>
+                <select class="format-select epub-format-select" title="Download format">
+                    <option value="epub">EPUB</option>
+                    <option value="pdf">PDF</option>
+                    <option value="azw3">AZW3</option>
+                    <option value="mobi">MOBI</option>
+                    <option value="fb2">FB2</option>
+                </select>
+                <button class="epub-download-btn" onclick="linkPub.downloadSavedEpub('${epub.filename}', '${this.escapeHtml(epub.title)}', this.previousElementSibling.value)">Download</button>
+                <button class="epub-validate-btn" onclick="linkPub.validateSavedEpub('${epub.filename}', this)">Validate</button>
+                <button class="epub-organize-btn">Tags</button>
+                <button class="epub-validate-btn" onclick="linkPub.showEpubEdit('${epub.filename}')">Edit</button>
+                ${(epub.contents || []).some(entry => entry.url) ? `<button class="epub-validate-btn" onclick="linkPub.rebuildSavedEpub('${epub.filename}', this)" title="Extract the articles again and regenerate the book">Rebuild</button>` : ''}
                 <button class="epub-delete-btn" onclick="linkPub.deleteSavedEpub('${epub.filename}')">Delete</button>
             </div>
+            <form class="epub-organize" hidden>
+                <input type="text" name="shelf" placeholder="Shelf" list="libraryShelvesList">
+                <input type="text" name="tags" placeholder="Tags, comma separated">
+                <div class="epub-organize-actions">
+                    <button type="submit" class="epub-download-btn">Save</button>
+                    <button type="button" class="epub-validate-btn">Cancel</button>
+                </div>
+            </form>
+            <div class="epub-validation" hidden></div>
         `;
         
+        card.querySelector('.epub-shelf')?.addEventListener('click', () => this.filterLibraryBy('shelf', epub.shelf));
+        card.querySelectorAll('.epub-tag').forEach((chip, index) => chip.addEventListener('click', () => this.filterLibraryBy('tag', tags[index])));
+        
+        const organizeForm = card.querySelector('.epub-organize');
+        organizeForm.elements.shelf.defaultValue = epub.shelf || '';
+        organizeForm.elements.tags.defaultValue = tags.join(', ');
+        card.querySelector('.epub-organize-btn').addEventListener('click', () => {
+            organizeForm.hidden = !organizeForm.hidden;
+        });
+        organizeForm.querySelector('button[type="button"]').addEventListener('click', () => {
+            organizeForm.reset();
+            organizeForm.hidden = true;
+        });
+        organizeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.updateSavedEpubTags(epub.filename, organizeForm.elements.shelf.value, organizeForm.elements.tags.value);
+        });
+        
         return card;
     }
     
     /**
-     * Download saved EPUB
+     * Download saved EPUB, converted on the server for other formats
+     * @param {string} filename - Library file name
+     * @param {string} title - Book title
+     * @param {string} [format] - 'epub' (default), 'pdf', 'azw3', 'mobi' or 'fb2'
      */
-    async downloadSavedEpub(filename, title) {
+    async downloadSavedEpub(filename, title, format = 'epub') {
         try {
-            const response = await fetch(`/api/epubs/${filename}`, {
+            const query = format === 'epub' ? '' : `?format=${encodeURIComponent(format)}`;
+            const response = await fetch(`/api/epubs/${filename}${query}`, {
                 credentials: 'include'
             });
             
             if (response.ok) {
                 const blob = await response.blob();
-                this.downloadFile(blob, filename);
+                this.downloadFile(blob, `${this.sanitizeFilename(title) || filename.replace(/\.epub$/, '')}.${this.fileExtension(format)}`);
             } else {
-                alert('Failed to download EPUB');
+                const errorData = await response.json().catch(() => ({}));
+                alert(errorData.error || `Failed to download ${format.toUpperCase()}`);
             }
         } catch (error) {
             console.error('Download EPUB error:', error);
-            alert('Failed to download EPUB');
+            alert(`Failed to download ${format.toUpperCase()}`);
+        }
+    }
+    
+    /**
+     * Move a saved EPUB to another shelf and replace its tags
+     * @param {string} filename - Library file name
+     * @param {string} shelf - Shelf name, empty to take the book off its shelf
+     * @param {string} tags - Comma-separated tags
+     */
+    async updateSavedEpubTags(filename, shelf, tags) {
+        try {
+            const response = await fetch(`/api/epubs/${filename}/tags`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ shelf: shelf.trim(), tags: this.parseTags(tags) })
+            });
+            
+            if (response.ok) {
+                this.loadSavedEpubs();
+            } else {
+                const errorData = await response.json().catch(() => ({}));
+                alert(errorData.error || 'Failed to update tags');
+            }
+        } catch (error) {
+            console.error('Update tags error:', error);
+            alert('Failed to update tags');
+        }
+    }
+    
+    /**
+     * Regenerate a saved EPUB from its source URLs with the current extractor and builder
+     * @param {string} filename - Library file name
+     * @param {HTMLButtonElement} button - Rebuild button, disabled while the book is rebuilt
+     */
+    async rebuildSavedEpub(filename, button) {
+        if (!confirm('Extract every article of this book again and regenerate it? Articles that fail keep their current text.')) {
+            return;
+        }
+        
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = 'Rebuilding...';
+        try {
+            const response = await fetch(`/api/epubs/${filename}/rebuild`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+            const result = await response.json().catch(() => ({}));
+            const failures = (result.failures || [])
+                .map(failure => `• ${failure.title || failure.url}: ${failure.error}`)
+                .join('\n');
+            
+            if (!response.ok) {
+                alert(`${result.error || 'Failed to rebuild EPUB'}${failures ? `\n\n${failures}` : ''}`);
+                return;
+            }
+            
+            alert(failures
+                ? `Rebuilt ${result.rebuilt} of ${result.rebuilt + result.failures.length} articles. These kept their previous text:\n\n${failures}`
+                : `Rebuilt all ${result.rebuilt} ${result.rebuilt === 1 ? 'article' : 'articles'}.`);
+            this.loadSavedEpubs();
+        } catch (error) {
+            console.error('Rebuild EPUB error:', error);
+            alert('Failed to rebuild EPUB');
+        } finally {
+            button.disabled = false;
+            button.textContent = label;
+        }
+    }
+    
+    /**
+     * Open the edit dialog with the metadata stored in a saved EPUB
+     * @param {string} filename - Library file name
+     */
+    async showEpubEdit(filename) {
+        try {
+            const response = await fetch(`/api/epubs/${filename}/metadata`, {
+                credentials: 'include'
+            });
+            const metadata = await response.json();
+            if (!response.ok) {
+                throw new Error(metadata.error || 'Failed to read the book details');
+            }
+            
+            this.editingEpub = filename;
+            this.epubEditForm.reset();
+            this.epubEditTitle.value = metadata.title;
+            this.epubEditAuthor.value = metadata.author;
+            this.epubEditDescription.value = metadata.description;
+            this.epubEditLanguage.value = metadata.language;
+            this.epubEditSubjects.value = metadata.subjects.join(', ');
+            this.epubEditCover.options[0].textContent = metadata.hasCover ? 'Keep current cover' : 'No cover';
+            this.epubEditMessage.hidden = true;
+            this.updateEpubEditCoverOptions();
+            this.epubEditOverlay.style.display = 'flex';
+            this.epubEditTitle.focus();
+        } catch (error) {
+            console.error('Edit EPUB error:', error);
+            alert(error.message);
+        }
+    }
+    
+    /**
+     * Hide the edit dialog
+     */
+    hideEpubEdit() {
+        this.epubEditOverlay.style.display = 'none';
+        this.editingEpub = null;
+    }
+    
+    /**
+     * Show the color scheme picker for generated covers, or the file input for uploads
+     */
+    updateEpubEditCoverOptions() {
+        const choice = this.epubEditCover.value;
+        this.epubEditCoverScheme.style.display = choice && choice !== 'upload' ? '' : 'none';
+        this.epubEditCoverUpload.style.display = choice === 'upload' ? '' : 'none';
+    }
+    
+    /**
+     * Save the edit dialog: the server rewrites the book's metadata and cover in place
+     */
+    async saveEpubEdit() {
+        if (!this.editingEpub) return;
+        
+        const changes = {
+            title: this.epubEditTitle.value,
+            author: this.epubEditAuthor.value,
+            description: this.epubEditDescription.value,
+            language: this.epubEditLanguage.value,
+            subjects: this.parseTags(this.epubEditSubjects.value)
+        };
+        
+        this.saveEpubEditBtn.disabled = true;
+        try {
+            const choice = this.epubEditCover.value;
+            if (choice === 'upload') {
+                const file = this.epubEditCoverUpload.files[0];
+                if (!file) {
+                    throw new Error('Choose a cover image to upload');
+                }
+                changes.cover = { image: await this.blobToBase64(file) };
+            } else if (choice) {
+                changes.cover = { template: choice, scheme: this.epubEditCoverScheme.value };
+            }
+            
+            const response = await fetch(`/api/epubs/${this.editingEpub}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify(changes)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to save the book details');
+            }
+            
+            this.hideEpubEdit();
+            this.loadSavedEpubs();
+        } catch (error) {
+            console.error('Save EPUB details error:', error);
+            this.epubEditMessage.textContent = error.message;
+            this.epubEditMessage.className = 'epub-edit-message error';
+            this.epubEditMessage.hidden = false;
+        } finally {
+            this.saveEpubEditBtn.disabled = false;
         }
     }
     
@@ -1087,7 +1516,69 @@ class LinkPub {
             alert('Failed to delete EPUB');
         }
     }
-    
+
+    /**
+     * Validate saved EPUB and show the report inside its card
+     */
+    async validateSavedEpub(filename, button) {
+        const card = button.closest('.epub-card');
+        const reportEl = card.querySelector('.epub-validation');
+
+        button.disabled = true;
+        button.textContent = 'Validating...';
+
+        try {
+            const response = await fetch(`/api/epubs/${filename}/validate`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Validation failed');
+            }
+
+            reportEl.innerHTML = this.renderValidationReport(data);
+        } catch (error) {
+            console.error('Validate EPUB error:', error);
+            reportEl.innerHTML = `<div class="validation-status invalid">${this.escapeHtml(error.message)}</div>`;
+        } finally {
+            reportEl.hidden = false;
+            button.disabled = false;
+            button.textContent = 'Validate';
+        }
+    }
+
+    /**
+     * Render a validation report as HTML
+     */
+    renderValidationReport(report) {
+        const renderMessages = (messages, type) => messages.map(message => `
+            <li class="validation-${type}">
+                <span class="validation-code">${this.escapeHtml(message.code)}</span>
+                ${this.escapeHtml(message.message)}
+                ${message.path ? `<span class="validation-path">${this.escapeHtml(message.path)}</span>` : ''}
+            </li>
+        `).join('');
+
+        const status = report.valid
+            ? `✅ Valid EPUB ${this.escapeHtml(report.version || '')}`
+            : `❌ ${report.errors.length} error${report.errors.length === 1 ? '' : 's'}`;
+        const warnings = report.warnings.length
+            ? ` · ⚠️ ${report.warnings.length} warning${report.warnings.length === 1 ? '' : 's'}`
+            : '';
+
+        return `
+            <div class="validation-status ${report.valid ? 'valid' : 'invalid'}">${status}${warnings}</div>
+            ${report.errors.length || report.warnings.length ? `
+                <ul class="validation-messages">
+                    ${renderMessages(report.errors, 'error')}
+                    ${renderMessages(report.warnings, 'warning')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
     /**
      * Format file size for display
      */
@@ -1227,114 +1718,17 @@ class LinkPub {
     async handleDownloadCollection() {
         if (this.articles.length === 0) return;
         
+        const format = this.collectionFormat.value;
         try {
             const title = this.collectionTitle.value.trim() || 'Article Collection';
-            const author = this.collectionAuthor.value.trim() || 'LinkPub';
+            const author = this.collectionAuthor.value.trim() || undefined;
             
-            const epub = await this.generateCollectionEpub(this.articles, title, author);
-            this.downloadFile(epub, `${this.sanitizeFilename(title)}.epub`);
+            const tags = this.parseTags(this.collectionTags.value);
+            const book = await this.generateEpub(this.articles, { title, author, tags, format });
+            this.downloadFile(book, `${this.sanitizeFilename(title)}.${this.fileExtension(format)}`);
         } catch (error) {
-            this.showCollectionError(`Failed to generate EPUB: ${error.message}`);
-        }
-    }
-    
-    async generateCollectionEpub(articles, title, author) {
-        const zip = new JSZip();
-        
-        zip.file('mimetype', 'application/epub+zip');
-        
-        const metaInf = zip.folder('META-INF');
-        metaInf.file('container.xml', `<?xml version="1.0"?>
-<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
-    <rootfiles>
-        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
-    </rootfiles>
-</container>`);
-        
-        const oebps = zip.folder('OEBPS');
-        
-        // Generate manifest items for each article
-        const manifestItems = articles.map((article, index) => 
-            `<item id="chapter${index + 1}" href="chapter${index + 1}.html" media-type="application/xhtml+xml"/>`
-        ).join('\n        ');
-        
-        // Generate spine items for each article
-        const spineItems = articles.map((article, index) => 
-            `<itemref idref="chapter${index + 1}"/>`
-        ).join('\n        ');
-        
-        oebps.file('content.opf', `<?xml version="1.0" encoding="UTF-8"?>
-<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId" version="2.0">
-    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
-        <dc:identifier id="BookId">${this.generateUUID()}</dc:identifier>
-        <dc:title>${this.escapeHtml(title)}</dc:title>
-        <dc:creator>${this.escapeHtml(author)}</dc:creator>
-        <dc:language>en</dc:language>
-        <dc:date>${new Date().toISOString().split('T')[0]}</dc:date>
-    </metadata>
-    <manifest>
-        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
-        ${manifestItems}
-    </manifest>
-    <spine toc="ncx">
-        ${spineItems}
-    </spine>
-</package>`);
-        
-        // Generate TOC
-        const navPoints = articles.map((article, index) => `
-        <navPoint id="navpoint-${index + 1}" playOrder="${index + 1}">
-            <navLabel>
-                <text>${this.escapeHtml(article.title)}</text>
-            </navLabel>
-            <content src="chapter${index + 1}.html"/>
-        </navPoint>`).join('');
-        
-        const totalWords = articles.reduce((sum, article) => sum + (article.wordCount || 1000), 0);
-        const estimatedPages = Math.max(1, Math.ceil(totalWords / 250));
-        
-        oebps.file('toc.ncx', `<?xml version="1.0" encoding="UTF-8"?>
-<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
-    <head>
-        <meta name="dtb:uid" content="${this.generateUUID()}"/>
-        <meta name="dtb:depth" content="1"/>
-        <meta name="dtb:totalPageCount" content="${estimatedPages}"/>
-        <meta name="dtb:maxPageNumber" content="${estimatedPages}"/>
-    </head>
-    <docTitle>
-        <text>${this.escapeHtml(title)}</text>
-    </docTitle>
-    <navMap>${navPoints}
-    </navMap>
-</ncx>`);
-        
-        // Generate individual chapter files
-        articles.forEach((article, index) => {
-            oebps.file(`chapter${index + 1}.html`, `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml">
-<head>
-    <title>${this.escapeHtml(article.title)}</title>
-    <style>
-        body { font-family: serif; line-height: 1.6; margin: 2em; }
-        h1, h2, h3 { color: #333; }
-        p { margin-bottom: 1em; }
-        img { max-width: 100%; height: auto; }
-        .chapter-meta { color: #666; font-style: italic; margin-bottom: 2em; border-bottom: 1px solid #eee; padding-bottom: 1em; }
-    </style>
-</head>
-<body>
-    <h1>${this.escapeHtml(article.title)}</h1>
-    <div class="chapter-meta">
-        <p>Source: ${this.escapeHtml(article.siteName)}</p>
-        <p>URL: ${this.escapeHtml(article.url)}</p>
-    </div>
-    ${article.content}
-</body>
-</html>`);
-        });
-        
-        return await zip.generateAsync({type: 'blob'});
+            this.showCollectionError(`Failed to generate ${format.toUpperCase()}: ${error.message}`);
+        }
     }
     
     updateCollectionTitle() {
@@ -1390,16 +1784,17 @@ class LinkPub {
     async handleDownloadIndividual() {
         if (this.articles.length === 0) return;
         
+        const format = this.collectionFormat.value;
         this.showCollectionLoading(true);
-        this.loadingText.textContent = 'Generating individual EPUBs...';
+        this.loadingText.textContent = `Generating individual ${format.toUpperCase()}s...`;
         
         try {
             for (let i = 0; i < this.articles.length; i++) {
                 const article = this.articles[i];
                 this.updateProgress(i, this.articles.length);
                 
-                const epub = await this.generateEpub(article);
-                this.downloadFile(epub, `${this.sanitizeFilename(article.title)}.epub`);
+                const book = await this.generateEpub([article], { cover: { useLeadImage: true }, format });
+                this.downloadFile(book, `${this.sanitizeFilename(article.title)}.${this.fileExtension(format)}`);
                 
                 // Small delay between downloads
                 await new Promise(resolve => setTimeout(resolve, 500));
@@ -1407,7 +1802,7 @@ class LinkPub {
             
             this.updateProgress(this.articles.length, this.articles.length);
         } catch (error) {
-            this.showCollectionError(`Failed to generate individual EPUBs: ${error.message}`);
+            this.showCollectionError(`Failed to generate individual ${format.toUpperCase()}s: ${error.message}`);
         } finally {
             this.showCollectionLoading(false);
         }
@@ -1416,222 +1811,167 @@ class LinkPub {
     async handleGenerateCover() {
         if (this.articles.length === 0) return;
         
+        const format = this.collectionFormat.value;
         try {
             const title = this.collectionTitle.value.trim() || 'Article Collection';
-            const author = this.collectionAuthor.value.trim() || 'LinkPub';
+            const author = this.collectionAuthor.value.trim() || undefined;
             
-            const epub = await this.generateCollectionEpubWithCover(this.articles, title, author);
-            this.downloadFile(epub, `${this.sanitizeFilename(title)}_with_cover.epub`);
+            const book = await this.generateEpub(this.articles, {
+                title,
+                author,
+                description: `Collection of ${this.articles.length} articles compiled by LinkPub`,
+                cover: await this.getCoverOptions(),
+                tocPage: true,
+                format
+            });
+            this.downloadFile(book, `${this.sanitizeFilename(title)}_with_cover.${this.fileExtension(format)}`);
         } catch (error) {
-            this.showCollectionError(`Failed to generate EPUB with cover: ${error.message}`);
-        }
-    }
-    
-    async generateCollectionEpubWithCover(articles, title, author) {
-        const zip = new JSZip();
-        
-        zip.file('mimetype', 'application/epub+zip');
-        
-        const metaInf = zip.folder('META-INF');
-        metaInf.file('container.xml', `<?xml version="1.0"?>
-<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
-    <rootfiles>
-        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
-    </rootfiles>
-</container>`);
-        
-        const oebps = zip.folder('OEBPS');
-        
-        // Generate manifest items
-        const manifestItems = [
-            `<item id="cover" href="cover.html" media-type="application/xhtml+xml"/>`,
-            `<item id="toc-page" href="toc.html" media-type="application/xhtml+xml"/>`,
-            ...articles.map((article, index) => 
-                `<item id="chapter${index + 1}" href="chapter${index + 1}.html" media-type="application/xhtml+xml"/>`
-            )
-        ].join('\n        ');
-        
-        // Generate spine items
-        const spineItems = [
-            `<itemref idref="cover"/>`,
-            `<itemref idref="toc-page"/>`,
-            ...articles.map((article, index) => 
-                `<itemref idref="chapter${index + 1}"/>`
-            )
-        ].join('\n        ');
-        
-        oebps.file('content.opf', `<?xml version="1.0" encoding="UTF-8"?>
-<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId" version="2.0">
-    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
-        <dc:identifier id="BookId">${this.generateUUID()}</dc:identifier>
-        <dc:title>${this.escapeHtml(title)}</dc:title>
-        <dc:creator>${this.escapeHtml(author)}</dc:creator>
-        <dc:language>en</dc:language>
-        <dc:date>${new Date().toISOString().split('T')[0]}</dc:date>
-        <dc:description>Collection of ${articles.length} articles compiled by LinkPub</dc:description>
-    </metadata>
-    <manifest>
-        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
-        ${manifestItems}
-    </manifest>
-    <spine toc="ncx">
-        ${spineItems}
-    </spine>
-</package>`);
-        
-        // Generate cover page
-        oebps.file('cover.html', `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml">
-<head>
-    <title>Cover</title>
-    <style>
-        body { 
-            font-family: serif; 
-            text-align: center; 
-            padding: 4em 2em; 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            min-height: 80vh;
-            display: flex;
-            flex-direction: column;
-            justify-content: center;
-        }
-        h1 { 
-            font-size: 3em; 
-            margin-bottom: 0.5em; 
-            text-shadow: 0 2px 4px rgba(0,0,0,0.3);
-        }
-        .author { 
-            font-size: 1.5em; 
-            margin-bottom: 2em; 
-            opacity: 0.9;
-        }
-        .meta { 
-            font-size: 1.2em; 
-            opacity: 0.8; 
-            margin-top: 3em;
-        }
-        .article-count {
-            font-size: 1.1em;
-            margin-top: 1em;
-            background: rgba(255,255,255,0.2);
-            padding: 1em;
-            border-radius: 10px;
-            display: inline-block;
-        }
-    </style>
-</head>
-<body>
-    <h1>${this.escapeHtml(title)}</h1>
-    <div class="author">by ${this.escapeHtml(author)}</div>
-    <div class="article-count">${articles.length} Articles</div>
-    <div class="meta">
-        Generated on ${new Date().toLocaleDateString()}<br/>
-        Created with LinkPub
-    </div>
-</body>
-</html>`);
-        
-        // Generate table of contents page
-        const tocItems = articles.map((article, index) => 
-            `<li><a href="chapter${index + 1}.html">${this.escapeHtml(article.title)}</a></li>`
-        ).join('\n            ');
-        
-        oebps.file('toc.html', `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml">
-<head>
-    <title>Table of Contents</title>
-    <style>
-        body { font-family: serif; line-height: 1.6; margin: 2em; }
-        h1 { color: #333; border-bottom: 2px solid #667eea; padding-bottom: 0.5em; }
-        ul { list-style: none; padding: 0; }
-        li { margin: 1em 0; padding: 0.5em; border-left: 3px solid #667eea; }
-        a { text-decoration: none; color: #333; font-size: 1.1em; }
-        a:hover { color: #667eea; }
-    </style>
-</head>
-<body>
-    <h1>Table of Contents</h1>
-    <ul>
-        ${tocItems}
-    </ul>
-</body>
-</html>`);
-        
-        // Generate NCX
-        const navPoints = [
-            `<navPoint id="navpoint-0" playOrder="1">
-                <navLabel><text>Table of Contents</text></navLabel>
-                <content src="toc.html"/>
-            </navPoint>`,
-            ...articles.map((article, index) => `
-            <navPoint id="navpoint-${index + 1}" playOrder="${index + 2}">
-                <navLabel><text>${this.escapeHtml(article.title)}</text></navLabel>
-                <content src="chapter${index + 1}.html"/>
-            </navPoint>`)
-        ].join('');
-        
-        const totalWords = articles.reduce((sum, article) => sum + (article.wordCount || 1000), 0);
-        const estimatedPages = Math.max(1, Math.ceil(totalWords / 250));
-        
-        oebps.file('toc.ncx', `<?xml version="1.0" encoding="UTF-8"?>
-<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
-    <head>
-        <meta name="dtb:uid" content="${this.generateUUID()}"/>
-        <meta name="dtb:depth" content="1"/>
-        <meta name="dtb:totalPageCount" content="${estimatedPages}"/>
-        <meta name="dtb:maxPageNumber" content="${estimatedPages}"/>
-    </head>
-    <docTitle>
-        <text>${this.escapeHtml(title)}</text>
-    </docTitle>
-    <navMap>${navPoints}
-    </navMap>
-</ncx>`);
-        
-        // Generate individual chapter files
-        articles.forEach((article, index) => {
-            oebps.file(`chapter${index + 1}.html`, `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml">
-<head>
-    <title>${this.escapeHtml(article.title)}</title>
-    <style>
-        body { font-family: serif; line-height: 1.6; margin: 2em; }
-        h1, h2, h3 { color: #333; }
-        p { margin-bottom: 1em; }
-        img { max-width: 100%; height: auto; }
-        .chapter-meta { 
-            color: #666; 
-            font-style: italic; 
-            margin-bottom: 2em; 
-            border-bottom: 1px solid #eee; 
-            padding-bottom: 1em; 
-        }
-        .chapter-number {
-            color: #667eea;
-            font-size: 0.9em;
-            font-weight: bold;
-            margin-bottom: 0.5em;
-        }
-    </style>
-</head>
-<body>
-    <div class="chapter-number">Chapter ${index + 1}</div>
-    <h1>${this.escapeHtml(article.title)}</h1>
-    <div class="chapter-meta">
-        <p>Source: ${this.escapeHtml(article.siteName)}</p>
-        <p>URL: ${this.escapeHtml(article.url)}</p>
-        ${article.wordCount ? `<p>Word count: ${article.wordCount} words</p>` : ''}
-    </div>
-    ${article.content}
-</body>
-</html>`);
-        });
+            this.showCollectionError(`Failed to generate ${format.toUpperCase()} with cover: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show the color scheme picker for generated covers (also used as fallback for
+     * lead images), or the file input for uploads
+     */
+    updateCoverOptions() {
+        const isUpload = this.coverTemplate.value === 'upload';
+        this.coverScheme.style.display = isUpload ? 'none' : '';
+        this.coverUpload.style.display = isUpload ? '' : 'none';
+    }
+    
+    /**
+     * Build the cover option sent to the server from the Collection tab controls
+     * @returns {Promise<Object>} { template, scheme, useLeadImage } or { image } with a data URL
+     */
+    async getCoverOptions() {
+        if (this.coverTemplate.value === 'lead') {
+            return { useLeadImage: true, scheme: this.coverScheme.value };
+        }
+        if (this.coverTemplate.value !== 'upload') {
+            return { template: this.coverTemplate.value, scheme: this.coverScheme.value };
+        }
         
-        return await zip.generateAsync({type: 'blob'});
+        const file = this.coverUpload.files[0];
+        if (!file) {
+            throw new Error('Choose a cover image to upload');
+        }
+        return { image: await this.blobToBase64(file) };
+    }
+    
+    // =================================================================
+    // FILE UPLOAD METHODS
+    // =================================================================
+    
+    /**
+     * Convert the selected files to articles, one request per file
+     */
+    async handleFileUpload() {
+        const files = Array.from(this.fileUploadInput.files);
+        this.uploadErrorMessage.textContent = '';
+        
+        if (files.length === 0) {
+            this.uploadErrorMessage.textContent = 'Choose one or more files to convert';
+            return;
+        }
+        
+        this.convertFilesBtn.disabled = true;
+        this.uploadedFiles.style.display = 'block';
+        
+        for (const file of files) {
+            const uploadId = this.generateUUID();
+            const item = this.createUploadItem(uploadId, file.name);
+            
+            try {
+                const response = await fetch('/api/extract/upload', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'include',
+                    body: JSON.stringify({ name: file.name, data: await this.blobToBase64(file) })
+                });
+                const result = await response.json();
+                
+                if (!response.ok) {
+                    throw new Error(result.error || 'Failed to convert file');
+                }
+                
+                result.id = uploadId;
+                this.uploadedArticles.push(result);
+                
+                item.classList.add('success');
+                item.querySelector('.article-title').innerHTML = `${this.escapeHtml(result.title)} <span class="reading-time">(${this.calculateReadingTime(result.wordCount)})</span>`;
+                item.querySelector('.add-upload-btn').disabled = false;
+            } catch (error) {
+                item.classList.add('error');
+                item.querySelector('.article-title').textContent = `Error: ${error.message}`;
+            } finally {
+                item.classList.remove('processing');
+            }
+        }
+        
+        this.fileUploadInput.value = '';
+        this.convertFilesBtn.disabled = false;
+        this.addAllUploadsBtn.disabled = this.uploadedArticles.length === 0;
+    }
+    
+    /**
+     * Create the list entry for an uploaded file
+     * @param {string} id - Upload ID
+     * @param {string} fileName - File name
+     * @returns {HTMLElement} List item
+     */
+    createUploadItem(id, fileName) {
+        const item = document.createElement('div');
+        item.className = 'article-item processing';
+        item.dataset.id = id;
+        
+        item.innerHTML = `
+            <div class="article-info">
+                <div class="article-title">Processing...</div>
+                <div class="article-url">${this.escapeHtml(fileName)}</div>
+            </div>
+            <div class="article-actions">
+                <button class="article-btn add-upload-btn" onclick="linkPub.addUploadToCollection('${id}')" disabled>Add to Collection</button>
+            </div>
+        `;
+        
+        this.uploadedFilesList.appendChild(item);
+        return item;
+    }
+    
+    /**
+     * Add a converted file to the collection
+     * @param {string} id - Upload ID
+     */
+    addUploadToCollection(id) {
+        const upload = this.uploadedArticles.find(article => article.id === id);
+        if (!upload) return;
+        
+        const article = { ...upload, id: this.generateUUID() };
+        this.articles.push(article);
+        
+        const articleItem = this.createArticleItem(article.id, article.url || article.fileName, article.title);
+        this.updateArticleItem(article.id, article);
+        articleItem.classList.add('success');
+        this.updateCollectionUI();
+        
+        // Each file is added once
+        this.uploadedArticles = this.uploadedArticles.filter(item => item.id !== id);
+        const uploadItem = this.uploadedFilesList.querySelector(`[data-id="${id}"]`);
+        if (uploadItem) {
+            const button = uploadItem.querySelector('.add-upload-btn');
+            button.disabled = true;
+            button.textContent = 'Added';
+        }
+        this.addAllUploadsBtn.disabled = this.uploadedArticles.length === 0;
+    }
+    
+    /**
+     * Add every converted file not yet added to the collection
+     */
+    addAllUploadsToCollection() {
+        this.uploadedArticles.map(article => article.id).forEach(id => this.addUploadToCollection(id));
+        this.switchTab('collection');
     }
     
     // =================================================================
@@ -1873,6 +2213,7 @@ class LinkPub {
                     const article = await this.extractArticle(bookmark.url);
                     article.id = bookmark.id;
                     article.title = bookmark.title; // Use bookmark title
+                    article.leadImage = article.leadImage || bookmark.imageUrl || '';
                     articles.push(article);
                     
                     // Mark as successful
@@ -1897,33 +2238,36 @@ class LinkPub {
                 throw new Error('No articles could be extracted from selected bookmarks');
             }
             
-            this.processingText.textContent = 'Generating EPUB...';
-            const epub = await this.generateCollectionEpubWithCover(articles, title, author);
+            const format = this.karakeepFormat.value;
+            const bookOptions = {
+                title,
+                author,
+                description: `Collection of ${articles.length} articles compiled by LinkPub`,
+                cover: articles.length === 1 ? { useLeadImage: true } : true,
+                tocPage: true,
+                tags: this.parseTags(this.karakeepTags.value)
+            };
+            this.processingText.textContent = `Generating ${format.toUpperCase()}...`;
+            const book = await this.generateEpub(articles, { ...bookOptions, format });
             
-            // Save to library if user wants
-            if (confirm(`EPUB generated with ${articles.length} articles! Would you like to save it to your library?`)) {
+            // Save to library if user wants (the library always stores EPUBs)
+            if (confirm(`${format.toUpperCase()} generated with ${articles.length} articles! Would you like to save it to your library?`)) {
                 try {
-                    const epubData = await this.blobToBase64(epub);
-                    
-                    const response = await fetch('/api/epubs/save', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        credentials: 'include',
-                        body: JSON.stringify({
-                            title: title,
-                            description: this.generateCollectionDescription(articles, 'karakeep'),
-                            contents: articles.map(article => ({
-                                title: article.title,
-                                url: article.url,
-                                siteName: article.siteName || 'Unknown'
-                            })),
-                            epubData: epubData
-                        })
+                    const epub = format === 'epub' ? book : await this.generateEpub(articles, bookOptions);
+                    const result = await this.saveToLibrary({
+                        title,
+                        description: this.generateCollectionDescription(articles, 'karakeep'),
+                        contents: articles.map(article => ({
+                            title: article.title,
+                            url: article.url,
+                            siteName: article.siteName || 'Unknown'
+                        })),
+                        shelf: this.karakeepShelf.value.trim(),
+                        tags: bookOptions.tags,
+                        epub
                     });
                     
-                    if (response.ok) {
+                    if (result) {
                         this.loadSavedEpubs();
                     }
                 } catch (saveError) {
@@ -1931,16 +2275,16 @@ class LinkPub {
                 }
             }
             
-            this.downloadFile(epub, `${this.sanitizeFilename(title)}.epub`);
+            this.downloadFile(book, `${this.sanitizeFilename(title)}.${this.fileExtension(format)}`);
             
-            console.log(`Successfully generated EPUB with ${articles.length} articles`);
+            console.log(`Successfully generated ${format.toUpperCase()} with ${articles.length} articles`);
             
             // Show completion message
             const successCount = articles.length;
             const failCount = selectedBookmarksList.length - successCount;
             
             if (failCount > 0) {
-                alert(`EPUB generated! Successfully processed ${successCount} articles. ${failCount} articles failed to extract.`);
+                alert(`${format.toUpperCase()} generated! Successfully processed ${successCount} articles. ${failCount} articles failed to extract.`);
             }
             
         } catch (error) {
@@ -2085,6 +2429,13 @@ class LinkPub {
         this.settingsOverlay.style.display = 'flex';
         await this.loadApiKeyStatus();
         this.loadUserPreferences();
+        
+        this.siteRulesSection.style.display = this.currentUser.isAdmin ? 'block' : 'none';
+        this.extractionCacheSection.style.display = this.currentUser.isAdmin ? 'block' : 'none';
+        if (this.currentUser.isAdmin) {
+            await this.loadSiteRules();
+            await this.loadCacheSummary();
+        }
     }
     
     /**
@@ -2214,12 +2565,168 @@ class LinkPub {
         }
     }
     
+    /**
+     * Load site rules (administrators only)
+     * @param {boolean} reload - Reload the rule files on the server first
+     */
+    async loadSiteRules(reload = false) {
+        const list = document.getElementById('siteRulesList');
+        
+        try {
+            const response = await fetch(reload ? '/api/admin/site-rules/reload' : '/api/admin/site-rules', {
+                method: reload ? 'POST' : 'GET',
+                credentials: 'include'
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load site rules');
+            }
+            
+            document.getElementById('siteRulesDir').textContent = data.directory;
+            
+            const describe = (rule) => [
+                Object.keys(rule.headers).length ? `headers: ${Object.keys(rule.headers).join(', ')}` : '',
+                Object.keys(rule.cookies).length ? `cookies: ${Object.keys(rule.cookies).join(', ')}` : '',
+                rule.urlRewrites.length ? `${rule.urlRewrites.length} URL rewrite(s)` : '',
+                rule.contentSelector ? `content: ${rule.contentSelector}` : '',
+                rule.stripSelectors.length ? `strip: ${rule.stripSelectors.join(', ')}` : '',
+                rule.titleSelector ? `title: ${rule.titleSelector}` : ''
+            ].filter(Boolean).join(' · ');
+            
+            list.innerHTML = `
+                ${data.rules.length === 0 ? '<p>No site rules loaded.</p>' : ''}
+                ${data.rules.map(rule => `
+                    <div class="site-rule-item">
+                        <strong>${this.escapeHtml(rule.name)}</strong>
+                        <span class="site-rule-domains">${this.escapeHtml(rule.domains.join(', '))}</span>
+                        <div class="site-rule-details">${this.escapeHtml(describe(rule) || 'No changes')} <span class="site-rule-file">${this.escapeHtml(rule.file)}</span></div>
+                    </div>
+                `).join('')}
+                ${data.errors.map(({ file, error }) => `
+                    <div class="site-rule-item site-rule-error">
+                        <strong>${this.escapeHtml(file)}</strong>
+                        <div class="site-rule-details">${this.escapeHtml(error)}</div>
+                    </div>
+                `).join('')}
+            `;
+            
+            const select = document.getElementById('siteRuleTestRule');
+            select.innerHTML = '<option value="">Matching rule</option>';
+            data.rules.forEach(rule => select.add(new Option(rule.name, rule.name)));
+        } catch (error) {
+            console.error('Failed to load site rules:', error);
+            list.innerHTML = `<p class="site-rule-error">${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    /**
+     * Test a site rule against the URL entered in settings
+     */
+    async testSiteRule() {
+        const url = document.getElementById('siteRuleTestUrl').value.trim();
+        const rule = document.getElementById('siteRuleTestRule').value;
+        const result = document.getElementById('siteRuleResult');
+        
+        if (!url) {
+            result.innerHTML = '<p class="site-rule-error">Enter a URL to test</p>';
+            return;
+        }
+        
+        this.testSiteRuleBtn.disabled = true;
+        result.innerHTML = '<div class="loading-placeholder">Extracting...</div>';
+        
+        try {
+            const response = await fetch('/api/admin/site-rules/test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ url, rule: rule || undefined })
+            });
+            const data = await response.json();
+            const ruleName = data.rule ? this.escapeHtml(data.rule.name) : 'none';
+            
+            if (!response.ok) {
+                result.innerHTML = `<p><strong>Rule:</strong> ${ruleName}</p><p class="site-rule-error">${this.escapeHtml(data.error || 'Test failed')}</p>`;
+                return;
+            }
+            
+            result.innerHTML = `
+                <p><strong>Rule:</strong> ${ruleName}</p>
+                <p><strong>Fetched:</strong> ${this.escapeHtml(data.fetchUrl)}</p>
+                <p><strong>Title:</strong> ${this.escapeHtml(data.title)}</p>
+                ${data.author ? `<p><strong>By:</strong> ${this.escapeHtml(data.author)}</p>` : ''}
+                <p><strong>Words:</strong> ${data.wordCount}${data.pageCount > 1 ? ` (${data.pageCount} pages)` : ''}</p>
+                <p class="site-rule-preview">${this.escapeHtml(data.preview)}…</p>
+            `;
+        } catch (error) {
+            console.error('Site rule test error:', error);
+            result.innerHTML = `<p class="site-rule-error">${this.escapeHtml(error.message)}</p>`;
+        } finally {
+            this.testSiteRuleBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Load extraction cache statistics (administrators only)
+     */
+    async loadCacheSummary() {
+        const summary = document.getElementById('cacheSummary');
+        
+        try {
+            const response = await fetch('/api/admin/cache', { credentials: 'include' });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load cache');
+            }
+            
+            const fresh = data.entries.filter(entry => entry.fresh).length;
+            summary.innerHTML = `
+                <p><strong>${data.count}</strong> cached ${data.count === 1 ? 'page' : 'pages'} (${this.formatFileSize(data.totalSize)}), ${fresh} fresh</p>
+                <p class="settings-description">${data.ttl > 0 ? `Entries are reused for ${Math.round(data.ttl / 60)} minutes before revalidation.` : 'Caching is disabled (EXTRACTION_CACHE_TTL=0).'}</p>
+            `;
+        } catch (error) {
+            console.error('Failed to load cache summary:', error);
+            summary.innerHTML = `<p class="site-rule-error">${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    /**
+     * Purge the whole extraction cache
+     */
+    async purgeCache() {
+        if (!confirm('Remove every cached page? Articles will be downloaded again on next use.')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch('/api/admin/cache', {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to purge cache');
+            }
+            
+            alert(`Removed ${data.removed} cached ${data.removed === 1 ? 'page' : 'pages'}`);
+            await this.loadCacheSummary();
+        } catch (error) {
+            console.error('Cache purge error:', error);
+            alert(`Failed to purge cache: ${error.message}`);
+        }
+    }
+    
     /**
      * Load user preferences
      */
     loadUserPreferences() {
         const trackUrls = this.currentUser.preferences?.trackUrls !== false;
         this.trackUrlsToggle.checked = trackUrls;
+        this.epubVersionSelect.value = String(this.currentUser.preferences?.epubVersion || 2);
+        this.libraryConflictSelect.value = this.currentUser.preferences?.libraryConflict || 'ask';
     }
     
     /**
@@ -2255,6 +2762,76 @@ class LinkPub {
         }
     }
     
+    /**
+     * Update EPUB version preference
+     */
+    async updateEpubVersionPreference() {
+        const previousVersion = this.currentUser.preferences?.epubVersion || 2;
+        
+        try {
+            const epubVersion = parseInt(this.epubVersionSelect.value, 10);
+            
+            const response = await fetch('/api/user/preferences', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({
+                    preferences: { epubVersion }
+                })
+            });
+            
+            if (response.ok) {
+                this.currentUser.preferences = this.currentUser.preferences || {};
+                this.currentUser.preferences.epubVersion = epubVersion;
+                console.log('EPUB version preference updated:', epubVersion);
+            } else {
+                throw new Error('Failed to update preference');
+            }
+        } catch (error) {
+            console.error('Update preference error:', error);
+            // Revert the selection
+            this.epubVersionSelect.value = String(previousVersion);
+            alert('Failed to update EPUB version preference');
+        }
+    }
+    
+    /**
+     * Update the preference for saving a title that is already in the library
+     */
+    async updateLibraryConflictPreference() {
+        const previousPolicy = this.currentUser.preferences?.libraryConflict || 'ask';
+        
+        try {
+            const libraryConflict = this.libraryConflictSelect.value;
+            
+            const response = await fetch('/api/user/preferences', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({
+                    preferences: { libraryConflict }
+                })
+            });
+            
+            if (response.ok) {
+                this.currentUser.preferences = this.currentUser.preferences || {};
+                this.currentUser.preferences.libraryConflict = libraryConflict;
+                console.log('Library conflict preference updated:', libraryConflict);
+            } else {
+                throw new Error('Failed to update preference');
+            }
+        } catch (error) {
+            console.error('Update preference error:', error);
+            // Revert the selection
+            this.libraryConflictSelect.value = previousPolicy;
+            alert('Failed to update library preference');
+        }
+    }
+    
     /**
      * Show URL history modal
      */
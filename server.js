@@ -22,10 +22,27 @@ const path = require('path');
 const fs = require('fs').promises;
 const bcrypt = require('bcrypt');
 require('dotenv').config();
+const { getExportFormat, convertEpub, listExportFormats } = require('./lib/export-formats');
+const { validateEpub } = require('./lib/epub-validator');
+const { readEpubMetadata, editEpubMetadata } = require('./lib/epub-editor');
+const { readEpub } = require('./lib/epub-reader');
+const { searchLibrary, parseLibraryQuery, readLibraryItem, saveLibraryEpub, updateLibraryMetadata, deleteLibraryEpub, migrateLibraries, normalizeTags, libraryDownloadName, LIBRARY_CONFLICT_POLICIES, DEFAULT_CONFLICT_POLICY } = require('./lib/epub-library');
+const { decodeCoverUpload } = require('./lib/epub-cover');
+const { extractMetadata } = require('./lib/article-metadata');
+const { followPagination } = require('./lib/pagination');
+const { safeFetch, FetchGuardError } = require('./lib/safe-fetch');
+const { readHtml } = require('./lib/charset');
+const { convertUpload } = require('./lib/file-import');
+const { normalizeCacheUrl, readCacheEntry, writeCacheEntry, isCacheEntryFresh, listCacheEntries, purgeCacheEntries, EXTRACTION_CACHE_TTL } = require('./lib/extraction-cache');
+const { loadSiteRules, findSiteRule, rewriteUrl, ruleHeaders, stripRuleElements, describeSiteRule } = require('./lib/site-rules');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Per-domain extraction rules, loaded from SITE_RULES_DIR at startup
+let siteRules = [];
+let siteRuleErrors = [];
+
 // Configuration
 const KARAKEEP_ENABLED = !!(process.env.KARAKEEP_KEY && process.env.KARAKEEP_URL);
 const SESSION_SECRET = process.env.SESSION_SECRET || 'linkpub-secret-key-change-in-production';
@@ -46,8 +63,28 @@ app.use(cors({
 // Parse JSON bodies (increased limit for EPUB data)
 app.use(express.json({ limit: '50mb' }));
 
+// Directories in the app root that hold private data: site rules can carry cookies, and outside
+// Docker the extraction cache (pages fetched with those cookies) lives in the app directory too
+const PRIVATE_STATIC_DIRS = ['site-rules', 'cache'];
+
+/**
+ * Check whether a request path points into one of the private directories
+ * @param {string} requestPath - Request path (URL-encoded)
+ * @returns {boolean} True if the path must not be served as a static file
+ */
+function isPrivateStaticPath(requestPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(requestPath);
+    } catch {
+        return true;
+    }
+    const [firstSegment] = path.posix.normalize(decoded).replace(/^\/+/, '').split('/');
+    return PRIVATE_STATIC_DIRS.includes(firstSegment);
+}
+
 // Serve static files (CSS, JS, etc) but exclude HTML files from auto-serving
-app.use(express.static('.', { 
+const serveStatic = express.static('.', { 
     index: false,  // Don't auto-serve index.html
     setHeaders: (res, path) => {
         // Prevent caching of HTML files during development
@@ -55,7 +92,8 @@ app.use(express.static('.', {
             res.setHeader('Cache-Control', 'no-cache');
         }
     }
-}));
+});
+app.use((req, res, next) => (isPrivateStaticPath(req.path) ? next() : serveStatic(req, res, next)));
 
 // Session management for user authentication
 app.use(session({
@@ -105,10 +143,19 @@ async function initializeApp() {
             console.log('📁 Created epubs directory with proper permissions');
         }
         
+        // Library files named after their title get an ID (one-time migration)
+        const migrated = await migrateLibraries(epubsDir);
+        if (migrated > 0) {
+            console.log(`📚 Assigned IDs to ${migrated} library EPUBs`);
+        }
+        
         // Set global paths for Docker compatibility
         global.USERS_FILE = path.join(dataDir, 'users.json');
         global.URLS_FILE = path.join(dataDir, 'converted_urls.json');
         global.EPUBS_DIR = epubsDir;
+        global.SITE_RULES_DIR = process.env.SITE_RULES_DIR || path.join(__dirname, 'site-rules');
+        global.CACHE_DIR = path.join(dataDir, 'cache');
+        await fs.mkdir(global.CACHE_DIR, { recursive: true });
         
         // Initialize users.json if it doesn't exist
         try {
@@ -137,6 +184,8 @@ async function initializeApp() {
             console.log('📝 Created converted_urls.json');
         }
         
+        await reloadSiteRules();
+        
         console.log('✅ Application initialization complete');
     } catch (error) {
         console.error('❌ Failed to initialize application:', error.message);
@@ -341,56 +390,77 @@ async function ensureUserEpubsDir(userId) {
 }
 
 /**
- * Get user's stored EPUBs with metadata
+ * Search user's stored EPUBs
  * @param {string} userId - User ID
- * @returns {Promise<Array>} Array of EPUB objects
+ * @param {Object} query - Search from parseLibraryQuery()
+ * @returns {Promise<Object>} { items, total, page, pageSize, pages, sites, shelves, tags }
  */
-async function getUserEpubs(userId) {
+async function searchUserEpubs(userId, query) {
     try {
         const epubsDir = global.EPUBS_DIR || path.join(__dirname, 'epubs');
-        const dir = path.join(epubsDir, userId);
-        const files = await fs.readdir(dir);
-        const epubs = [];
-        
-        for (const file of files) {
-            if (file.endsWith('.epub')) {
-                const filePath = path.join(dir, file);
-                const stats = await fs.stat(filePath);
-                const metadataPath = path.join(dir, file.replace('.epub', '.json'));
-                
-                // Default metadata
-                let metadata = {
-                    title: file.replace('.epub', ''),
-                    description: '',
-                    contents: [],
-                    createdAt: stats.birthtime
-                };
-                
-                // Try to load saved metadata
-                try {
-                    const metadataContent = await fs.readFile(metadataPath, 'utf8');
-                    metadata = { ...metadata, ...JSON.parse(metadataContent) };
-                } catch (e) {
-                    // Metadata file doesn't exist, use defaults
-                }
-                
-                epubs.push({
-                    filename: file,
-                    ...metadata,
-                    size: stats.size,
-                    modifiedAt: stats.mtime
-                });
-            }
-        }
-        
-        // Sort by modification date (newest first)
-        return epubs.sort((a, b) => new Date(b.modifiedAt) - new Date(a.modifiedAt));
+        return await searchLibrary(path.join(epubsDir, userId), query);
     } catch (error) {
         console.error('❌ Error getting user EPUBs:', error.message);
-        return [];
+        return { items: [], total: 0, page: query.page, pageSize: query.pageSize, pages: 1, sites: [], shelves: [], tags: [] };
     }
 }
 
+/**
+ * Summarize a build report for the X-LinkPub-Report response header
+ * @param {Object} report - Report returned by buildEpub() or buildPdf()
+ * @returns {string} Compact JSON summary
+ */
+function summarizeEpubReport(report) {
+    return JSON.stringify({
+        imagesEmbedded: report.images.embedded,
+        imagesSkipped: report.images.skipped.length,
+        removedElements: report.sanitizer?.removedElements || {},
+        removedAttributes: report.sanitizer?.removedAttributes || {},
+        cover: report.cover?.source || null
+    });
+}
+
+/**
+ * Turn the cover option sent by a client into a buildEpub() cover option
+ * @param {boolean|Object} cover - true, or { template, scheme, image, useLeadImage } where
+ *   image is a data URL and useLeadImage asks for the first article's lead image
+ * @param {string} [leadImage] - Lead image URL of the first article
+ * @returns {boolean|Object} Cover option for buildEpub()
+ * @throws {Error} If an uploaded cover image is invalid
+ */
+function resolveCoverOption(cover, leadImage) {
+    if (!cover) return false;
+    if (typeof cover !== 'object') return true;
+
+    return {
+        template: cover.template,
+        scheme: cover.scheme,
+        image: cover.image ? decodeCoverUpload(cover.image) : undefined,
+        imageUrl: cover.useLeadImage && leadImage ? leadImage : undefined
+    };
+}
+
+/**
+ * Reload site rules from SITE_RULES_DIR
+ * @returns {Promise<void>}
+ */
+async function reloadSiteRules() {
+    const { rules, errors } = await loadSiteRules(global.SITE_RULES_DIR);
+    siteRules = rules;
+    siteRuleErrors = errors;
+    console.log(`🧩 Loaded ${rules.length} site rules from ${global.SITE_RULES_DIR}`);
+    errors.forEach(({ file, error }) => console.error(`❌ Invalid site rule ${file}: ${error}`));
+}
+
+/**
+ * Check whether a user may administer the instance (the user created by setup, or role "admin")
+ * @param {Object} user - User record
+ * @returns {boolean} True for administrators
+ */
+function isAdminUser(user) {
+    return user.role === 'admin' || user.id === 'admin';
+}
+
 /**
  * Authentication middleware - ensures user is logged in
  * @param {Object} req - Express request object
@@ -404,6 +474,22 @@ function requireAuth(req, res, next) {
     next();
 }
 
+/**
+ * Admin middleware - ensures the logged-in user is an administrator
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+function requireAdmin(req, res, next) {
+    if (!req.session.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!req.session.user.isAdmin) {
+        return res.status(403).json({ error: 'Administrator access required' });
+    }
+    next();
+}
+
 // =============================================================================
 // ROUTES
 // =============================================================================
@@ -510,6 +596,7 @@ app.post('/api/setup/complete', async (req, res) => {
                     id: "admin",
                     username: username.trim(),
                     password: hashedPassword,
+                    role: "admin",
                     theme: "light",
                     preferences: {
                         trackUrls: true,
@@ -566,7 +653,8 @@ app.post('/api/auth/login', async (req, res) => {
             id: user.id,
             username: user.username,
             theme: user.theme || 'light',
-            preferences: user.preferences || {}
+            preferences: user.preferences || {},
+            isAdmin: isAdminUser(user)
         };
         
         // Ensure user's EPUB directory exists
@@ -626,6 +714,14 @@ app.put('/api/user/preferences', requireAuth, async (req, res) => {
         return res.status(400).json({ error: 'Invalid preferences object' });
     }
     
+    if (preferences.epubVersion !== undefined && ![2, 3].includes(preferences.epubVersion)) {
+        return res.status(400).json({ error: 'Invalid epubVersion. Must be: 2 or 3' });
+    }
+    
+    if (preferences.libraryConflict !== undefined && !LIBRARY_CONFLICT_POLICIES.includes(preferences.libraryConflict)) {
+        return res.status(400).json({ error: `Invalid libraryConflict. Must be: ${LIBRARY_CONFLICT_POLICIES.join(', ')}` });
+    }
+    
     try {
         const userData = await loadUsers();
         const userIndex = userData.users.findIndex(u => u.id === req.session.user.id);
@@ -846,133 +942,418 @@ app.post('/api/user/change-password', requireAuth, async (req, res) => {
 // ARTICLE EXTRACTION ROUTES
 // =============================================================================
 
+// User agents tried in turn when a site blocks or fails a request
+const EXTRACTION_USER_AGENTS = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:109.0) Gecko/20100101 Firefox/121.0',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+];
+
+// Content types accepted as article pages
+const PAGE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'application/xml', 'text/xml', 'text/plain'];
+
+// Delay before the next attempt: short after a 403 (switch agent), longer after other failures
+const EXTRACTION_RETRY_DELAYS = { blocked: 1000, failed: 2000 };
+
 /**
- * Extract article content from URL using Readability
+ * Build request headers for fetching an article
+ * @param {string} userAgent - User agent for this attempt
+ * @param {string} domain - Hostname of the article
+ * @param {Object|null} rule - Site rule for the article
+ * @returns {Object} Request headers
  */
-app.post('/api/extract', requireAuth, async (req, res) => {
-    const { url } = req.body;
+function buildExtractionHeaders(userAgent, domain, rule) {
+    return {
+        'User-Agent': userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Cache-Control': 'no-cache',
+        'Pragma': 'no-cache',
+        'Sec-Fetch-Dest': 'document',
+        'Sec-Fetch-Mode': 'navigate',
+        'Sec-Fetch-Site': 'none',
+        'Sec-Fetch-User': '?1',
+        'Upgrade-Insecure-Requests': '1',
+        'Connection': 'keep-alive',
+        ...ruleHeaders(rule, domain)
+    };
+}
+
+/**
+ * Run Readability on a page, applying a site rule's strip, content and title selectors
+ * @param {Document} document - Parsed page (not modified)
+ * @param {Object|null} rule - Site rule
+ * @returns {Object|null} Readability-style article, or null if nothing readable was found
+ */
+function parseArticleDocument(document, rule) {
+    const page = document.cloneNode(true);
+    stripRuleElements(rule, page);
     
-    if (!url) {
-        return res.status(400).json({ error: 'URL is required' });
-    }
+    const article = new Readability(page.cloneNode(true)).parse();
+    const forcedContent = rule?.contentSelector ? page.querySelector(rule.contentSelector) : null;
+    const titleElement = rule?.titleSelector ? page.querySelector(rule.titleSelector) : null;
     
-    // User agents for anti-bot handling
-    const userAgents = [
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:109.0) Gecko/20100101 Firefox/121.0',
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
-        'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    ];
+    if (!article && !forcedContent) {
+        return null;
+    }
     
+    return {
+        ...article,
+        title: titleElement?.textContent.trim() || article?.title || '',
+        content: forcedContent ? forcedContent.innerHTML : article.content,
+        textContent: forcedContent ? forcedContent.textContent : article.textContent
+    };
+}
+
+/**
+ * Fetch a follow-up page of a paginated article with the headers used for the first page
+ * @param {string} pageUrl - Page URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<string>} Page HTML
+ */
+async function fetchArticlePage(pageUrl, headers) {
+    const response = await safeFetch(pageUrl, {
+        headers,
+        allowedContentTypes: PAGE_CONTENT_TYPES
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return readHtml(response);
+}
+
+/**
+ * Store an extraction cache entry, logging instead of failing the extraction on disk errors
+ * @param {string} url - Article URL
+ * @param {Object} entry - { fetchUrl, rule, etag, lastModified, html, article }
+ * @returns {Promise<void>}
+ */
+async function storeCacheEntry(url, entry) {
+    try {
+        await writeCacheEntry(global.CACHE_DIR, url, entry);
+    } catch (error) {
+        console.error(`⚠️ Failed to cache ${url}:`, error.message);
+    }
+}
+
+/**
+ * Extract an article from a URL - the single extraction path used by the web UI and the API
+ * @param {string} url - Article URL
+ * @param {Object} [options] - { rule, noCache } where rule selects a specific site rule (null for none)
+ *   instead of the matching one, and noCache skips the extraction cache (the fresh result is still stored)
+ * @returns {Promise<Object>} { title, content, excerpt, siteName, url, wordCount, pageCount,
+ *   author, publishedTime, language, canonicalUrl, tags, leadImage }
+ * @throws {Error} If every attempt fails; the message names the attempt count and last error
+ */
+async function extractArticle(url, options = {}) {
     const domain = new URL(url).hostname;
+    const rule = options.rule !== undefined ? options.rule : findSiteRule(siteRules, url);
+    const fetchUrl = rewriteUrl(rule, url);
+    const ruleName = rule ? rule.name : null;
+    const useCache = EXTRACTION_CACHE_TTL > 0;
     let lastError;
     
-    for (let i = 0; i < userAgents.length; i++) {
+    // Cached entries only count when they were extracted from the same address with the same rule
+    let cached = useCache && !options.noCache ? await readCacheEntry(global.CACHE_DIR, url) : null;
+    if (cached && (normalizeCacheUrl(cached.fetchUrl) !== normalizeCacheUrl(fetchUrl) || !cached.html)) {
+        cached = null;
+    }
+    if (cached && cached.rule === ruleName && isCacheEntryFresh(cached)) {
+        console.log(`💾 Cache hit: ${url}`);
+        return { ...cached.article, url };
+    }
+    
+    if (rule) {
+        console.log(`🧩 Using site rule "${rule.name}"${fetchUrl !== url ? ` (fetching ${fetchUrl})` : ''}`);
+    }
+    
+    for (let i = 0; i < EXTRACTION_USER_AGENTS.length; i++) {
+        const isLastAttempt = i === EXTRACTION_USER_AGENTS.length - 1;
         try {
             console.log(`Extracting: ${url} (attempt ${i + 1})`);
             
-            const headers = {
-                'User-Agent': userAgents[i],
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Accept-Encoding': 'gzip, deflate, br',
-                'Cache-Control': 'no-cache',
-                'Pragma': 'no-cache',
-                'Sec-Fetch-Dest': 'document',
-                'Sec-Fetch-Mode': 'navigate',
-                'Sec-Fetch-Site': 'none',
-                'Sec-Fetch-User': '?1',
-                'Upgrade-Insecure-Requests': '1',
-                'Connection': 'keep-alive'
-            };
+            const headers = buildExtractionHeaders(EXTRACTION_USER_AGENTS[i], domain, rule);
+            const conditionalHeaders = {};
+            if (cached?.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+            if (cached?.lastModified) conditionalHeaders['If-Modified-Since'] = cached.lastModified;
             
-            // Domain-specific headers
-            if (domain.includes('medium.com') || domain.includes('substack.com')) {
-                headers['Referer'] = `https://${domain}/`;
-                headers['Sec-Ch-Ua'] = '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"';
-                headers['Sec-Ch-Ua-Mobile'] = '?0';
-                headers['Sec-Ch-Ua-Platform'] = '"Windows"';
-            }
+            const response = await safeFetch(fetchUrl, {
+                headers: { ...headers, ...conditionalHeaders },
+                allowedContentTypes: PAGE_CONTENT_TYPES
+            });
             
-            if (domain.includes('nytimes.com') || domain.includes('wsj.com')) {
-                headers['Referer'] = 'https://www.google.com/';
+            // Not modified: reuse the cached article, or re-parse the cached page if the site rule changed
+            if (response.status === 304 && cached) {
+                console.log(`💾 Revalidated: ${url}`);
+                if (cached.rule === ruleName) {
+                    await storeCacheEntry(url, cached);
+                    return { ...cached.article, url };
+                }
             }
             
-            const response = await fetch(url, {
-                headers,
-                redirect: 'follow',
-                signal: AbortSignal.timeout(15000)
-            });
-            
-            if (response.status === 403 && i < userAgents.length - 1) {
+            if (response.status === 403 && !isLastAttempt) {
                 console.log(`Got 403, trying next user agent...`);
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                lastError = new Error(`HTTP 403: ${response.statusText}`);
+                await new Promise(resolve => setTimeout(resolve, EXTRACTION_RETRY_DELAYS.blocked));
                 continue;
             }
             
-            if (!response.ok) {
+            const notModified = response.status === 304 && cached;
+            if (!response.ok && !notModified) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
             
-            const html = await response.text();
+            const html = notModified ? cached.html : await readHtml(response);
             
             if (html.length < 100) {
                 throw new Error('Response too short, possible blocking');
             }
             
-            const dom = new JSDOM(html, { 
-                url: url,
-                resources: "usable",
-                runScripts: "outside-only"
-            });
+            // No resources or scripts: JSDOM would fetch frames and stylesheets itself, outside safeFetch
+            const dom = new JSDOM(html, { url: fetchUrl });
             const document = dom.window.document;
             
-            const reader = new Readability(document.cloneNode(true));
-            const article = reader.parse();
+            const article = parseArticleDocument(document, rule);
             
             if (!article || !article.content || article.content.length < 100) {
                 throw new Error('Could not extract readable content from this page');
             }
             
+            const pages = await followPagination(document, fetchUrl, article, (pageUrl) => fetchArticlePage(pageUrl, headers), {
+                parsePage: (pageDocument) => parseArticleDocument(pageDocument, rule)
+            });
+            const metadata = extractMetadata(document, fetchUrl, article);
+            
             const result = {
                 title: article.title || 'Untitled Article',
-                content: article.content,
+                content: pages.content,
                 excerpt: article.excerpt || '',
                 siteName: article.siteName || domain,
                 url: url,
-                wordCount: article.textContent ? article.textContent.split(/\s+/).length : 0
+                wordCount: pages.textContent ? pages.textContent.split(/\s+/).length : 0,
+                pageCount: pages.pageCount,
+                ...metadata,
+                // A rewritten (print/AMP) URL is not the article's canonical address
+                canonicalUrl: metadata.canonicalUrl === fetchUrl ? url : metadata.canonicalUrl
             };
             
-            // Track the URL conversion if user has tracking enabled
-            if (req.session.user && req.session.user.preferences?.trackUrls !== false) {
-                await trackConvertedUrl(
-                    req.session.user.id, 
-                    url, 
-                    result.title, 
-                    result.siteName, 
-                    'extraction'
-                );
-            }
-            
             console.log(`Successfully extracted: "${result.title}" (${result.wordCount} words)`);
-            return res.json(result);
+            
+            if (useCache) {
+                await storeCacheEntry(url, {
+                    fetchUrl,
+                    rule: ruleName,
+                    etag: notModified ? cached.etag : response.headers.get('etag'),
+                    lastModified: notModified ? cached.lastModified : response.headers.get('last-modified'),
+                    html,
+                    article: result
+                });
+            }
+            return result;
             
         } catch (error) {
+            // Blocked URLs and oversized or non-HTML responses will not change with another user agent
+            if (error instanceof FetchGuardError) {
+                console.log(`🛡️ Fetch blocked for ${url}: ${error.code} - ${error.message}`);
+                throw error;
+            }
+            
             lastError = error;
             console.log(`Attempt ${i + 1} failed: ${error.message}`);
             
-            if (i < userAgents.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 2000));
-                continue;
+            if (!isLastAttempt) {
+                await new Promise(resolve => setTimeout(resolve, EXTRACTION_RETRY_DELAYS.failed));
             }
         }
     }
     
-    console.error('❌ All extraction attempts failed:', lastError.message);
-    res.status(500).json({ 
-        error: `Failed to extract article after ${userAgents.length} attempts: ${lastError.message}. This website may be blocking automated access.` 
-    });
+    throw new Error(`Failed to extract article after ${EXTRACTION_USER_AGENTS.length} attempts: ${lastError.message}`);
+}
+
+/**
+ * Check that a value is an absolute http(s) URL
+ * @param {*} url - Value to check
+ * @returns {boolean} True if the URL can be extracted
+ */
+function isExtractableUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Extract an article from an uploaded file. Saved web pages go through the same
+ * Readability and site-rule pipeline as fetched ones; Markdown and text files are used as is.
+ * @param {Object} upload - Result of convertUpload(): { kind, html, url, title }
+ * @param {string} fileName - Uploaded file name
+ * @returns {Object} Article in the same shape as extractArticle(), plus fileName
+ * @throws {Error} If no readable content is found
+ */
+function extractUploadedArticle(upload, fileName) {
+    const dom = new JSDOM(upload.html, upload.url ? { url: upload.url } : {});
+    const document = dom.window.document;
+    let article;
+    
+    if (upload.kind === 'html') {
+        article = parseArticleDocument(document, upload.url ? findSiteRule(siteRules, upload.url) : null);
+        
+        // Fragments and notes without page structure are kept whole
+        if (!article && document.body && document.body.textContent.trim()) {
+            article = { title: '', content: document.body.innerHTML, textContent: document.body.textContent };
+        }
+    } else {
+        article = { title: upload.title, content: document.body.innerHTML, textContent: document.body.textContent, excerpt: '' };
+    }
+    
+    if (!article || !article.content || !article.textContent.trim()) {
+        throw new Error('Could not extract readable content from this file');
+    }
+    
+    const metadata = extractMetadata(document, upload.url, article);
+    const sourceUrl = upload.url || metadata.canonicalUrl;
+    let hostname = '';
+    try {
+        hostname = new URL(sourceUrl).hostname;
+    } catch {
+        // Files without an original address keep an empty URL
+    }
+    
+    return {
+        title: article.title || upload.title,
+        content: article.content,
+        excerpt: article.excerpt || '',
+        siteName: article.siteName || hostname || 'Uploaded file',
+        url: sourceUrl,
+        wordCount: article.textContent.trim().split(/\s+/).length,
+        pageCount: 1,
+        ...metadata,
+        fileName
+    };
+}
+
+/**
+ * Extract article content from URL using Readability
+ */
+app.post('/api/extract', requireAuth, async (req, res) => {
+    const { url, noCache } = req.body;
+    
+    if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+    }
+    
+    if (!isExtractableUrl(url)) {
+        return res.status(400).json({ error: 'Invalid URL' });
+    }
+    
+    try {
+        const result = await extractArticle(url, { noCache: !!noCache });
+        
+        // Track the URL conversion if user has tracking enabled
+        if (req.session.user && req.session.user.preferences?.trackUrls !== false) {
+            await trackConvertedUrl(
+                req.session.user.id, 
+                url, 
+                result.title, 
+                result.siteName, 
+                'extraction'
+            );
+        }
+        
+        res.json(result);
+    } catch (error) {
+        if (error instanceof FetchGuardError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('❌ All extraction attempts failed:', error.message);
+        res.status(500).json({ 
+            error: `${error.message}. This website may be blocking automated access.` 
+        });
+    }
+});
+
+/**
+ * Extract an article from an uploaded .html, .mhtml, .md or .txt file
+ */
+app.post('/api/extract/upload', requireAuth, (req, res) => {
+    const { name } = req.body;
+    let upload;
+    
+    try {
+        upload = convertUpload(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        const result = extractUploadedArticle(upload, name);
+        console.log(`📤 Converted upload "${name}" (${result.wordCount} words)`);
+        res.json(result);
+    } catch (error) {
+        console.error(`❌ Failed to convert upload "${name}":`, error.message);
+        res.status(422).json({ error: error.message });
+    }
+});
+
+// =============================================================================
+// EPUB GENERATION ROUTES
+// =============================================================================
+
+/**
+ * Generate an EPUB (or another export format) from already-extracted articles (used by the web UI)
+ */
+app.post('/api/epub/generate', requireAuth, async (req, res) => {
+    const { articles, options = {} } = req.body;
+    
+    if (!Array.isArray(articles) || articles.length === 0) {
+        return res.status(400).json({ error: 'articles array is required' });
+    }
+    
+    const format = getExportFormat(options.format);
+    if (!format) {
+        return res.status(400).json({ error: `format must be one of: ${listExportFormats().join(', ')}` });
+    }
+    
+    if (articles.some(article => !article || typeof article.content !== 'string')) {
+        return res.status(400).json({ error: 'Every article must include its content' });
+    }
+    
+    let cover;
+    try {
+        cover = resolveCoverOption(options.cover, articles[0].leadImage);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        // Only pass through the options the UI is allowed to control
+        const { buffer, report } = await format.build(articles, {
+            title: options.title,
+            author: options.author,
+            description: options.description,
+            language: options.language,
+            cover,
+            tocPage: !!options.tocPage,
+            chapterNumbers: options.chapterNumbers,
+            epubVersion: options.epubVersion || req.session.user.preferences?.epubVersion,
+            stylesheet: options.stylesheet,
+            metadata: options.metadata,
+            tags: normalizeTags(options.tags)
+        });
+        
+        console.log(`📖 ${format.label} generated: "${options.title || articles[0].title}" (${articles.length} articles, ${report.images.embedded} images) for user ${req.session.user.username}`);
+        
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('X-LinkPub-Report', summarizeEpubReport(report));
+        res.send(buffer);
+    } catch (error) {
+        console.error(`❌ ${format.label} generation error:`, error.message);
+        res.status(500).json({ error: `Failed to generate ${format.label}: ${error.message}` });
+    }
 });
 
 // =============================================================================
@@ -981,15 +1362,29 @@ app.post('/api/extract', requireAuth, async (req, res) => {
 
 /**
  * Save EPUB to user's library
+ *
+ * Books are stored under a new ID. When the title is already in the library,
+ * onConflict (or the user's libraryConflict preference) decides: 'keep-both'
+ * saves a second book, 'replace' overwrites the existing one (or replaceId),
+ * 'ask' saves nothing and answers 409 with the conflicting books.
  */
 app.post('/api/epubs/save', requireAuth, async (req, res) => {
-    const { title, description, contents, epubData } = req.body;
+    const { title, description, contents, shelf, tags, epubData, replaceId } = req.body;
+    const onConflict = req.body.onConflict || req.session.user.preferences?.libraryConflict || DEFAULT_CONFLICT_POLICY;
     
     // Validate required fields
     if (!title || !epubData) {
         return res.status(400).json({ error: 'Title and EPUB data required' });
     }
     
+    if (!LIBRARY_CONFLICT_POLICIES.includes(onConflict)) {
+        return res.status(400).json({ error: `onConflict must be one of: ${LIBRARY_CONFLICT_POLICIES.join(', ')}` });
+    }
+    
+    if (replaceId !== undefined && (typeof replaceId !== 'string' || !/^[\w-]+$/.test(replaceId))) {
+        return res.status(400).json({ error: 'Invalid replaceId' });
+    }
+    
     try {
         const userId = req.session.user.id;
         const epubsDir = await ensureUserEpubsDir(userId);
@@ -998,32 +1393,37 @@ app.post('/api/epubs/save', requireAuth, async (req, res) => {
             return res.status(500).json({ error: 'Failed to create storage directory' });
         }
         
-        // Create safe filename (remove special chars, limit length)
-        const safeTitle = title.replace(/[^a-z0-9\s-_]/gi, '').replace(/\s+/g, '_').substring(0, 50);
-        const filename = safeTitle + '.epub';
-        const epubPath = path.join(epubsDir, filename);
-        const metadataPath = path.join(epubsDir, filename.replace('.epub', '.json'));
+        if (replaceId && !(await readLibraryItem(epubsDir, `${replaceId}.epub`))) {
+            return res.status(404).json({ error: 'EPUB to replace not found' });
+        }
         
-        // Convert base64 to buffer and save EPUB file
+        // Convert base64 to buffer and save EPUB file with its metadata
         const epubBuffer = Buffer.from(epubData.split(',')[1], 'base64');
-        await fs.writeFile(epubPath, epubBuffer);
-        
-        // Save metadata for library display
-        const metadata = {
+        const result = await saveLibraryEpub(epubsDir, {
             title,
-            description: description || '',
-            contents: contents || [],
-            createdAt: new Date().toISOString(),
+            description,
+            contents,
+            shelf,
+            tags,
             userId
-        };
-        await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+        }, epubBuffer, { onConflict, replaceId });
         
-        console.log(`📚 EPUB saved: ${filename} for user ${req.session.user.username}`);
+        if (result.conflicts) {
+            return res.status(409).json({
+                error: `"${title}" is already in your library`,
+                conflicts: result.conflicts.map(({ id, filename, title, createdAt, modifiedAt }) => ({ id, filename, title, createdAt, modifiedAt }))
+            });
+        }
+        
+        const { item, replaced } = result;
+        console.log(`📚 EPUB ${replaced ? 'replaced' : 'saved'}: "${title}" (${item.filename}) for user ${req.session.user.username}`);
         
         res.json({ 
             success: true, 
-            filename,
-            message: 'EPUB saved successfully' 
+            id: item.id,
+            filename: item.filename,
+            replaced,
+            message: replaced ? 'EPUB replaced successfully' : 'EPUB saved successfully' 
         });
         
     } catch (error) {
@@ -1033,13 +1433,20 @@ app.post('/api/epubs/save', requireAuth, async (req, res) => {
 });
 
 /**
- * Get user's EPUB library
+ * Search user's EPUB library (?q=&from=&to=&site=&shelf=&tag=&minSize=&maxSize=&minArticles=&maxArticles=&sort=&order=&page=&pageSize=)
  */
 app.get('/api/epubs', requireAuth, async (req, res) => {
+    let query;
+    try {
+        query = parseLibraryQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
     try {
         const userId = req.session.user.id;
-        const epubs = await getUserEpubs(userId);
-        res.json({ epubs });
+        const { items, total, page, pageSize, pages, sites, shelves, tags } = await searchUserEpubs(userId, query);
+        res.json({ epubs: items, total, page, pageSize, pages, sites, shelves, tags });
     } catch (error) {
         console.error('❌ Error fetching EPUBs:', error.message);
         res.status(500).json({ error: 'Failed to fetch EPUBs' });
@@ -1047,30 +1454,306 @@ app.get('/api/epubs', requireAuth, async (req, res) => {
 });
 
 /**
- * Download EPUB from user's library
+ * Download EPUB from user's library, optionally converted (?format=pdf|azw3|mobi|fb2|md|html|txt)
  */
 app.get('/api/epubs/:filename', requireAuth, async (req, res) => {
+    const userId = req.session.user.id;
+    const filename = req.params.filename;
+    
+    // Security validation - prevent directory traversal
+    if (!filename.endsWith('.epub') || filename.includes('..') || filename.includes('/')) {
+        return res.status(400).json({ error: 'Invalid filename' });
+    }
+    
+    const format = getExportFormat(req.query.format);
+    if (!format) {
+        return res.status(400).json({ error: `format must be one of: ${listExportFormats().join(', ')}` });
+    }
+    
+    const epubsDir = global.EPUBS_DIR || path.join(__dirname, 'epubs');
+    const epubPath = path.join(epubsDir, userId, filename);
+    
+    // Library files are named by ID; the download is named after the title
+    const item = await readLibraryItem(path.join(epubsDir, userId), filename);
+    if (!item) {
+        console.error('❌ Error downloading EPUB: not found', filename);
+        return res.status(404).json({ error: 'EPUB not found' });
+    }
+    
+    if (format.name === 'epub') {
+        console.log(`📁 EPUB downloaded: ${filename} by user ${req.session.user.username}`);
+        return res.download(epubPath, libraryDownloadName(item, 'epub'));
+    }
+    
+    try {
+        // Library tags are added to the book's subjects
+        const { buffer, report } = await convertEpub(await fs.readFile(epubPath), format, { tags: normalizeTags(item.tags) });
+        
+        console.log(`📁 EPUB downloaded as ${format.label}: ${filename} by user ${req.session.user.username}`);
+        res.attachment(libraryDownloadName(item, format.extension));
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('X-LinkPub-Report', summarizeEpubReport(report));
+        res.send(buffer);
+    } catch (error) {
+        console.error(`❌ Error converting EPUB to ${format.label}:`, error.message);
+        res.status(422).json({ error: `Failed to convert EPUB to ${format.label}: ${error.message}` });
+    }
+});
+
+/**
+ * Set the shelf and tags of a saved EPUB
+ */
+app.put('/api/epubs/:filename/tags', requireAuth, async (req, res) => {
+    const { shelf, tags } = req.body;
+    const filename = req.params.filename;
+    
+    // Security validation
+    if (!filename.endsWith('.epub') || filename.includes('..') || filename.includes('/')) {
+        return res.status(400).json({ error: 'Invalid filename' });
+    }
+    
+    if ((shelf !== undefined && typeof shelf !== 'string') || (tags !== undefined && !Array.isArray(tags) && typeof tags !== 'string')) {
+        return res.status(400).json({ error: 'shelf must be a string and tags an array or a comma-separated string' });
+    }
+    
+    try {
+        const epubsDir = global.EPUBS_DIR || path.join(__dirname, 'epubs');
+        const changes = {};
+        if (shelf !== undefined) changes.shelf = shelf;
+        if (tags !== undefined) changes.tags = tags;
+        
+        const item = await updateLibraryMetadata(path.join(epubsDir, req.session.user.id), filename, changes);
+        if (!item) {
+            return res.status(404).json({ error: 'EPUB not found' });
+        }
+        
+        console.log(`🏷️ Shelf and tags updated: ${filename} by user ${req.session.user.username}`);
+        res.json({ success: true, shelf: item.shelf || '', tags: item.tags || [] });
+    } catch (error) {
+        console.error('❌ Error updating shelf and tags:', error.message);
+        res.status(500).json({ error: 'Failed to update shelf and tags' });
+    }
+});
+
+/**
+ * Read the editable metadata (title, author, description, language, subjects, cover) of a saved EPUB
+ */
+app.get('/api/epubs/:filename/metadata', requireAuth, async (req, res) => {
+    const filename = req.params.filename;
+    
+    // Security validation
+    if (!filename.endsWith('.epub') || filename.includes('..') || filename.includes('/')) {
+        return res.status(400).json({ error: 'Invalid filename' });
+    }
+    
+    const epubsDir = global.EPUBS_DIR || path.join(__dirname, 'epubs');
+    let epubBuffer;
+    try {
+        epubBuffer = await fs.readFile(path.join(epubsDir, req.session.user.id, filename));
+    } catch (e) {
+        return res.status(404).json({ error: 'EPUB not found' });
+    }
+    
+    try {
+        res.json({ filename, ...await readEpubMetadata(epubBuffer) });
+    } catch (error) {
+        console.error('❌ Error reading EPUB metadata:', error.message);
+        res.status(422).json({ error: `Cannot read EPUB metadata: ${error.message}` });
+    }
+});
+
+/**
+ * Edit the metadata of a saved EPUB in place, optionally replacing or generating its cover
+ */
+app.patch('/api/epubs/:filename', requireAuth, async (req, res) => {
+    const { title, author, description, language, subjects, cover } = req.body;
+    const filename = req.params.filename;
+    
+    // Security validation
+    if (!filename.endsWith('.epub') || filename.includes('..') || filename.includes('/')) {
+        return res.status(400).json({ error: 'Invalid filename' });
+    }
+    
+    if ([title, author, description, language].some(value => value !== undefined && typeof value !== 'string')) {
+        return res.status(400).json({ error: 'title, author, description and language must be strings' });
+    }
+    if (title !== undefined && !title.trim()) {
+        return res.status(400).json({ error: 'title cannot be empty' });
+    }
+    if (language !== undefined && !/^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(language.trim())) {
+        return res.status(400).json({ error: 'language must be a language tag such as "en" or "pt-BR"' });
+    }
+    if (subjects !== undefined && !Array.isArray(subjects) && typeof subjects !== 'string') {
+        return res.status(400).json({ error: 'subjects must be an array or a comma-separated string' });
+    }
+    
+    const changes = {};
+    if (title !== undefined) changes.title = title.trim();
+    if (author !== undefined) changes.author = author.trim();
+    if (description !== undefined) changes.description = description.trim();
+    if (language !== undefined) changes.language = language.trim();
+    if (subjects !== undefined) changes.subjects = normalizeTags(subjects);
+    try {
+        // true regenerates the cover from the new details, { image } uploads one
+        if (cover) changes.cover = resolveCoverOption(cover);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    const userDir = path.join(global.EPUBS_DIR || path.join(__dirname, 'epubs'), req.session.user.id);
+    const item = await readLibraryItem(userDir, filename);
+    if (!item) {
+        return res.status(404).json({ error: 'EPUB not found' });
+    }
+    
+    let edited;
+    try {
+        edited = await editEpubMetadata(await fs.readFile(path.join(userDir, filename)), changes, { contents: item.contents });
+    } catch (error) {
+        console.error('❌ Error editing EPUB metadata:', error.message);
+        return res.status(422).json({ error: `Cannot edit EPUB: ${error.message}` });
+    }
+    
+    try {
+        const sidecarChanges = {};
+        if (changes.title !== undefined) sidecarChanges.title = changes.title;
+        if (changes.description !== undefined) sidecarChanges.description = changes.description;
+        const updated = await updateLibraryMetadata(userDir, filename, sidecarChanges, edited.buffer);
+        
+        console.log(`✏️ EPUB metadata edited: "${updated.title}" (${filename}) by user ${req.session.user.username}`);
+        res.json({ success: true, epub: updated, metadata: edited.metadata });
+    } catch (error) {
+        console.error('❌ Error saving edited EPUB:', error.message);
+        res.status(500).json({ error: 'Failed to save edited EPUB' });
+    }
+});
+
+/**
+ * Rebuild a saved EPUB from its source URLs, keeping the previous chapter of any article that fails
+ */
+app.post('/api/epubs/:filename/rebuild', requireAuth, async (req, res) => {
+    const filename = req.params.filename;
+    
+    // Security validation
+    if (!filename.endsWith('.epub') || filename.includes('..') || filename.includes('/')) {
+        return res.status(400).json({ error: 'Invalid filename' });
+    }
+    
+    const userDir = path.join(global.EPUBS_DIR || path.join(__dirname, 'epubs'), req.session.user.id);
+    const item = await readLibraryItem(userDir, filename);
+    if (!item) {
+        return res.status(404).json({ error: 'EPUB not found' });
+    }
+    
+    const contents = Array.isArray(item.contents) ? item.contents : [];
+    if (!contents.some(entry => entry && isExtractableUrl(entry.url))) {
+        return res.status(400).json({ error: 'This book has no source URLs to rebuild from' });
+    }
+    
+    // The previous version supplies the cover, author, language and subjects (which may have been edited),
+    // and the chapters of articles that fail
+    let previous = null;
+    let previousMetadata = null;
+    try {
+        const epubBuffer = await fs.readFile(path.join(userDir, filename));
+        previous = await readEpub(epubBuffer);
+        previousMetadata = await readEpubMetadata(epubBuffer);
+    } catch (error) {
+        console.log(`⚠️ Previous version of ${filename} not readable (${error.message}), rebuilding without it`);
+    }
+    
+    console.log(`🔁 Rebuilding "${item.title}" (${contents.length} articles) for user ${req.session.user.username}`);
+    
+    const articles = [];
+    const failures = [];
+    for (let i = 0; i < contents.length; i++) {
+        const entry = contents[i] || {};
+        try {
+            if (!isExtractableUrl(entry.url)) {
+                throw new Error('No source URL');
+            }
+            const article = await extractArticle(entry.url, { noCache: true });
+            articles.push({ ...article, title: entry.title || article.title });
+        } catch (error) {
+            console.error(`❌ Rebuild: failed to extract ${entry.url}:`, error.message);
+            failures.push({ title: entry.title || '', url: entry.url || '', error: error.message, code: error instanceof FetchGuardError ? error.code : undefined });
+            
+            // Keep the chapter from the previous version so the book keeps every article in order
+            const previousChapter = previous && (previous.articles.find(article => entry.url && article.url === entry.url)
+                || (previous.articles.length === contents.length ? previous.articles[i] : null));
+            if (previousChapter) {
+                articles.push({ ...previousChapter, title: entry.title || previousChapter.title });
+            }
+        }
+    }
+    
+    if (failures.length === contents.length) {
+        return res.status(422).json({ error: 'No article could be extracted again; the previous version was kept', failures });
+    }
+    
+    try {
+        const { buffer, report } = await getExportFormat('epub').build(articles, {
+            title: item.title,
+            author: previousMetadata?.author,
+            description: item.description,
+            language: previousMetadata?.language,
+            subjects: previousMetadata?.subjects,
+            cover: previous?.cover ? { image: previous.cover } : false,
+            epubVersion: req.session.user.preferences?.epubVersion,
+            tags: normalizeTags(item.tags)
+        });
+        
+        const result = await saveLibraryEpub(userDir, {
+            title: item.title,
+            description: item.description,
+            contents,
+            userId: req.session.user.id
+        }, buffer, { replaceId: item.id });
+        
+        console.log(`✅ Rebuilt "${item.title}" (${filename}): ${contents.length - failures.length}/${contents.length} articles extracted, ${report.images.embedded} images`);
+        res.json({
+            success: true,
+            epub: result.item,
+            rebuilt: contents.length - failures.length,
+            failures
+        });
+    } catch (error) {
+        console.error('❌ Error rebuilding EPUB:', error.message);
+        res.status(500).json({ error: `Failed to rebuild EPUB: ${error.message}` });
+    }
+});
+
+/**
+ * Validate a saved EPUB and return an epubcheck-style report
+ */
+app.post('/api/epubs/:filename/validate', requireAuth, async (req, res) => {
     try {
         const userId = req.session.user.id;
         const filename = req.params.filename;
-        
-        // Security validation - prevent directory traversal
+
+        // Security validation
         if (!filename.endsWith('.epub') || filename.includes('..') || filename.includes('/')) {
             return res.status(400).json({ error: 'Invalid filename' });
         }
-        
+
         const epubsDir = global.EPUBS_DIR || path.join(__dirname, 'epubs');
         const epubPath = path.join(epubsDir, userId, filename);
-        
-        // Check if file exists and is accessible
-        await fs.access(epubPath);
-        
-        console.log(`📁 EPUB downloaded: ${filename} by user ${req.session.user.username}`);
-        res.download(epubPath);
-        
+
+        let epubBuffer;
+        try {
+            epubBuffer = await fs.readFile(epubPath);
+        } catch (e) {
+            return res.status(404).json({ error: 'EPUB not found' });
+        }
+
+        const report = await validateEpub(epubBuffer);
+
+        console.log(`🔎 EPUB validated: ${filename} (${report.errors.length} errors, ${report.warnings.length} warnings)`);
+        res.json({ filename, ...report });
+
     } catch (error) {
-        console.error('❌ Error downloading EPUB:', error.message);
-        res.status(404).json({ error: 'EPUB not found' });
+        console.error('❌ Error validating EPUB:', error.message);
+        res.status(500).json({ error: 'Failed to validate EPUB' });
     }
 });
 
@@ -1088,18 +1771,9 @@ app.delete('/api/epubs/:filename', requireAuth, async (req, res) => {
         }
         
         const epubsDir = global.EPUBS_DIR || path.join(__dirname, 'epubs');
-        const epubPath = path.join(epubsDir, userId, filename);
-        const metadataPath = path.join(epubsDir, userId, filename.replace('.epub', '.json'));
         
-        // Delete EPUB file
-        await fs.unlink(epubPath);
-        
-        // Delete metadata file (if exists)
-        try {
-            await fs.unlink(metadataPath);
-        } catch (e) {
-            // Metadata file might not exist, ignore error
-        }
+        // Delete EPUB file and its metadata, and drop it from the library index
+        await deleteLibraryEpub(path.join(epubsDir, userId), filename);
         
         console.log(`🗑️ EPUB deleted: ${filename} by user ${req.session.user.username}`);
         res.json({ success: true, message: 'EPUB deleted successfully' });
@@ -1110,87 +1784,223 @@ app.delete('/api/epubs/:filename', requireAuth, async (req, res) => {
     }
 });
 
+// =============================================================================
+// ADMIN ROUTES
+// =============================================================================
+
+/**
+ * List loaded site rules and rule files that failed to load
+ */
+app.get('/api/admin/site-rules', requireAdmin, (req, res) => {
+    res.json({
+        directory: global.SITE_RULES_DIR,
+        rules: siteRules.map(describeSiteRule),
+        errors: siteRuleErrors
+    });
+});
+
+/**
+ * Reload site rules from disk
+ */
+app.post('/api/admin/site-rules/reload', requireAdmin, async (req, res) => {
+    try {
+        await reloadSiteRules();
+        res.json({
+            directory: global.SITE_RULES_DIR,
+            rules: siteRules.map(describeSiteRule),
+            errors: siteRuleErrors
+        });
+    } catch (error) {
+        console.error('❌ Site rule reload error:', error.message);
+        res.status(500).json({ error: 'Failed to reload site rules' });
+    }
+});
+
+/**
+ * Test a site rule against a URL (the matching rule, or the one named in the request)
+ */
+app.post('/api/admin/site-rules/test', requireAdmin, async (req, res) => {
+    const { url, rule: ruleName } = req.body;
+    
+    if (!url || !isExtractableUrl(url)) {
+        return res.status(400).json({ error: 'A valid http(s) URL is required' });
+    }
+    
+    let rule = findSiteRule(siteRules, url);
+    if (ruleName) {
+        rule = siteRules.find(candidate => candidate.name === ruleName);
+        if (!rule) {
+            return res.status(404).json({ error: `Site rule not found: ${ruleName}` });
+        }
+    }
+    
+    try {
+        const article = await extractArticle(url, { rule, noCache: true });
+        res.json({
+            rule: rule ? describeSiteRule(rule) : null,
+            fetchUrl: rewriteUrl(rule, url),
+            title: article.title,
+            siteName: article.siteName,
+            author: article.author,
+            wordCount: article.wordCount,
+            pageCount: article.pageCount,
+            excerpt: article.excerpt,
+            preview: new JSDOM(`<!DOCTYPE html><body>${article.content}</body>`).window.document.body.textContent
+                .replace(/\s+/g, ' ').trim().slice(0, 1000)
+        });
+    } catch (error) {
+        res.status(error instanceof FetchGuardError ? error.status : 422).json({
+            rule: rule ? describeSiteRule(rule) : null,
+            error: error.message,
+            code: error instanceof FetchGuardError ? error.code : undefined
+        });
+    }
+});
+
+/**
+ * List extraction cache entries
+ */
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+    try {
+        const entries = await listCacheEntries(global.CACHE_DIR);
+        res.json({
+            directory: global.CACHE_DIR,
+            ttl: EXTRACTION_CACHE_TTL,
+            count: entries.length,
+            totalSize: entries.reduce((total, entry) => total + entry.size, 0),
+            entries
+        });
+    } catch (error) {
+        console.error('❌ Cache listing error:', error.message);
+        res.status(500).json({ error: 'Failed to list cache entries' });
+    }
+});
+
+/**
+ * Purge the extraction cache (everything, or one URL with ?url=)
+ */
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+    const { url } = req.query;
+    
+    if (url && !isExtractableUrl(url)) {
+        return res.status(400).json({ error: 'Invalid URL' });
+    }
+    
+    try {
+        const removed = await purgeCacheEntries(global.CACHE_DIR, url ? { url } : {});
+        console.log(`🗑️ Purged ${removed} cache entries${url ? ` for ${url}` : ''}`);
+        res.json({ success: true, removed });
+    } catch (error) {
+        console.error('❌ Cache purge error:', error.message);
+        res.status(500).json({ error: 'Failed to purge cache' });
+    }
+});
+
+/**
+ * Purge one extraction cache entry by key
+ */
+app.delete('/api/admin/cache/:key', requireAdmin, async (req, res) => {
+    if (!/^[a-f0-9]{64}$/.test(req.params.key)) {
+        return res.status(400).json({ error: 'Invalid cache key' });
+    }
+    
+    try {
+        const removed = await purgeCacheEntries(global.CACHE_DIR, { key: req.params.key });
+        if (removed === 0) {
+            return res.status(404).json({ error: 'Cache entry not found' });
+        }
+        res.json({ success: true, removed });
+    } catch (error) {
+        console.error('❌ Cache purge error:', error.message);
+        res.status(500).json({ error: 'Failed to purge cache entry' });
+    }
+});
+
 // =============================================================================
 // PROGRAMMATIC API ROUTES (API Key Authentication)
 // =============================================================================
 
 /**
- * Extract article content from URL (programmatic access)
- * @param {string} url - URL to extract
- * @returns {Promise<Object>} Article data
+ * Extract a single article (API endpoint)
  */
-async function extractArticleForApi(url) {
-    const userAgents = [
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    ];
+app.post('/api/v1/extract', requireApiKey, async (req, res) => {
+    const { url, noCache } = req.body;
     
-    const domain = new URL(url).hostname;
+    if (!url) {
+        return res.status(400).json({ error: 'url is required' });
+    }
     
-    for (let i = 0; i < userAgents.length; i++) {
-        try {
-            const headers = {
-                'User-Agent': userAgents[i],
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Accept-Encoding': 'gzip, deflate, br',
-                'Connection': 'keep-alive'
-            };
-            
-            const response = await fetch(url, {
-                headers,
-                redirect: 'follow',
-                signal: AbortSignal.timeout(15000)
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const html = await response.text();
-            
-            if (html.length < 100) {
-                throw new Error('Response too short, possible blocking');
-            }
-            
-            const dom = new JSDOM(html, { 
-                url: url,
-                resources: "usable",
-                runScripts: "outside-only"
-            });
-            const document = dom.window.document;
-            
-            const reader = new Readability(document.cloneNode(true));
-            const article = reader.parse();
-            
-            if (!article || !article.content || article.content.length < 100) {
-                throw new Error('Could not extract readable content from this page');
-            }
-            
-            return {
-                title: article.title || 'Untitled Article',
-                content: article.content,
-                excerpt: article.excerpt || '',
-                siteName: article.siteName || domain,
-                url: url,
-                wordCount: article.textContent ? article.textContent.split(/\s+/).length : 0
-            };
-            
-        } catch (error) {
-            if (i === userAgents.length - 1) {
-                throw error;
-            }
-            continue;
+    if (!isExtractableUrl(url)) {
+        return res.status(400).json({ error: `Invalid URL: ${url}` });
+    }
+    
+    try {
+        console.log(`📄 API: Extracting ${url} for user ${req.apiUser.username}`);
+        const article = await extractArticle(url, { noCache: !!noCache });
+        
+        // Track URL conversion if enabled
+        if (req.apiUser.preferences?.trackUrls !== false) {
+            await trackConvertedUrl(
+                req.apiUser.id, 
+                url, 
+                article.title, 
+                article.siteName, 
+                'api'
+            );
+        }
+        
+        res.json(article);
+    } catch (error) {
+        console.error(`❌ API: Failed to extract ${url}:`, error.message);
+        if (error instanceof FetchGuardError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
         }
+        res.status(422).json({ error: error.message });
     }
-}
+});
 
 /**
- * Generate EPUB from list of URLs (API endpoint)
+ * Extract an article from an uploaded file (API endpoint)
+ */
+app.post('/api/v1/extract/upload', requireApiKey, (req, res) => {
+    const { name } = req.body;
+    let upload;
+    
+    try {
+        upload = convertUpload(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        console.log(`📤 API: Converting upload "${name}" for user ${req.apiUser.username}`);
+        res.json(extractUploadedArticle(upload, name));
+    } catch (error) {
+        console.error(`❌ API: Failed to convert upload "${name}":`, error.message);
+        res.status(422).json({ error: error.message });
+    }
+});
+
+/**
+ * Generate EPUB (or another export format) from list of URLs (API endpoint)
  */
 app.post('/api/v1/generate-epub', requireApiKey, async (req, res) => {
     try {
-        const { urls, title, author, description } = req.body;
+        const { urls, title, author, description, epubVersion, noCache } = req.body;
+        
+        const format = getExportFormat(req.body.format);
+        if (!format) {
+            return res.status(400).json({ 
+                error: `format must be one of: ${listExportFormats().join(', ')}` 
+            });
+        }
+        
+        let cover;
+        try {
+            cover = resolveCoverOption(req.body.cover);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
         
         // Validate input
         if (!urls || !Array.isArray(urls) || urls.length === 0) {
@@ -1205,11 +2015,15 @@ app.post('/api/v1/generate-epub', requireApiKey, async (req, res) => {
             });
         }
         
+        if (epubVersion !== undefined && ![2, 3].includes(Number(epubVersion))) {
+            return res.status(400).json({ 
+                error: 'epubVersion must be 2 or 3' 
+            });
+        }
+        
         // Validate URLs
         for (const url of urls) {
-            try {
-                new URL(url);
-            } catch {
+            if (!isExtractableUrl(url)) {
                 return res.status(400).json({ 
                     error: `Invalid URL: ${url}` 
                 });
@@ -1217,10 +2031,9 @@ app.post('/api/v1/generate-epub', requireApiKey, async (req, res) => {
         }
         
         const epubTitle = title || `Generated Collection (${urls.length} articles)`;
-        const epubAuthor = author || 'LinkPub API';
         const epubDescription = description || '';
         
-        console.log(`📚 API: Generating EPUB for ${urls.length} URLs by user ${req.apiUser.username}`);
+        console.log(`📚 API: Generating ${format.label} for ${urls.length} URLs by user ${req.apiUser.username}`);
         
         // Extract articles
         const articles = [];
@@ -1230,7 +2043,7 @@ app.post('/api/v1/generate-epub', requireApiKey, async (req, res) => {
             const url = urls[i];
             try {
                 console.log(`📄 API: Extracting ${i + 1}/${urls.length}: ${url}`);
-                const article = await extractArticleForApi(url);
+                const article = await extractArticle(url, { noCache: !!noCache });
                 articles.push(article);
                 
                 // Track URL conversion if enabled
@@ -1245,7 +2058,7 @@ app.post('/api/v1/generate-epub', requireApiKey, async (req, res) => {
                 }
             } catch (error) {
                 console.error(`❌ API: Failed to extract ${url}:`, error.message);
-                errors.push({ url, error: error.message });
+                errors.push({ url, error: error.message, code: error instanceof FetchGuardError ? error.code : undefined });
             }
         }
         
@@ -1256,18 +2069,38 @@ app.post('/api/v1/generate-epub', requireApiKey, async (req, res) => {
             });
         }
         
-        // Generate EPUB
-        console.log(`📖 API: Generating EPUB with ${articles.length} articles`);
-        const epub = await generateCollectionEpubForApi(articles, epubTitle, epubAuthor, epubDescription);
+        // Credit the articles' author when they all share one
+        const articleAuthor = articles.every(article => article.author && article.author === articles[0].author)
+            ? articles[0].author
+            : '';
+        const epubAuthor = author || articleAuthor || 'LinkPub API';
+        
+        // Single articles get their lead image as cover by default; collections opt in
+        if (req.body.cover === undefined && articles.length === 1) {
+            cover = { imageUrl: articles[0].leadImage || undefined };
+        } else if (cover && req.body.cover.useLeadImage) {
+            cover.imageUrl = articles[0].leadImage || undefined;
+        }
         
-        // Set appropriate headers for EPUB download
-        res.setHeader('Content-Type', 'application/epub+zip');
-        res.setHeader('Content-Disposition', `attachment; filename="${epubTitle.replace(/[^a-z0-9\s-_]/gi, '').replace(/\s+/g, '_')}.epub"`);
+        // Generate the book
+        console.log(`📖 API: Generating ${format.label} with ${articles.length} articles`);
+        const { buffer: book, report } = await format.build(articles, {
+            title: epubTitle,
+            author: epubAuthor,
+            description: epubDescription,
+            epubVersion: epubVersion || req.apiUser.preferences?.epubVersion,
+            cover
+        });
         
-        // Send the EPUB file
-        res.send(epub);
+        // Set appropriate headers for the download
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('X-LinkPub-Report', summarizeEpubReport(report));
+        res.setHeader('Content-Disposition', `attachment; filename="${epubTitle.replace(/[^a-z0-9\s-_]/gi, '').replace(/\s+/g, '_')}.${format.extension}"`);
         
-        console.log(`✅ API: EPUB generated successfully for user ${req.apiUser.username}`);
+        // Send the file
+        res.send(book);
+        
+        console.log(`✅ API: ${format.label} generated successfully for user ${req.apiUser.username}`);
         
     } catch (error) {
         console.error('❌ API: EPUB generation error:', error.message);
@@ -1278,129 +2111,6 @@ app.post('/api/v1/generate-epub', requireApiKey, async (req, res) => {
     }
 });
 
-/**
- * Generate collection EPUB for API (returns Buffer)
- */
-async function generateCollectionEpubForApi(articles, title, author, description) {
-    const JSZip = require('jszip');
-    const zip = new JSZip();
-    
-    zip.file('mimetype', 'application/epub+zip');
-    
-    const metaInf = zip.folder('META-INF');
-    metaInf.file('container.xml', `<?xml version="1.0"?>
-<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
-    <rootfiles>
-        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
-    </rootfiles>
-</container>`);
-    
-    const oebps = zip.folder('OEBPS');
-    
-    // Generate manifest items for each article
-    const manifestItems = articles.map((article, index) => 
-        `<item id="chapter${index + 1}" href="chapter${index + 1}.html" media-type="application/xhtml+xml"/>`
-    ).join('\n        ');
-    
-    // Generate spine items for each article
-    const spineItems = articles.map((article, index) => 
-        `<itemref idref="chapter${index + 1}"/>`
-    ).join('\n        ');
-    
-    function escapeXml(text) {
-        if (!text || typeof text !== 'string') return '';
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;');
-    }
-    
-    function generateUuid() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-            const r = Math.random() * 16 | 0;
-            const v = c === 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
-        });
-    }
-    
-    oebps.file('content.opf', `<?xml version="1.0" encoding="UTF-8"?>
-<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId" version="2.0">
-    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
-        <dc:identifier id="BookId">${generateUuid()}</dc:identifier>
-        <dc:title>${escapeXml(title)}</dc:title>
-        <dc:creator>${escapeXml(author)}</dc:creator>
-        <dc:language>en</dc:language>
-        <dc:date>${new Date().toISOString().split('T')[0]}</dc:date>
-        ${description ? `<dc:description>${escapeXml(description)}</dc:description>` : ''}
-    </metadata>
-    <manifest>
-        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
-        ${manifestItems}
-    </manifest>
-    <spine toc="ncx">
-        ${spineItems}
-    </spine>
-</package>`);
-    
-    // Generate TOC
-    const navPoints = articles.map((article, index) => `
-        <navPoint id="navpoint-${index + 1}" playOrder="${index + 1}">
-            <navLabel>
-                <text>${escapeXml(article.title)}</text>
-            </navLabel>
-            <content src="chapter${index + 1}.html"/>
-        </navPoint>`).join('');
-    
-    const totalWords = articles.reduce((sum, article) => sum + (article.wordCount || 1000), 0);
-    const estimatedPages = Math.max(1, Math.ceil(totalWords / 250));
-    
-    oebps.file('toc.ncx', `<?xml version="1.0" encoding="UTF-8"?>
-<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
-    <head>
-        <meta name="dtb:uid" content="${generateUuid()}"/>
-        <meta name="dtb:depth" content="1"/>
-        <meta name="dtb:totalPageCount" content="${estimatedPages}"/>
-        <meta name="dtb:maxPageNumber" content="${estimatedPages}"/>
-    </head>
-    <docTitle>
-        <text>${escapeXml(title)}</text>
-    </docTitle>
-    <navMap>${navPoints}
-    </navMap>
-</ncx>`);
-    
-    // Generate individual chapter files
-    articles.forEach((article, index) => {
-        oebps.file(`chapter${index + 1}.html`, `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml">
-<head>
-    <title>${escapeXml(article.title)}</title>
-    <style>
-        body { font-family: serif; line-height: 1.6; margin: 2em; }
-        h1, h2, h3 { color: #333; }
-        p { margin-bottom: 1em; }
-        img { max-width: 100%; height: auto; }
-        .chapter-meta { color: #666; font-style: italic; margin-bottom: 2em; border-bottom: 1px solid #eee; padding-bottom: 1em; }
-    </style>
-</head>
-<body>
-    <h1>${escapeXml(article.title)}</h1>
-    <div class="chapter-meta">
-        <p>Source: ${escapeXml(article.siteName)}</p>
-        <p>URL: ${escapeXml(article.url)}</p>
-        ${article.wordCount ? `<p>Word count: ${article.wordCount} words</p>` : ''}
-    </div>
-    ${article.content}
-</body>
-</html>`);
-    });
-    
-    return await zip.generateAsync({type: 'nodebuffer'});
-}
-
 /**
  * API status endpoint
  */
@@ -1409,7 +2119,7 @@ app.get('/api/v1/status', requireApiKey, (req, res) => {
         status: 'ok',
         user: req.apiUser.username,
         version: '2.0.0',
-        features: ['epub-generation', 'url-tracking'],
+        features: ['epub-generation', 'epub3', 'pdf-export', 'kindle-export', 'fb2-export', 'markdown-export', 'html-export', 'text-export', 'article-extraction', 'file-upload', 'url-tracking'],
         limits: {
             maxUrlsPerRequest: 50,
             timeout: 15000
@@ -0,0 +1,92 @@
+/**
+ * Character-set detection tests
+ *
+ * Legacy-encoded samples are written as bytes: "日本語" in Shift_JIS,
+ * "Привет" in windows-1251 and "café" in windows-1252.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeHtml, readHtml } = require('../lib/charset');
+
+const SHIFT_JIS_TEXT = Buffer.from([0x93, 0xfa, 0x96, 0x7b, 0x8c, 0xea]);
+const WINDOWS_1251_TEXT = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]);
+const WINDOWS_1252_TEXT = Buffer.from([0x63, 0x61, 0x66, 0xe9]);
+
+/**
+ * Build a page from ASCII markup around encoded text
+ * @param {string} before - Markup before the text
+ * @param {Buffer} text - Encoded text
+ * @param {string} [after] - Markup after the text
+ * @returns {Buffer} Page bytes
+ */
+function page(before, text, after = '</p></body></html>') {
+    return Buffer.concat([Buffer.from(before, 'ascii'), text, Buffer.from(after, 'ascii')]);
+}
+
+test('a byte order mark wins over every declaration', () => {
+    const body = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('<meta charset="windows-1251"><p>日本語</p>')]);
+    const { html, encoding } = decodeHtml(body, 'text/html; charset=ISO-8859-1');
+    assert.strictEqual(encoding, 'UTF-8');
+    assert.match(html, /<p>日本語<\/p>/);
+});
+
+test('the Content-Type charset wins over <meta charset>', () => {
+    const body = page('<html><head><meta charset="Shift_JIS"></head><body><p>', WINDOWS_1251_TEXT);
+    const { html, encoding } = decodeHtml(body, 'text/html; charset="windows-1251"');
+    assert.strictEqual(encoding, 'windows-1251');
+    assert.match(html, /<p>Привет<\/p>/);
+});
+
+test('an unknown Content-Type charset falls back to the page declaration', () => {
+    const body = page('<html><head><meta charset="Shift_JIS"></head><body><p>', SHIFT_JIS_TEXT);
+    const { html, encoding } = decodeHtml(body, 'text/html; charset=no-such-charset');
+    assert.strictEqual(encoding, 'Shift_JIS');
+    assert.match(html, /<p>日本語<\/p>/);
+});
+
+test('<meta charset> and http-equiv declarations are honored', () => {
+    const metaCharset = decodeHtml(page('<html><head><meta charset="shift_jis"></head><body><p>', SHIFT_JIS_TEXT), 'text/html');
+    assert.strictEqual(metaCharset.encoding, 'Shift_JIS');
+    assert.match(metaCharset.html, /<p>日本語<\/p>/);
+
+    const httpEquiv = decodeHtml(
+        page('<html><head><meta http-equiv="Content-Type" content="text/html; charset=windows-1251"></head><body><p>', WINDOWS_1251_TEXT)
+    );
+    assert.strictEqual(httpEquiv.encoding, 'windows-1251');
+    assert.match(httpEquiv.html, /<p>Привет<\/p>/);
+});
+
+test('undeclared pages are UTF-8 when the bytes are valid UTF-8', () => {
+    const { html, encoding } = decodeHtml(Buffer.from('<html lang="ru"><body><p>Привет</p></body></html>'), 'text/html');
+    assert.strictEqual(encoding, 'UTF-8');
+    assert.match(html, /<p>Привет<\/p>/);
+});
+
+test('undeclared legacy pages use the encoding usual for <html lang>', () => {
+    const japanese = decodeHtml(page('<html lang="ja"><body><p>', SHIFT_JIS_TEXT), 'text/html');
+    assert.strictEqual(japanese.encoding, 'Shift_JIS');
+    assert.match(japanese.html, /<p>日本語<\/p>/);
+
+    const russian = decodeHtml(page('<html lang="ru-RU"><body><p>', WINDOWS_1251_TEXT));
+    assert.strictEqual(russian.encoding, 'windows-1251');
+    assert.match(russian.html, /<p>Привет<\/p>/);
+});
+
+test('undeclared legacy pages without a known language are windows-1252', () => {
+    for (const start of ['<html><body><p>', '<html lang="xx"><body><p>']) {
+        const { html, encoding } = decodeHtml(page(start, WINDOWS_1252_TEXT));
+        assert.strictEqual(encoding, 'windows-1252');
+        assert.match(html, /<p>café<\/p>/);
+    }
+});
+
+test('readHtml decodes a fetch Response with its Content-Type', async () => {
+    const response = new Response(page('<html><body><p>', WINDOWS_1251_TEXT), {
+        headers: { 'content-type': 'text/html; charset=windows-1251' }
+    });
+    assert.match(await readHtml(response), /<p>Привет<\/p>/);
+});
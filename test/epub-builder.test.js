@@ -0,0 +1,100 @@
+/**
+ * EPUB packaging regression tests
+ *
+ * The OCF container requires the mimetype entry to be the first file in the
+ * archive, stored uncompressed and without an extra field, so reading systems
+ * can sniff it at a fixed offset. Builds must also be reproducible.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { buildEpub } = require('../lib/epub-builder');
+const { validateEpub } = require('../lib/epub-validator');
+
+const MIMETYPE = 'application/epub+zip';
+
+const ARTICLES = [
+    { title: 'First Article', content: '<p>Hello <em>world</em>.</p>', url: 'https://example.com/first', siteName: 'Example' },
+    { title: 'Second Article', content: '<p>Another page.</p>', url: 'https://example.org/second', siteName: 'Example Org' }
+];
+
+/**
+ * Build a book without network access (no image downloads, no cover)
+ * @param {Object} [options] - Extra book options
+ * @returns {Promise<Buffer>} EPUB file data
+ */
+async function build(options = {}) {
+    const { buffer } = await buildEpub(ARTICLES, { title: 'Test Book', date: '2024-03-05', embedImages: false, ...options });
+    return buffer;
+}
+
+/**
+ * Read the first local file header of a ZIP archive
+ * @param {Buffer} buffer - ZIP data
+ * @returns {Object} { signature, compression, compressedSize, fileName, extraLength, data }
+ */
+function readFirstLocalHeader(buffer) {
+    const compressedSize = buffer.readUInt32LE(18);
+    const fileNameLength = buffer.readUInt16LE(26);
+    const extraLength = buffer.readUInt16LE(28);
+    const dataStart = 30 + fileNameLength + extraLength;
+    return {
+        signature: buffer.readUInt32LE(0),
+        compression: buffer.readUInt16LE(8),
+        compressedSize,
+        fileName: buffer.toString('utf8', 30, 30 + fileNameLength),
+        extraLength,
+        data: buffer.toString('utf8', dataStart, dataStart + compressedSize)
+    };
+}
+
+for (const epubVersion of [2, 3]) {
+    test(`EPUB ${epubVersion}: mimetype is the first entry, stored without an extra field`, async () => {
+        const buffer = await build({ epubVersion });
+        const header = readFirstLocalHeader(buffer);
+
+        assert.strictEqual(header.signature, 0x04034b50);
+        assert.strictEqual(header.fileName, 'mimetype');
+        assert.strictEqual(header.compression, 0, 'mimetype must be stored (STORE), not deflated');
+        assert.strictEqual(header.extraLength, 0);
+        assert.strictEqual(header.data, MIMETYPE);
+
+        const zip = await JSZip.loadAsync(buffer);
+        const names = Object.keys(zip.files);
+        assert.strictEqual(names[0], 'mimetype');
+        assert.ok(names.includes('META-INF/container.xml'));
+        assert.ok(names.every(name => !zip.files[name].dir), 'no directory entries');
+    });
+
+    test(`EPUB ${epubVersion}: two builds of the same input are byte-identical`, async () => {
+        const first = await build({ epubVersion, tocPage: true });
+        // Build again in a later second, so a timestamp taken from the clock would show up
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        const second = await build({ epubVersion, tocPage: true });
+        assert.ok(first.equals(second));
+    });
+}
+
+test('EPUB 3: dcterms:modified comes from the book date unless given', async () => {
+    const readOpf = async (buffer) => (await JSZip.loadAsync(buffer)).file('OEBPS/content.opf').async('string');
+
+    assert.match(await readOpf(await build({ epubVersion: 3 })), /<meta property="dcterms:modified">2024-03-05T00:00:00Z<\/meta>/);
+    assert.match(
+        await readOpf(await build({ epubVersion: 3, modified: new Date('2024-06-01T12:30:00Z') })),
+        /<meta property="dcterms:modified">2024-06-01T12:30:00Z<\/meta>/
+    );
+});
+
+test('EPUB 2: lang attributes in article content are written as xml:lang', async () => {
+    const articles = [{ title: 'French Article', content: '<p lang="fr">Bonjour.</p>', url: 'https://example.fr/article' }];
+    const { buffer } = await buildEpub(articles, { epubVersion: 2, embedImages: false });
+    const chapter = await (await JSZip.loadAsync(buffer)).file('OEBPS/chapter1.xhtml').async('string');
+
+    assert.match(chapter, /<p xml:lang="fr">/);
+    assert.doesNotMatch(chapter, /\slang=/);
+    assert.deepStrictEqual((await validateEpub(buffer)).errors, []);
+});
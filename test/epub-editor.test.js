@@ -0,0 +1,146 @@
+/**
+ * EPUB metadata editor tests
+ *
+ * Edits rewrite the package document, the navigation documents and the root
+ * element of every page inside a stored archive; the result must still be a
+ * valid EPUB with every other entry intact.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { buildEpub } = require('../lib/epub-builder');
+const { editEpubMetadata, readEpubMetadata } = require('../lib/epub-editor');
+const { validateEpub } = require('../lib/epub-validator');
+
+const ARTICLES = [
+    { title: 'First Article', content: '<p>Hello <em>world</em>.</p>', url: 'https://example.com/first', language: 'en' },
+    { title: 'Second Article', content: '<p>Hallo Welt.</p>', url: 'https://example.de/second', language: 'de' },
+    { title: 'Third Article', content: '<p>Goodbye.</p>', url: 'https://example.com/third', language: 'en' }
+];
+
+/**
+ * Build a book without network access (no image downloads, no cover)
+ * @param {number} epubVersion - 2 or 3
+ * @returns {Promise<Buffer>} EPUB file data
+ */
+async function build(epubVersion) {
+    const { buffer } = await buildEpub(ARTICLES, {
+        title: 'Original Title',
+        author: 'Original Author',
+        date: '2024-03-05',
+        subjects: ['Old Subject'],
+        epubVersion,
+        tocPage: true,
+        embedImages: false
+    });
+    return buffer;
+}
+
+/**
+ * Read every entry of an archive as text, in archive order
+ * @param {Buffer} buffer - EPUB file data
+ * @returns {Promise<Map<string, string>>} Entry name -> content
+ */
+async function readEntries(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const entries = new Map();
+    for (const name of Object.keys(zip.files)) {
+        entries.set(name, await zip.file(name).async('string'));
+    }
+    return entries;
+}
+
+/**
+ * Get the <html> start tag of a page
+ * @param {string} source - XHTML source
+ * @returns {string} Start tag
+ */
+function rootTag(source) {
+    return source.match(/<html\b[^>]*>/)[0];
+}
+
+for (const epubVersion of [2, 3]) {
+    test(`EPUB ${epubVersion}: title, language and subjects are rewritten everywhere`, async () => {
+        const original = await build(epubVersion);
+        const { buffer, metadata } = await editEpubMetadata(original, {
+            title: 'New Title',
+            language: 'fr',
+            subjects: ['First', 'Second']
+        });
+
+        assert.strictEqual(metadata.title, 'New Title');
+        assert.strictEqual(metadata.language, 'fr');
+        assert.deepStrictEqual(metadata.subjects, ['First', 'Second']);
+        assert.strictEqual(metadata.author, 'Original Author');
+        assert.deepStrictEqual(await readEpubMetadata(buffer), metadata);
+
+        const entries = await readEntries(buffer);
+        assert.match(entries.get('OEBPS/toc.ncx'), /<docTitle>\s*<text>New Title<\/text>/);
+        if (epubVersion === 3) {
+            assert.match(entries.get('OEBPS/nav.xhtml'), /<title>New Title<\/title>/);
+            assert.match(entries.get('OEBPS/content.opf'), /<package [^>]*xml:lang="fr"/);
+        }
+
+        const pages = [...entries.keys()].filter(name => name.endsWith('.xhtml'));
+        assert.ok(pages.length >= 4);
+        for (const name of pages) {
+            const tag = rootTag(entries.get(name));
+            assert.match(tag, /\sxml:lang="fr"/, name);
+            if (epubVersion === 3) {
+                assert.match(tag, /\slang="fr"/, name);
+            } else {
+                assert.doesNotMatch(tag, /\slang=/, name);
+            }
+        }
+        // A chapter in another language than the book keeps its own
+        assert.match(entries.get('OEBPS/chapter2.xhtml'), /<div class="chapter-content"[^>]* xml:lang="de"/);
+
+        assert.deepStrictEqual((await validateEpub(buffer)).errors, []);
+    });
+
+    test(`EPUB ${epubVersion}: every other entry is kept, and mimetype stays first and stored`, async () => {
+        const original = await build(epubVersion);
+        const { buffer } = await editEpubMetadata(original, { title: 'New Title', description: 'About the book' });
+
+        const before = await readEntries(original);
+        const after = await readEntries(buffer);
+        assert.deepStrictEqual([...after.keys()], [...before.keys()]);
+        assert.strictEqual(after.get('OEBPS/style.css'), before.get('OEBPS/style.css'));
+        assert.strictEqual(after.get('OEBPS/chapter1.xhtml'), before.get('OEBPS/chapter1.xhtml'));
+
+        // First local file header: "mimetype", STORE, no extra field
+        assert.strictEqual(buffer.readUInt32LE(0), 0x04034b50);
+        assert.strictEqual(buffer.readUInt16LE(8), 0);
+        assert.strictEqual(buffer.readUInt16LE(28), 0);
+        assert.strictEqual(buffer.toString('utf8', 30, 30 + buffer.readUInt16LE(26)), 'mimetype');
+
+        assert.deepStrictEqual((await validateEpub(buffer)).errors, []);
+    });
+}
+
+test('EPUB 2: xml:lang is added to pages whose <html> has no language', async () => {
+    // Books built before the builder wrote xml:lang in EPUB 2 have a bare <html>
+    const zip = await JSZip.loadAsync(await build(2));
+    const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+    zip.file('OEBPS/chapter1.xhtml', chapter.replace(/(<html xmlns="[^"]*") xml:lang="en">/, '$1>'));
+    const bare = await zip.generateAsync({ type: 'nodebuffer' });
+    assert.match(await (await JSZip.loadAsync(bare)).file('OEBPS/chapter1.xhtml').async('string'), /<html xmlns="[^"]*">/);
+
+    const { buffer } = await editEpubMetadata(bare, { language: 'fr' });
+    const edited = await (await JSZip.loadAsync(buffer)).file('OEBPS/chapter1.xhtml').async('string');
+    assert.strictEqual(rootTag(edited), '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="fr">');
+});
+
+test('EPUB 3: clearing the author removes the creator and its refinements', async () => {
+    const { buffer, metadata } = await editEpubMetadata(await build(3), { author: '' });
+    const opf = (await readEntries(buffer)).get('OEBPS/content.opf');
+
+    assert.strictEqual(metadata.author, '');
+    assert.doesNotMatch(opf, /<dc:creator/);
+    assert.doesNotMatch(opf, /refines="#creator"/);
+    assert.deepStrictEqual((await validateEpub(buffer)).errors, []);
+});
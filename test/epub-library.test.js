@@ -0,0 +1,169 @@
+/**
+ * Library storage tests
+ *
+ * Every test works on its own temporary epubs directory.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { saveLibraryEpub, listLibrary, readLibraryItem, migrateLibraries } = require('../lib/epub-library');
+
+const EPUB = Buffer.from('not a real EPUB, the library only stores the bytes');
+
+/**
+ * Create a temporary directory removed after the test
+ * @param {Object} t - Test context
+ * @returns {Promise<string>} Directory path
+ */
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'linkpub-library-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Read a sidecar file
+ * @param {string} dir - Directory
+ * @param {string} name - Sidecar file name
+ * @returns {Promise<Object>} Sidecar contents
+ */
+async function readJson(dir, name) {
+    return JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'));
+}
+
+test('books are stored under random IDs with a sidecar', async (t) => {
+    const dir = await tempDir(t);
+    const { item, replaced } = await saveLibraryEpub(dir, { title: 'A Book', description: 'About it', userId: 'alice' }, EPUB);
+
+    assert.strictEqual(replaced, false);
+    assert.match(item.filename, /^[0-9a-f]{16}\.epub$/);
+    assert.deepStrictEqual(await fs.readFile(path.join(dir, item.filename)), EPUB);
+
+    const sidecar = await readJson(dir, `${item.id}.json`);
+    assert.strictEqual(sidecar.title, 'A Book');
+    assert.strictEqual(sidecar.description, 'About it');
+    assert.deepStrictEqual(sidecar.tags, []);
+});
+
+test("'ask' stores nothing and returns the books with the same title", async (t) => {
+    const dir = await tempDir(t);
+    const { item } = await saveLibraryEpub(dir, { title: 'Weekly Digest' }, EPUB);
+
+    // Titles are compared ignoring case and spacing
+    const result = await saveLibraryEpub(dir, { title: '  weekly   DIGEST ' }, Buffer.from('new'), { onConflict: 'ask' });
+
+    assert.deepStrictEqual(result.conflicts.map(conflict => conflict.id), [item.id]);
+    assert.strictEqual(result.item, undefined);
+    assert.strictEqual((await listLibrary(dir)).length, 1);
+    assert.deepStrictEqual(await fs.readFile(path.join(dir, item.filename)), EPUB);
+});
+
+test("'keep-both' stores a second book with the same title", async (t) => {
+    const dir = await tempDir(t);
+    const first = await saveLibraryEpub(dir, { title: 'Weekly Digest' }, EPUB);
+    const second = await saveLibraryEpub(dir, { title: 'Weekly Digest' }, Buffer.from('new'), { onConflict: 'keep-both' });
+
+    assert.strictEqual(second.replaced, false);
+    assert.notStrictEqual(second.item.id, first.item.id);
+    assert.deepStrictEqual((await listLibrary(dir)).map(item => item.title), ['Weekly Digest', 'Weekly Digest']);
+});
+
+test("'replace' overwrites the existing book and keeps its ID, creation date, shelf and tags", async (t) => {
+    const dir = await tempDir(t);
+    const { item: original } = await saveLibraryEpub(dir, { title: 'Weekly Digest', shelf: 'News', tags: ['weekly'] }, EPUB);
+    const replacement = Buffer.from('replacement');
+
+    const { item, replaced } = await saveLibraryEpub(dir, { title: 'Weekly Digest', description: 'Updated' }, replacement, { onConflict: 'replace' });
+
+    assert.strictEqual(replaced, true);
+    assert.strictEqual(item.id, original.id);
+    assert.deepStrictEqual(await fs.readFile(path.join(dir, original.filename)), replacement);
+    assert.strictEqual((await listLibrary(dir)).length, 1);
+
+    const sidecar = await readJson(dir, `${original.id}.json`);
+    assert.strictEqual(sidecar.description, 'Updated');
+    assert.strictEqual(sidecar.createdAt, new Date(original.createdAt).toISOString());
+    assert.ok(sidecar.updatedAt);
+    assert.strictEqual(sidecar.shelf, 'News');
+    assert.deepStrictEqual(sidecar.tags, ['weekly']);
+});
+
+test('replaceId replaces that book whatever its title, and must exist', async (t) => {
+    const dir = await tempDir(t);
+    const { item: original } = await saveLibraryEpub(dir, { title: 'Old Title' }, EPUB);
+
+    const { item } = await saveLibraryEpub(dir, { title: 'New Title' }, Buffer.from('new'), { onConflict: 'ask', replaceId: original.id });
+    assert.strictEqual(item.id, original.id);
+    assert.strictEqual(item.title, 'New Title');
+
+    await assert.rejects(saveLibraryEpub(dir, { title: 'X' }, EPUB, { replaceId: '0123456789abcdef' }), /No library item/);
+    await assert.rejects(saveLibraryEpub(dir, { title: 'X' }, EPUB, { onConflict: 'merge' }), /onConflict must be one of/);
+});
+
+test('the index is rebuilt when files change outside LinkPub', async (t) => {
+    const dir = await tempDir(t);
+    const { item } = await saveLibraryEpub(dir, { title: 'Saved Book' }, EPUB);
+    assert.deepStrictEqual((await listLibrary(dir)).map(entry => entry.id), [item.id]);
+
+    // Rewriting a sidecar in place leaves the directory mtime alone, so the cached index is used
+    await fs.writeFile(path.join(dir, `${item.id}.json`), JSON.stringify({ id: item.id, title: 'Edited Outside' }));
+    assert.deepStrictEqual((await listLibrary(dir)).map(entry => entry.title), ['Saved Book']);
+
+    // Adding a file changes the directory mtime (set explicitly, in case the clock is coarse)
+    await fs.writeFile(path.join(dir, 'fedcba9876543210.epub'), EPUB);
+    const later = new Date(Date.now() + 60 * 1000);
+    await fs.utimes(dir, later, later);
+
+    const titles = (await listLibrary(dir)).map(entry => entry.title).sort();
+    assert.deepStrictEqual(titles, ['Edited Outside', 'fedcba9876543210']);
+});
+
+test('migrateLibraries renames legacy title-named books and keeps their metadata', async (t) => {
+    const epubsDir = await tempDir(t);
+    const dir = path.join(epubsDir, 'alice');
+    await fs.mkdir(dir);
+    await fs.writeFile(path.join(epubsDir, 'stray.epub'), EPUB);
+
+    await fs.writeFile(path.join(dir, 'My_First_Book.epub'), EPUB);
+    await fs.writeFile(path.join(dir, 'My_First_Book.json'), JSON.stringify({
+        title: 'My First Book: Part 1',
+        description: 'Saved by an old version',
+        contents: [{ title: 'Chapter', url: 'https://example.com/' }],
+        createdAt: '2023-01-02T03:04:05.000Z'
+    }));
+    await fs.writeFile(path.join(dir, 'No_Sidecar.epub'), Buffer.from('second'));
+    const { item: current } = await saveLibraryEpub(dir, { title: 'Already Migrated' }, EPUB);
+
+    assert.strictEqual(await migrateLibraries(epubsDir), 2);
+
+    const files = (await fs.readdir(dir)).sort();
+    assert.ok(files.every(file => /^[0-9a-f]{16}\.(epub|json)$/.test(file)), files.join(', '));
+    assert.strictEqual(files.length, 6);
+    assert.ok(files.includes(current.filename));
+
+    const items = await listLibrary(dir);
+    const withSidecar = items.find(item => item.legacyFilename === 'My_First_Book.epub');
+    assert.strictEqual(withSidecar.title, 'My First Book: Part 1');
+    assert.strictEqual(withSidecar.description, 'Saved by an old version');
+    assert.deepStrictEqual(withSidecar.contents, [{ title: 'Chapter', url: 'https://example.com/' }]);
+    assert.strictEqual(withSidecar.createdAt, '2023-01-02T03:04:05.000Z');
+    assert.deepStrictEqual(await fs.readFile(path.join(dir, withSidecar.filename)), EPUB);
+
+    // Without a sidecar the title comes from the file name
+    const withoutSidecar = items.find(item => item.legacyFilename === 'No_Sidecar.epub');
+    assert.strictEqual(withoutSidecar.title, 'No Sidecar');
+    assert.deepStrictEqual(await fs.readFile(path.join(dir, withoutSidecar.filename)), Buffer.from('second'));
+
+    assert.strictEqual((await readLibraryItem(dir, current.filename)).title, 'Already Migrated');
+    assert.deepStrictEqual(await fs.readFile(path.join(epubsDir, 'stray.epub')), EPUB);
+
+    // Running again on every start changes nothing
+    assert.strictEqual(await migrateLibraries(epubsDir), 0);
+    assert.deepStrictEqual((await fs.readdir(dir)).sort(), files);
+});
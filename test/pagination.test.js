@@ -0,0 +1,144 @@
+/**
+ * Multi-page article tests
+ *
+ * Pages are served from memory through the fetchPage callback, so nothing
+ * leaves the process.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { followPagination, findNextPageUrl } = require('../lib/pagination');
+
+const BASE = 'https://news.example.com/story';
+
+/**
+ * Parse markup as a page at a URL
+ * @param {string} body - Body markup
+ * @param {string} url - Page URL
+ * @returns {Document} Page document
+ */
+function parse(body, url = BASE) {
+    return new JSDOM(`<!DOCTYPE html><html><head><title>Story</title></head><body>${body}</body></html>`, { url }).window.document;
+}
+
+/**
+ * Article content of a test page: its <article> element
+ * @param {Document} document - Page document
+ * @returns {Object|null} Readability-style { content, textContent }
+ */
+function parsePage(document) {
+    const article = document.querySelector('article');
+    return article && { content: article.innerHTML, textContent: article.textContent };
+}
+
+/**
+ * Serve pages from a map and record the requested URLs
+ * @param {Object<string, string>} pages - URL -> body markup
+ * @returns {Function} fetchPage callback with a `requested` list
+ */
+function pageFetcher(pages) {
+    const fetchPage = async (url) => {
+        fetchPage.requested.push(url);
+        if (!(url in pages)) throw new Error(`HTTP 404 for ${url}`);
+        return `<!DOCTYPE html><html><body>${pages[url]}</body></html>`;
+    };
+    fetchPage.requested = [];
+    return fetchPage;
+}
+
+/**
+ * Body of a numbered test page with a pager
+ * @param {number} page - Page number
+ * @param {string} [text] - Article text
+ * @returns {string} Body markup
+ */
+function numberedPage(page, text = `Part ${page} of the story.`) {
+    return `<article><p>${text}</p></article>
+        <div class="pagination"><a href="${BASE}?page=${page + 1}">Next</a></div>`;
+}
+
+test('findNextPageUrl prefers <link rel="next">', () => {
+    const document = parse('<a href="/other?page=9">Next</a>');
+    document.head.insertAdjacentHTML('beforeend', '<link rel="next" href="/story?page=2">');
+    assert.strictEqual(findNextPageUrl(document, BASE), `${BASE}?page=2`);
+});
+
+test('findNextPageUrl follows "Next" links in a pager, but not unrelated "Next" links', () => {
+    const pager = parse('<p>Text</p><nav class="pager"><a href="/story/2/">Next »</a></nav>');
+    assert.strictEqual(findNextPageUrl(pager, BASE), `${BASE}/2/`);
+
+    const nextPost = parse('<p>Text</p><footer><a href="/another-story">Next</a></footer>');
+    assert.strictEqual(findNextPageUrl(nextPost, BASE), null);
+});
+
+test('findNextPageUrl finds the next number in a page list', () => {
+    const document = parse('<p>Text</p><div><a href="?page=1">1</a> <a href="?page=2">2</a> <a href="?page=3">3</a></div>');
+    assert.strictEqual(findNextPageUrl(document, BASE), `${BASE}?page=2`);
+    assert.strictEqual(findNextPageUrl(document, `${BASE}?page=2`), `${BASE}?page=3`);
+});
+
+test('findNextPageUrl ignores other sites and pages already visited', () => {
+    const otherSite = parse('<div class="pagination"><a href="https://elsewhere.example.org/story?page=2">Next</a></div>');
+    assert.strictEqual(findNextPageUrl(otherSite, BASE), null);
+
+    const visited = parse('<div class="pagination"><a href="/story?page=2">Next</a></div>', `${BASE}?page=3`);
+    assert.strictEqual(findNextPageUrl(visited, `${BASE}?page=3`, new Set([`${BASE}?page=2`])), null);
+});
+
+test('followPagination stitches every page and drops repeated titles', async () => {
+    const first = parse(numberedPage(1));
+    const fetchPage = pageFetcher({
+        [`${BASE}?page=2`]: `<article><h1>The Story</h1><p>Part 2 of the story.</p></article>
+            <div class="pagination"><a href="${BASE}?page=3">Next</a></div>`,
+        [`${BASE}?page=3`]: '<article><p>Part 3 of the story.</p></article>'
+    });
+    const article = { title: 'The Story', ...parsePage(first) };
+
+    const result = await followPagination(first, BASE, article, fetchPage, { parsePage });
+
+    assert.strictEqual(result.pageCount, 3);
+    assert.deepStrictEqual(result.pageUrls, [BASE, `${BASE}?page=2`, `${BASE}?page=3`]);
+    assert.deepStrictEqual(fetchPage.requested, [`${BASE}?page=2`, `${BASE}?page=3`]);
+    assert.match(result.content, /Part 1[\s\S]*Part 2[\s\S]*Part 3/);
+    assert.doesNotMatch(result.content, /<h1>/);
+    assert.match(result.textContent, /Part 3 of the story/);
+});
+
+test('followPagination stops at maxPages', async () => {
+    const pages = {};
+    for (let page = 2; page <= 20; page++) pages[`${BASE}?page=${page}`] = numberedPage(page);
+    const first = parse(numberedPage(1));
+    const fetchPage = pageFetcher(pages);
+
+    const result = await followPagination(first, BASE, { title: 'Story', ...parsePage(first) }, fetchPage, { parsePage, maxPages: 4 });
+
+    assert.strictEqual(result.pageCount, 4);
+    assert.strictEqual(fetchPage.requested.length, 3);
+});
+
+test('followPagination stops when a page repeats the content (page parameter ignored)', async () => {
+    const first = parse(numberedPage(1, 'The same text on every page.'));
+    const fetchPage = pageFetcher({
+        [`${BASE}?page=2`]: numberedPage(2, 'The same text on every page.')
+    });
+
+    const result = await followPagination(first, BASE, { title: 'Story', ...parsePage(first) }, fetchPage, { parsePage });
+
+    assert.strictEqual(result.pageCount, 1);
+    assert.deepStrictEqual(result.pageUrls, [BASE]);
+});
+
+test('followPagination keeps the pages read so far when a page fails', async () => {
+    const first = parse(numberedPage(1));
+    const fetchPage = pageFetcher({ [`${BASE}?page=2`]: numberedPage(2) });
+
+    const result = await followPagination(first, BASE, { title: 'Story', ...parsePage(first) }, fetchPage, { parsePage });
+
+    assert.strictEqual(result.pageCount, 2);
+    assert.deepStrictEqual(fetchPage.requested, [`${BASE}?page=2`, `${BASE}?page=3`]);
+    assert.match(result.content, /Part 1[\s\S]*Part 2/);
+});
@@ -0,0 +1,192 @@
+/**
+ * Guarded fetch tests
+ *
+ * Run against a local HTTP server. The allowlist is read from
+ * FETCH_ALLOWLIST when the module loads, so each test loads its own copy
+ * with the setting it needs.
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const zlib = require('zlib');
+
+/**
+ * Load a fresh copy of lib/safe-fetch.js with the given allowlist
+ * @param {string} [allowlist] - FETCH_ALLOWLIST value; undefined loads it without one
+ * @returns {Object} Module exports
+ */
+function loadSafeFetch(allowlist) {
+    const modulePath = require.resolve('../lib/safe-fetch');
+    const previous = process.env.FETCH_ALLOWLIST;
+    if (allowlist === undefined) delete process.env.FETCH_ALLOWLIST;
+    else process.env.FETCH_ALLOWLIST = allowlist;
+    try {
+        delete require.cache[modulePath];
+        return require(modulePath);
+    } finally {
+        delete require.cache[modulePath];
+        if (previous === undefined) delete process.env.FETCH_ALLOWLIST;
+        else process.env.FETCH_ALLOWLIST = previous;
+    }
+}
+
+/**
+ * Start a local server on every interface ("localhost" may resolve to 127.0.0.1 or ::1)
+ * @param {Function} handler - Request handler
+ * @returns {Promise<Object>} { origin, close } - http://localhost:<port> and a function stopping the server
+ */
+function startServer(handler) {
+    return new Promise((resolve) => {
+        const server = http.createServer(handler);
+        server.listen(0, () => {
+            const { port } = server.address();
+            resolve({
+                port,
+                origin: `http://localhost:${port}`,
+                close: () => {
+                    server.closeAllConnections();
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+test('loopback and private addresses are rejected without FETCH_ALLOWLIST', async () => {
+    const { safeFetch, checkUrl } = loadSafeFetch();
+    const server = await startServer((req, res) => res.end('reached'));
+    try {
+        for (const url of [
+            `http://127.0.0.1:${server.port}/`,
+            `http://[::1]:${server.port}/`,
+            'http://[::ffff:127.0.0.1]/',
+            'http://10.0.0.1/',
+            'http://172.16.5.4/',
+            'http://192.168.1.1/',
+            'http://169.254.169.254/latest/meta-data/',
+            'http://0.0.0.0/'
+        ]) {
+            assert.throws(() => checkUrl(url), { code: 'ADDRESS_BLOCKED', status: 403 }, url);
+            await assert.rejects(safeFetch(url), { code: 'ADDRESS_BLOCKED' }, url);
+        }
+
+        // Hostnames are checked on the address they resolve to
+        await assert.rejects(safeFetch(`${server.origin}/`), { code: 'ADDRESS_BLOCKED' });
+
+        assert.throws(() => checkUrl('file:///etc/passwd'), { code: 'SCHEME_NOT_ALLOWED' });
+        assert.throws(() => checkUrl('not a url'), { code: 'INVALID_URL' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('an allowlisted host can be fetched, but a redirect to 127.0.0.1 is rejected', async () => {
+    const { safeFetch } = loadSafeFetch('localhost');
+    const server = await startServer((req, res) => {
+        if (req.url === '/to-loopback') {
+            res.writeHead(302, { location: `http://127.0.0.1:${server.port}/page` });
+            return res.end();
+        }
+        if (req.url === '/to-same-host') {
+            res.writeHead(301, { location: '/page' });
+            return res.end();
+        }
+        res.writeHead(200, { 'content-type': 'text/html' });
+        res.end('<p>page</p>');
+    });
+    try {
+        const response = await safeFetch(`${server.origin}/to-same-host`);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.url, `${server.origin}/page`);
+        assert.strictEqual(await response.text(), '<p>page</p>');
+
+        await assert.rejects(safeFetch(`${server.origin}/to-loopback`), { code: 'ADDRESS_BLOCKED' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('cookie and authorization headers are not sent to another host after a redirect', async () => {
+    const { safeFetch } = loadSafeFetch('localhost');
+    const echo = (req, res) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ cookie: req.headers.cookie || null, authorization: req.headers.authorization || null }));
+    };
+    const other = await startServer(echo);
+    const server = await startServer((req, res) => {
+        if (req.url === '/elsewhere') {
+            res.writeHead(302, { location: `${other.origin}/echo` });
+            return res.end();
+        }
+        if (req.url === '/here') {
+            res.writeHead(302, { location: '/echo' });
+            return res.end();
+        }
+        echo(req, res);
+    });
+    const headers = { Cookie: 'session=secret', Authorization: 'Bearer token' };
+    try {
+        const sameHost = await (await safeFetch(`${server.origin}/here`, { headers })).json();
+        assert.deepStrictEqual(sameHost, { cookie: 'session=secret', authorization: 'Bearer token' });
+
+        const otherHost = await (await safeFetch(`${server.origin}/elsewhere`, { headers })).json();
+        assert.deepStrictEqual(otherHost, { cookie: null, authorization: null });
+    } finally {
+        await server.close();
+        await other.close();
+    }
+});
+
+test('maxBytes applies to the decompressed body of a gzip response', async () => {
+    const { safeFetch } = loadSafeFetch('localhost');
+    const body = zlib.gzipSync(Buffer.alloc(200 * 1024, 'a'));
+    const server = await startServer((req, res) => {
+        res.writeHead(200, { 'content-type': 'text/html', 'content-encoding': 'gzip', 'content-length': body.length });
+        res.end(body);
+    });
+    try {
+        assert.ok(body.length < 10 * 1024, 'the compressed body is under the limit');
+        await assert.rejects(safeFetch(`${server.origin}/`, { maxBytes: 10 * 1024 }), { code: 'RESPONSE_TOO_LARGE' });
+
+        const response = await safeFetch(`${server.origin}/`, { maxBytes: 300 * 1024 });
+        assert.strictEqual((await response.arrayBuffer()).byteLength, 200 * 1024);
+        assert.strictEqual(response.headers.get('content-encoding'), null);
+    } finally {
+        await server.close();
+    }
+});
+
+test('content types outside allowedContentTypes are rejected', async () => {
+    const { safeFetch } = loadSafeFetch('localhost');
+    const server = await startServer((req, res) => {
+        res.writeHead(200, { 'content-type': 'application/octet-stream' });
+        res.end('binary');
+    });
+    try {
+        await assert.rejects(
+            safeFetch(`${server.origin}/`, { allowedContentTypes: ['text/html', 'image/'] }),
+            { code: 'CONTENT_TYPE_NOT_ALLOWED' }
+        );
+    } finally {
+        await server.close();
+    }
+});
+
+test('the timeout rejects a response that stops in the middle of the body', async () => {
+    const { safeFetch } = loadSafeFetch('localhost');
+    const server = await startServer((req, res) => {
+        res.writeHead(200, { 'content-type': 'text/html', 'content-length': 1000 });
+        res.write('<p>the rest never comes');
+    });
+    try {
+        const started = Date.now();
+        await assert.rejects(safeFetch(`${server.origin}/`, { timeout: 300 }), { name: 'AbortError' });
+        assert.ok(Date.now() - started < 5000, 'rejected by the timeout, not by the server');
+    } finally {
+        await server.close();
+    }
+});
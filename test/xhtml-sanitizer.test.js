@@ -0,0 +1,123 @@
+/**
+ * XHTML sanitizer tests
+ *
+ * @author LinkPub Team
+ * @version 2.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { sanitizeXhtml } = require('../lib/xhtml-sanitizer');
+
+/**
+ * Check that sanitized markup parses as XML inside an XHTML body
+ * @param {string} xhtml - Sanitized markup
+ */
+function assertWellFormed(xhtml) {
+    const { window } = new JSDOM('');
+    const document = new window.DOMParser().parseFromString(
+        `<html xmlns="http://www.w3.org/1999/xhtml"><body>${xhtml}</body></html>`,
+        'application/xhtml+xml'
+    );
+    assert.strictEqual(document.getElementsByTagName('parsererror').length, 0, xhtml);
+}
+
+test('scripts, frames and event handlers are removed', () => {
+    const { xhtml, report } = sanitizeXhtml(`
+        <p onclick="steal()" style="color: red">Text<script>alert(1)</script></p>
+        <iframe src="https://example.com/embed"></iframe>
+        <img src="https://example.com/a.png" onerror="steal()">`);
+
+    assert.doesNotMatch(xhtml, /script|alert|iframe|onclick|onerror|style=/);
+    assert.match(xhtml, /<p>Text<\/p>/);
+    assert.match(xhtml, /<img src="https:\/\/example\.com\/a\.png" alt=""\/>/);
+    assert.deepStrictEqual(report.removedElements, { script: 1, iframe: 1 });
+    assert.deepStrictEqual(report.removedAttributes, { onclick: 1, style: 1, onerror: 1 });
+    assertWellFormed(xhtml);
+});
+
+test('void elements are self-closed and &nbsp; becomes a character', () => {
+    const { xhtml } = sanitizeXhtml('<p>One&nbsp;two<br>three &amp; four &lt;tag&gt;</p><hr>');
+
+    assert.strictEqual(xhtml, '<p>One two<br/>three &amp; four &lt;tag&gt;</p>\n<hr/>');
+    assert.doesNotMatch(xhtml, /&nbsp;/);
+    assertWellFormed(xhtml);
+});
+
+test('javascript: and other unsafe links are dropped, safe ones kept', () => {
+    const { xhtml, report } = sanitizeXhtml(`<p>
+        <a href="javascript:alert(1)">a</a>
+        <a href=" JavaScript:alert(1)">b</a>
+        <a href="data:text/html,hi">c</a>
+        <a href="https://example.com/">d</a>
+        <a href="mailto:someone@example.com">e</a>
+        <a href="#notes">f</a>
+        <a href="relative/page.html">g</a></p>`);
+
+    assert.doesNotMatch(xhtml, /javascript|data:/i);
+    assert.match(xhtml, /<a>a<\/a>/);
+    assert.match(xhtml, /<a href="https:\/\/example\.com\/">d<\/a>/);
+    assert.match(xhtml, /<a href="mailto:someone@example\.com">e<\/a>/);
+    assert.match(xhtml, /<a href="#notes">f<\/a>/);
+    assert.match(xhtml, /<a href="relative\/page\.html">g<\/a>/);
+    assert.strictEqual(report.removedAttributes.href, 3);
+});
+
+test('duplicate and invalid IDs are renamed and in-page links follow them', () => {
+    const { xhtml, report } = sanitizeXhtml(`
+        <h2 id="1 intro">Intro</h2>
+        <p id="note">First</p>
+        <p id="note">Second</p>
+        <p><a href="#1 intro">Back to the intro</a></p>`);
+
+    assert.match(xhtml, /<h2 id="id-1-intro">Intro<\/h2>/);
+    assert.match(xhtml, /<p id="note">First<\/p>/);
+    assert.match(xhtml, /<p id="note-2">Second<\/p>/);
+    assert.match(xhtml, /<a href="#id-1-intro">Back to the intro<\/a>/);
+    assert.strictEqual(report.renamedIds, 2);
+});
+
+test('percentage sizes are kept for EPUB 2 and dropped for EPUB 3', () => {
+    const html = '<p><img src="https://example.com/a.png" width="50%" height="120" alt="A"></p><table><tr><td colspan="2%">x</td></tr></table>';
+
+    const epub2 = sanitizeXhtml(html, { epubVersion: 2 }).xhtml;
+    assert.match(epub2, /<img src="https:\/\/example\.com\/a\.png" width="50%" height="120" alt="A"\/>/);
+    assert.match(epub2, /<td>x<\/td>/);
+
+    const epub3 = sanitizeXhtml(html, { epubVersion: 3 }).xhtml;
+    assert.match(epub3, /<img src="https:\/\/example\.com\/a\.png" height="120" alt="A"\/>/);
+    assert.match(epub3, /<td>x<\/td>/);
+});
+
+test('lang is written as xml:lang for EPUB 2 only', () => {
+    const html = '<p lang="fr">Bonjour</p>';
+    assert.strictEqual(sanitizeXhtml(html, { epubVersion: 2 }).xhtml, '<p xml:lang="fr">Bonjour</p>');
+    assert.strictEqual(sanitizeXhtml(html, { epubVersion: 3 }).xhtml, '<p lang="fr">Bonjour</p>');
+});
+
+test('HTML5 elements are downgraded for EPUB 2 and kept for EPUB 3', () => {
+    const html = '<section><header><h2>Title</h2></header><figure><img src="https://example.com/a.png" alt=""><figcaption>Caption</figcaption></figure>'
+        + '<p><mark>marked</mark> <s>old</s> <time datetime="2024-03-05">today</time> <ruby>漢<rt>kan</rt></ruby></p></section>';
+
+    const epub2 = sanitizeXhtml(html, { epubVersion: 2 });
+    assert.strictEqual(
+        epub2.xhtml,
+        '<div><div><h2>Title</h2></div><div><img src="https://example.com/a.png" alt=""/><p>Caption</p></div>'
+            + '<p><span>marked</span> <del>old</del> <span>today</span> 漢kan</p></div>'
+    );
+    assert.deepStrictEqual(epub2.report.unwrappedElements, { rt: 1, ruby: 1 });
+    assert.strictEqual(epub2.report.removedAttributes.datetime, 1);
+    assertWellFormed(epub2.xhtml);
+
+    const epub3 = sanitizeXhtml(html, { epubVersion: 3 });
+    assert.match(epub3.xhtml, /^<section><header>/);
+    assert.match(epub3.xhtml, /<figure>.*<figcaption>Caption<\/figcaption><\/figure>/);
+    assert.match(epub3.xhtml, /<mark>marked<\/mark> <s>old<\/s> <time datetime="2024-03-05">today<\/time> <ruby>漢<rt>kan<\/rt><\/ruby>/);
+    assertWellFormed(epub3.xhtml);
+});
+
+test('stray inline content at the top level is wrapped in a block', () => {
+    const { xhtml } = sanitizeXhtml('Loose <em>text</em><p>Paragraph</p>tail');
+    assert.strictEqual(xhtml, '<div>Loose <em>text</em></div>\n<p>Paragraph</p>\n<div>tail</div>');
+});